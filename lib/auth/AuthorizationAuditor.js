@@ -0,0 +1,139 @@
+'use strict'
+
+const { isObservable } = require('rxjs');
+const { ConsoleLogger } = require('../log');
+
+/**
+ * Authorization decisions
+ */
+const DECISIONS = {
+  ALLOW: 'ALLOW',
+  DENY: 'DENY',
+};
+
+/**
+ * Auditor used by RoleValidator when none is given, auditing is disabled while it is null
+ */
+let defaultAuditor = null;
+
+/**
+ * Records the authorization decisions of RoleValidator into pluggable sinks.
+ * Every decision is delivered to every sink as the event:
+ *  { decision, method, principal, requiredRoles, grantedRoles, requiredPermissions, reason, correlationId, timestamp }
+ * Denied decisions are always recorded, allowed decisions are sampled
+ */
+class AuthorizationAuditor {
+
+  /**
+   * @param {Object} [ops]
+   * @param {function[]} [ops.sinks] (event) => void, may return a Promise or an Observable. see loggerSink, brokerSink and callbackSink
+   * @param {number} [ops.sampleRate] ratio (0 to 1) of the allowed decisions recorded. defaults to env AUTH_AUDIT_SAMPLE_RATE or 1
+   * @param {function} [ops.random] () => number between 0 and 1, used to sample
+   */
+  constructor({ sinks = [], sampleRate = parseFloat(process.env.AUTH_AUDIT_SAMPLE_RATE || 1), random = Math.random } = {}) {
+    if (isNaN(sampleRate) || sampleRate < 0 || sampleRate > 1) {
+      throw new Error(`AuthorizationAuditor: invalid sample rate ${sampleRate}, must be between 0 and 1`);
+    }
+    this.sinks = sinks;
+    this.sampleRate = sampleRate;
+    this.random = random;
+  }
+
+  /**
+   * Returns the auditor used by RoleValidator, null if auditing is disabled
+   * @returns {AuthorizationAuditor}
+   */
+  static getDefault() {
+    return defaultAuditor;
+  }
+
+  /**
+   * Sets the auditor used by RoleValidator, null disables the auditing
+   * @param {AuthorizationAuditor} auditor
+   */
+  static setDefault(auditor) {
+    defaultAuditor = auditor;
+  }
+
+  /**
+   * Records the decision in every sink. Sink failures are logged and never affect the decision
+   * @param {Object} decision
+   * @param {boolean} decision.granted whether the access was granted
+   * @param {string} decision.method method name
+   * @param {*} [decision.principal] who tried, eg: { id, username }
+   * @param {string[]} [decision.requiredRoles] required roles
+   * @param {string[]} [decision.grantedRoles] roles of the user
+   * @param {string[]} [decision.requiredPermissions] required permissions
+   * @param {string} [decision.reason] why the access was denied: ROLES, PERMISSIONS or CONDITIONS
+   * @param {string} [decision.correlationId] ID of the request
+   * @returns {Object} the recorded event, null if it was not sampled
+   */
+  record({ granted, method, principal, requiredRoles = [], grantedRoles = [], requiredPermissions, reason, correlationId }) {
+    if (granted && this.random() >= this.sampleRate) return null;
+    const event = {
+      decision: granted ? DECISIONS.ALLOW : DECISIONS.DENY,
+      method,
+      principal,
+      requiredRoles,
+      grantedRoles,
+      ...(requiredPermissions ? { requiredPermissions } : {}),
+      ...(reason ? { reason } : {}),
+      correlationId,
+      timestamp: Date.now(),
+    };
+    this.sinks.forEach(sink => {
+      const onError = err => ConsoleLogger.w(`AuthorizationAuditor: failed to record ${event.decision} decision of ${method}`, err);
+      try {
+        const result = sink(event);
+        if (isObservable(result)) result.subscribe({ error: onError });
+        else if (result instanceof Promise) result.catch(onError);
+      } catch (err) {
+        onError(err);
+      }
+    });
+    return event;
+  }
+
+  /**
+   * Sink that logs the decisions, denied ones as WARN and allowed ones as INFO
+   * @param {Object} [ops]
+   * @param {ChildLogger} [ops.logger] defaults to the 'auth.audit' logger
+   */
+  static loggerSink({ logger = ConsoleLogger.getLogger('auth.audit') } = {}) {
+    return event => event.decision === DECISIONS.DENY
+      ? logger.w(`Authorization denied: ${event.method}`, undefined, event)
+      : logger.i(`Authorization granted: ${event.method}`, event);
+  }
+
+  /**
+   * Sink that publishes the decisions to a broker topic
+   * @param {Object} ops
+   * @param {Broker} ops.broker broker used to publish the decisions
+   * @param {string} ops.topic topic to publish the decisions
+   * @param {string} [ops.type] message type. defaults to AuthorizationDecision
+   */
+  static brokerSink({ broker, topic, type = 'AuthorizationDecision' }) {
+    if (!broker || !topic) {
+      throw new Error('AuthorizationAuditor.brokerSink: broker and topic are required');
+    }
+    return event => broker.send$(topic, type, event);
+  }
+
+  /**
+   * Sink that calls back with every decision
+   * @param {function} callback (event) => void, may return a Promise or an Observable
+   */
+  static callbackSink(callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('AuthorizationAuditor.callbackSink: callback must be a function');
+    }
+    return event => callback(event);
+  }
+}
+
+AuthorizationAuditor.DECISIONS = DECISIONS;
+
+/**
+ * @returns {AuthorizationAuditor}
+ */
+module.exports = AuthorizationAuditor;
@@ -0,0 +1,222 @@
+'use strict'
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { defer, of } = require('rxjs');
+const { UnauthenticatedError } = require('../error');
+
+/**
+ * Supported signature algorithms
+ */
+const ALGORITHMS = {
+  RS256: { kty: 'RSA', verify: (data, key, signature) => crypto.verify('sha256', data, key, signature) },
+  ES256: { kty: 'EC', verify: (data, key, signature) => crypto.verify('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature) },
+};
+
+/**
+ * Reasons of the verification failures, reported on the error metadata
+ */
+const REASONS = {
+  MISSING: 'MISSING',
+  MALFORMED: 'MALFORMED',
+  ALGORITHM: 'ALGORITHM',
+  KEY_NOT_FOUND: 'KEY_NOT_FOUND',
+  SIGNATURE: 'SIGNATURE',
+  EXPIRED: 'EXPIRED',
+  NOT_BEFORE: 'NOT_BEFORE',
+  ISSUER: 'ISSUER',
+  AUDIENCE: 'AUDIENCE',
+};
+
+const toList = (value) => value === undefined || value === null || value === '' ? [] : (Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()));
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64').toString('utf8'));
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Verifies JWTs (eg: Keycloak access tokens) and maps them into principals for the RoleValidator
+ */
+class JwtVerifier {
+
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.jwks] JSON Web Key Set { keys: [jwk] }
+   * @param {string} [options.jwksPath] path of a JWKS file. defaults to env AUTH_JWKS_PATH
+   * @param {Object[]} [options.keys] JWKs or { kid, pem } public keys
+   * @param {string|string[]} [options.issuer] accepted issuers, eg: https://sso.host/auth/realms/DEV. defaults to env AUTH_JWT_ISSUER
+   * @param {string|string[]} [options.audience] accepted audiences, any of them must be in the aud claim. defaults to env AUTH_JWT_AUDIENCE
+   * @param {number} [options.clockTolerance] seconds of tolerance of the exp and nbf checks. defaults to env AUTH_JWT_CLOCK_TOLERANCE or 30
+   * @param {string[]} [options.algorithms] accepted algorithms, RS256 and/or ES256
+   * @param {string} [options.clientId] client whose resource_access roles are added to the principal roles
+   * @param {Object} [options.claims] custom claims added to the principal attributes by attribute name, eg: { businessId: 'attributes.businessId' }
+   */
+  constructor({
+    jwks,
+    jwksPath = process.env.AUTH_JWKS_PATH,
+    keys = [],
+    issuer = process.env.AUTH_JWT_ISSUER,
+    audience = process.env.AUTH_JWT_AUDIENCE,
+    clockTolerance = parseInt(process.env.AUTH_JWT_CLOCK_TOLERANCE || 30),
+    algorithms = Object.keys(ALGORITHMS),
+    clientId,
+    claims = {}
+  } = {}) {
+    const unknownAlgorithm = algorithms.find(alg => !ALGORITHMS[alg]);
+    if (unknownAlgorithm) {
+      throw new Error(`JwtVerifier: unsupported algorithm ${unknownAlgorithm}, valid options: ${Object.keys(ALGORITHMS).join(', ')}`);
+    }
+    this.issuers = toList(issuer);
+    this.audiences = toList(audience);
+    this.clockTolerance = clockTolerance;
+    this.algorithms = algorithms;
+    this.principalOps = { clientId, claims };
+    /**
+     * Public keys by kid
+     */
+    this.keys = {};
+    const fileKeys = jwksPath ? JSON.parse(fs.readFileSync(jwksPath, 'utf8')).keys : [];
+    [...fileKeys, ...((jwks || {}).keys || []), ...keys].forEach(key => this.addKey(key));
+  }
+
+  /**
+   * Adds a public key
+   * @param {Object} key JWK, or { kid, pem }
+   */
+  addKey(key) {
+    const publicKey = key.pem
+      ? crypto.createPublicKey(key.pem)
+      : crypto.createPublicKey({ key: key, format: 'jwk' });
+    this.keys[key.kid || ''] = { publicKey, kty: publicKey.asymmetricKeyType === 'ec' ? 'EC' : 'RSA', alg: key.alg };
+  }
+
+  /**
+   * Verifies the token signature, expiry, issuer and audience
+   * @param {string} token JWT, may have the 'Bearer ' prefix
+   * @returns {Object} the token payload
+   * @throws {UnauthenticatedError} if the token is not valid, metadata.reason tells why (see REASONS)
+   */
+  verify(token) {
+    if (!token || typeof token !== 'string') this.fail(REASONS.MISSING, 'missing token');
+    const parts = token.replace(/^Bearer\s+/i, '').split('.');
+    if (parts.length !== 3) this.fail(REASONS.MALFORMED, 'malformed token');
+    let header, payload;
+    try {
+      header = decodeSegment(parts[0]);
+      payload = decodeSegment(parts[1]);
+      // any JSON is decoded, but the header and payload must be objects
+      if (!isPlainObject(header) || !isPlainObject(payload)) this.fail(REASONS.MALFORMED, 'malformed token');
+    } catch (err) {
+      this.fail(REASONS.MALFORMED, 'malformed token');
+    }
+
+    if (this.algorithms.indexOf(header.alg) === -1) this.fail(REASONS.ALGORITHM, `unsupported algorithm ${header.alg}`);
+    const key = this.getKey(header);
+    if (!key) this.fail(REASONS.KEY_NOT_FOUND, `unknown key ${header.kid}`);
+    const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+    if (!ALGORITHMS[header.alg].verify(signed, key.publicKey, Buffer.from(parts[2], 'base64'))) {
+      this.fail(REASONS.SIGNATURE, 'invalid signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    // tokens must expire, a missing or non-numeric exp would skip the expiry check
+    if (!Number.isFinite(payload.exp)) this.fail(REASONS.MALFORMED, 'token without a numeric exp claim');
+    if (now > payload.exp + this.clockTolerance) this.fail(REASONS.EXPIRED, 'expired token');
+    if (payload.nbf !== undefined && !Number.isFinite(payload.nbf)) this.fail(REASONS.MALFORMED, 'token with a non-numeric nbf claim');
+    if (payload.nbf !== undefined && now < payload.nbf - this.clockTolerance) this.fail(REASONS.NOT_BEFORE, 'token not active yet');
+    if (this.issuers.length > 0 && this.issuers.indexOf(payload.iss) === -1) this.fail(REASONS.ISSUER, `unexpected issuer ${payload.iss}`);
+    if (this.audiences.length > 0 && !toList(payload.aud).some(aud => this.audiences.indexOf(aud) > -1)) {
+      this.fail(REASONS.AUDIENCE, `unexpected audience ${payload.aud}`);
+    }
+    return payload;
+  }
+
+  /**
+   * Observable version of verify
+   * @param {string} token JWT
+   * @returns {Observable} emits the token payload or throws an UnauthenticatedError
+   */
+  verify$(token) {
+    return defer(() => of(this.verify(token)));
+  }
+
+  /**
+   * Verifies the token and maps it into a principal, see JwtVerifier.toPrincipal
+   * @param {string} token JWT
+   */
+  getPrincipal(token) {
+    return JwtVerifier.toPrincipal(this.verify(token), this.principalOps);
+  }
+
+  /**
+   * Returns a CqrsRequestRouter getAuthToken that verifies the raw token of the request
+   * @param {function} [getRawToken] (message) => JWT. defaults to message.data.jwt, message.data.authToken or message.authToken
+   * @returns {function} (message) => token payload
+   */
+  authTokenExtractor(getRawToken = JwtVerifier.getRawToken) {
+    return (message) => this.verify(getRawToken(message));
+  }
+
+  /**
+   * Returns a CqrsRequestRouter getPrincipal that maps the verified token with the verifier clientId and claims
+   * @returns {function} (authToken) => principal
+   */
+  principalMapper() {
+    return (authToken) => JwtVerifier.toPrincipal(authToken || {}, this.principalOps);
+  }
+
+  /**
+   * Default raw token extractor
+   * @param {Object} message incoming request
+   */
+  static getRawToken(message) {
+    const data = message.data || {};
+    return data.jwt || data.authToken || message.authToken;
+  }
+
+  /**
+   * Maps a token payload into a normalized principal, compatible with RoleValidator.checkAccess
+   * @param {Object} payload verified token payload
+   * @param {Object} [ops]
+   * @param {string} [ops.clientId] client whose resource_access roles are added to the roles
+   * @param {Object} [ops.claims] custom claims added to the attributes by attribute name, eg: { businessId: 'attributes.businessId' }
+   * @returns {Object} { id, username, email, name, roles, clientRoles, permissions, attributes }
+   */
+  static toPrincipal(payload, { clientId, claims = {} } = {}) {
+    const clientRoles = Object.keys(payload.resource_access || {}).reduce((acc, client) => {
+      acc[client] = payload.resource_access[client].roles || [];
+      return acc;
+    }, {});
+    const realmRoles = (payload.realm_access || {}).roles || [];
+    const customClaims = Object.keys(claims).reduce((acc, attribute) => {
+      acc[attribute] = claims[attribute].split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), payload);
+      return acc;
+    }, {});
+    return {
+      id: payload.sub,
+      username: payload.preferred_username,
+      email: payload.email,
+      name: payload.name,
+      roles: [...new Set([...realmRoles, ...(clientId ? clientRoles[clientId] || [] : [])])],
+      clientRoles,
+      permissions: Array.isArray(payload.permissions) ? payload.permissions : [],
+      attributes: { ...payload, ...customClaims },
+    };
+  }
+
+  getKey({ kid, alg }) {
+    const key = kid !== undefined ? this.keys[kid] : (Object.keys(this.keys).length === 1 ? Object.values(this.keys)[0] : undefined);
+    return key && key.kty === ALGORITHMS[alg].kty && (!key.alg || key.alg === alg) ? key : undefined;
+  }
+
+  fail(reason, message) {
+    throw new UnauthenticatedError('JwtVerifier.verify', `Unauthenticated: ${message}`, { metadata: { reason } });
+  }
+}
+
+JwtVerifier.ALGORITHMS = ALGORITHMS;
+JwtVerifier.REASONS = REASONS;
+
+/**
+ * @returns {JwtVerifier}
+ */
+module.exports = JwtVerifier;
@@ -2,13 +2,102 @@
 
 const { CustomError } = require("../error");
 const { mergeMap, map, reduce } = require('rxjs/operators');
-const { of, throwError, from, Observable } = require('rxjs');
+const { of, throwError, from, defer, Observable } = require('rxjs');
+const AuthorizationAuditor = require('./AuthorizationAuditor');
+
+/**
+ * Role verification modes
+ *  ANY: the user must have at least one of the required roles or permissions
+ *  ALL: the user must have every required role or permission
+ */
+const MODES = {
+  ANY: 'ANY',
+  ALL: 'ALL',
+};
+
+/**
+ * Attribute condition operators
+ *  EQUALS: the user attribute must equal the resource attribute
+ *  NOT_EQUALS: the user attribute must be set and differ from the resource attribute
+ *  IN: the user attribute (an array) must contain the resource attribute
+ */
+const OPERATORS = {
+  EQUALS: (userValue, resourceValue) => userValue !== undefined && userValue === resourceValue,
+  NOT_EQUALS: (userValue, resourceValue) => userValue !== undefined && userValue !== resourceValue,
+  IN: (userValue, resourceValue) => Array.isArray(userValue) && userValue.includes(resourceValue),
+};
+
+/**
+ * Roles implied by every role, eg: { 'PLATFORM-ADMIN': ['BUSINESS-OWNER'], 'BUSINESS-OWNER': ['OPERATOR'] }.
+ * Parsed from env AUTH_ROLE_HIERARCHY on first use, see RoleValidator.getRoleHierarchy
+ */
+let roleHierarchy = null;
+
+/**
+ * Parses the role hierarchy of env AUTH_ROLE_HIERARCHY
+ * @throws {Error} if it is not a JSON object
+ */
+const parseRoleHierarchy = (json = '{}') => {
+  let hierarchy;
+  try {
+    hierarchy = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`RoleValidator: invalid env AUTH_ROLE_HIERARCHY, must be a JSON object of implied roles by role: ${err.message}`);
+  }
+  if (!hierarchy || typeof hierarchy !== 'object' || Array.isArray(hierarchy)) {
+    throw new Error(`RoleValidator: invalid env AUTH_ROLE_HIERARCHY, must be a JSON object of implied roles by role: ${json}`);
+  }
+  return hierarchy;
+};
+
+/**
+ * Reads a dot separated path of the object, eg: 'business.id'
+ */
+const getPath = (obj, path) => path.split('.').reduce((acc, key) => (acc === undefined || acc === null ? undefined : acc[key]), obj);
 
 /**
  * Role validator
  */
 class RoleValidator {
 
+  /**
+   * Sets the default role hierarchy, defaults to env AUTH_ROLE_HIERARCHY (JSON)
+   * @param {Object} hierarchy roles implied by every role, eg: { 'PLATFORM-ADMIN': ['BUSINESS-OWNER'], 'BUSINESS-OWNER': ['OPERATOR'] }.
+   *  null reads env AUTH_ROLE_HIERARCHY again on the next use
+   */
+  static setRoleHierarchy(hierarchy) {
+    roleHierarchy = hierarchy || null;
+  }
+
+  /**
+   * Returns the default role hierarchy
+   * @throws {Error} if env AUTH_ROLE_HIERARCHY is not a valid JSON object
+   */
+  static getRoleHierarchy() {
+    if (!roleHierarchy) {
+      roleHierarchy = parseRoleHierarchy(process.env.AUTH_ROLE_HIERARCHY);
+    }
+    return roleHierarchy;
+  }
+
+  /**
+   * Returns the user roles plus every role implied by them, transitively
+   * @param {[string]} userRoles Roles of the user
+   * @param {Object} [hierarchy] roles implied by every role. defaults to the default role hierarchy
+   * @returns {[string]} effective roles
+   */
+  static expandRoles(userRoles, hierarchy = RoleValidator.getRoleHierarchy()) {
+    const roles = new Set();
+    const pending = [...(userRoles || [])];
+    while (pending.length > 0) {
+      const role = pending.pop();
+      if (roles.has(role)) continue;
+      roles.add(role);
+      pending.push(...(hierarchy[role] || []));
+    }
+    return [...roles];
+  }
+
   /**
   * Checks if the user has the role needed, otherwise throws an error according to the passed parameters.
   *
@@ -18,22 +107,35 @@ class RoleValidator {
   * @param {error} error  This is the error that will be thrown if the user do not have the required roles
   * @param {[string]} requiredRoles Array with required roles (The authenticated user must have at least one of the required roles,
   *  otherwise the operation that the user is trying to do will be rejected.
+  * @param {Object} [ops]
+  * @param {string} [ops.mode] ANY or ALL of the required roles, defaults to ANY
+  * @param {Object} [ops.hierarchy] roles implied by every role, defaults to the default role hierarchy
+  * @param {*} [ops.principal] who is verified, recorded by the auditor, eg: { id, username }
+  * @param {string} [ops.correlationId] ID of the request, recorded by the auditor
+  * @param {AuthorizationAuditor} [ops.auditor] records the decision, defaults to AuthorizationAuditor.getDefault()
   * @returns {Observable} observable of validated roles if succed or custom error if verification failed
   */
   static verifyRoles$(
     userRoles,
     method,
     error,
-    requiredRoles
+    requiredRoles,
+    { mode = MODES.ANY, hierarchy, principal, correlationId, auditor = AuthorizationAuditor.getDefault() } = {}
   ) {
-    return from(requiredRoles)
+    const grantedRoles = userRoles || [];
+    // the default hierarchy is resolved on subscription, so an invalid env hierarchy is emitted as an error
+    let expandedRoles;
+    return defer(() => {
+      expandedRoles = userRoles && RoleValidator.expandRoles(userRoles, hierarchy || RoleValidator.getRoleHierarchy());
+      return from(requiredRoles);
+    })
       .pipe(
         map(requiredRole => {
           const role = { name: requiredRole, value: false };
           if (
-            userRoles == undefined ||
-            userRoles.length == 0 ||
-            !userRoles.includes(requiredRole)
+            expandedRoles == undefined ||
+            expandedRoles.length == 0 ||
+            !expandedRoles.includes(requiredRole)
           ) {
             role.value = false;
           } else {
@@ -46,7 +148,11 @@ class RoleValidator {
           return acc;
         }, {}),
         mergeMap(validRoles => {
-          if (!Object.values(validRoles).includes(true)) {
+          const granted = RoleValidator.isSatisfied(Object.values(validRoles), mode);
+          if (auditor) {
+            auditor.record({ granted, method, principal, requiredRoles, grantedRoles, correlationId, ...(granted ? {} : { reason: 'ROLES' }) });
+          }
+          if (!granted) {
             return throwError(
               new CustomError(error.name, method, error.code, error.description)
             );
@@ -61,11 +167,15 @@ class RoleValidator {
    * Returns true if the user has at least one of the required roles
    * @param {[string]} userRoles Roles of the user
    * @param {[string]} requiredRoles Required roles
+   * @param {Object} [ops]
+   * @param {string} [ops.mode] ANY or ALL of the required roles, defaults to ANY
+   * @param {Object} [ops.hierarchy] roles implied by every role, defaults to the default role hierarchy
    * @returns {boolean} true if the user has the needed roles
    */
   static hasRoles(
     userRoles,
-    requiredRoles
+    requiredRoles,
+    { mode = MODES.ANY, hierarchy = RoleValidator.getRoleHierarchy() } = {}
   ) {
     if (!requiredRoles || requiredRoles.length === 0) {
       return true;
@@ -73,11 +183,141 @@ class RoleValidator {
     if (!userRoles) {
       return false;
     }
-    return userRoles.filter(userRole => requiredRoles.includes(userRole)).length > 0;
+    const effectiveRoles = RoleValidator.expandRoles(userRoles, hierarchy);
+    return RoleValidator.isSatisfied(requiredRoles.map(requiredRole => effectiveRoles.includes(requiredRole)), mode);
+  }
+
+  /**
+   * Returns true if any of the granted permissions covers the required one.
+   * Permissions are colon separated segments, '*' matches any segment and a trailing '*' any remaining segments,
+   * eg: 'vehicle:*:read' covers 'vehicle:abc:read', and 'vehicle:*' covers 'vehicle:abc:write'
+   * @param {string} grantedPermission permission of the user, may have wildcards
+   * @param {string} requiredPermission required permission
+   */
+  static matchPermission(grantedPermission, requiredPermission) {
+    const granted = grantedPermission.split(':');
+    const required = requiredPermission.split(':');
+    for (let i = 0; i < granted.length; i++) {
+      if (granted[i] === '*' && i === granted.length - 1) return required.length >= granted.length;
+      if (i >= required.length || (granted[i] !== '*' && granted[i] !== required[i])) return false;
+    }
+    return granted.length === required.length;
+  }
+
+  /**
+   * Returns true if the user permissions cover the required ones
+   * @param {[string]} userPermissions Permissions of the user, may have wildcards
+   * @param {[string]} requiredPermissions Required permissions
+   * @param {Object} [ops]
+   * @param {string} [ops.mode] ANY or ALL of the required permissions, defaults to ANY
+   */
+  static hasPermissions(userPermissions, requiredPermissions, { mode = MODES.ANY } = {}) {
+    if (!requiredPermissions || requiredPermissions.length === 0) {
+      return true;
+    }
+    return RoleValidator.isSatisfied(
+      requiredPermissions.map(required => (userPermissions || []).some(granted => RoleValidator.matchPermission(granted, required))),
+      mode
+    );
+  }
+
+  /**
+   * Returns true if every attribute condition holds.
+   * condition: { userAttribute, resourceAttribute, operator } (see OPERATORS, defaults to EQUALS), or a function (user, resource) => boolean.
+   * attributes are dot separated paths, eg: { userAttribute: 'businessId', resourceAttribute: 'business.id' }
+   * @param {[Object|function]} conditions
+   * @param {Object} userAttributes attributes of the user, eg: the auth token
+   * @param {Object} resource the accessed resource, eg: the request args
+   */
+  static checkConditions(conditions, userAttributes, resource) {
+    return (conditions || []).every(condition => {
+      if (typeof condition === 'function') {
+        return condition(userAttributes || {}, resource || {}) === true;
+      }
+      const { userAttribute, resourceAttribute, operator = 'EQUALS' } = condition;
+      if (!OPERATORS[operator]) {
+        throw new Error(`RoleValidator: invalid condition operator ${operator}, valid options: ${Object.keys(OPERATORS).join(', ')}`);
+      }
+      return OPERATORS[operator](getPath(userAttributes || {}, userAttribute), getPath(resource || {}, resourceAttribute));
+    });
+  }
+
+  /**
+   * Evaluates the access requirements against the user
+   * @param {Object} principal the user: { roles, permissions, attributes }
+   * @param {Object} requirements
+   * @param {[string]} [requirements.roles] required roles
+   * @param {[string]} [requirements.permissions] required permissions, may be covered by wildcard permissions of the user
+   * @param {string} [requirements.mode] ANY or ALL of the required roles and permissions, defaults to ANY
+   * @param {[Object|function]} [requirements.conditions] attribute conditions, see checkConditions
+   * @param {Object} [requirements.resource] the accessed resource, used by the conditions
+   * @param {[string]} [requirements.bypassRoles] users with any of these roles skip the conditions, eg: ['PLATFORM-ADMIN']
+   * @param {Object} [requirements.hierarchy] roles implied by every role, defaults to the default role hierarchy
+   * @returns {{granted: boolean, reason: string}} reason is set when the access is denied: ROLES, PERMISSIONS or CONDITIONS
+   */
+  static checkAccess(
+    { roles = [], permissions = [], attributes = {} } = {},
+    { roles: requiredRoles, permissions: requiredPermissions, mode = MODES.ANY, conditions, resource, bypassRoles = [], hierarchy = RoleValidator.getRoleHierarchy() } = {}
+  ) {
+    if (!RoleValidator.hasRoles(roles, requiredRoles, { mode, hierarchy })) {
+      return { granted: false, reason: 'ROLES' };
+    }
+    if (!RoleValidator.hasPermissions(permissions, requiredPermissions, { mode })) {
+      return { granted: false, reason: 'PERMISSIONS' };
+    }
+    const bypass = bypassRoles.length > 0 && RoleValidator.hasRoles(roles, bypassRoles, { hierarchy });
+    if (!bypass && !RoleValidator.checkConditions(conditions, attributes, resource)) {
+      return { granted: false, reason: 'CONDITIONS' };
+    }
+    return { granted: true };
+  }
+
+  /**
+   * Checks the access requirements, otherwise throws an error according to the passed parameters.
+   * @param {Object} principal the user: { roles, permissions, attributes }
+   * @param {string} method method name
+   * @param {error} error  This is the error that will be thrown if the access is denied: {name, code, description}
+   * @param {Object} requirements see checkAccess
+   * @param {Object} [ops]
+   * @param {*} [ops.principal] who is verified, recorded by the auditor. defaults to the principal { id, username }
+   * @param {string} [ops.correlationId] ID of the request, recorded by the auditor
+   * @param {AuthorizationAuditor} [ops.auditor] records the decision, defaults to AuthorizationAuditor.getDefault()
+   * @returns {Observable} observable of the access decision if granted or custom error if denied
+   */
+  static verifyAccess$(principal, method, error, requirements, { principal: auditedPrincipal, correlationId, auditor = AuthorizationAuditor.getDefault() } = {}) {
+    return defer(() => {
+      const decision = RoleValidator.checkAccess(principal, requirements);
+      if (auditor) {
+        const { id, username, roles = [] } = principal || {};
+        auditor.record({
+          granted: decision.granted,
+          method,
+          principal: auditedPrincipal !== undefined ? auditedPrincipal : { id, username },
+          requiredRoles: (requirements || {}).roles || [],
+          grantedRoles: roles,
+          requiredPermissions: (requirements || {}).permissions,
+          reason: decision.reason,
+          correlationId
+        });
+      }
+      return decision.granted
+        ? of(decision)
+        : throwError(new CustomError(error.name, method, error.code, error.description));
+    });
+  }
+
+  static isSatisfied(results, mode) {
+    if (!MODES[mode]) {
+      throw new Error(`RoleValidator: invalid mode ${mode}, valid options: ${Object.keys(MODES).join(', ')}`);
+    }
+    return mode === MODES.ALL ? results.length > 0 && results.every(result => result) : results.includes(true);
   }
 
 };
 
+RoleValidator.MODES = MODES;
+RoleValidator.OPERATORS = OPERATORS;
+
 /**
  * @returns {RoleValidator}
  */
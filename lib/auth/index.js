@@ -1,7 +1,11 @@
 "use strict";
 
 const RoleValidator = require("./RoleValidator");
+const JwtVerifier = require("./JwtVerifier");
+const AuthorizationAuditor = require("./AuthorizationAuditor");
 
 module.exports = {
-    RoleValidator
+    RoleValidator,
+    JwtVerifier,
+    AuthorizationAuditor
 };
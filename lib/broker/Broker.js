@@ -0,0 +1,632 @@
+'use strict';
+
+const { BehaviorSubject, Observable, defer, timer, throwError, from, isObservable, of } = require('rxjs');
+const {
+  switchMap,
+  filter,
+  map,
+  timeout,
+  first,
+  retryWhen,
+  mergeMap,
+  tap,
+  catchError,
+  last
+} = require('rxjs/operators');
+const { ConsoleLogger, LogContext } = require('../log');
+const FlowController = require('./FlowController');
+
+/**
+ * Possible values of Broker.connectionState$
+ */
+const CONNECTION_STATES = {
+  CONNECTING: 'CONNECTING',
+  CONNECTED: 'CONNECTED',
+  RECONNECTING: 'RECONNECTING',
+  DISCONNECTED: 'DISCONNECTED',
+  FAILED: 'FAILED',
+};
+
+/**
+ * Default reconnect backoff, can be overridden using env vars or the reconnect constructor option
+ */
+const DEFAULT_RECONNECT_OPS = {
+  initialDelay: parseInt(process.env.BROKER_RECONNECT_INITIAL_DELAY || 1000),
+  maxDelay: parseInt(process.env.BROKER_RECONNECT_MAX_DELAY || 30000),
+  maxAttempts: parseInt(process.env.BROKER_RECONNECT_MAX_ATTEMPTS || 0), // 0 = retries forever
+  factor: 2,
+  jitter: 0.2,
+};
+
+/**
+ * Possible acknowledgement modes:
+ *  AUTO: messages are acknowledged as soon as they are pushed into incomingMessages$
+ *  MANUAL: messages carry ack(), nak(delay) and term() and must be acknowledged by the handler
+ */
+const ACK_MODES = {
+  AUTO: 'AUTO',
+  MANUAL: 'MANUAL',
+};
+
+/**
+ * Message type used on the messages published to the dead-letter topic
+ */
+const DEAD_LETTER_MESSAGE_TYPE = 'DeadLetter';
+
+/**
+ * Abstract broker contract.
+ * Every broker returned by the BrokerFactory extends this class, so code written against it can switch BROKER_TYPE safely.
+ *
+ * Implementations must provide:
+ *  - publish$(topic, type, data, ops): publishes the envelope and resolves to the sent message ID
+ *  - configMessageListener$(topics): subscribes the topics and pushes every incoming message into incomingMessages$
+ *  - disconnectBroker$(): stops listening and releases the underlying client
+ *
+ * Incoming messages must be pushed into incomingMessages$ with the following shape:
+ *  { topic, id, type, data, attributes: { senderId, correlationId }, correlationId }
+ * Replies are correlated using the ID of the request message as the reply correlationId.
+ *
+ * Implementations must keep connectionState$ updated and re-subscribe every listened topic after a reconnection,
+ * so listeners survive broker restarts.
+ *
+ * Implementations must push the incoming messages using pushIncomingMessage, so malformed messages are quarantined
+ * into the dead-letter policy instead of crashing the consumer loop.
+ * Transports with native acknowledgement must hand their acker to pushIncomingMessage, otherwise nak'd messages are
+ * redelivered locally.
+ * On MANUAL ack mode every topic has its own FlowController, so a burst on one topic can not starve the others.
+ * Pull-based transports must wait for the promise returned by pushIncomingMessage before pulling the next message.
+ */
+class Broker {
+  /**
+   * @param {Object} options
+   * @param {number} [options.replyTimeout] - default timeout for replies in milliseconds
+   * @param {string} [options.senderId] - identifier stamped on every sent message, used for self-event suppression
+   * @param {Object} [options.reconnect] - reconnect backoff {initialDelay, maxDelay, maxAttempts, factor, jitter}
+   * @param {string} [options.initialConnectionState] - connection state right after the instantiation
+   * @param {Object} [options.deadLetter] - poison message policy
+   * @param {string} [options.deadLetter.topic] - topic where poison messages are published. defaults to env BROKER_DEAD_LETTER_TOPIC
+   * @param {function} [options.deadLetter.handler] - custom policy, receives the dead letter and may return a Promise or an Observable.
+   *  replaces the default policy (publish to the dead-letter topic, or log if there is no topic)
+   * @param {string} [options.ackMode] - see ACK_MODES. defaults to env BROKER_ACK_MODE or AUTO
+   * @param {number} [options.ackDeadline] - MANUAL mode: millis to wait for the ack before redelivering the message. defaults to env BROKER_ACK_DEADLINE or 30000
+   * @param {Object} [options.flowControl] - MANUAL mode: bounds the messages not settled yet of every topic. throws on AUTO mode
+   * @param {number} [options.flowControl.maxInFlight] - max delivered messages not settled yet, 0 = unlimited. defaults to env BROKER_MAX_IN_FLIGHT or 0
+   * @param {number} [options.flowControl.maxQueueSize] - max messages waiting to be delivered. defaults to env BROKER_MAX_QUEUE_SIZE or 1000
+   * @param {string} [options.flowControl.overflowPolicy] - DROP_NEWEST, DROP_OLDEST or BLOCK. defaults to env BROKER_OVERFLOW_POLICY or BLOCK
+   * @param {Object} [options.flowControl.topics] - flow control overrides by topic, eg: { 'some-topic': { maxInFlight: 1 } }
+   * @param {string} [options.loggerName] - name of the broker logger, see ConsoleLogger.getLogger
+   * @param {boolean} [options.logPayloads] - logs (DEBUG) the redacted payload of every sent message. defaults to env BROKER_LOG_PAYLOADS or false
+   */
+  constructor({
+    replyTimeout,
+    senderId,
+    reconnect = {},
+    initialConnectionState = CONNECTION_STATES.CONNECTING,
+    deadLetter = {},
+    ackMode = process.env.BROKER_ACK_MODE || ACK_MODES.AUTO,
+    ackDeadline = parseInt(process.env.BROKER_ACK_DEADLINE || 30000),
+    flowControl = {},
+    loggerName = 'broker',
+    logPayloads = process.env.BROKER_LOG_PAYLOADS === 'true'
+  } = {}) {
+    if (new.target === Broker) {
+      throw new TypeError('Broker is abstract and can not be instantiated');
+    }
+    this.logger = ConsoleLogger.getLogger(loggerName);
+    this.logPayloads = logPayloads;
+    this.replyTimeout = replyTimeout || 2000;
+    this.senderId = senderId;
+    /**
+     * Rx Subject for incoming messages
+     */
+    this.incomingMessages$ = new BehaviorSubject(null);
+    this.reconnectOps = { ...DEFAULT_RECONNECT_OPS, ...reconnect };
+    /**
+     * Rx Subject of the connection state, see CONNECTION_STATES
+     */
+    this.connectionState$ = new BehaviorSubject(initialConnectionState);
+    this.deadLetterOps = { topic: process.env.BROKER_DEAD_LETTER_TOPIC, ...deadLetter };
+    this.metrics = {
+      received: 0,
+      malformed: 0,
+      unhandled: 0,
+      deadLettered: 0,
+      deadLetterFailures: 0,
+      dropped: 0,
+    };
+    if (!ACK_MODES[ackMode]) {
+      throw new Error(`Invalid ackMode ${ackMode}, valid options: ${Object.keys(ACK_MODES).join(', ')}`);
+    }
+    if (ackMode !== ACK_MODES.MANUAL && Object.keys(flowControl).length > 0) {
+      // AUTO mode acks on reception, the handlers can not tell when a message is settled
+      throw new Error(`flowControl requires the ${ACK_MODES.MANUAL} ackMode, bound the AUTO mode handlers with CqrsRequestRouter maxConcurrency and maxQueueSize instead`);
+    }
+    this.ackMode = ackMode;
+    this.ackDeadline = ackDeadline;
+    /**
+     * timers of the pending acknowledgements and local redeliveries
+     */
+    this.ackTimers = new Set();
+    this.flowControlOps = { ...FlowController.DEFAULT_FLOW_CONTROL_OPS, topics: {}, ...flowControl };
+    if (!FlowController.OVERFLOW_POLICIES[this.flowControlOps.overflowPolicy]) {
+      throw new Error(`Invalid overflowPolicy ${this.flowControlOps.overflowPolicy}, valid options: ${Object.keys(FlowController.OVERFLOW_POLICIES).join(', ')}`);
+    }
+    /**
+     * Map of flow controllers by topic
+     */
+    this.flowControllers = {};
+  }
+
+  /**
+   * Returns a snapshot of the incoming messages metrics:
+   *  received, malformed, unhandled, deadLettered, deadLetterFailures and dropped counters,
+   *  and the flow control {inFlight, queued} stats by topic
+   */
+  getMetrics() {
+    const flowControl = Object.keys(this.flowControllers).reduce((acc, topic) => {
+      acc[topic] = this.flowControllers[topic].getStats();
+      return acc;
+    }, {});
+    return { ...this.metrics, flowControl };
+  }
+
+  /**
+   * Returns the flow control options of the given topic
+   * @param {string} topic
+   * @returns {Object} {maxInFlight, maxQueueSize, overflowPolicy}
+   */
+  getFlowControlOps(topic) {
+    const { topics, ...defaults } = this.flowControlOps;
+    return { ...defaults, ...(topics[topic] || {}) };
+  }
+
+  /**
+   * Returns the flow controller of the given topic
+   * @param {string} topic
+   * @returns {FlowController}
+   */
+  getFlowController(topic) {
+    if (!this.flowControllers[topic]) {
+      this.flowControllers[topic] = new FlowController(this.getFlowControlOps(topic));
+    }
+    return this.flowControllers[topic];
+  }
+
+  /**
+   * Parses a raw incoming payload and pushes the resulting message into incomingMessages$.
+   * If the payload can not be parsed or it is not a valid envelope, it is quarantined using the dead-letter policy.
+   * On AUTO ack mode the message is acknowledged right after being pushed.
+   * On MANUAL ack mode the message carries the ack(), nak(delay) and term() functions instead, and it is delivered
+   * through the flow controller of the topic: messages are in flight until settled
+   * @param {string} topic topic where the message was received
+   * @param {Buffer|string} raw raw payload
+   * @param {Object} headers transport headers/attributes
+   * @param {function} parse (raw) => message, builds the normalized message
+   * @param {Object} [acker] native acknowledgement {ack(), nak(delay), term(), redeliveryCount}. defaults to local redelivery
+   * @returns {Promise} resolves once the message is delivered, queued or quarantined.
+   *  the BLOCK overflow policy keeps it pending while the queue of the topic is full
+   */
+  pushIncomingMessage(topic, raw, headers, parse, acker = this.buildLocalAcker(topic, raw, headers, parse, 0)) {
+    this.metrics.received++;
+    let message;
+    try {
+      message = parse(raw);
+      Broker.verifyEnvelope(message);
+    } catch (error) {
+      this.metrics.malformed++;
+      this.logger.w(`${this.constructor.name}: malformed message received on ${topic}`, error);
+      this.quarantine(topic, raw, error, headers);
+      // redelivering a malformed message is pointless
+      acker.ack();
+      return Promise.resolve();
+    }
+    if (this.ackMode !== ACK_MODES.MANUAL) {
+      this.emitIncomingMessage(message);
+      acker.ack();
+      return Promise.resolve();
+    }
+    return this.getFlowController(topic).submit(
+      (release) => {
+        this.attachAcknowledgement(message, acker, release);
+        this.emitIncomingMessage(message);
+      },
+      () => {
+        this.metrics.dropped++;
+        this.logger.w(`${this.constructor.name}: message ${message.id} dropped, the queue of ${topic} is full`);
+        // transports with native redelivery will deliver the dropped message again
+        if (acker.local) acker.ack(); else acker.nak();
+      }
+    );
+  }
+
+  /**
+   * Pushes the message into incomingMessages$ within its log context, so every line logged by the listeners while
+   * handling it is stamped with the message id and correlationId.
+   * The context starts empty: messages released by the flow control of another one do not inherit its fields
+   * @param {Object} message incoming message
+   */
+  emitIncomingMessage(message) {
+    LogContext.runOutsideContext(() => LogContext.runWithContext(
+      { messageId: message.id, correlationId: message.correlationId, messageType: message.type, topic: message.topic },
+      () => this.incomingMessages$.next(message)
+    ));
+  }
+
+  /**
+   * Subscribes the transport Observable outside of the current log context, so the long-lived resources created by
+   * the transport (sockets, keep-alive and reconnect timers, consumer loops) are not stamped with the fields of the
+   * message being handled. The notifications are delivered back within the context of the subscriber
+   * @param {function} factory () => Observable of the transport operation
+   * @returns {Observable}
+   */
+  detachLogContext$(factory) {
+    return new Observable(subscriber => {
+      const context = LogContext.getContext();
+      const within = fn => (...args) => LogContext.runWithContext(context, () => fn(...args));
+      return LogContext.runOutsideContext(() => defer(factory).subscribe(
+        within(value => subscriber.next(value)),
+        within(err => subscriber.error(err)),
+        within(() => subscriber.complete())
+      ));
+    });
+  }
+
+  /**
+   * Builds the acker used by transports without native acknowledgement:
+   * nak'd messages are pushed again into incomingMessages$ after the given delay
+   * @param {string} topic
+   * @param {Buffer|string} raw raw payload
+   * @param {Object} headers transport headers/attributes
+   * @param {function} parse (raw) => message
+   * @param {number} redeliveryCount times the message has been redelivered
+   */
+  buildLocalAcker(topic, raw, headers, parse, redeliveryCount) {
+    return {
+      ack: () => { },
+      nak: (delay = 0) => {
+        const redeliveryTimer = setTimeout(() => {
+          this.ackTimers.delete(redeliveryTimer);
+          if (this.connectionState$.getValue() === CONNECTION_STATES.DISCONNECTED) return;
+          this.pushIncomingMessage(topic, raw, headers, parse, this.buildLocalAcker(topic, raw, headers, parse, redeliveryCount + 1));
+        }, delay);
+        this.ackTimers.add(redeliveryTimer);
+      },
+      term: () => { },
+      redeliveryCount,
+      local: true,
+    };
+  }
+
+  /**
+   * Adds the ack(), nak(delay) and term(error) functions and the redeliveryCount to the message.
+   * Only the first call settles the message, the following ones are ignored and resolve to false.
+   * If the message is not settled before the ack deadline, it is nak'd
+   * @param {Object} message incoming message
+   * @param {Object} acker {ack(), nak(delay), term(), redeliveryCount}
+   * @param {function} [release] releases the flow control slot of the message once settled
+   */
+  attachAcknowledgement(message, acker, release = () => { }) {
+    let settled = false;
+    const deadlineTimer = setTimeout(() => {
+      this.logger.w(`${this.constructor.name}: ack deadline exceeded for message ${message.id} on ${message.topic}, redelivering`);
+      message.nak();
+    }, this.ackDeadline);
+    this.ackTimers.add(deadlineTimer);
+    const settle = (action) => (...args) => {
+      if (settled) return Promise.resolve(false);
+      settled = true;
+      clearTimeout(deadlineTimer);
+      this.ackTimers.delete(deadlineTimer);
+      return Promise.resolve(action(...args)).then(() => true).finally(release);
+    };
+    // the transport acknowledgement (batches, redelivery timers) outlives the handler context
+    const detached = (fn) => (...args) => LogContext.runOutsideContext(() => fn(...args));
+    Object.defineProperties(message, {
+      ack: { value: settle(detached(() => acker.ack())) },
+      nak: { value: settle(detached((delay = 0) => acker.nak(delay))) },
+      // terminated messages are never redelivered, they are routed to the dead-letter policy
+      term: {
+        value: settle((error = new Error('Message terminated by the handler')) =>
+          this.deadLetter$(message, error).toPromise().then(detached(() => acker.term()))
+        )
+      },
+      redeliveryCount: { value: acker.redeliveryCount || 0 },
+    });
+  }
+
+  /**
+   * Cancels the pending ack deadlines and local redeliveries and drops the queued messages, used when the broker disconnects
+   */
+  clearAckTimers() {
+    this.ackTimers.forEach(ackTimer => clearTimeout(ackTimer));
+    this.ackTimers.clear();
+    Object.values(this.flowControllers).forEach(flowController => flowController.clear());
+    this.flowControllers = {};
+  }
+
+  /**
+   * Throws an error if the message is not a valid envelope
+   * @param {Object} message normalized incoming message
+   */
+  static verifyEnvelope(message) {
+    if (!message || typeof message !== 'object') {
+      throw new Error('Invalid envelope: not an object');
+    }
+    if (message.id === undefined || message.id === null) {
+      throw new Error('Invalid envelope: missing id');
+    }
+    if (typeof message.type !== 'string') {
+      throw new Error('Invalid envelope: missing type');
+    }
+    if (!message.attributes || typeof message.attributes !== 'object') {
+      throw new Error('Invalid envelope: missing attributes');
+    }
+  }
+
+  /**
+   * Routes a valid message that could not be handled to the dead-letter policy.
+   * Returns an Observable that completes once the dead letter has been processed
+   * @param {Object} message incoming message
+   * @param {Error} error reason why the message could not be handled
+   */
+  deadLetter$(message, error) {
+    this.metrics.unhandled++;
+    return this.processDeadLetter$(Broker.buildDeadLetter(message.topic, JSON.stringify(message), error, message.attributes, this.senderId));
+  }
+
+  /**
+   * Routes a malformed raw payload to the dead-letter policy, never throws
+   * @param {string} topic
+   * @param {Buffer|string} raw raw payload
+   * @param {Error} error
+   * @param {Object} headers transport headers/attributes
+   */
+  quarantine(topic, raw, error, headers) {
+    this.processDeadLetter$(Broker.buildDeadLetter(topic, raw, error, headers, this.senderId)).subscribe();
+  }
+
+  /**
+   * Builds the dead letter with the original payload, error and headers
+   */
+  static buildDeadLetter(topic, raw, error, headers = {}, senderId) {
+    return {
+      topic,
+      payload: Buffer.isBuffer(raw) ? raw.toString() : (typeof raw === 'string' ? raw : JSON.stringify(raw)),
+      error: {
+        name: (error || {}).name,
+        code: (error || {}).code,
+        message: (error || {}).message,
+        stack: (error || {}).stack,
+      },
+      headers: headers || {},
+      senderId,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Applies the dead-letter policy, returns an Observable that always completes without errors
+   * @param {Object} deadLetter
+   */
+  processDeadLetter$(deadLetter) {
+    const { topic, handler } = this.deadLetterOps;
+    if (!handler && !topic) {
+      this.logger.e(`${this.constructor.name}: dead letter discarded, there is no dead-letter topic configured: ${JSON.stringify(deadLetter)}`);
+      return of(null);
+    }
+    return defer(() => {
+      if (handler) {
+        const result = handler(deadLetter);
+        return isObservable(result) || result instanceof Promise ? from(result) : of(result);
+      }
+      return this.sendDeadLetter$(topic, deadLetter);
+    }).pipe(
+      last(null, null),
+      tap(() => this.metrics.deadLettered++),
+      catchError(err => {
+        this.metrics.deadLetterFailures++;
+        this.logger.e(`${this.constructor.name}: failed to process dead letter from ${deadLetter.topic}`, err);
+        return of(null);
+      })
+    );
+  }
+
+  /**
+   * Sends the dead letter to the dead-letter topic
+   * @param {string} topic dead-letter topic
+   * @param {Object} deadLetter
+   */
+  sendDeadLetter$(topic, deadLetter) {
+    return this.send$(topic, DEAD_LETTER_MESSAGE_TYPE, deadLetter);
+  }
+
+  /**
+   * Updates the connection state, repeated states are not emitted
+   * @param {string} state see CONNECTION_STATES
+   */
+  setConnectionState(state) {
+    if (this.connectionState$.getValue() === state) return;
+    this.logger.i(`${this.constructor.name}: connection state ${this.connectionState$.getValue()} => ${state}`);
+    this.connectionState$.next(state);
+  }
+
+  /**
+   * Computes the reconnect delay of the given attempt using an exponential backoff
+   * @param {number} attempt reconnect attempt, starting at 1
+   * @returns {number} delay in millis
+   */
+  getReconnectDelay(attempt) {
+    const { initialDelay, maxDelay, factor, jitter } = this.reconnectOps;
+    const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, Math.max(0, attempt - 1)));
+    return Math.round(delay * (1 - jitter + (Math.random() * 2 * jitter)));
+  }
+
+  /**
+   * Returns true if the given attempt exceeds the configured max reconnect attempts
+   * @param {number} attempt reconnect attempt, starting at 1
+   */
+  isReconnectExhausted(attempt) {
+    return this.reconnectOps.maxAttempts > 0 && attempt > this.reconnectOps.maxAttempts;
+  }
+
+  /**
+   * Executes the connect function retrying with the reconnect backoff until it succeeds.
+   * Sets the RECONNECTING state meanwhile, CONNECTED on success and FAILED if the max attempts are exhausted
+   * @param {function} connect function that returns a Promise or an Observable that establishes the connection
+   * @returns {Observable} resolves to the connect result
+   */
+  reconnect$(connect) {
+    let attempt = 0;
+    this.setConnectionState(CONNECTION_STATES.RECONNECTING);
+    return defer(() => connect()).pipe(
+      retryWhen(errors => errors.pipe(
+        mergeMap(err => {
+          attempt++;
+          if (this.isReconnectExhausted(attempt)) {
+            return throwError(err);
+          }
+          const delay = this.getReconnectDelay(attempt);
+          this.logger.w(`${this.constructor.name}: reconnect attempt ${attempt} failed, retrying in ${delay}ms`, err);
+          return timer(delay);
+        })
+      )),
+      tap(() => this.setConnectionState(CONNECTION_STATES.CONNECTED)),
+      catchError(err => {
+        this.logger.e(`${this.constructor.name}: reconnect failed after ${attempt} attempts`, err);
+        this.setConnectionState(CONNECTION_STATES.FAILED);
+        return throwError(err);
+      })
+    );
+  }
+
+  /**
+   * Sends a Message to the given topic
+   * Returns an Observable that resolves to the sent message ID
+   * @param {string} topic topic to publish
+   * @param {string} type message type
+   * @param {Object} payload message payload
+   * @param {Object} ops {correlationId, messageId}
+   */
+  send$(topic, type, payload, ops = {}) {
+    this.logOutgoingMessage(topic, type, payload);
+    return this.detachLogContext$(() => this.publish$(topic, type, payload, ops));
+  }
+
+  /**
+   * Logs the sent message if logPayloads is enabled, the payload is redacted by the logger (see Redactor)
+   * @param {string} topic
+   * @param {string} type message type
+   * @param {Object} payload message payload
+   */
+  logOutgoingMessage(topic, type, payload) {
+    if (this.logPayloads) {
+      this.logger.d(`${this.constructor.name}: sending ${type} to ${topic}`, { payload });
+    }
+  }
+
+  /**
+   * Sends a Message to the given topic and wait for a reply
+   * Returns an Observable that resolves the message response
+   * @param {string} topic send topic
+   * @param {string} responseTopic response topic
+   * @param {string} type message(payload) type
+   * @param {Object} payload message payload
+   * @param {number} replyTimeout wait timeout millis
+   * @param {boolean} ignoreSelfEvents ignore messages comming from this client
+   * @param {Object} ops {correlationId, messageId}
+   */
+  sendAndGetReply$(topic, responseTopic, type, payload, replyTimeout = this.replyTimeout, ignoreSelfEvents = true, ops = {}) {
+    // the response topic is listened before sending so the reply can not be missed
+    return this.detachLogContext$(() => this.configMessageListener$([responseTopic])).pipe(
+      switchMap(() => this.send$(topic, type, payload, ops)),
+      switchMap(messageId => this.getMessageReply$(responseTopic, messageId, replyTimeout, ignoreSelfEvents))
+    );
+  }
+
+  /**
+   * Returns an observable that waits for the message response or throws an error if timeout is exceded
+   * @param {string} topic response topic
+   * @param {string} correlationId ID of the request message
+   * @param {number} replyTimeout wait timeout millis
+   * @param {boolean} ignoreSelfEvents ignore messages comming from this client
+   */
+  getMessageReply$(topic, correlationId, replyTimeout = this.replyTimeout, ignoreSelfEvents = true) {
+    return this.detachLogContext$(() => this.configMessageListener$([topic])).pipe(
+      switchMap(() =>
+        this.incomingMessages$.pipe(
+          filter(msg => msg),
+          filter(msg => !ignoreSelfEvents || !this.isSelfEvent(msg)),
+          filter(msg => msg.topic === topic && msg.correlationId === correlationId),
+          map(msg => msg.data),
+          timeout(replyTimeout),
+          first()
+        )
+      )
+    );
+  }
+
+  /**
+   * Returns an Observable that will emit any incoming message
+   * @param {string[] ?} topics topics to listen, empty to listen every subscribed topic
+   * @param {string[] ?} types message types to listen, empty to listen every type
+   * @param {boolean ?} ignoreSelfEvents ignore messages comming from this client
+   */
+  getMessageListener$(topics = [], types = [], ignoreSelfEvents = true) {
+    return this.detachLogContext$(() => this.configMessageListener$(topics)).pipe(
+      switchMap(() =>
+        this.incomingMessages$.pipe(
+          filter(msg => msg),
+          filter(msg => !ignoreSelfEvents || !this.isSelfEvent(msg)),
+          filter(msg => topics.length === 0 || topics.indexOf(msg.topic) > -1),
+          filter(msg => types.length === 0 || types.indexOf(msg.type) > -1)
+        )
+      )
+    );
+  }
+
+  /**
+   * Returns true if the message was sent by this broker
+   * @param {Object} msg incoming message
+   */
+  isSelfEvent(msg) {
+    return (msg.attributes || {}).senderId === this.senderId;
+  }
+
+  /**
+   * Publish data throught a topic
+   * Returns an Observable that resolves to the sent message ID
+   * @param {string} topic
+   * @param {string} type message(data) type
+   * @param {Object} data
+   * @param {Object} ops {correlationId, messageId}
+   */
+  publish$(topic, type, data, ops = {}) {
+    throw new Error(`${this.constructor.name}.publish$: not implemented`);
+  }
+
+  /**
+   * Config the broker to listen to several topics
+   * Returns an observable that resolves to a stream of subscribed topics
+   * @param {string[]} topics topics to listen
+   */
+  configMessageListener$(topics) {
+    throw new Error(`${this.constructor.name}.configMessageListener$: not implemented`);
+  }
+
+  /**
+   * Disconnect the broker and return an observable that completes when disconnected
+   */
+  disconnectBroker$() {
+    throw new Error(`${this.constructor.name}.disconnectBroker$: not implemented`);
+  }
+}
+
+Broker.CONNECTION_STATES = CONNECTION_STATES;
+Broker.DEAD_LETTER_MESSAGE_TYPE = DEAD_LETTER_MESSAGE_TYPE;
+Broker.ACK_MODES = ACK_MODES;
+Broker.OVERFLOW_POLICIES = FlowController.OVERFLOW_POLICIES;
+
+/**
+ * @returns {Broker}
+ */
+module.exports = Broker;
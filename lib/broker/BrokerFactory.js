@@ -26,6 +26,7 @@ class BrokerFactory {
                     mqttServerUrl: process.env.MQTT_SERVER_URL,
                     replyTimeout: process.env.REPLY_TIMEOUT || 2000,
                     topicPrefix: process.env.MQTT_TOPIC_PREFIX || '',
+                    prefixOutgoingTopics: process.env.MQTT_PREFIX_OUTGOING_TOPICS === 'true',
                     connOps: {
                         host: process.env.MQTT_SERVER_URL,
                         clientId: (process.env.NODE_ENV === 'production') ? os.hostname() : uuidv4(),                        
@@ -52,6 +53,13 @@ class BrokerFactory {
                 };
                 this.broker = new NatsJetstreamBroker(natsArgs);
                 break;
+            case 'IN_MEMORY':
+            case 'LOCAL':
+                const InMemoryBroker = require('./InMemoryBroker');
+                this.broker = new InMemoryBroker({
+                    replyTimeout: process.env.REPLY_TIMEOUT || 2000,
+                });
+                break;
         }
     }
     /**
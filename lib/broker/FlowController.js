@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Possible policies when the queue of a FlowController is full:
+ *  DROP_NEWEST: the incoming message is dropped
+ *  DROP_OLDEST: the oldest queued message is dropped to make room for the incoming one
+ *  BLOCK: the incoming message is queued anyway and the producer is kept waiting until the queue has room again
+ */
+const OVERFLOW_POLICIES = {
+  DROP_NEWEST: 'DROP_NEWEST',
+  DROP_OLDEST: 'DROP_OLDEST',
+  BLOCK: 'BLOCK',
+};
+
+/**
+ * Default flow control, can be overridden using env vars or the flowControl broker option
+ */
+const DEFAULT_FLOW_CONTROL_OPS = {
+  maxInFlight: parseInt(process.env.BROKER_MAX_IN_FLIGHT || 0), // 0 = unlimited
+  maxQueueSize: parseInt(process.env.BROKER_MAX_QUEUE_SIZE || 1000),
+  overflowPolicy: process.env.BROKER_OVERFLOW_POLICY || OVERFLOW_POLICIES.BLOCK,
+};
+
+/**
+ * Bounds the messages in flight of a single topic.
+ * Deliveries over maxInFlight wait on a bounded queue until an in-flight message is released
+ */
+class FlowController {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxInFlight] - max messages delivered and not released yet, 0 = unlimited
+   * @param {number} [options.maxQueueSize] - max messages waiting to be delivered, 0 = unlimited
+   * @param {string} [options.overflowPolicy] - see OVERFLOW_POLICIES
+   */
+  constructor({ maxInFlight, maxQueueSize, overflowPolicy } = {}) {
+    this.maxInFlight = maxInFlight;
+    this.maxQueueSize = maxQueueSize;
+    this.overflowPolicy = overflowPolicy;
+    if (!OVERFLOW_POLICIES[overflowPolicy]) {
+      throw new Error(`Invalid overflowPolicy ${overflowPolicy}, valid options: ${Object.keys(OVERFLOW_POLICIES).join(', ')}`);
+    }
+    this.inFlight = 0;
+    /**
+     * queued deliveries {deliver, drop}
+     */
+    this.queue = [];
+    /**
+     * producers blocked by the BLOCK policy
+     */
+    this.blocked = [];
+  }
+
+  /**
+   * Submits a delivery.
+   * deliver(release) is invoked as soon as there is room for a new message in flight, release() must be invoked once
+   * the message is processed. drop() is invoked instead if the message is dropped by the overflow policy
+   * @param {function} deliver (release) => void
+   * @param {function} drop () => void
+   * @returns {Promise} resolves once the delivery is accepted, the BLOCK policy keeps it pending while the queue is full
+   */
+  submit(deliver, drop) {
+    if (this.hasRoomInFlight()) {
+      this.dispatch(deliver);
+      return Promise.resolve();
+    }
+    if (!this.isQueueFull()) {
+      this.queue.push({ deliver, drop });
+      return Promise.resolve();
+    }
+    switch (this.overflowPolicy) {
+      case OVERFLOW_POLICIES.DROP_NEWEST:
+        drop();
+        return Promise.resolve();
+      case OVERFLOW_POLICIES.DROP_OLDEST:
+        this.queue.shift().drop();
+        this.queue.push({ deliver, drop });
+        return Promise.resolve();
+      default:
+        this.queue.push({ deliver, drop });
+        return new Promise(resolve => this.blocked.push(resolve));
+    }
+  }
+
+  /**
+   * Returns the number of messages in flight and queued
+   */
+  getStats() {
+    return { inFlight: this.inFlight, queued: this.queue.length };
+  }
+
+  hasRoomInFlight() {
+    return this.maxInFlight <= 0 || this.inFlight < this.maxInFlight;
+  }
+
+  isQueueFull() {
+    return this.maxQueueSize > 0 && this.queue.length >= this.maxQueueSize;
+  }
+
+  /**
+   * Delivers the message, the returned release function only takes effect once
+   */
+  dispatch(deliver) {
+    this.inFlight++;
+    let released = false;
+    deliver(() => {
+      if (released) return;
+      released = true;
+      this.inFlight--;
+      this.drain();
+    });
+  }
+
+  /**
+   * Delivers the queued messages while there is room in flight and unblocks the producers if the queue has room again
+   */
+  drain() {
+    while (this.queue.length > 0 && this.hasRoomInFlight()) {
+      this.dispatch(this.queue.shift().deliver);
+    }
+    // every blocked producer owns one of the messages queued over maxQueueSize
+    while (this.blocked.length > 0 && this.queue.length - this.blocked.length < this.maxQueueSize) {
+      this.blocked.shift()();
+    }
+  }
+
+  /**
+   * Drops every queued message and unblocks the producers
+   */
+  clear() {
+    const queue = this.queue;
+    this.queue = [];
+    queue.forEach(({ drop }) => drop());
+    this.blocked.forEach(resolve => resolve());
+    this.blocked = [];
+  }
+}
+
+FlowController.OVERFLOW_POLICIES = OVERFLOW_POLICIES;
+FlowController.DEFAULT_FLOW_CONTROL_OPS = DEFAULT_FLOW_CONTROL_OPS;
+
+/**
+ * @returns {FlowController}
+ */
+module.exports = FlowController;
@@ -0,0 +1,125 @@
+'use strict';
+
+const Rx = require('rxjs');
+const uuidv4 = require('uuid/v4');
+const Broker = require('./Broker');
+const {
+  filter,
+  map,
+  reduce
+} = require('rxjs/operators');
+
+/**
+ * Process-wide bus shared by every InMemoryBroker created without an explicit bus
+ */
+const DEFAULT_BUS = new Rx.Subject();
+
+/**
+ * Broker that dispatches messages entirely in-process.
+ * Messages are serialized on publish and delivered asynchronously to every broker listening the topic on the same bus,
+ * so services can run their CQRS flows hermetically (eg: unit tests) without a MQTT/PubSub/NATS server.
+ */
+class InMemoryBroker extends Broker {
+  /**
+   * @param {Object} options
+   * @param {number} [options.replyTimeout] - Timeout for replies in milliseconds.
+   * @param {string} [options.senderId] - identifier used for self-event suppression. defaults to a random uuid
+   * @param {Subject} [options.bus] - bus to publish/listen messages. defaults to the process-wide bus
+   * @param {Object} [options.deadLetter] - poison message policy, see Broker
+   * @param {string} [options.ackMode] - AUTO or MANUAL, see Broker. nak'd messages are redelivered locally
+   * @param {number} [options.ackDeadline] - MANUAL mode: millis to wait for the ack before redelivering the message
+   * @param {Object} [options.flowControl] - MANUAL mode flow control by topic, see Broker
+   * @param {boolean} [options.logPayloads] - logs the redacted payload of every sent message, see Broker
+   */
+  constructor({ replyTimeout, senderId = uuidv4(), bus = DEFAULT_BUS, deadLetter, ackMode, ackDeadline, flowControl, logPayloads } = {}) {
+    super({ replyTimeout, senderId, deadLetter, ackMode, ackDeadline, flowControl, logPayloads, loggerName: 'broker.memory', initialConnectionState: Broker.CONNECTION_STATES.CONNECTED });
+    this.bus = bus;
+    this.listeningTopics = [];
+    this.busSubscription = this.bus.pipe(
+      filter(({ topic }) => this.listeningTopics.indexOf(topic) > -1)
+    ).subscribe(({ topic, message }) => {
+      this.pushIncomingMessage(topic, message, {}, raw => {
+        const envelope = JSON.parse(raw);
+        return {
+          topic: topic,
+          id: envelope.id,
+          type: envelope.type,
+          data: envelope.data,
+          attributes: envelope.attributes,
+          correlationId: (envelope.attributes || {}).correlationId
+        };
+      });
+    });
+  }
+
+  /**
+   * Creates a new isolated bus. Brokers sharing a bus can talk to each other
+   * @returns {Subject}
+   */
+  static createBus() {
+    return new Rx.Subject();
+  }
+
+  /**
+   * Publish data throught a topic.
+   * The message is delivered asynchronously to mimic a real broker round-trip
+   * Returns an Observable that resolves to the sent message ID
+   * @param {string} topicName
+   * @param {string} type message(data) type
+   * @param {Object} data
+   * @param {Object} ops {correlationId, messageId}
+   */
+  publish$(topicName, type, data, { correlationId, messageId } = {}) {
+    return Rx.defer(() => {
+      const uuid = messageId || uuidv4();
+      const message = JSON.stringify({
+        id: uuid,
+        type,
+        data,
+        attributes: {
+          senderId: this.senderId,
+          correlationId
+        }
+      });
+      Rx.asapScheduler.schedule(() => this.bus.next({ topic: topicName, message }));
+      return Rx.of(uuid);
+    });
+  }
+
+  /**
+   * Config the broker to listen to several topics
+   * Returns an observable that resolves to a stream of subscribed topics
+   * @param {Array} topics topics to listen
+   */
+  configMessageListener$(topics) {
+    return Rx.from(topics).pipe(
+      filter(topic => this.listeningTopics.indexOf(topic) === -1),
+      map(topic => {
+        this.listeningTopics.push(topic);
+        this.logger.d(`InMemoryBroker: listening topic ${topic}`);
+        return topic;
+      }),
+      reduce((acc, topic) => {
+        acc.push(topic);
+        return acc;
+      }, [])
+    );
+  }
+
+  /**
+   * Disconnect the broker from the bus and return an observable that completes when disconnected
+   */
+  disconnectBroker$() {
+    return Rx.defer(async () => {
+      this.busSubscription.unsubscribe();
+      this.listeningTopics = [];
+      this.clearAckTimers();
+      this.setConnectionState(Broker.CONNECTION_STATES.DISCONNECTED);
+    });
+  }
+}
+
+/**
+ * @returns {InMemoryBroker}
+ */
+module.exports = InMemoryBroker;
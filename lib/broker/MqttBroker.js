@@ -4,140 +4,111 @@ const MQTT = require('async-mqtt');
 const Rx = require('rxjs');
 const uuidv4 = require('uuid/v4');
 const os = require('os');
-const { ConsoleLogger } = require('../log');
+const Broker = require('./Broker');
+const { CONNECTION_STATES } = Broker;
 const {
-  switchMap,
   filter,
   map,
-  timeout,
-  first,
   mapTo,
   mergeMap,
-  reduce
+  reduce,
+  tap
 } = require('rxjs/operators');
 
-class MqttBroker {
-  constructor({ mqttServerUrl, replyTimeout, topicPrefix = '', connOps = {} }) {
+class MqttBroker extends Broker {
+  /**
+   * @param {Object} options
+   * @param {string} options.mqttServerUrl - MQTT server URL
+   * @param {number} [options.replyTimeout] - Timeout for replies in milliseconds.
+   * @param {string} [options.topicPrefix] - prefix added to the subscribed topics
+   * @param {boolean} [options.prefixOutgoingTopics] - also adds the topicPrefix to the topics of the sent messages. defaults to false
+   * @param {string} [options.senderId] - identifier used for self-event suppression. defaults to the hostname
+   * @param {Object} [options.reconnect] - reconnect backoff {initialDelay, maxDelay, maxAttempts, factor, jitter}
+   * @param {Object} [options.deadLetter] - poison message policy, see Broker
+   * @param {string} [options.ackMode] - AUTO or MANUAL, see Broker. MQTT has no negative acknowledgement, so nak'd messages are redelivered locally
+   * @param {number} [options.ackDeadline] - MANUAL mode: millis to wait for the ack before redelivering the message
+   * @param {Object} [options.flowControl] - MANUAL mode flow control by topic, see Broker.
+   *  MQTT can not pause the delivery, so the BLOCK overflow policy lets the queue grow over maxQueueSize
+   * @param {boolean} [options.logPayloads] - logs the redacted payload of every sent message, see Broker
+   * @param {Object} [options.connOps] - Additional connection options for MQTT.
+   */
+  constructor({ mqttServerUrl, replyTimeout, topicPrefix = '', prefixOutgoingTopics = false, senderId = os.hostname(), reconnect = {}, deadLetter, ackMode, ackDeadline, flowControl, logPayloads, connOps = {} }) {
+    super({ replyTimeout, senderId, reconnect, deadLetter, ackMode, ackDeadline, flowControl, logPayloads, loggerName: 'broker.mqtt' });
     this.mqttServerUrl = mqttServerUrl;
-    this.senderId = os.hostname();
-    this.replyTimeout = replyTimeout;
     this.topicPrefix = topicPrefix;
-    /**
-     * Rx Subject for incoming messages
-     */
-    this.incomingMessages$ = new Rx.BehaviorSubject();
+    this.prefixOutgoingTopics = prefixOutgoingTopics;
+    this.reconnectAttempt = 0;
+    this.hasConnected = false;
     /**
      * MQTT Client
      */
     this.listeningTopics = [];
-    this.mqttClient = MQTT.connect(this.mqttServerUrl, connOps);
-    this.mqttClient.on('connect', () => ConsoleLogger.i(`Mqtt client connected`));
+    // topics are re-subscribed by this broker after reconnecting, see onConnect
+    this.mqttClient = MQTT.connect(this.mqttServerUrl, { reconnectPeriod: this.reconnectOps.initialDelay, ...connOps, resubscribe: false });
+    this.mqttClient.on('connect', () => this.onConnect());
+    this.mqttClient.on('reconnect', () => this.onReconnect());
+    this.mqttClient.on('offline', () => this.setConnectionState(CONNECTION_STATES.RECONNECTING));
+    this.mqttClient.on('end', () => {
+      if (this.connectionState$.getValue() !== CONNECTION_STATES.FAILED) this.setConnectionState(CONNECTION_STATES.DISCONNECTED);
+    });
+    this.mqttClient.on('error', (err) => this.logger.e(`Mqtt client error`, err));
     this.mqttClient.on('message', (topic, message) => {
-      const envelope = JSON.parse(message);
+      const topicName = topic.startsWith(this.topicPrefix) ? topic.substring(this.topicPrefix.length) : topic;
       // message is Buffer
-      this.incomingMessages$.next({
-        topic: topic,
-        id: envelope.id,
-        type: envelope.type,
-        data: envelope.data,
-        attributes: envelope.attributes,
-        correlationId: envelope.attributes.correlationId
+      this.pushIncomingMessage(topicName, message, {}, raw => {
+        const envelope = JSON.parse(raw);
+        return {
+          topic: topicName,
+          id: envelope.id,
+          type: envelope.type,
+          data: envelope.data,
+          attributes: envelope.attributes,
+          correlationId: (envelope.attributes || {}).correlationId
+        };
       });
     });
   }
 
   /**
-   * Sends a Message to the given topic
-   * @param {string} topic topic to publish
-   * @param {string} type message type
-   * @param {Object} message payload
-   * @param {Object} ops {correlationId, messageId}
-   */
-  send$(topic, type, payload, ops = {}) {
-    return this.publish$(topic, type, payload, ops);
-  }
-
-  /**
-   * Sends a Message to the given topic and wait for a reply
-   * @param {string} topic send topic
-   * @param {string} responseTopic response topic
-   * @param {string} type message(payload) type
-   * @param {Object} message payload
-   * @param {number} timeout wait timeout millis
-   * @param {boolean} ignoreSelfEvents ignore messages comming from this clien
-   * @param {Object} ops {correlationId, messageId}
-   *
-   * Returns an Observable that resolves the message response
+   * Handles the client connection, re-subscribing the listened topics if it was a reconnection
    */
-  sendAndGetReply$(
-    topic,
-    responseTopic,
-    type,
-    payload,
-    timeout = this.replyTimeout,
-    ignoreSelfEvents = true,
-    ops = {}
-  ) {
-    return this.send$(topic, type, payload, ops).pipe(
-      switchMap(messageId =>
-        this.getMessageReply$(
-          responseTopic,
-          messageId,
-          timeout,
-          ignoreSelfEvents
-        )
-      )
-    );
+  onConnect() {
+    this.logger.i(`Mqtt client connected`);
+    const isReconnection = this.hasConnected;
+    this.hasConnected = true;
+    this.reconnectAttempt = 0;
+    this.setReconnectPeriod(this.reconnectOps.initialDelay);
+    this.setConnectionState(CONNECTION_STATES.CONNECTED);
+    if (isReconnection && this.listeningTopics.length > 0) {
+      this.mqttClient.subscribe(this.listeningTopics.map(topic => `${this.topicPrefix}${topic}`)).then(
+        () => this.logger.i(`Mqtt client re-subscribed topics: ${this.listeningTopics.join(', ')}`),
+        (err) => this.logger.e(`Mqtt client failed to re-subscribe topics`, err)
+      );
+    }
   }
 
   /**
-   * Returns an observable that waits for the message response or throws an error if timeout is exceded
-   * @param {string} topic response topic
-   * @param {string} correlationId
-   * @param {number} timeout
+   * Handles every reconnect attempt, applying the backoff delay for the next attempt or giving up
    */
-  getMessageReply$(
-    topic,
-    correlationId,
-    timeout = this.replyTimeout,
-    ignoreSelfEvents = true
-  ) {
-    return this.configMessageListener$([topic]).pipe(
-      switchMap(() =>
-        this.incomingMessages$.pipe(
-          filter(msg => msg),
-          filter(
-            msg =>
-              !ignoreSelfEvents || msg.attributes.senderId !== this.senderId
-          ),
-          filter(msg => msg && msg.correlationId === correlationId),
-          map(msg => msg.data),
-          timeout(timeout),
-          first()
-        )
-      )
-    );
+  onReconnect() {
+    this.reconnectAttempt++;
+    if (this.isReconnectExhausted(this.reconnectAttempt)) {
+      this.logger.e(`Mqtt client failed to reconnect after ${this.reconnectAttempt - 1} attempts`);
+      this.setConnectionState(CONNECTION_STATES.FAILED);
+      this.mqttClient.end(true);
+      return;
+    }
+    this.setConnectionState(CONNECTION_STATES.RECONNECTING);
+    this.setReconnectPeriod(this.getReconnectDelay(this.reconnectAttempt + 1));
   }
 
   /**
-   * Returns an Observable that will emit any incoming message
-   * @param {string[] ?} topics topic to listen
-   * @param {string[] ?} types message types to listen
-   * @param {boolean ?} ignoreSelfEvents
+   * Sets the delay the mqtt client waits before the next reconnect attempt
+   * @param {number} delay millis
    */
-  getMessageListener$(topics = [], types = [], ignoreSelfEvents = true) {
-    return this.configMessageListener$(topics).pipe(
-      switchMap(
-        () => this.incomingMessages$.pipe(
-          filter(msg => msg),
-          filter(
-            msg => !ignoreSelfEvents || msg.attributes.senderId !== this.senderId
-          ),
-          filter(msg => topics.length === 0 || topics.indexOf(msg.topic) > -1),
-          filter(msg => types.length === 0 || types.indexOf(msg.type) > -1)
-        )
-      )
-    );
+  setReconnectPeriod(delay) {
+    // async-mqtt does not expose the options of the wrapped mqtt client
+    this.mqttClient._client.options.reconnectPeriod = delay;
   }
 
   /**
@@ -160,7 +131,7 @@ class MqttBroker {
       }
     });
     return Rx.defer(() =>
-      this.mqttClient.publish(`${topicName}`, dataBuffer, { qos: 0 })
+      this.mqttClient.publish(`${this.prefixOutgoingTopics ? this.topicPrefix : ''}${topicName}`, dataBuffer, { qos: 0 })
     ).pipe(mapTo(uuid));
   }
 
@@ -191,7 +162,13 @@ class MqttBroker {
    * Disconnect the broker and return an observable that completes when disconnected
    */
   disconnectBroker$() {
-    return Rx.fromPromise(this.mqttClient.end());
+    // end stops the reconnections too, so the client releases its timers and sockets
+    return Rx.bindCallback(cb => this.mqttClient.end(false, {}, cb))().pipe(
+      tap(() => {
+        this.clearAckTimers();
+        this.setConnectionState(CONNECTION_STATES.DISCONNECTED);
+      })
+    );
   }
 }
 
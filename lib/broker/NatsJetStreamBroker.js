@@ -1,5 +1,5 @@
 const Nats = require('nats');
-const { BehaviorSubject, from, defer, EMPTY, timer, Observable } = require('rxjs');
+const { from, defer, EMPTY, timer, Observable, of } = require('rxjs');
 const {
   filter,
   map,
@@ -16,41 +16,62 @@ const {
 } = require('rxjs/operators');
 const uuidv4 = require('uuid').v4;
 const os = require('os');
-const { ConsoleLogger } = require('../log');
 const { ReplaySubject } = require('rxjs');
 const { CustomError } = require('../error');
-const { toArray } = require('lodash');
+const Broker = require('./Broker');
+const { CONNECTION_STATES, ACK_MODES } = Broker;
 
 // Read environmental variables; defaults provided where appropriate
+// max unacknowledged messages by subject, the default flowControl.maxInFlight of the MANUAL ack mode unless BROKER_MAX_IN_FLIGHT is set
 const DEFAULT_MAX_UNACK_MESSAGES = parseInt(process.env.NATSJS_MAX_UNACK_MESSAGES, 10) || 100;
+// max_ack_pending of the consumers when there is no flow control configured
+const DEFAULT_MAX_ACK_PENDING = 3;
 
-class NatsJetStreamBroker {
+class NatsJetStreamBroker extends Broker {
   /**
    * Constructor for NatsJetStreamBroker.
    * @param {Object} options
    * @param {string} options.natsServerUrl - NATS server URL. Defaults to "nats://localhost:4222".
    * @param {number} options.replyTimeout - Timeout for replies in milliseconds.
    * @param {string} [options.topicPrefix] - A prefix for subjects.
+   * @param {string} [options.senderId] - identifier used for self-event suppression. defaults to the hostname
+   * @param {Object} [options.reconnect] - reconnect backoff {initialDelay, maxDelay, maxAttempts, factor, jitter}
+   * @param {Object} [options.deadLetter] - poison message policy, see Broker. The dead-letter subject must belong to a stream
+   * @param {string} [options.ackMode] - AUTO or MANUAL, see Broker. nak'd messages are redelivered by JetStream
+   * @param {number} [options.ackDeadline] - MANUAL mode: millis to wait for the ack, also used as the consumer ack_wait
+   * @param {Object} [options.flowControl] - MANUAL mode flow control by subject, see Broker. also used as the consumer max_ack_pending
+   * @param {boolean} [options.logPayloads] - logs the redacted payload of every sent message, see Broker
    * @param {Object} [options.connOps] - Additional connection options for NATS.
    */
-  constructor({ natsServerUrl, replyTimeout, topicPrefix = '', connOps = {} } = {}) {
+  constructor({ natsServerUrl, replyTimeout, topicPrefix = '', senderId = os.hostname(), reconnect = {}, deadLetter, ackMode, ackDeadline, flowControl = {}, logPayloads, connOps = {} } = {}) {
+    super({
+      replyTimeout: replyTimeout || 5000,
+      senderId,
+      reconnect,
+      deadLetter,
+      ackMode,
+      ackDeadline,
+      flowControl,
+      logPayloads,
+      loggerName: 'broker.nats',
+      initialConnectionState: CONNECTION_STATES.DISCONNECTED
+    });
+    if (flowControl.maxInFlight === undefined && process.env.BROKER_MAX_IN_FLIGHT === undefined) {
+      this.flowControlOps.maxInFlight = DEFAULT_MAX_UNACK_MESSAGES;
+    }
     this.natsServerUrl = natsServerUrl || "nats://localhost:4222";
-    this.senderId = os.hostname();
-    this.replyTimeout = replyTimeout || 5000;
     this.topicPrefix = topicPrefix;
     this.connOps = connOps;
 
     // Cached subjects
     this.verifiedStreams = {};
 
-    // Flow control properties
-    this.maxUnacknowledged = DEFAULT_MAX_UNACK_MESSAGES;
-    this.unacknowledgedCount = 0;
-
-    // RxJS subject to emit incoming messages
-    this.incomingMessages$ = new BehaviorSubject(null);
-    // Track which subjects have been subscribed to
+    // Track which subjects have been subscribed to, and the consumer options used on each one
     this.listeningSubjects = [];
+    this.subjectOps = {};
+    // Reconnection control
+    this.reconnectAttempt = 0;
+    this.closing = false;
 
     // Placeholders for the NATS connection and JetStream client
     this.nc = null;
@@ -64,10 +85,9 @@ class NatsJetStreamBroker {
     return new Observable(async observer => {
       // (async () => {
       try {
-        ConsoleLogger.i(`Connecting to NATS server: ${this.natsServerUrl}`);
-        this.nc = await Nats.connect({ servers: this.natsServerUrl, ...this.connOps });
-        this.jsm = await this.nc.jetstreamManager();
-        this.js = this.nc.jetstream();
+        this.logger.i(`Connecting to NATS server: ${this.natsServerUrl}`);
+        this.setConnectionState(CONNECTION_STATES.CONNECTING);
+        await this.connect();
 
         if (
           streamName &&
@@ -75,20 +95,102 @@ class NatsJetStreamBroker {
           subjects.length > 0
         ) {
           this.streamName = streamName;
+          this.streamConfig = { streamName, subjects, streamOptions };
           await this.createStream(streamName, subjects, streamOptions);
         }
 
-        ConsoleLogger.i(`Connected to NATS server: ${this.natsServerUrl}`);
+        this.setConnectionState(CONNECTION_STATES.CONNECTED);
+        this.logger.i(`Connected to NATS server: ${this.natsServerUrl}`);
         observer.next(`Connected to NATS server: ${this.natsServerUrl}`);
         observer.complete();
       } catch (err) {
-        ConsoleLogger.e("Error in start$():", err);
+        this.logger.e("Error in start$():", err);
+        this.setConnectionState(CONNECTION_STATES.FAILED);
         observer.error(err);
       }
       // })();
     });
   }
 
+  /**
+   * Connects to the NATS server and creates the JetStream clients.
+   * The NATS client reconnects by itself using the reconnect backoff, if it gives up the connection is re-established by this broker
+   */
+  async connect() {
+    this.closing = false;
+    const nc = await Nats.connect({
+      servers: this.natsServerUrl,
+      maxReconnectAttempts: this.reconnectOps.maxAttempts || -1,
+      reconnectDelayHandler: () => this.getReconnectDelay(++this.reconnectAttempt),
+      ...this.connOps
+    });
+    this.nc = nc;
+    this.jsm = await nc.jetstreamManager();
+    this.js = nc.jetstream();
+    this.reconnectAttempt = 0;
+    this.watchConnection(nc);
+  }
+
+  /**
+   * Tracks the connection status to keep connectionState$ updated.
+   * If the connection gets closed unexpectedly, reconnects and re-subscribes every listened subject
+   * @param {NatsConnection} nc
+   */
+  watchConnection(nc) {
+    (async () => {
+      for await (const status of nc.status()) {
+        switch (status.type) {
+          case 'disconnect':
+          case 'reconnecting':
+            this.setConnectionState(CONNECTION_STATES.RECONNECTING);
+            break;
+          case 'reconnect':
+            this.reconnectAttempt = 0;
+            this.setConnectionState(CONNECTION_STATES.CONNECTED);
+            break;
+          case 'error':
+            this.logger.e(`NATS connection error: ${status.data}`);
+            break;
+        }
+      }
+    })().catch(err => this.logger.e(`Error watching NATS connection status`, err));
+
+    nc.closed().then(err => {
+      if (this.closing || nc !== this.nc) return;
+      if (this.reconnectOps.maxAttempts > 0 && this.reconnectAttempt >= this.reconnectOps.maxAttempts) {
+        this.logger.e(`NATS connection closed after ${this.reconnectAttempt} reconnect attempts`, err);
+        this.setConnectionState(CONNECTION_STATES.FAILED);
+        return;
+      }
+      this.logger.w(`NATS connection closed unexpectedly`, err);
+      this.reconnect$(async () => {
+        await this.connect();
+        await this.resubscribe();
+      }).subscribe(
+        () => this.logger.i(`Reconnected to NATS server: ${this.natsServerUrl}`),
+        (error) => this.logger.e(`Could not reconnect to NATS server: ${this.natsServerUrl}`, error)
+      );
+    });
+  }
+
+  /**
+   * Re-creates the stream and the subscriptions of every listened subject
+   */
+  async resubscribe() {
+    if (this.streamConfig) {
+      const { streamName, subjects, streamOptions } = this.streamConfig;
+      this.verifiedStreams[streamName] = false;
+      await this.createStream(streamName, subjects, streamOptions);
+    }
+    const subjects = this.listeningSubjects;
+    this.listeningSubjects = [];
+    this.subscriptionReady = {};
+    for (const subject of subjects) {
+      await this.configMessageListener$([subject], this.subjectOps[subject]).toPromise();
+    }
+    this.logger.i(`NATS subjects re-subscribed: ${subjects.join(', ')}`);
+  }
+
   /**
    * Publishes a message to the given subject and returns an Observable that resolves to the message ID.
    * @param {string} topicName - The subject to publish on.
@@ -130,6 +232,9 @@ class NatsJetStreamBroker {
    */
   ensureSubjectInStream$(subjects) {
     return defer(async () => {
+      if (subjects.length === 0) {
+        return this.streamName;
+      }
       const streamInfo = await this.jsm.streams.info(this.streamName);
       const currentSubjects = streamInfo.config.subjects;
 
@@ -155,7 +260,7 @@ class NatsJetStreamBroker {
         subjects: uniqueSubjects
       })
 
-      ConsoleLogger.i(`Subjects "${subjects.join(', ')}" added to "${this.streamName}"`);
+      this.logger.i(`Subjects "${subjects.join(', ')}" added to "${this.streamName}"`);
       return this.streamName;
     });
   }
@@ -163,23 +268,37 @@ class NatsJetStreamBroker {
 
   /**
    * Sends a message to the given subject.
+   * The legacy signature send$(subject, type, payload, subjects, ops) is still supported.
    * @param {string} subject - The subject to send the message.
    * @param {string} type - The type of message.
    * @param {Object} payload - The message payload.
-   * @param {Object} [ops={}] - Options: correlationId and messageId.
+   * @param {Object} [ops={}] - Options: correlationId, messageId and subjects to ensure in the stream before sending.
    */
   send$(
     subject,
     type,
     payload,
-    subjects,
     ops = {}
   ) {
+    if (Array.isArray(ops) || arguments.length > 4) {
+      ops = { ...(arguments[4] || {}), subjects: arguments[3] };
+    }
+    const { subjects, ...publishOps } = ops || {};
+    this.logOutgoingMessage(subject, type, payload);
     return this.ensureSubjectInStream$(subjects ?? []).pipe(
-      switchMap(() => this.publish$(subject, type, payload, ops))
+      switchMap(() => this.publish$(subject, type, payload, publishOps))
     )
   }
 
+  /**
+   * Sends the dead letter, the dead-letter subject is added to the stream first
+   * @param {string} subject dead-letter subject
+   * @param {Object} deadLetter
+   */
+  sendDeadLetter$(subject, deadLetter) {
+    return this.send$(subject, Broker.DEAD_LETTER_MESSAGE_TYPE, deadLetter, { subjects: [subject] });
+  }
+
   /**
    * Creates a JetStream stream if it does not already exist.
    *
@@ -215,7 +334,7 @@ class NatsJetStreamBroker {
           max_msgs: streamOptions?.max_msgs ?? 1000,
           max_bytes: streamOptions?.max_msgs ?? 1073741824 // 1GB
         }).catch(err => {
-          ConsoleLogger.e(`Error creating stream: ${err}`);          
+          this.logger.e(`Error creating stream: ${err}`);          
           this.verifiedStreams[streamName] = false;
           return;
         });
@@ -239,15 +358,39 @@ class NatsJetStreamBroker {
   // };
 
   /**
-   * Sends a message and waits for a reply.
+   * Sends a message and waits for a reply correlated to the sent message ID.
+   * The legacy named-arguments signature sendAndGetReply$({ subject, responseSubject, type, payload, timeoutVal, ignoreSelfEvents, ops, subjects })
+   * is still supported, on that form the reply is correlated to the request correlationId (if any) as it used to be.
    * @param {string} subject - The subject to send the message.
    * @param {string} responseSubject - The subject on which to wait for a reply.
+   * @param {string} type - The type of message.
    * @param {Object} payload - The message payload.
-   * @param {number} [timeoutVal=this.replyTimeout] - Timeout in milliseconds.
+   * @param {number} [replyTimeout=this.replyTimeout] - Timeout in milliseconds.
    * @param {boolean} [ignoreSelfEvents=true] - Whether to ignore messages from self.
-   * @param {Object} [ops={}] - Options: correlationId and messageId.
+   * @param {Object} [ops={}] - Options: correlationId, messageId and subjects to ensure in the stream before sending.
+   */
+  sendAndGetReply$(
+    subject,
+    responseSubject,
+    type,
+    payload,
+    replyTimeout = this.replyTimeout,
+    ignoreSelfEvents = true,
+    ops = {}
+  ) {
+    if (subject !== null && typeof subject === 'object') {
+      return this.sendAndGetLegacyReply$(subject);
+    }
+    return this.ensureSubjectInStream$([responseSubject]).pipe(
+      switchMap(() => super.sendAndGetReply$(subject, responseSubject, type, payload, replyTimeout, ignoreSelfEvents, ops))
+    );
+  }
+
+  /**
+   * Legacy named-arguments variant of sendAndGetReply$
+   * @deprecated use the positional sendAndGetReply$ signature
    */
-  sendAndGetReply$({
+  sendAndGetLegacyReply$({
     subject,
     responseSubject,
     type,
@@ -260,136 +403,86 @@ class NatsJetStreamBroker {
     const correlationId = ops.correlationId || payload.correlationId;
     const messageId = ops.messageId || payload.messageId;
 
-    return defer(() => {
-      let reply$;
-
-      return this.ensureSubjectInStream$([responseSubject]).pipe(
-        switchMap(() => {
-          // Prepare a cold observable for the reply
-          reply$ = this.getMessageReply$(
-            responseSubject,
-            correlationId,
-            timeoutVal,
-            ignoreSelfEvents
-          );
-
-          // Send message
-          return this.send$(
-            subject,
-            type,
-            payload,
-            subjects,
-            { correlationId, messageId }
-          );
-        }),
-        // After sending the message, wait for the reply and return the reply observable
-        switchMap(() => reply$)
-      );
-    });
-  }
-
-  /**
-   * Returns an Observable that waits for a message reply filtered by correlationId.
-   * @param {string} subject - The subject to listen on.
-   * @param {string} correlationId - The correlation ID to match.
-   * @param {number} [timeoutVal=this.replyTimeout] - Timeout in milliseconds.
-   * @param {boolean} [ignoreSelfEvents=true] - Whether to ignore messages from self.
-   */
-  getMessageReply$(
-    subject,
-    correlationId,
-    timeoutVal = this.replyTimeout,
-    ignoreSelfEvents = true
-  ) {
-    return this.configMessageListener$([subject], ignoreSelfEvents).pipe(
-      switchMap(() => this.subscriptionReady[subject].pipe(first())),
-      switchMap(() => 
-        this.incomingMessages$.pipe(
-          tap(msg => { 
-            const conditions = {
-              1: msg !== null,
-              2: !ignoreSelfEvents || msg.attributes.senderId !== this.senderId,
-              3: msg && (msg?.attributes?.correlationId || msg?.correlationId) === correlationId
-            }
-          }),
-          filter(msg => msg !== null),
-          filter(msg => !ignoreSelfEvents || msg.attributes.senderId !== this.senderId),
-          filter(msg => msg && (msg?.attributes?.correlationId || msg?.correlationId) === correlationId),
-          map(msg => msg.data),
-          timeout(timeoutVal),
-          first()
-        )
-      )
+    return this.detachLogContext$(() => this.ensureSubjectInStream$([responseSubject]).pipe(
+      switchMap(() => this.configMessageListener$([responseSubject]))
+    )).pipe(
+      switchMap(() => this.send$(subject, type, payload, { correlationId, messageId, subjects })),
+      switchMap(sentId => this.getMessageReply$(responseSubject, correlationId || sentId, timeoutVal, ignoreSelfEvents))
     );
   }
 
   /**
    * Returns an Observable that emits incoming messages filtered by subjects and types.
+   * The legacy signature getMessageListener$(subjects, ignoreSelfEvents) is still supported.
    * @param {string[]} [subjects=[]] - Array of subjects to listen on.
    * @param {string[]} [types=[]] - Array of message types to filter.
    * @param {boolean} [ignoreSelfEvents=true] - Whether to ignore messages from self.
    */
-  getMessageListener$(subjects = [], ignoreSelfEvents = true) {
-    return this.configMessageListener$(subjects).pipe(
-      switchMap(() =>
-        this.incomingMessages$.pipe(
-          filter(msg => msg !== null),
-          filter(msg => !ignoreSelfEvents || msg.attributes.senderId !== this.senderId),
-          filter(msg => subjects.length === 0 || subjects.indexOf(msg.subject) > -1),
-        )
-      )
-    );
+  getMessageListener$(subjects = [], types = [], ignoreSelfEvents = true) {
+    if (typeof types === 'boolean') {
+      return super.getMessageListener$(subjects, [], types);
+    }
+    return super.getMessageListener$(subjects, types, ignoreSelfEvents);
   }
 
   /**
    * Configures message listeners for the provided subjects. For each subject not already subscribed,
    * creates a JetStream subscription and pushes incoming messages into the incomingMessages$ subject.
-   * Implements flow control by waiting when unacknowledged messages reach the maximum threshold.
+   * The consumer loop waits while the flow control queue of the subject is full, and the consumer max_ack_pending
+   * bounds the messages JetStream sends before they are acknowledged.
    * @param {string[]} subjects - subjects to subscribe to.
    */
   configMessageListener$(subjects, ops = {}) {
+    ops = ops || {};
     return from(subjects).pipe(
       filter(subject => this.listeningSubjects.indexOf(subject) === -1),
-      mergeMap(subject =>
-        defer(async () => {
+      mergeMap(subject => this.subscriptionReady[subject]
+        // subscription already in progress
+        ? this.subscriptionReady[subject].pipe(first(), map(() => subject))
+        : defer(async () => {
           const ready$ = new ReplaySubject(1);
           this.subscriptionReady[subject] = ready$;
+          this.subjectOps[subject] = ops;
           // Create a subscription on the given subject.
           const deliverSubject = `deliver${subject.replace(/[^a-zA-Z]/g, '')}`;
-          const sub = await this.js.subscribe(subject, {
-            config: {
-              durable_name: ops?.durable_name || subject.replace(/[^a-zA-Z]/g, ''),
-              filter_subject: subject,
-              deliver_subject: deliverSubject,
-              deliver_policy: ops.deliver_policy ?? 'all',
-              max_ack_pending: ops.max_ack_pending ?? 3,
-              ack_policy: ops.ack_policy ?? 'explicit'
-            }
-          });
+          let sub;
+          try {
+            sub = await this.js.subscribe(subject, {
+              config: {
+                durable_name: ops?.durable_name || subject.replace(/[^a-zA-Z]/g, ''),
+                filter_subject: subject,
+                deliver_subject: deliverSubject,
+                deliver_policy: ops.deliver_policy ?? 'all',
+                max_ack_pending: ops.max_ack_pending ?? this.getMaxAckPending(subject),
+                ack_policy: ops.ack_policy ?? 'explicit',
+                ...(this.ackMode === ACK_MODES.MANUAL ? { ack_wait: Nats.nanos(ops.ack_wait ?? this.ackDeadline) } : {})
+              }
+            });
+          } catch (err) {
+            // allows the subject to be subscribed again
+            delete this.subscriptionReady[subject];
+            throw err;
+          }
 
           // Process messages asynchronously.
           (async () => {
             for await (const msg of sub) {
-              // Flow control: wait if unacknowledged messages exceed limit.
-              while (this.unacknowledgedCount >= this.maxUnacknowledged) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-              }
-              this.unacknowledgedCount++;
-              let parsed;
               try {
-                parsed = JSON.parse(msg.data.toString());
-              } catch (e) {
-                ConsoleLogger.e(`Mensaje inválido en ${subject}: ${parsed.raw}`);
-                parsed = { error: 'Invalid JSON', raw: msg.data.toString() };
+                // Emit the message on the RxJS subject, malformed messages are quarantined.
+                // Flow control: waits while the queue of the subject is full.
+                await this.pushIncomingMessage(subject, msg.data, NatsJetStreamBroker.headersToObject(msg.headers), raw => {
+                  const parsed = JSON.parse(Buffer.from(raw).toString());
+                  // Include the subject on which the message was received.
+                  parsed.subject = subject;
+                  parsed.topic = subject;
+                  parsed.correlationId = (parsed.attributes || {}).correlationId;
+                  return parsed;
+                }, NatsJetStreamBroker.buildAcker(msg));
+              } catch (err) {
+                this.logger.e(`NatsJetStreamBroker: error processing message on ${subject}`, err);
               }
-              // Include the subject on which the message was received.
-              parsed.subject = subject;
-              // Emit the message on the RxJS subject.
-              this.incomingMessages$.next(parsed);
-              msg.ack();
-              this.unacknowledgedCount--;
             }
-          })();
+          })().catch(err => this.logger.e(`NatsJetStreamBroker: subscription on ${subject} stopped`, err));
           this.listeningSubjects.push(subject);
           ready$.next(true);
           return subject;
@@ -399,13 +492,52 @@ class NatsJetStreamBroker {
     );
   }
 
+  /**
+   * Returns the max_ack_pending of the subject consumer: the messages in flight plus the queued ones
+   * @param {string} subject
+   */
+  getMaxAckPending(subject) {
+    const { maxInFlight, maxQueueSize } = this.getFlowControlOps(subject);
+    if (this.ackMode !== ACK_MODES.MANUAL || maxInFlight <= 0) return DEFAULT_MAX_ACK_PENDING;
+    return maxInFlight + maxQueueSize;
+  }
+
+  /**
+   * Builds the native acker of a JetStream message
+   * @param {JsMsg} msg
+   */
+  static buildAcker(msg) {
+    return {
+      ack: () => msg.ack(),
+      nak: (delay = 0) => msg.nak(delay > 0 ? delay : undefined),
+      term: () => msg.term(),
+      redeliveryCount: Math.max(0, ((msg.info || {}).redeliveryCount || 1) - 1),
+    };
+  }
+
+  /**
+   * Converts NATS message headers into a plain object
+   * @param {MsgHdrs} headers
+   */
+  static headersToObject(headers) {
+    if (!headers) return {};
+    const result = {};
+    for (const key of headers.keys()) {
+      result[key] = headers.get(key);
+    }
+    return result;
+  }
+
   /**
    * Disconnects from the NATS server.
    * @returns {Observable} An observable that completes once disconnected.
    */
   disconnectBroker$() {
     return defer(async () => {
+      this.closing = true;
+      this.clearAckTimers();
       await this.nc.close();
+      this.setConnectionState(CONNECTION_STATES.DISCONNECTED);
     });
   }
 }
@@ -1,34 +1,43 @@
 'use strict'
 
-const { BehaviorSubject, Observable, from, of } = require('rxjs');
+const { Observable, from, of } = require('rxjs');
 const {
     switchMap,
-    timeout,
     filter,
     map,
-    first,
-    mapTo,
     mergeMap,
     reduce
 } = require('rxjs/operators');
-const { ConsoleLogger } = require('../log');
+const Broker = require('./Broker');
+const { CONNECTION_STATES } = Broker;
 const uuidv4 = require('uuid/v4');
 
-class PubSubBroker {
+class PubSubBroker extends Broker {
 
-    constructor({ replyTimeOut, topicSubscriptionSuffix = "default-suffix"  }) {
-        this.replyTimeOut = replyTimeOut;
-
-        /**
-         * Rx Subject for every message reply
-         */
-        this.incomingMessages$ = new BehaviorSubject();
-        this.senderId = uuidv4();
+    /**
+     * @param {Object} options
+     * @param {number} options.replyTimeout - Timeout for replies in milliseconds. (replyTimeOut is still accepted)
+     * @param {string} [options.topicSubscriptionSuffix] - suffix used to name the topic subscriptions
+     * @param {string} [options.senderId] - identifier used for self-event suppression. defaults to a random uuid
+     * @param {Object} [options.reconnect] - backoff used to re-open failed subscriptions {initialDelay, maxDelay, maxAttempts, factor, jitter}
+     * @param {Object} [options.deadLetter] - poison message policy, see Broker
+     * @param {string} [options.ackMode] - AUTO or MANUAL, see Broker. nak'd messages are nack'd so PubSub redelivers them
+     * @param {number} [options.ackDeadline] - MANUAL mode: millis to wait for the ack before nacking the message
+     * @param {Object} [options.flowControl] - MANUAL mode flow control by topic, see Broker. also used as the subscription flowControl
+     * @param {boolean} [options.logPayloads] - logs the redacted payload of every sent message, see Broker
+     */
+    constructor({ replyTimeOut, replyTimeout = replyTimeOut, topicSubscriptionSuffix = "default-suffix", senderId = uuidv4(), reconnect = {}, deadLetter, ackMode, ackDeadline, flowControl, logPayloads }) {
+        // PubSub client connects lazily on every request, so it is considered connected from the beginning
+        super({ replyTimeout, senderId, reconnect, deadLetter, ackMode, ackDeadline, flowControl, logPayloads, loggerName: 'broker.pubsub', initialConnectionState: CONNECTION_STATES.CONNECTED });
         /**
          * Map of verified topics
          */
         this.verifiedTopics = {};
         this.listeningTopics = {};
+        /**
+         * Map of listened subscriptions by topic name
+         */
+        this.subscriptions = {};
         this.topicSubscriptionSuffix = topicSubscriptionSuffix;
 
         const { PubSub } = require('@google-cloud/pubsub');
@@ -36,76 +45,17 @@ class PubSubBroker {
     }
 
     /**
-     * Sends a Message to the given topic
+     * Sends a Message to the given topic, the PubSub client works outside the log context of the caller (see Broker.detachLogContext$)
      * @param {string} topic topic to publish
      * @param {string} type message type
      * @param {Object} message payload
      * @param {Object} ops {correlationId} 
      */
     send$(topic, type, payload, ops = {}) {
-        return this.getTopic$(topic).pipe(
+        this.logOutgoingMessage(topic, type, payload);
+        return this.detachLogContext$(() => this.getTopic$(topic).pipe(
             switchMap(t => this.publish$(t, type, payload, ops))
-        );
-    }
-
-    /**
-     * Sends a Message to the given topic and wait for a reply
-     * @param {string} topic send topic
-     * @param {string} responseTopic response topic
-     * @param {string} type message(payload) type
-     * @param {Object} message payload
-     * @param {number} timeout wait timeout millis
-     * @param {boolean} ignoreSelfEvents ignore messages comming from this clien
-     * @param {Object} ops {correlationId}
-     * 
-     * Returns an Observable that resolves the message response
-     */
-    sendAndGetReply$(topic, responseTopic, type, payload, timeout = this.replyTimeout, ignoreSelfEvents = true, ops = {}) {
-        return this.forward$(topic, type, payload, ops).pipe(
-            switchMap((messageId) => this.getMessageReply$(responseTopic, messageId, timeout, ignoreSelfEvents))
-        );
-    }
-
-
-    /**
-     * Returns an observable that waits for the message response or throws an error if timeout is exceded
-     * @param {string} topic response topic
-     * @param {string} correlationId 
-     * @param {number} replyTimeout 
-     */
-    getMessageReply$(topic, correlationId, replyTimeout = this.replyTimeout, ignoreSelfEvents = true) {
-        return this.configMessageListener$([topic]).pipe(
-            switchMap(() =>
-                this.incomingMessages$.pipe(
-                    filter(msg => msg),
-                    filter(msg => !ignoreSelfEvents || msg.attributes.senderId !== this.senderId),
-                    filter(msg => msg && msg.correlationId === correlationId),
-                    map(msg => msg.data),
-                    timeout(replyTimeout),
-                    first()
-                )
-            )
-        );
-
-    }
-
-    /**
-     * Returns an Observable that will emit any message
-     * @param {string[] ?} topics topic to listen
-     * @param {string[] ?} types message types to listen
-     * @param {boolean ?} ignoreSelfEvents 
-     */
-    getMessageListener$(topics = [], types = [], ignoreSelfEvents = true) {
-        return this.configMessageListener$(topics).pipe(
-            switchMap(() =>
-                this.incomingMessages$.pipe(
-                    filter(msg => msg),
-                    filter(msg => !ignoreSelfEvents || msg.attributes.senderId !== this.senderId),
-                    filter(msg => topics.length === 0 || topics.indexOf(msg.topic) > -1),
-                    filter(msg => types.length === 0 || types.indexOf(msg.type) > -1)
-                )
-            )
-        );
+        ));
     }
 
     /**
@@ -128,21 +78,7 @@ class PubSubBroker {
             ).subscribe(
                 ({ topicName, subsription, subscriptionName }) => {
                     this.listeningTopics[topicName] = subscriptionName;
-                    subsription.on(`message`, message => {
-                        ConsoleLogger.d(`PubSubBroker: Received message ${message.id}:`);
-                        this.incomingMessages$.next(
-                            {
-                                id: message.id,
-                                data: JSON.parse(message.data),
-                                attributes: message.attributes,
-                                publishTime: message.publishTime,
-                                correlationId: message.attributes.correlationId,
-                                topic: topicName,
-                                type: message.attributes.type,
-                            }
-                        );
-                        message.ack();
-                    });
+                    this.listenSubscription(topicName, subsription);
                     observer.next(topicName);
                 },
                 (err) => {
@@ -165,6 +101,76 @@ class PubSubBroker {
     }
 
 
+    /**
+     * Pushes every message of the subscription into incomingMessages$.
+     * If the subscription fails it is re-opened using the reconnect backoff
+     * @param {string} topicName 
+     * @param {Subscription} subscription 
+     */
+    listenSubscription(topicName, subscription) {
+        this.subscriptions[topicName] = subscription;
+        const flowControl = this.getSubscriptionFlowControl(topicName);
+        if (flowControl) {
+            // must be set before listening messages, PubSub stops pulling once maxMessages are not acked yet
+            subscription.setOptions({ flowControl });
+        }
+        subscription.on(`message`, message => {
+            this.logger.d(`PubSubBroker: Received message ${message.id}:`);
+            this.pushIncomingMessage(topicName, message.data, message.attributes, raw => (
+                {
+                    id: message.id,
+                    data: JSON.parse(raw),
+                    attributes: message.attributes,
+                    publishTime: message.publishTime,
+                    correlationId: message.attributes.correlationId,
+                    topic: topicName,
+                    type: message.attributes.type,
+                }
+            ), PubSubBroker.buildAcker(message));
+        });
+        subscription.on(`error`, err => {
+            this.logger.e(`PubSubBroker: subscription ${subscription.name} failed`, err);
+            subscription.removeAllListeners();
+            this.reconnect$(() => from(subscription.close()).pipe(
+                switchMap(() => this.getSubscription$(topicName, this.listeningTopics[topicName]))
+            )).subscribe(
+                (reopenedSubscription) => {
+                    // the broker could have been disconnected meanwhile
+                    if (!this.listeningTopics[topicName]) return;
+                    this.logger.i(`PubSubBroker: subscription ${reopenedSubscription.name} re-opened`);
+                    this.listenSubscription(topicName, reopenedSubscription);
+                },
+                (error) => this.logger.e(`PubSubBroker: subscription ${subscription.name} could not be re-opened`, error)
+            );
+        });
+    }
+
+    /**
+     * Returns the subscription flowControl of the topic: the messages in flight plus the queued ones,
+     * or null if there is no flow control configured
+     * @param {string} topicName 
+     */
+    getSubscriptionFlowControl(topicName) {
+        const { maxInFlight, maxQueueSize } = this.getFlowControlOps(topicName);
+        if (this.ackMode !== Broker.ACK_MODES.MANUAL || maxInFlight <= 0) return null;
+        return { maxMessages: maxInFlight + maxQueueSize, allowExcessMessages: false };
+    }
+
+    /**
+     * Builds the native acker of a PubSub message.
+     * PubSub has no terminal acknowledgement, terminated messages are acked once dead-lettered
+     * @param {Message} message PubSub message
+     */
+    static buildAcker(message) {
+        return {
+            ack: () => message.ack(),
+            nak: (delay = 0) => delay > 0 ? setTimeout(() => message.nack(), delay) : message.nack(),
+            term: () => message.ack(),
+            // deliveryAttempt is only populated when the subscription has a dead-letter policy
+            redeliveryCount: Math.max(0, (message.deliveryAttempt || 1) - 1),
+        };
+    }
+
     /**
      * Gets an observable that resolves to the topic object
      * @param {string} topicName 
@@ -182,7 +188,7 @@ class PubSubBroker {
                     if (exists) {
                         //if it does exists, then store it on the cache and return it
                         this.verifiedTopics[topicName] = topic;
-                        ConsoleLogger.i(`PubSubBroker.getTopic$: Topic ${topicName} already existed and has been set into the cache`);
+                        this.logger.i(`PubSubBroker.getTopic$: Topic ${topicName} already existed and has been set into the cache`);
                         return of(topic);
                     } else {
                         //if it does NOT exists, then create it, store it in the cache and return it
@@ -218,7 +224,7 @@ class PubSubBroker {
     */
     publish$(topic, type, data, { correlationId = "" } = {}) {
         if (!data || !topic) {
-            ConsoleLogger.i(`PubSubBroker.publish: databuffer is null: t:${topic}, tt=${type}, correlationId=${correlationId}, d=${data}`);
+            this.logger.i(`PubSubBroker.publish: databuffer is null: t:${topic}, tt=${type}, correlationId=${correlationId}, d=${data}`);
             return of(`PubSubBroker.publish: databuffer is null: t:${topic}, d=${data}`);
         }
         const dataBuffer = Buffer.from(JSON.stringify(data));
@@ -251,25 +257,39 @@ class PubSubBroker {
     /**
      * Stops broker 
      */
-    disconnectBroker() {
+    disconnectBroker$() {
         return Observable.create((observer) => {
-            from(Object.entries(listeningTopics)).pipe(
-                mergeMap(([topicName, subscriptionName]) => this.getSubscription$(topicName, subscriptionName))
+            const subscriptions = Object.values(this.subscriptions);
+            this.listeningTopics = {};
+            this.subscriptions = {};
+            from(subscriptions).pipe(
+                mergeMap(subscription => {
+                    subscription.removeAllListeners();
+                    return from(subscription.close()).pipe(map(() => subscription));
+                })
             ).subscribe(
                 (subscription) => {
-                    subscription.removeListener(`message`);
-                    observer.next(`Removed listener for ${subscription}`);
+                    observer.next(`Removed listener for ${subscription.name}`);
                 },
                 (error) => {
                     console.error(`Error disconnecting Broker`, error);
                     observer.error(error);
                 },
                 () => {
+                    this.clearAckTimers();
+                    this.setConnectionState(CONNECTION_STATES.DISCONNECTED);
                     observer.complete();
                 }
             );
         });
     }
+
+    /**
+     * @deprecated use disconnectBroker$
+     */
+    disconnectBroker() {
+        return this.disconnectBroker$();
+    }
 }
 
 /**
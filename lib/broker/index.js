@@ -1,11 +1,19 @@
 "use strict";
 
 const brokerFactory = require("./BrokerFactory");
+const Broker = require("./Broker");
 const MqttBroker = require("./MqttBroker");
 const PubSubBroker = require("./PubSubBroker");
+const InMemoryBroker = require("./InMemoryBroker");
+const NatsJetStreamBroker = require("./NatsJetStreamBroker");
+const FlowController = require("./FlowController");
 
 module.exports = {
     brokerFactory,
+    Broker,
     MqttBroker,
     PubSubBroker,
+    InMemoryBroker,
+    NatsJetStreamBroker,
+    FlowController,
 };
@@ -1,7 +1,9 @@
 'use strict';
 
 const ConsoleLogger = require('../log/ConsoleLogger');
+const logger = ConsoleLogger.getLogger('bre');
 const { VmFactory } = require('./vm');
+const { WorkerVm } = require('./worker');
 
 /**
  * @class
@@ -18,8 +20,12 @@ class BusinessRule {
      * @param {*} language 
      * @param {*} languageVersion 
      * @param {*} languageArgs 
+     * @param {*} otherSources 
+     * @param {*} context 
+     * @param {Object} limits execution limits {timeout, maxInstructions, maxMemory, maxTableSize}, see ExecutionLimits
+     * @param {WorkerPool} pool worker threads pool executing the rule, or null to execute it on the current thread
      */
-    constructor(type, name, source, language, languageVersion, languageArgs, otherSources, context) {
+    constructor(type, name, source, language, languageVersion, languageArgs, otherSources, context, limits, pool) {
         this.type = type;
         this.name = name;
         this.source = source;
@@ -27,11 +33,20 @@ class BusinessRule {
         this.languageVersion = languageVersion;
         this.languageArgs = languageArgs;
         this.__expirationTs = null;
+        /**
+         * executions in flight of execute$, a retired rule is destroyed once they are finished
+         */
+        this.executions = 0;
+        this.retired = false;
+        this.destroyed = false;
+        this.retireTimer = null;
 
         // Create and prepare the virtual machine
-        this.vm = VmFactory.createVm(language, languageVersion, context);
+        this.vm = pool
+            ? new WorkerVm(pool, language, languageVersion, context, limits)
+            : VmFactory.createVm(language, languageVersion, context, limits);
         this.vm.loadSource(source, otherSources);
-        ConsoleLogger.i(`BusinessRule.constructor: BusinessRule instantiated: ${JSON.stringify({ type, name, language, languageVersion })}`);
+        logger.i(`BusinessRule.constructor: BusinessRule instantiated: ${JSON.stringify({ type, name, language, languageVersion })}`);
     }
 
 
@@ -41,6 +56,8 @@ class BusinessRule {
      * @param {Array<any>} args - arguments to pass to the function
      * @param {string} functionName - global function name in the sandbox (default: "exec")
      * @returns {any} - the value returned by the function
+     * @throws {BusinessRuleLimitError} if the execution exceeds any limit
+     * @throws {Error} if the rule runs on a worker threads pool, use execute$
      */
     execute(args = [], functionName = 'exec') {
         return this.vm.execute(args, functionName);
@@ -55,15 +72,38 @@ class BusinessRule {
      * @returns {Promise<any>} - the value returned by the function
      */
     async execute$(args = [], functionName = 'exec') {
-        return await this.vm.execute$(args, functionName);
+        this.executions++;
+        try {
+            return await this.vm.execute$(args, functionName);
+        } finally {
+            this.executions--;
+            if (this.retired && this.executions === 0) this.destroy();
+        }
     }
 
     getVmSource = () => this.vm.source;
 
+    /**
+     * Destroys the rule once the grace period is over and its executions in flight are finished,
+     * so the callers that got the rule before it was replaced can still execute it
+     * @param {number} gracePeriod millis
+     */
+    retire(gracePeriod) {
+        if (this.retireTimer || this.destroyed) return;
+        this.retireTimer = setTimeout(() => {
+            this.retired = true;
+            if (this.executions === 0) this.destroy();
+        }, gracePeriod);
+        this.retireTimer.unref();
+    }
+
     /**
      * Cleanup the VM context.
      */
     destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        clearTimeout(this.retireTimer);
         this.vm.destroy();
     }
 
@@ -1,18 +1,56 @@
 'use strict';
 
 const BusinessRule = require('./BusinessRule');
+const BusinessRuleLimitError = require('./BusinessRuleLimitError');
+const { WorkerPool } = require('./worker');
 const zlib = require('zlib');
 
 const BUSINESS_RULE_CACHE_TTL = parseInt(process.env.BUSINESS_RULE_CACHE_TTL || 43200000); // 12 hours per default
 
+/**
+ * Where the rules are executed
+ *  INLINE: on the current thread
+ *  WORKER: on a pool of worker threads, so heavy rules do not block the event loop. only execute$ is supported
+ */
+const EXECUTION_MODES = {
+    INLINE: 'INLINE',
+    WORKER: 'WORKER',
+};
+
 /**
  * @class
  * @classdesc Manages business rules engine.
  */
 class BusinessRuleEngine {
 
-    constructor() {
+    /**
+     * @param {Object} [ops]
+     * @param {Object} [ops.limits] execution limits of every rule {timeout, maxInstructions, maxMemory, maxTableSize},
+     *        the limits of the rule spec prevail. defaults to the env BUSINESS_RULE_* limits, see ExecutionLimits
+     * @param {string} [ops.executionMode] INLINE or WORKER, see EXECUTION_MODES. defaults to env BUSINESS_RULE_EXECUTION_MODE or INLINE
+     * @param {number} [ops.poolSize] worker threads of the WORKER mode. defaults to env BUSINESS_RULE_POOL_SIZE or the number of CPUs
+     * @param {number} [ops.workerMaxMemory] max old generation size of every worker thread, in MB. defaults to env BUSINESS_RULE_WORKER_MAX_MEMORY or the Node default
+     * @param {number} [ops.workerTimeout] millis a busy worker thread may go without replying before it is terminated and respawned.
+     *        defaults to env BUSINESS_RULE_WORKER_TIMEOUT or 60000, see WorkerPool
+     * @param {number} [ops.replacedRuleGracePeriod] millis a cached rule replaced by its refreshed version may still be executed before it is destroyed,
+     *        the executions in flight are always finished. defaults to env BUSINESS_RULE_REPLACED_GRACE_PERIOD or 60000
+     */
+    constructor({
+        limits = {},
+        executionMode = process.env.BUSINESS_RULE_EXECUTION_MODE || EXECUTION_MODES.INLINE,
+        poolSize,
+        workerMaxMemory,
+        workerTimeout,
+        replacedRuleGracePeriod = parseInt(process.env.BUSINESS_RULE_REPLACED_GRACE_PERIOD || 60000)
+    } = {}) {
+        if (!EXECUTION_MODES[executionMode]) {
+            throw new Error(`BusinessRuleEngine: invalid execution mode ${executionMode}, valid options: ${Object.keys(EXECUTION_MODES).join(', ')}`);
+        }
         this.loadedBusinessRulesCache = {};
+        this.limits = limits;
+        this.executionMode = executionMode;
+        this.replacedRuleGracePeriod = replacedRuleGracePeriod;
+        this.pool = executionMode === EXECUTION_MODES.WORKER ? new WorkerPool({ size: poolSize, maxMemory: workerMaxMemory, timeout: workerTimeout }) : null;
     }
 
     /**
@@ -101,11 +139,19 @@ class BusinessRuleEngine {
             (businessRuleSpec.language || {}).version,
             (businessRuleSpec.language || {}).arguments,
             undefined,
-            context
+            context,
+            { ...this.limits, ...businessRuleSpec.limits },
+            this.pool
         );
+        await this.loadOnPool$(businessRule);
         //set cache expiration time
         businessRule.__expirationTs = Date.now() + (Math.min(BUSINESS_RULE_CACHE_TTL, BusinessRuleEngine.millisecondsToEndOfDay()));
+        // the replaced rule (expired, or built by a concurrent call) frees its VMs once its callers are done with it
+        const replacedBusinessRule = this.loadedBusinessRulesCache[brKey];
         this.loadedBusinessRulesCache[brKey] = businessRule;
+        if (replacedBusinessRule && replacedBusinessRule !== businessRule) {
+            replacedBusinessRule.retire(this.replacedRuleGracePeriod);
+        }
         return businessRule;
     }
 
@@ -117,18 +163,47 @@ class BusinessRuleEngine {
      * @param {string} language - Business rule language
      * @param {string} languageVersion  - Business rule language version
      * @param {object} languageArgs - Business rule language arguments
+     * @param {Array} otherSources - Sources loaded along with the business rule
+     * @param {object} limits - Business rule execution limits, prevail over the engine limits
      * @returns {BusinessRule}
      */
-    async buildCustomBusinessRule$(type, name, source, language, languageVersion, languageArgs, otherSources) {
-        return new BusinessRule(
+    async buildCustomBusinessRule$(type, name, source, language, languageVersion, languageArgs, otherSources, limits) {
+        const businessRule = new BusinessRule(
             type,
             name,
             source,
             language,
             languageVersion,
             languageArgs,
-            otherSources
+            otherSources,
+            undefined,
+            { ...this.limits, ...limits },
+            this.pool
         );
+        await this.loadOnPool$(businessRule);
+        return businessRule;
+    }
+
+    /**
+     * Loads the rule on a worker thread of the WORKER mode, so its load errors are thrown as on the INLINE mode
+     * @param {BusinessRule} businessRule
+     */
+    async loadOnPool$(businessRule) {
+        if (!this.pool) return;
+        try {
+            await businessRule.vm.load$();
+        } catch (error) {
+            businessRule.destroy();
+            throw error;
+        }
+    }
+
+    /**
+     * Terminates the worker threads of the WORKER mode
+     * @returns {Promise}
+     */
+    async close() {
+        if (this.pool) await this.pool.close();
     }
 
     /**
@@ -154,6 +229,10 @@ class BusinessRuleEngine {
     }
 }
 
+BusinessRuleEngine.BusinessRuleLimitError = BusinessRuleLimitError;
+BusinessRuleEngine.LIMITS = BusinessRuleLimitError.LIMITS;
+BusinessRuleEngine.EXECUTION_MODES = EXECUTION_MODES;
+
 /**
  * Exports the BusinessRuleEngine module
  * @type {BusinessRuleEngine}
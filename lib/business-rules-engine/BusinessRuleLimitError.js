@@ -0,0 +1,56 @@
+'use strict';
+
+const { TypedError, GRPC_STATUS, describeError } = require('../error/TypedErrors');
+const ErrorCatalog = require('../error/ErrorCatalog');
+
+/**
+ * Execution limits of the business rules
+ *  TIMEOUT: wall-clock millis of a load or execution
+ *  INSTRUCTIONS: Lua instructions of a load or execution
+ *  MEMORY: bytes the heap may grow during a Lua load or execution, approximate as it is measured on the whole heap of the thread
+ *  TABLE_SIZE: entries of any table (object or array) returned by the rule
+ */
+const LIMITS = {
+    TIMEOUT: 'TIMEOUT',
+    INSTRUCTIONS: 'INSTRUCTIONS',
+    MEMORY: 'MEMORY',
+    TABLE_SIZE: 'TABLE_SIZE',
+};
+
+/**
+ * Thrown when a business rule exceeds one of its execution limits, see LIMITS.
+ * The exceeded limit and its maximum are kept on the error metadata: { limit, max }
+ */
+class BusinessRuleLimitError extends TypedError {
+    /**
+     * @param {string} method method where the error was thrown
+     * @param {Object|string} [params] { limit, max }, or the message itself
+     * @param {Object} [ops] see TypedError
+     */
+    constructor(method, params = {}, ops = {}) {
+        const metadata = typeof params === 'string' ? undefined : { limit: params.limit, max: params.max };
+        super(method, params, { metadata, ...ops });
+    }
+
+    /**
+     * Exceeded limit, see LIMITS
+     */
+    get limit() {
+        return (this.metadata || {}).limit;
+    }
+}
+describeError(BusinessRuleLimitError, {
+    errorName: 'BusinessRuleLimitExceeded', code: 10010, httpStatus: 500, grpcStatus: GRPC_STATUS.RESOURCE_EXHAUSTED,
+    messages: {
+        en: 'Business rule exceeded its {limit} limit of {max}',
+        es: 'La regla de negocio excedió su límite {limit} de {max}'
+    }
+});
+ErrorCatalog.DEFAULT_CATALOG.register(BusinessRuleLimitError, ErrorCatalog.BUILT_IN_MODULE);
+
+BusinessRuleLimitError.LIMITS = LIMITS;
+
+/**
+ * @returns {BusinessRuleLimitError}
+ */
+module.exports = BusinessRuleLimitError;
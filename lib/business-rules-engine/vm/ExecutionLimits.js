@@ -0,0 +1,60 @@
+'use strict';
+
+const BusinessRuleLimitError = require('../BusinessRuleLimitError');
+const { LIMITS } = BusinessRuleLimitError;
+
+/**
+ * Default limits of the rules, 0 disables a limit
+ */
+const DEFAULT_LIMITS = {
+    timeout: parseInt(process.env.BUSINESS_RULE_TIMEOUT || 0),
+    maxInstructions: parseInt(process.env.BUSINESS_RULE_MAX_INSTRUCTIONS || 0),
+    maxMemory: parseInt(process.env.BUSINESS_RULE_MAX_MEMORY || 0),
+    maxTableSize: parseInt(process.env.BUSINESS_RULE_MAX_TABLE_SIZE || 0),
+};
+
+/**
+ * Execution limits of a business rule VM
+ */
+class ExecutionLimits {
+
+    /**
+     * @param {Object} [limits] overrides the default limits, 0 disables a limit
+     * @param {number} [limits.timeout] wall-clock millis of a load or execution. defaults to env BUSINESS_RULE_TIMEOUT or 0
+     * @param {number} [limits.maxInstructions] Lua instructions of a load or execution. defaults to env BUSINESS_RULE_MAX_INSTRUCTIONS or 0
+     * @param {number} [limits.maxMemory] bytes the heap may grow during a Lua load or execution. defaults to env BUSINESS_RULE_MAX_MEMORY or 0.
+     *        the growth is read from the whole heap of the thread (the process on INLINE mode), so anything else allocating meanwhile counts: it is approximate
+     * @param {number} [limits.maxTableSize] entries of any table (object or array) returned by the rule. defaults to env BUSINESS_RULE_MAX_TABLE_SIZE or 0
+     */
+    constructor(limits = {}) {
+        Object.keys(DEFAULT_LIMITS).forEach(name => {
+            const value = limits[name] == null ? DEFAULT_LIMITS[name] : Number(limits[name]);
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`ExecutionLimits: invalid ${name} ${limits[name]}, must be a non-negative integer`);
+            }
+            this[name] = value;
+        });
+    }
+
+    /**
+     * Throws if any table (object or array) of the value has more entries than maxTableSize
+     * @param {*} value value returned by the rule
+     * @param {string} method method reported by the error
+     * @throws {BusinessRuleLimitError}
+     */
+    checkTableSize(value, method) {
+        if (this.maxTableSize === 0 || value === null || typeof value !== 'object') return;
+        const size = Array.isArray(value) ? value.length : Object.keys(value).length;
+        if (size > this.maxTableSize) {
+            throw new BusinessRuleLimitError(method, { limit: LIMITS.TABLE_SIZE, max: this.maxTableSize });
+        }
+        Object.values(value).forEach(entry => this.checkTableSize(entry, method));
+    }
+}
+
+ExecutionLimits.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+/**
+ * @returns {ExecutionLimits}
+ */
+module.exports = ExecutionLimits;
@@ -1,15 +1,32 @@
 'use strict';
 
+const v8 = require('v8');
 const fengari = require('fengari');
 const { to_jsstring, to_luastring, lua, lauxlib, lualib } = fengari;
+const ExecutionLimits = require('./ExecutionLimits');
+const BusinessRuleLimitError = require('../BusinessRuleLimitError');
+const { LIMITS } = BusinessRuleLimitError;
 
-
+/**
+ * Instructions between the checks of the limits
+ */
+const HOOK_INTERVAL = 1000;
 
 class Lua53Fengari {
 
-    constructor() {
+    /**
+     * @param {Object} [context] not used by the Lua VM
+     * @param {Object} [limits] execution limits, see ExecutionLimits
+     */
+    constructor(context, limits) {
+        this.limits = new ExecutionLimits(limits);
         this.L = lauxlib.luaL_newstate();
         lualib.luaL_openlibs(this.L);
+        // the rules can not remove the hook that enforces the limits
+        lua.lua_getglobal(this.L, to_luastring('debug'));
+        lua.lua_pushnil(this.L);
+        lua.lua_setfield(this.L, -2, to_luastring('sethook'));
+        lua.lua_pop(this.L, 1);
     }
 
     static getLanguage() {
@@ -79,14 +96,16 @@ class Lua53Fengari {
         this.source = allSources;
         let status = lauxlib.luaL_loadstring(this.L, to_luastring(allSources));
         if (status !== lua.LUA_OK) {
-            const errMsg = to_jsstring(lua.lua_tostring(L, -1));
+            const errMsg = to_jsstring(lua.lua_tostring(this.L, -1));
+            lua.lua_pop(this.L, 1); // pop error
             throw new Error("Lua53Fengari.loadSource: Error loading Lua script: " + errMsg);
         }
 
-        const pcallStatus = lua.lua_pcall(this.L, 0, 0, 0);
+        const pcallStatus = this.pcall(0, 0);
         if (pcallStatus !== lua.LUA_OK) {
             const errMsg = to_jsstring(lua.lua_tostring(this.L, -1));
             lua.lua_pop(this.L, 1); // pop error
+            this.throwIfLimitExceeded('Lua53Fengari.loadSource');
             throw new Error("Lua53Fengari.loadSource: Error running Lua chunk: " + errMsg);
         }
     }
@@ -99,6 +118,7 @@ class Lua53Fengari {
      * @param {Array<any>} args - arguments to pass (in the correct order)
      * @param {string} functionName - name of the Lua global function to call
      * @returns {any|any[]} - single value or array of values returned by the Lua function
+     * @throws {BusinessRuleLimitError} if the execution exceeds any limit
      */
     execute(args = [], functionName = "exec") {
         // 1) Push the requested Lua function onto the stack
@@ -114,10 +134,11 @@ class Lua53Fengari {
         }
 
         // 3) Call the function (args.length arguments, return all results)
-        const callStatus = lua.lua_pcall(this.L, args.length, lua.LUA_MULTRET, 0);
+        const callStatus = this.pcall(args.length, lua.LUA_MULTRET);
         if (callStatus !== lua.LUA_OK) {
             const errMsg = to_jsstring(lua.lua_tostring(this.L, -1));
             lua.lua_pop(this.L, 1);
+            this.throwIfLimitExceeded('Lua53Fengari.execute');
             throw new Error(`Lua53Fengari.execute: Error calling '${functionName}': ${errMsg}`);
         }
 
@@ -130,6 +151,7 @@ class Lua53Fengari {
             // Single return value
             const single = Lua53Fengari.luaToJs(this.L, -1);
             lua.lua_pop(this.L, 1);
+            this.limits.checkTableSize(single, 'Lua53Fengari.execute');
             return single;
         } else {
             // Multiple return values -> collect them into an array
@@ -142,10 +164,65 @@ class Lua53Fengari {
                 results.push(value);
             }
             lua.lua_pop(this.L, numResults);
+            results.forEach(value => this.limits.checkTableSize(value, 'Lua53Fengari.execute'));
             return results;
         }
     }
 
+    /**
+     * Calls the function on the top of the stack in protected mode, under the limits:
+     * a count hook checks the instructions, the wall-clock deadline and the heap growth every HOOK_INTERVAL instructions.
+     * Once a limit is exceeded the hook raises an error on every instruction, so the rule can not recover with pcall
+     * @param {number} nargs
+     * @param {number} nresults
+     * @returns {number} status of lua_pcall
+     */
+    pcall(nargs, nresults) {
+        const { timeout, maxInstructions, maxMemory } = this.limits;
+        this.exceededLimit = null;
+        if (timeout === 0 && maxInstructions === 0 && maxMemory === 0) {
+            return lua.lua_pcall(this.L, nargs, nresults, 0);
+        }
+
+        const deadline = Date.now() + timeout;
+        // the heap statistics are not per rule: other allocations of the thread and GC runs skew the growth
+        const initialHeap = maxMemory > 0 ? v8.getHeapStatistics().used_heap_size : 0;
+        const interval = maxInstructions > 0 ? Math.min(HOOK_INTERVAL, maxInstructions) : HOOK_INTERVAL;
+        let instructions = 0;
+        const hook = (L) => {
+            if (!this.exceededLimit) {
+                instructions += interval;
+                if (maxInstructions > 0 && instructions > maxInstructions) {
+                    this.exceededLimit = { limit: LIMITS.INSTRUCTIONS, max: maxInstructions };
+                } else if (timeout > 0 && Date.now() > deadline) {
+                    this.exceededLimit = { limit: LIMITS.TIMEOUT, max: timeout };
+                } else if (maxMemory > 0 && v8.getHeapStatistics().used_heap_size - initialHeap > maxMemory) {
+                    this.exceededLimit = { limit: LIMITS.MEMORY, max: maxMemory };
+                }
+            }
+            if (this.exceededLimit) {
+                // L may be a coroutine, the main thread must also stop
+                lua.lua_sethook(this.L, hook, lua.LUA_MASKCOUNT, 1);
+                lua.lua_sethook(L, hook, lua.LUA_MASKCOUNT, 1);
+                lauxlib.luaL_error(L, to_luastring(`${this.exceededLimit.limit} limit exceeded`));
+            }
+        };
+        lua.lua_sethook(this.L, hook, lua.LUA_MASKCOUNT, interval);
+        try {
+            return lua.lua_pcall(this.L, nargs, nresults, 0);
+        } finally {
+            lua.lua_sethook(this.L, null, 0, 0);
+        }
+    }
+
+    throwIfLimitExceeded(method) {
+        if (this.exceededLimit) {
+            const { limit, max } = this.exceededLimit;
+            this.exceededLimit = null;
+            throw new BusinessRuleLimitError(method, { limit, max });
+        }
+    }
+
     /**
      * Asynchronous version of `execute()`: wraps the synchronous call in a Promise
      * so you can use `await` or `.then()` in JavaScript.
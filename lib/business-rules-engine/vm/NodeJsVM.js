@@ -1,12 +1,24 @@
 'use strict';
 
 const vm = require('vm');
+const ExecutionLimits = require('./ExecutionLimits');
+const BusinessRuleLimitError = require('../BusinessRuleLimitError');
+
+/**
+ * Calls the function of the sandbox, so the call runs under the vm timeout
+ */
+const CALL_SCRIPT = new vm.Script('__businessRuleCall.fn.apply(undefined, __businessRuleCall.args)');
 
 class NodeJsVM {
 
-    constructor(context) {
+    /**
+     * @param {Object} [context] sandbox context
+     * @param {Object} [limits] execution limits, see ExecutionLimits. the JS rules enforce the timeout and maxTableSize
+     */
+    constructor(context, limits) {
         // Create a fresh sandbox context
         this.context = context ?? {};
+        this.limits = new ExecutionLimits(limits);
         vm.createContext(this.context);
     }
 
@@ -38,8 +50,9 @@ class NodeJsVM {
             allSources += NodeJsVM.mergeCode(otherSources);
             this.source = allSources;
             
-            vm.runInContext(allSources, this.context);
+            vm.runInContext(allSources, this.context, this.getRunOptions());
         } catch (err) {
+            this.throwIfTimedOut(err, 'NodeJsVM.loadSource');
             throw new Error(`NodeJsVM.loadSource: Error loading script: ${err.message}`);
         }
     }
@@ -50,6 +63,7 @@ class NodeJsVM {
      * @param {Array<any>} args - arguments to pass to the function
      * @param {string} functionName - global function name in the sandbox (default: "exec")
      * @returns {any} - the value returned by the sandboxed function
+     * @throws {BusinessRuleLimitError} if the execution exceeds the timeout or the result exceeds the maxTableSize
      */
     execute(args = [], functionName = 'exec') {
         // 1) Retrieve the function from the context
@@ -60,12 +74,28 @@ class NodeJsVM {
             );
         }
 
-        // 2) Invoke it with the provided arguments
+        // 2) Invoke it with the provided arguments, within the sandbox so the timeout applies
+        let result;
         try {
-            // Since it's just JavaScript, we can directly call `fn(...args)`
-            return fn(...args);
+            this.context.__businessRuleCall = { fn, args };
+            result = CALL_SCRIPT.runInContext(this.context, this.getRunOptions());
         } catch (err) {
+            this.throwIfTimedOut(err, 'NodeJsVM.execute');
             throw new Error(`NodeJsVM.execute: Error calling '${functionName}': ${err.message}`);
+        } finally {
+            delete this.context.__businessRuleCall;
+        }
+        this.limits.checkTableSize(result, 'NodeJsVM.execute');
+        return result;
+    }
+
+    getRunOptions() {
+        return this.limits.timeout > 0 ? { timeout: this.limits.timeout } : {};
+    }
+
+    throwIfTimedOut(err, method) {
+        if (err && err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            throw new BusinessRuleLimitError(method, { limit: BusinessRuleLimitError.LIMITS.TIMEOUT, max: this.limits.timeout });
         }
     }
 
@@ -3,6 +3,7 @@
 const Lua53Fengari = require('./Lua53Fengari');
 const NodeJsVM = require('./NodeJsVM');
 const ConsoleLogger = require('../../log/ConsoleLogger');
+const logger = ConsoleLogger.getLogger('bre.vm');
 
 
 /**
@@ -14,9 +15,24 @@ class VmFactory {
      * creates a virtual machine
      * @param {string} language
      * @param {double} languageVersion 
+     * @param {Object} [context] sandbox context
+     * @param {Object} [limits] execution limits, see ExecutionLimits
      * @returns VM
      */
-    static createVm(language, languageVersion, context) {
+    static createVm(language, languageVersion, context, limits) {
+        const version = VmFactory.getVmClass(language, languageVersion);
+        logger.i(`VmFactory.createVm: Creating VM for ${version.getLanguage()} version ${version.getVersion()}`);
+        return new version(context, limits);
+    }
+
+    /**
+     * finds the virtual machine class of the language
+     * @param {string} language
+     * @param {double} languageVersion 
+     * @returns VM class
+     * @throws {Error} if the language or its version is not supported
+     */
+    static getVmClass(language, languageVersion) {
         const vmTypes = [Lua53Fengari, NodeJsVM];
         const vmMap = vmTypes.reduce((acc, vm) => {
             if (!acc[vm.getLanguage()]) {
@@ -34,8 +50,7 @@ class VmFactory {
             .find(vm => parseInt(vm.getVersion().toString().split('.')[0]) >= majorUserVersion);
         if (version == null) throw new Error(`VmFactory.createVm: Unsupported ${language} version: ${languageVersion.toString()}, supported versions: ${vmSupportedVersion.map(v => v.getVersion().toString()).join(', ')}`);
 
-        ConsoleLogger.i(`VmFactory.createVm: Creating VM for ${version.getLanguage()} version ${version.getVersion()}`);
-        return new version(context);
+        return version;
     }
 }
 
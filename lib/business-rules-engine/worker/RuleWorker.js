@@ -0,0 +1,89 @@
+'use strict';
+
+const { parentPort, workerData } = require('worker_threads');
+const VmFactory = require('../vm/VmFactory');
+const { CustomError } = require('../../error/CustomError');
+
+/**
+ * Entry point of the WorkerPool threads.
+ * Keeps the VMs of the rules loaded on this thread, and handles the messages of the pool:
+ *  - LOAD { ruleId, spec }: creates the VM of the rule and loads its source
+ *  - EXECUTE { ruleId, args, functionName }: executes a function of a loaded rule
+ *  - UNLOAD { ruleId }: destroys the VM of the rule
+ * Every message is replied with { id, result } or { id, error }. Once started, the worker posts { ready: true }
+ */
+class RuleWorker {
+
+    constructor(port) {
+        this.port = port;
+        /**
+         * loaded VMs by rule ID
+         */
+        this.vms = {};
+    }
+
+    start() {
+        this.port.on('message', message => this.reply(this.handle(message)));
+        this.port.postMessage({ ready: true });
+    }
+
+    /**
+     * Posts the reply, a result that can not be structured-cloned (eg: functions or promises) is replied as an error,
+     * so it does not kill the worker
+     */
+    reply(reply) {
+        try {
+            this.port.postMessage(reply);
+        } catch (err) {
+            this.port.postMessage({ id: reply.id, error: { message: `RuleWorker: the result of the rule can not be structured-cloned (${err.name}): ${err.message}` } });
+        }
+    }
+
+    handle({ id, op, ruleId, spec, args, functionName }) {
+        try {
+            switch (op) {
+                case 'LOAD': return { id, result: this.load(ruleId, spec) };
+                case 'EXECUTE': return { id, result: this.execute(ruleId, args, functionName) };
+                case 'UNLOAD': return { id, result: this.unload(ruleId) };
+                default: throw new Error(`RuleWorker: unknown operation ${op}`);
+            }
+        } catch (err) {
+            return { id, error: RuleWorker.serializeError(err) };
+        }
+    }
+
+    load(ruleId, { language, languageVersion, source, otherSources, context, limits }) {
+        const vm = VmFactory.createVm(language, languageVersion, context, limits);
+        vm.loadSource(source, otherSources);
+        this.vms[ruleId] = vm;
+    }
+
+    execute(ruleId, args, functionName) {
+        const vm = this.vms[ruleId];
+        if (!vm) {
+            throw new Error(`RuleWorker.execute: rule ${ruleId} is not loaded`);
+        }
+        return vm.execute(args, functionName);
+    }
+
+    unload(ruleId) {
+        if (this.vms[ruleId]) {
+            this.vms[ruleId].destroy();
+            delete this.vms[ruleId];
+        }
+    }
+
+    /**
+     * CustomErrors keep their type (see CustomError.fromJSON), other errors keep their message
+     */
+    static serializeError(err) {
+        return err instanceof CustomError ? err.toJSON() : { message: err.message, stack: err.stack };
+    }
+}
+
+// only the threads spawned by the WorkerPool handle the messages
+if (parentPort && workerData && workerData.ruleWorker) {
+    new RuleWorker(parentPort).start();
+}
+
+module.exports = RuleWorker;
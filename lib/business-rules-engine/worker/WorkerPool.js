@@ -0,0 +1,255 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { CustomError } = require('../../error/CustomError');
+const { UnavailableError } = require('../../error/TypedErrors');
+const ConsoleLogger = require('../../log/ConsoleLogger');
+const logger = ConsoleLogger.getLogger('bre.worker');
+
+const WORKER_PATH = path.join(__dirname, 'RuleWorker.js');
+
+/**
+ * Pool of worker threads executing business rules, see RuleWorker.
+ * The specs of the rules are kept here, so every worker loads a rule once, on its first execution there.
+ * Executions are dispatched to the worker with the fewest pending tasks, the arguments and results are structured-cloned.
+ * A worker that dies (eg: out of memory) rejects its pending tasks with UnavailableError and is respawned.
+ * The workers handle their tasks in order, so a busy worker that does not reply within the timeout is stuck (eg: an endless loop without limits):
+ * the watchdog terminates it, as if it died
+ */
+class WorkerPool {
+
+    /**
+     * @param {Object} [ops]
+     * @param {number} [ops.size] number of workers. defaults to env BUSINESS_RULE_POOL_SIZE or the number of CPUs
+     * @param {number} [ops.maxMemory] max old generation size of every worker, in MB. defaults to env BUSINESS_RULE_WORKER_MAX_MEMORY or the Node default
+     * @param {number} [ops.timeout] millis a worker with pending tasks may go without replying before the watchdog terminates it, 0 disables it.
+     *        defaults to env BUSINESS_RULE_WORKER_TIMEOUT or 60000
+     */
+    constructor({
+        size = parseInt(process.env.BUSINESS_RULE_POOL_SIZE || os.cpus().length),
+        maxMemory = parseInt(process.env.BUSINESS_RULE_WORKER_MAX_MEMORY || 0),
+        timeout = parseInt(process.env.BUSINESS_RULE_WORKER_TIMEOUT || 60000)
+    } = {}) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`WorkerPool: invalid size ${size}, must be a positive integer`);
+        }
+        if (!Number.isInteger(timeout) || timeout < 0) {
+            throw new Error(`WorkerPool: invalid timeout ${timeout}, must be a non-negative integer`);
+        }
+        this.size = size;
+        this.maxMemory = maxMemory;
+        this.timeout = timeout;
+        /**
+         * specs of the registered rules by rule ID
+         */
+        this.rules = {};
+        this.taskCount = 0;
+        this.closed = false;
+        this.slots = [];
+        for (let index = 0; index < size; index++) {
+            this.slots.push(this.spawn(index));
+        }
+    }
+
+    /**
+     * Registers the spec of a rule, so the workers can load it
+     * @param {string} ruleId
+     * @param {Object} spec { language, languageVersion, source, otherSources, context, limits }
+     */
+    register(ruleId, spec) {
+        this.rules[ruleId] = spec;
+    }
+
+    /**
+     * Loads the rule on one of the workers, so its load errors are thrown before executing it
+     * @param {string} ruleId
+     * @returns {Promise}
+     */
+    async load$(ruleId) {
+        await this.ensureLoaded$(this.pickSlot(), ruleId);
+    }
+
+    /**
+     * Executes a function of the rule on one of the workers
+     * @param {string} ruleId
+     * @param {Array<any>} args structured-cloneable arguments
+     * @param {string} functionName
+     * @returns {Promise<any>} the value returned by the function
+     */
+    async execute$(ruleId, args, functionName) {
+        const slot = this.pickSlot();
+        // the execution counts as pending while the rule is loaded
+        slot.reserved++;
+        try {
+            await this.ensureLoaded$(slot, ruleId);
+        } finally {
+            slot.reserved--;
+        }
+        return this.send$(slot, { op: 'EXECUTE', ruleId, args, functionName });
+    }
+
+    /**
+     * Unregisters the rule and destroys its VMs on the workers
+     * @param {string} ruleId
+     */
+    unload(ruleId) {
+        delete this.rules[ruleId];
+        // the workers of a closed pool are terminated
+        if (this.closed) return;
+        this.slots
+            .filter(slot => slot.loading.has(ruleId))
+            .forEach(slot => {
+                slot.loading.delete(ruleId);
+                this.send$(slot, { op: 'UNLOAD', ruleId }).catch(err => logger.w(`WorkerPool.unload: rule ${ruleId} not unloaded from worker ${slot.index}`, err));
+            });
+    }
+
+    /**
+     * Terminates the workers, the pending tasks are rejected
+     * @returns {Promise}
+     */
+    async close() {
+        this.closed = true;
+        await Promise.all(this.slots.map(slot => slot.worker.terminate()));
+    }
+
+    async ensureLoaded$(slot, ruleId) {
+        const spec = this.rules[ruleId];
+        if (!spec) {
+            throw new Error(`WorkerPool: rule ${ruleId} is not registered`);
+        }
+        if (!slot.loading.has(ruleId)) {
+            // concurrent executions on the same worker share the load
+            const loading = this.send$(slot, { op: 'LOAD', ruleId, spec })
+                .catch(err => {
+                    slot.loading.delete(ruleId);
+                    throw err;
+                });
+            slot.loading.set(ruleId, loading);
+        }
+        await slot.loading.get(ruleId);
+    }
+
+    pickSlot() {
+        if (this.closed) {
+            throw new Error('WorkerPool: the pool is closed');
+        }
+        const load = slot => slot.pending.size + slot.reserved;
+        return this.slots.reduce((selected, slot) => load(slot) < load(selected) ? slot : selected);
+    }
+
+    send$(slot, message) {
+        return new Promise((resolve, reject) => {
+            if (slot.exited) {
+                reject(new UnavailableError('WorkerPool.execute$', `Business rule worker ${slot.index} died`));
+                return;
+            }
+            const id = ++this.taskCount;
+            slot.pending.set(id, { resolve, reject });
+            // busy workers keep the process alive
+            slot.worker.ref();
+            if (!slot.watchdog) this.startWatchdog(slot);
+            try {
+                slot.worker.postMessage({ id, ...message });
+            } catch (err) {
+                this.settle(slot, id, { error: { message: `WorkerPool: message not sent to worker ${slot.index}: ${err.message}` } });
+            }
+        });
+    }
+
+    settle(slot, id, { result, error }) {
+        const task = slot.pending.get(id);
+        if (!task) return;
+        slot.pending.delete(id);
+        // the worker replied: the watchdog restarts for its next task
+        this.stopWatchdog(slot);
+        if (slot.pending.size === 0) slot.worker.unref();
+        else this.startWatchdog(slot);
+        if (error) task.reject(WorkerPool.deserializeError(error));
+        else task.resolve(result);
+    }
+
+    startWatchdog(slot) {
+        // the start up of the worker is not watched
+        if (this.timeout === 0 || !slot.ready) return;
+        slot.watchdog = setTimeout(() => {
+            slot.watchdog = null;
+            const cause = new Error(`no reply within ${this.timeout} ms, terminated by the watchdog`);
+            this.onExit(slot, cause);
+            slot.worker.terminate().catch(err => logger.w(`WorkerPool: business rule worker ${slot.index} not terminated`, err));
+        }, this.timeout);
+        slot.watchdog.unref();
+    }
+
+    stopWatchdog(slot) {
+        if (!slot.watchdog) return;
+        clearTimeout(slot.watchdog);
+        slot.watchdog = null;
+    }
+
+    spawn(index) {
+        const worker = new Worker(WORKER_PATH, {
+            workerData: { ruleWorker: true },
+            resourceLimits: this.maxMemory > 0 ? { maxOldGenerationSizeMb: this.maxMemory } : undefined
+        });
+        worker.unref();
+        // loading: load promises by rule ID
+        // watchdog: timer of the watchdog while the worker has pending tasks
+        const slot = { index, worker, pending: new Map(), reserved: 0, loading: new Map(), exited: false, ready: false, watchdog: null };
+        worker.on('message', ({ id, ready, ...reply }) => ready ? this.onReady(slot) : this.settle(slot, id, reply));
+        worker.on('error', err => this.onExit(slot, WorkerPool.toError(err)));
+        worker.on('exit', code => this.onExit(slot, new Error(`exit code ${code}`)));
+        return slot;
+    }
+
+    /**
+     * The worker loaded its modules, the watchdog starts if it has pending tasks
+     */
+    onReady(slot) {
+        slot.ready = true;
+        if (slot.pending.size > 0 && !slot.watchdog) this.startWatchdog(slot);
+    }
+
+    /**
+     * Rejects the pending tasks of the dead worker and respawns it
+     */
+    onExit(slot, cause) {
+        // the error event is followed by the exit event
+        if (slot.exited) return;
+        slot.exited = true;
+        this.stopWatchdog(slot);
+        if (!this.closed) {
+            logger.e(`WorkerPool: business rule worker ${slot.index} died, respawning it`, cause);
+            this.slots[slot.index] = this.spawn(slot.index);
+        }
+        const pending = [...slot.pending.values()];
+        slot.pending.clear();
+        pending.forEach(({ reject }) => reject(new UnavailableError('WorkerPool.execute$', `Business rule worker ${slot.index} died: ${cause.message}`, { cause })));
+    }
+
+    /**
+     * The error events may carry any thrown value, not only Errors
+     */
+    static toError(cause) {
+        if (cause instanceof Error) return cause;
+        const message = cause && cause.message !== undefined ? cause.message : String(cause);
+        return new Error(cause && cause.name ? `${cause.name}: ${message}` : message);
+    }
+
+    /**
+     * CustomErrors are rebuilt as their typed class, see RuleWorker.serializeError
+     */
+    static deserializeError(json) {
+        if (json.code !== undefined) return CustomError.fromJSON(json);
+        const error = new Error(json.message);
+        if (json.stack) error.stack = json.stack;
+        return error;
+    }
+}
+
+/**
+ * @returns {WorkerPool}
+ */
+module.exports = WorkerPool;
@@ -0,0 +1,71 @@
+'use strict';
+
+const uuidv4 = require('uuid/v4');
+const VmFactory = require('../vm/VmFactory');
+
+/**
+ * VM of a rule executed on a WorkerPool.
+ * Same interface as the language VMs, but executions are asynchronous: only execute$ is supported
+ */
+class WorkerVm {
+
+    /**
+     * @param {WorkerPool} pool
+     * @param {string} language
+     * @param {double} languageVersion
+     * @param {Object} [context] sandbox context, structured-cloned into the workers
+     * @param {Object} [limits] execution limits, see ExecutionLimits
+     */
+    constructor(pool, language, languageVersion, context, limits) {
+        // unsupported languages are rejected right away, as the inline VMs do
+        VmFactory.getVmClass(language, languageVersion);
+        this.pool = pool;
+        this.ruleId = uuidv4();
+        this.spec = { language, languageVersion, context, limits };
+    }
+
+    /**
+     * Registers the source on the pool, the workers load it on their first execution of the rule
+     * @param {string} source
+     * @param {Array} otherSources
+     */
+    loadSource(source, otherSources = []) {
+        this.source = source;
+        this.pool.register(this.ruleId, { ...this.spec, source, otherSources });
+    }
+
+    /**
+     * Loads the rule on one of the workers
+     * @returns {Promise}
+     * @throws {Error} if the source can not be loaded
+     */
+    load$() {
+        return this.pool.load$(this.ruleId);
+    }
+
+    execute() {
+        throw new Error('WorkerVm.execute: rules running on worker threads must be executed with execute$');
+    }
+
+    /**
+     * Executes the function on one of the workers
+     * @param {Array<any>} args structured-cloneable arguments
+     * @param {string} functionName
+     * @returns {Promise<any>} the value returned by the function
+     */
+    execute$(args = [], functionName = 'exec') {
+        return this.pool.execute$(this.ruleId, args, functionName);
+    }
+
+    /**
+     * Unloads the rule from the workers
+     */
+    destroy() {
+        this.pool.unload(this.ruleId);
+    }
+}
+
+/**
+ * @returns {WorkerVm}
+ */
+module.exports = WorkerVm;
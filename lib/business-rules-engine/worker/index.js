@@ -0,0 +1,21 @@
+"use strict";
+
+const WorkerPool = require('./WorkerPool');
+const WorkerVm = require('./WorkerVm');
+
+module.exports = {
+    /**
+     * Pool of worker threads executing business rules.
+     * @type {WorkerPool}
+     * @memberof module:business-rules-engine
+     * @see WorkerPool
+     */
+    WorkerPool,
+    /**
+     * VM of a rule executed on a WorkerPool.
+     * @type {WorkerVm}
+     * @memberof module:business-rules-engine
+     * @see WorkerVm
+     */
+    WorkerVm
+};
@@ -0,0 +1,393 @@
+'use strict'
+
+const { Observable, Subscription, of, from, defer, isObservable, EMPTY } = require('rxjs');
+const { mergeMap, map, catchError, last, tap, finalize } = require('rxjs/operators');
+const CqrsResponseHelper = require('./CqrsResponseHelper');
+const SchemaValidator = require('./SchemaValidator');
+const CqrsStream = require('./CqrsStream');
+const FlowController = require('../broker/FlowController');
+const { RoleValidator } = require('../auth');
+const { PERMISSION_DENIED, RateLimitedError, NotFoundError } = require('../error');
+const { ConsoleLogger } = require('../log');
+
+const { OVERFLOW_POLICIES } = FlowController;
+
+/**
+ * Error used when the user does not have the required roles of the handler
+ */
+const DEFAULT_PERMISSION_DENIED_ERROR = {
+    name: 'PermissionDenied',
+    code: PERMISSION_DENIED,
+    description: 'the user does not have the needed roles to execute this task'
+};
+
+/**
+ * CQRS request/response server.
+ * Listens the request topics of any broker from the BrokerFactory, dispatches every request to the handler registered
+ * for its type, verifies the handler required roles, wraps the result with CqrsResponseHelper and replies using
+ * the request ID as correlationId
+ */
+class CqrsRequestRouter {
+
+    /**
+     * @param {Object} options
+     * @param {Broker} options.broker broker to listen requests and send replies
+     * @param {string[]} options.requestTopics topics to listen requests
+     * @param {string} [options.responseTopic] topic to send the replies, the request attributes.replyTo has precedence.
+     *  requests without reply topic are not replied
+     * @param {string} [options.responseType] type of the reply messages. defaults to the request type
+     * @param {string} [options.name] context name used on errors and logs
+     * @param {function} [options.getAuthToken] (message) => authToken. defaults to message.data.authToken or message.authToken
+     * @param {function} [options.getUserRoles] (authToken, message) => roles. defaults to authToken.realm_access.roles
+     * @param {function} [options.getPrincipal] (authToken, message) => { roles, permissions, attributes } used by the handlers access requirements.
+     *  defaults to the user roles, authToken.permissions and the authToken as attributes
+     * @param {function} [options.getAuditPrincipal] (authToken, message) => who is recorded on the authorization audit, see AuthorizationAuditor.
+     *  defaults to { id: authToken.sub, username: authToken.preferred_username }
+     * @param {number} [options.maxConcurrency] default max requests handled at the same time by every handler. defaults to unlimited
+     * @param {number} [options.maxQueueSize] default max requests waiting their turn by handler, 0 = unlimited. defaults to env BROKER_MAX_QUEUE_SIZE or 1000
+     * @param {string} [options.overflowPolicy] default policy when the queue of a handler is full: DROP_NEWEST or DROP_OLDEST. defaults to DROP_NEWEST.
+     *  dropped requests are nak'd when the broker is on MANUAL ack mode, otherwise they are replied with a RateLimitedError
+     */
+    constructor({
+        broker,
+        requestTopics,
+        responseTopic,
+        responseType,
+        name = 'CqrsRequestRouter',
+        getAuthToken = CqrsRequestRouter.getAuthToken,
+        getUserRoles = CqrsRequestRouter.getUserRoles,
+        getPrincipal,
+        getAuditPrincipal = CqrsRequestRouter.getAuditPrincipal,
+        maxConcurrency = Number.POSITIVE_INFINITY,
+        maxQueueSize = FlowController.DEFAULT_FLOW_CONTROL_OPS.maxQueueSize,
+        overflowPolicy = OVERFLOW_POLICIES.DROP_NEWEST
+    }) {
+        CqrsRequestRouter.verifyOverflowPolicy(name, overflowPolicy);
+        this.broker = broker;
+        this.requestTopics = requestTopics;
+        this.responseTopic = responseTopic;
+        this.responseType = responseType;
+        this.name = name;
+        this.getAuthToken = getAuthToken;
+        this.getUserRoles = getUserRoles;
+        this.getPrincipal = getPrincipal || ((authToken, message) => ({
+            roles: this.getUserRoles(authToken, message),
+            permissions: (authToken || {}).permissions || [],
+            attributes: authToken || {}
+        }));
+        this.getAuditPrincipal = getAuditPrincipal;
+        this.maxConcurrency = maxConcurrency;
+        this.maxQueueSize = maxQueueSize;
+        this.overflowPolicy = overflowPolicy;
+        /**
+         * Map of registered handlers by message type
+         */
+        this.handlers = {};
+        this.subscription = null;
+    }
+
+    /**
+     * Registers the handler of a message type
+     * @param {string} type message type
+     * @param {function} handler (data, authToken, message) => result. may return an Observable, a Promise or a value.
+     *  data is the request data as validated by the schema, if any
+     * @param {Object} [ops]
+     * @param {string[]} [ops.requiredRoles] the user must have at least one of these roles, empty to skip the verification
+     * @param {Object} [ops.access] access requirements verified besides requiredRoles, see RoleValidator.checkAccess:
+     *  { roles, permissions, mode, conditions, bypassRoles, getResource }. getResource: (data, message) => resource used by the conditions, defaults to the request data
+     * @param {Object} [ops.permissionDeniedError] {name, code, description} error replied when the user does not have the required roles
+     * @param {number} [ops.maxConcurrency] max requests of this type handled at the same time, the rest wait their turn.
+     *  defaults to the router maxConcurrency
+     * @param {number} [ops.maxQueueSize] max requests of this type waiting their turn. defaults to the router maxQueueSize
+     * @param {string} [ops.overflowPolicy] DROP_NEWEST or DROP_OLDEST. defaults to the router overflowPolicy
+     * @param {Object|SchemaValidator} [ops.schema] schema of the request data, see SchemaValidator.
+     *  invalid requests are replied with a ValidationError without executing the handler
+     * @param {boolean|Object} [ops.stream] replies every item emitted by the handler as a chunked stream, see CqrsStream.
+     *  { chunkSize } sets the max items by chunk
+     * @returns {CqrsRequestRouter} this router, so registrations can be chained
+     */
+    registerHandler(type, handler, { requiredRoles = [], permissionDeniedError = DEFAULT_PERMISSION_DENIED_ERROR, maxConcurrency = this.maxConcurrency, maxQueueSize = this.maxQueueSize, overflowPolicy = this.overflowPolicy, schema, stream = false, access } = {}) {
+        if (typeof handler !== 'function') {
+            throw new Error(`${this.name}.registerHandler: handler of ${type} must be a function`);
+        }
+        if (this.handlers[type]) {
+            throw new Error(`${this.name}.registerHandler: handler of ${type} already registered`);
+        }
+        CqrsRequestRouter.verifyOverflowPolicy(`${this.name}.registerHandler`, overflowPolicy);
+        this.handlers[type] = {
+            handler,
+            requiredRoles,
+            maxConcurrency,
+            maxQueueSize,
+            overflowPolicy,
+            validator: !schema || schema instanceof SchemaValidator ? schema : new SchemaValidator(schema, { name: `${this.name}.${type}` }),
+            stream: stream === true ? {} : stream,
+            access,
+            permissionDeniedError: {
+                name: permissionDeniedError.name,
+                code: permissionDeniedError.code,
+                description: permissionDeniedError.description || permissionDeniedError.message
+            }
+        };
+        return this;
+    }
+
+    /**
+     * Returns an Observable that listens the request topics and handles every request of the registered types,
+     * the requests of unknown types are rejected, see rejectUnknownRequest.
+     * Every type is handled on its own lane bounded by the handler maxConcurrency, so a burst of one type can not starve the others.
+     * The requests over maxConcurrency wait on a queue of up to maxQueueSize requests, the overflowPolicy drops the rest, see dropRequest.
+     * Emits {message, response} for every handled request
+     */
+    start$() {
+        return new Observable(subscriber => {
+            const lanes = {};
+            const handling = new Subscription();
+            let listening = true;
+            const completeIfIdle = () => {
+                const idle = Object.values(lanes).every(lane => lane.inFlight === 0 && lane.queue.length === 0);
+                if (!listening && idle) subscriber.complete();
+            };
+            const deliver = message => release => {
+                // queued requests may be released once the subscriber is gone
+                if (handling.closed) return;
+                const request = this.handleRequest$(message).pipe(
+                    finalize(() => {
+                        release();
+                        completeIfIdle();
+                    })
+                ).subscribe(result => subscriber.next(result));
+                if (!request.closed) {
+                    handling.add(request);
+                    request.add(() => handling.remove(request));
+                }
+            };
+            handling.add(this.broker.getMessageListener$(this.requestTopics).subscribe(
+                message => !this.handlers[message.type]
+                    ? this.rejectUnknownRequest(message)
+                    : this.getLane(lanes, message.type).submit(deliver(message), () => this.dropRequest(message, !handling.closed)),
+                err => subscriber.error(err),
+                () => {
+                    listening = false;
+                    completeIfIdle();
+                }
+            ));
+            return () => {
+                handling.unsubscribe();
+                Object.values(lanes).forEach(lane => lane.clear());
+            };
+        });
+    }
+
+    /**
+     * Returns the flow controller bounding the requests of the given type
+     * @param {Object} lanes flow controllers by message type
+     * @param {string} type message type
+     * @returns {FlowController}
+     */
+    getLane(lanes, type) {
+        if (!lanes[type]) {
+            const { maxConcurrency, maxQueueSize, overflowPolicy } = this.handlers[type];
+            lanes[type] = new FlowController({ maxInFlight: Number.isFinite(maxConcurrency) ? maxConcurrency : 0, maxQueueSize, overflowPolicy });
+        }
+        return lanes[type];
+    }
+
+    /**
+     * Handles a request dropped by the overflow policy of its lane, or discarded when the router stops:
+     * the request is nak'd when the broker is on MANUAL ack mode so it is redelivered later,
+     * otherwise a dropped request is replied with a RateLimitedError
+     * @param {Object} message incoming request
+     * @param {boolean} listening false if the router stopped
+     */
+    dropRequest(message, listening) {
+        ConsoleLogger.w(`${this.name}: ${message.type} request ${message.id} dropped, ${listening ? 'too many requests waiting' : 'the router stopped'}`);
+        if (message.nak) {
+            message.nak();
+            return;
+        }
+        if (!listening) return;
+        CqrsResponseHelper.handleError$(new RateLimitedError(`${this.name}.${message.type}`)).pipe(
+            mergeMap(response => this.reply$(message, response))
+        ).subscribe(
+            () => { },
+            err => ConsoleLogger.e(`${this.name}: failed to reply ${message.type} request ${message.id}`, err)
+        );
+    }
+
+    /**
+     * Handles a request without registered handler: it is replied with a NotFoundError,
+     * and terminated when the broker is on MANUAL ack mode so it is routed to the dead-letter policy instead of being redelivered
+     * @param {Object} message incoming request
+     */
+    rejectUnknownRequest(message) {
+        ConsoleLogger.w(`${this.name}: ${message.type} request ${message.id} rejected, there is no handler registered for its type`);
+        const error = new NotFoundError(`${this.name}.${message.type}`, `there is no handler registered for the request type ${message.type}`);
+        const terminate = () => message.term && message.term(error);
+        CqrsResponseHelper.handleError$(error).pipe(
+            mergeMap(response => this.reply$(message, response))
+        ).subscribe(
+            () => { },
+            err => {
+                ConsoleLogger.e(`${this.name}: failed to reply ${message.type} request ${message.id}`, err);
+                terminate();
+            },
+            terminate
+        );
+    }
+
+    /**
+     * Starts listening requests
+     * @returns {CqrsRequestRouter} this router
+     */
+    start() {
+        if (this.subscription) return this;
+        this.subscription = this.start$().subscribe(
+            () => { },
+            (err) => ConsoleLogger.e(`${this.name}: request listener stopped`, err)
+        );
+        ConsoleLogger.i(`${this.name}: listening ${Object.keys(this.handlers).join(', ')} requests on ${this.requestTopics.join(', ')}`);
+        return this;
+    }
+
+    /**
+     * Stops listening requests
+     */
+    stop() {
+        if (!this.subscription) return;
+        this.subscription.unsubscribe();
+        this.subscription = null;
+    }
+
+    /**
+     * Handles a request: verifies the roles, executes the handler and replies the response.
+     * Never throws, failed replies are logged and the request is nak'd when the broker is on MANUAL ack mode
+     * @param {Object} message incoming request
+     * @returns {Observable} emits {message, response}
+     */
+    handleRequest$(message) {
+        const reply$ = this.handlers[message.type].stream
+            ? this.replyStream$(message).pipe(map(response => ({ message, response })))
+            : this.buildResponse$(message).pipe(
+                mergeMap(response => this.reply$(message, response).pipe(map(() => ({ message, response }))))
+            );
+        return reply$.pipe(
+            tap(() => message.ack && message.ack()),
+            catchError(err => {
+                ConsoleLogger.e(`${this.name}: failed to reply ${message.type} request ${message.id}`, err);
+                if (message.nak) message.nak();
+                return EMPTY;
+            })
+        );
+    }
+
+    /**
+     * Verifies the roles, validates the request data and executes the handler of the message
+     * @param {Object} message incoming request
+     * @returns {Observable} emits the handler results
+     */
+    execute$(message) {
+        const { handler, requiredRoles, permissionDeniedError, validator, access } = this.handlers[message.type];
+        return defer(() => {
+            const authToken = this.getAuthToken(message);
+            const method = `${this.name}.${message.type}`;
+            const audit = { principal: this.getAuditPrincipal(authToken, message), correlationId: message.id };
+            const verification$ = requiredRoles.length === 0
+                ? of(true)
+                : RoleValidator.verifyRoles$(this.getUserRoles(authToken, message), method, permissionDeniedError, requiredRoles, audit);
+            return verification$.pipe(
+                mergeMap(() => !access ? of(true) : RoleValidator.verifyAccess$(this.getPrincipal(authToken, message), method, permissionDeniedError, {
+                    ...access,
+                    resource: access.getResource ? access.getResource(message.data, message) : message.data
+                }, audit)),
+                mergeMap(() => validator ? validator.validate$(message.data) : of(message.data)),
+                // the handler receives the validated data, with the defaults and normalizations of the schema
+                mergeMap(data => CqrsRequestRouter.toObservable(handler(data, authToken, message)))
+            );
+        });
+    }
+
+    /**
+     * Executes the handler of the message and builds the CQRS response with its last result
+     * @param {Object} message incoming request
+     */
+    buildResponse$(message) {
+        return this.execute$(message).pipe(
+            last(null, null),
+            mergeMap(result => CqrsResponseHelper.buildSuccessResponse$(result)),
+            catchError(err => CqrsResponseHelper.handleError$(err))
+        );
+    }
+
+    /**
+     * Executes the handler of the message and replies every result as a chunked stream, see CqrsStream
+     * @param {Object} message incoming request
+     * @returns {Observable} emits { chunks, items } once the stream is replied
+     */
+    replyStream$(message) {
+        const replyTopic = (message.attributes || {}).replyTo || this.responseTopic;
+        const items$ = this.execute$(message);
+        if (!replyTopic) return items$.pipe(last(null, null), map(() => ({ chunks: 0, items: 0 })));
+        const { chunkSize } = this.handlers[message.type].stream;
+        return CqrsStream.send$(this.broker, replyTopic, this.responseType || message.type, items$, { correlationId: message.id, chunkSize });
+    }
+
+    /**
+     * Sends the response to the reply topic, using the request ID as correlationId
+     * @param {Object} message incoming request
+     * @param {Object} response CQRS response
+     * @returns {Observable} resolves to the sent reply ID, or null if the request does not expect a reply
+     */
+    reply$(message, response) {
+        const replyTopic = (message.attributes || {}).replyTo || this.responseTopic;
+        if (!replyTopic) return of(null);
+        return this.broker.send$(replyTopic, this.responseType || message.type, response, { correlationId: message.id });
+    }
+
+    /**
+     * Throws if the overflow policy can not be used by the router lanes.
+     * BLOCK is not supported, the broker listener can not be paused
+     */
+    static verifyOverflowPolicy(method, overflowPolicy) {
+        if (overflowPolicy !== OVERFLOW_POLICIES.DROP_NEWEST && overflowPolicy !== OVERFLOW_POLICIES.DROP_OLDEST) {
+            throw new Error(`${method}: invalid overflowPolicy ${overflowPolicy}, valid options: ${OVERFLOW_POLICIES.DROP_NEWEST}, ${OVERFLOW_POLICIES.DROP_OLDEST}`);
+        }
+    }
+
+    /**
+     * Default auth token extractor
+     * @param {Object} message incoming request
+     */
+    static getAuthToken(message) {
+        return (message.data && message.data.authToken) || message.authToken || null;
+    }
+
+    /**
+     * Default user roles extractor, reads the Keycloak realm roles
+     * @param {Object} authToken
+     */
+    static getUserRoles(authToken) {
+        return ((authToken || {}).realm_access || {}).roles || [];
+    }
+
+    /**
+     * Default audited principal extractor, reads the Keycloak user ID and username
+     * @param {Object} authToken
+     */
+    static getAuditPrincipal(authToken) {
+        const { sub, preferred_username } = authToken || {};
+        return { id: sub, username: preferred_username };
+    }
+
+    /**
+     * Converts the handler result into an Observable
+     */
+    static toObservable(result) {
+        return isObservable(result) || result instanceof Promise ? from(result) : of(result);
+    }
+};
+
+/**
+ * @returns {CqrsRequestRouter}
+ */
+module.exports = CqrsRequestRouter;
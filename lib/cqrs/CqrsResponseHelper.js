@@ -1,9 +1,14 @@
 'use strinct'
 
-const { of } = require('rxjs');
+const { of, throwError } = require('rxjs');
 const { map } = require('rxjs/operators');
 const { CustomError } = require('../error/CustomError');
+const { ValidationError } = require('../error/TypedErrors');
 
+/**
+ * detailed errors expose internals (stack traces, methods, causes) to the clients, so they must be enabled explicitly
+ */
+const isDetailedErrors = () => process.env.CQRS_DETAILED_ERRORS === 'true';
 
 /**
  * CQRS Response tools
@@ -24,6 +29,62 @@ class CqrsResponseHelper {
         );
     };
 
+    /**
+     * Builds an CQRS success response of an offset paginated list
+     * @param {Object[]} items items of the page
+     * @param {Object} page
+     * @param {number} page.offset index of the first item of the page
+     * @param {number} page.limit max items by page
+     * @param {number} [page.totalCount] total items of the list, hasMore is estimated from the page size if unknown
+     * @returns {Observable} { data: { items, totalCount, offset, limit, hasMore }, result: { code: 200 } }
+     */
+    static buildOffsetPageResponse$(items, { offset = 0, limit = items.length, totalCount } = {}) {
+        const hasMore = totalCount !== undefined ? offset + items.length < totalCount : items.length >= limit;
+        return CqrsResponseHelper.buildSuccessResponse$({ items, totalCount, offset, limit, hasMore });
+    }
+
+    /**
+     * Builds an CQRS success response of a cursor paginated list.
+     * query limit + 1 items: the extra item tells whether there are more pages and is not replied
+     * @param {Object[]} items items of the page, up to limit + 1
+     * @param {Object} page
+     * @param {number} page.limit max items by page
+     * @param {function} [page.getCursor] (item) => cursor value of the item, eg: its sort key. defaults to item._id
+     * @param {number} [page.totalCount] total items of the list
+     * @returns {Observable} { data: { items, totalCount, nextCursor, hasMore }, result: { code: 200 } }
+     */
+    static buildCursorPageResponse$(items, { limit = items.length, getCursor = item => item._id, totalCount } = {}) {
+        const hasMore = items.length > limit;
+        const pageItems = hasMore ? items.slice(0, limit) : items;
+        const nextCursor = hasMore && pageItems.length > 0 ? CqrsResponseHelper.encodeCursor(getCursor(pageItems[pageItems.length - 1])) : null;
+        return CqrsResponseHelper.buildSuccessResponse$({ items: pageItems, totalCount, nextCursor, hasMore });
+    }
+
+    /**
+     * Encodes a cursor value as an opaque URL safe string
+     * @param {*} value JSON serializable value
+     */
+    static encodeCursor(value) {
+        return Buffer.from(JSON.stringify(value)).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decodes a cursor built with encodeCursor, throws a ValidationError if the cursor is malformed
+     * @param {string} cursor
+     * @returns {*} the cursor value, or undefined if there is no cursor
+     */
+    static decodeCursor(cursor) {
+        if (!cursor) return undefined;
+        try {
+            return JSON.parse(Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+        } catch (err) {
+            throw new ValidationError('CqrsResponseHelper.decodeCursor', 'Invalid cursor', {
+                cause: err,
+                violations: [{ path: 'cursor', rule: 'cursor', message: 'cursor is malformed', rejectedValue: cursor }]
+            });
+        }
+    }
+
     /**
      * Builds an CQRS error response using the input error and data
      */
@@ -39,22 +100,38 @@ class CqrsResponseHelper {
     };
 
     /**
-     * gracefully handles an exception on a CQRS request-response stream
+     * gracefully handles an exception on a CQRS request-response stream.
+     * the error content is replied (see CustomError.getContent). if env CQRS_DETAILED_ERRORS is true the error is
+     * serialized with its method, cause chain and stack traces instead (see CustomError.toJSON)
      */
     static handleError$(err) {
         return of(err).pipe(
             map(err => {
-                err = (err instanceof CustomError) ? err : new CustomError(err.message);
+                err = (err instanceof CustomError) ? err : new CustomError(err.message, undefined, undefined, undefined, { cause: err });
                 return {
                     data: null,
                     result: {
                         code: err.code,
-                        error: { ...err.getContent() }
+                        error: { ...(isDetailedErrors() ? err.toJSON() : err.getContent()) }
                     }
                 }
             })
         );
     }
+
+    /**
+     * Caller side of a CQRS request-response: emits the response data, or throws the replied error rebuilt as
+     * its typed error (see CustomError.fromJSON)
+     * eg: broker.sendAndGetReply$(...).pipe(mergeMap(CqrsResponseHelper.unwrapResponse$))
+     * @param {Object} response {data, result: {code, error}}
+     */
+    static unwrapResponse$(response) {
+        const { data, result = {} } = response || {};
+        if (result.error || (result.code !== undefined && result.code !== 200)) {
+            return throwError(CustomError.fromJSON(result.error || { code: result.code }));
+        }
+        return of(data);
+    }
 };
 
 /**
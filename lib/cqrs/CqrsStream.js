@@ -0,0 +1,145 @@
+'use strict'
+
+const { defer, concat, from, Subject, EMPTY } = require('rxjs');
+const { bufferCount, concatMap, ignoreElements, catchError, mergeMap, map, filter, timeout, takeWhile, last, finalize } = require('rxjs/operators');
+const CqrsResponseHelper = require('./CqrsResponseHelper');
+
+/**
+ * Default max items by chunk
+ */
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.CQRS_STREAM_CHUNK_SIZE || 100);
+
+/**
+ * Chunked streaming responses over the broker.
+ * Every frame is a CQRS response sent with the request ID as correlationId:
+ *  { data: [items], result: { code: 200 }, stream: { seq, last: false } }
+ * and the stream ends with a terminal frame, which carries the error response if the stream failed:
+ *  { data: [], result: { code: 200 }, stream: { seq, last: true, items } }
+ *  { data: null, result: { code, error }, stream: { seq, last: true } }
+ * Frames may arrive out of order, the receiver reassembles them by seq
+ */
+class CqrsStream {
+
+    /**
+     * Sends the items as sequenced chunks followed by the terminal frame
+     * @param {Broker} broker
+     * @param {string} topic reply topic
+     * @param {string} type type of the frames
+     * @param {Observable} items$ items to send
+     * @param {Object} [ops]
+     * @param {string} [ops.correlationId] ID of the request message
+     * @param {number} [ops.chunkSize] max items by chunk. defaults to env CQRS_STREAM_CHUNK_SIZE or 100
+     * @returns {Observable} emits { chunks, items } once the terminal frame is sent
+     */
+    static send$(broker, topic, type, items$, { correlationId, chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+        return defer(() => {
+            let seq = 0;
+            let items = 0;
+            const sendFrame$ = (data, result, isLast) => broker.send$(
+                topic,
+                type,
+                { data, result, stream: { seq: seq++, last: isLast, ...(isLast && !result.error ? { items } : {}) } },
+                { correlationId }
+            );
+            const chunks$ = items$.pipe(
+                bufferCount(chunkSize),
+                concatMap(chunk => {
+                    items += chunk.length;
+                    return sendFrame$(chunk, { code: 200 }, false);
+                }),
+                ignoreElements()
+            );
+            return concat(chunks$, defer(() => sendFrame$([], { code: 200 }, true))).pipe(
+                catchError(err => CqrsResponseHelper.handleError$(err).pipe(
+                    mergeMap(({ data, result }) => sendFrame$(data, result, true))
+                )),
+                last(),
+                map(() => ({ chunks: seq, items }))
+            );
+        });
+    }
+
+    /**
+     * Reassembles the stream replied to the given request, emitting its items in order.
+     * Throws the replied error (see CustomError.fromJSON) if the stream failed
+     * @param {Broker} broker
+     * @param {string} topic reply topic
+     * @param {string} correlationId ID of the request message
+     * @param {Object} [ops]
+     * @param {number} [ops.timeout] max millis between frames. defaults to the broker replyTimeout
+     * @param {boolean} [ops.ignoreSelfEvents] ignore frames sent by this broker. defaults to true
+     */
+    static receive$(broker, topic, correlationId, { timeout: frameTimeout = broker.replyTimeout, ignoreSelfEvents = true } = {}) {
+        return CqrsStream.reassemble$(broker.getMessageListener$([topic], [], ignoreSelfEvents), correlationId, frameTimeout);
+    }
+
+    /**
+     * Sends the request and reassembles its streamed response, see receive$
+     * @param {Broker} broker
+     * @param {string} topic request topic
+     * @param {string} responseTopic reply topic
+     * @param {string} type request type
+     * @param {Object} payload request payload
+     * @param {Object} [ops] see receive$
+     */
+    static request$(broker, topic, responseTopic, type, payload, { timeout: frameTimeout = broker.replyTimeout, ignoreSelfEvents = true } = {}) {
+        return broker.detachLogContext$(() => broker.configMessageListener$([responseTopic])).pipe(
+            mergeMap(() => {
+                // frames received before the request ID is known are kept until then
+                let requestId = null;
+                const early = [];
+                const frames$ = new Subject();
+                const listening = broker.getMessageListener$([responseTopic], [], ignoreSelfEvents).subscribe(
+                    message => requestId ? frames$.next(message) : early.push(message),
+                    err => frames$.error(err)
+                );
+                return broker.send$(topic, type, payload).pipe(
+                    mergeMap(messageId => {
+                        requestId = messageId;
+                        return CqrsStream.reassemble$(concat(defer(() => from(early.splice(0))), frames$), messageId, frameTimeout);
+                    }),
+                    finalize(() => listening.unsubscribe())
+                );
+            })
+        );
+    }
+
+    /**
+     * Emits the items of the frames of the request in order
+     * @param {Observable} messages$ incoming messages
+     * @param {string} correlationId ID of the request message
+     * @param {number} frameTimeout max millis between frames
+     */
+    static reassemble$(messages$, correlationId, frameTimeout) {
+        return defer(() => {
+            const pending = {};
+            let nextSeq = 0;
+            return messages$.pipe(
+                filter(message => message.correlationId === correlationId && message.data && message.data.stream),
+                timeout(frameTimeout),
+                // duplicated frames (redeliveries) are ignored
+                filter(({ data }) => data.stream.seq >= nextSeq && !pending[data.stream.seq]),
+                mergeMap(({ data }) => {
+                    pending[data.stream.seq] = data;
+                    const ready = [];
+                    while (pending[nextSeq]) {
+                        ready.push(pending[nextSeq]);
+                        delete pending[nextSeq];
+                        nextSeq++;
+                    }
+                    return from(ready);
+                }),
+                takeWhile(frame => !frame.stream.last, true),
+                concatMap(frame => CqrsResponseHelper.unwrapResponse$(frame)),
+                concatMap(items => items ? from(items) : EMPTY)
+            );
+        });
+    }
+}
+
+CqrsStream.DEFAULT_CHUNK_SIZE = DEFAULT_CHUNK_SIZE;
+
+/**
+ * @returns {CqrsStream}
+ */
+module.exports = CqrsStream;
@@ -0,0 +1,127 @@
+'use strict'
+
+const { of, throwError } = require('rxjs');
+const { ValidationError } = require('../error');
+
+/**
+ * Type checks by type name
+ */
+const TYPES = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && !isNaN(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+};
+
+const describe = value => JSON.stringify(value);
+
+/**
+ * Declarative validator of command payloads.
+ * The schema is the map of the payload fields, every field supports the rules:
+ *  - required: the field must be present (not undefined nor null)
+ *  - type: string, number, integer, boolean, object or array
+ *  - enum: allowed values
+ *  - min, max: number bounds
+ *  - minLength, maxLength, pattern: string rules
+ *  - minItems, maxItems, items: array rules, items is the schema of every item
+ *  - properties, additionalProperties: object rules, properties is the map of the object fields.
+ *    additionalProperties: false rejects the fields not listed
+ *  - validate: (value, payload) => true, or the violation message
+ * eg: { plate: { type: 'string', required: true, pattern: /^[A-Z]{3}\d{3}$/ }, tags: { type: 'array', items: { type: 'string' } } }
+ */
+class SchemaValidator {
+
+    /**
+     * @param {Object} schema map of the payload fields
+     * @param {Object} [ops]
+     * @param {boolean} [ops.additionalProperties] whether the payload may have fields out of the schema. defaults to true
+     * @param {string} [ops.name] method reported on the ValidationError
+     */
+    constructor(schema, { additionalProperties = true, name = 'SchemaValidator.validate' } = {}) {
+        this.schema = { type: 'object', required: true, properties: schema, additionalProperties };
+        this.name = name;
+    }
+
+    /**
+     * Returns the violations of the payload
+     * @param {Object} payload
+     * @returns {Object[]} [{ path, rule, message, rejectedValue }], empty if the payload is valid
+     */
+    validate(payload) {
+        const violations = [];
+        this.validateValue(this.schema, payload, '', payload, violations);
+        return violations;
+    }
+
+    /**
+     * Throws a ValidationError with every violation of the payload
+     * @param {Object} payload
+     * @returns {Object} the payload
+     */
+    assert(payload) {
+        const violations = this.validate(payload);
+        if (violations.length > 0) {
+            throw new ValidationError(this.name, {}, { violations });
+        }
+        return payload;
+    }
+
+    /**
+     * Emits the payload, or throws a ValidationError with every violation of the payload
+     * @param {Object} payload
+     */
+    validate$(payload) {
+        const violations = this.validate(payload);
+        return violations.length > 0
+            ? throwError(new ValidationError(this.name, {}, { violations }))
+            : of(payload);
+    }
+
+    validateValue(schema, value, path, payload, violations) {
+        const violate = (rule, message) => violations.push({ path: path || '$', rule, message: `${path || 'payload'} ${message}`, rejectedValue: value });
+        if (value === undefined || value === null) {
+            if (schema.required) violate('required', 'is required');
+            return;
+        }
+        if (schema.type && !TYPES[schema.type](value)) {
+            violate('type', `must be of type ${schema.type}`);
+            return;
+        }
+        if (schema.enum && schema.enum.indexOf(value) === -1) violate('enum', `must be one of ${schema.enum.map(describe).join(', ')}`);
+        if (schema.min !== undefined && value < schema.min) violate('min', `must be greater than or equal to ${schema.min}`);
+        if (schema.max !== undefined && value > schema.max) violate('max', `must be less than or equal to ${schema.max}`);
+        if (schema.minLength !== undefined && value.length < schema.minLength) violate('minLength', `must have at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) violate('maxLength', `must have at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) violate('pattern', `must match ${schema.pattern}`);
+        if (schema.minItems !== undefined && value.length < schema.minItems) violate('minItems', `must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) violate('maxItems', `must have at most ${schema.maxItems} items`);
+        if (schema.items && Array.isArray(value)) {
+            value.forEach((item, index) => this.validateValue(schema.items, item, `${path}[${index}]`, payload, violations));
+        }
+        if (schema.properties) {
+            const properties = schema.properties;
+            Object.keys(properties).forEach(key => this.validateValue(properties[key], value[key], path ? `${path}.${key}` : key, payload, violations));
+            if (schema.additionalProperties === false) {
+                Object.keys(value).filter(key => !properties[key]).forEach(key => violations.push({
+                    path: path ? `${path}.${key}` : key,
+                    rule: 'additionalProperties',
+                    message: `${path ? `${path}.${key}` : key} is not allowed`,
+                    rejectedValue: value[key],
+                }));
+            }
+        }
+        if (schema.validate) {
+            const result = schema.validate(value, payload);
+            if (result !== true && result !== undefined) violate('validate', typeof result === 'string' ? result : 'is invalid');
+        }
+    }
+}
+
+SchemaValidator.TYPES = TYPES;
+
+/**
+ * @returns {SchemaValidator}
+ */
+module.exports = SchemaValidator;
@@ -2,7 +2,13 @@
 
 
 const CqrsResponseHelper = require("./CqrsResponseHelper");
+const CqrsRequestRouter = require("./CqrsRequestRouter");
+const SchemaValidator = require("./SchemaValidator");
+const CqrsStream = require("./CqrsStream");
 
 module.exports = {
-    CqrsResponseHelper
+    CqrsResponseHelper,
+    CqrsRequestRouter,
+    SchemaValidator,
+    CqrsStream
 };
@@ -1,23 +1,115 @@
-const INTERNAL_SERVER_ERROR_CODE = 00001;
-const PERMISSION_DENIED = 00002;
+const Redactor = require('../log/Redactor');
+
+const INTERNAL_SERVER_ERROR_CODE = 1;
+const PERMISSION_DENIED = 2;
+
+/**
+ * stack traces are not serialized on production, so internals are not exposed to the clients
+ */
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * removes the undefined fields
+ */
+const compact = (obj) => Object.keys(obj).reduce((acc, key) => {
+  if (obj[key] !== undefined) acc[key] = obj[key];
+  return acc;
+}, {});
 
 /**
  * Custom Error
  */
 class CustomError extends Error {
-  constructor(name, method, code = INTERNAL_SERVER_ERROR_CODE, message = '') {
-    super(message);
+  /**
+   * @param {string} name error name
+   * @param {string} method the Class name and Method where this error had generated
+   * @param {number} code error code
+   * @param {string} message error message
+   * @param {Object} [ops]
+   * @param {Error} [ops.cause] error that caused this one
+   * @param {*} [ops.details] details for the clients, eg: the invalid fields
+   * @param {Object} [ops.metadata] arbitrary metadata, eg: { vehicleId }
+   */
+  constructor(name, method, code = INTERNAL_SERVER_ERROR_CODE, message = '', { cause, details, metadata } = {}) {
+    super(message, cause !== undefined ? { cause } : undefined);
+    // runtimes without Error cause support ignore the option
+    if (cause !== undefined) this.cause = cause;
     this.code = code;
     this.name = name;
     this.method = method;
+    if (details !== undefined) this.details = details;
+    if (metadata !== undefined) this.metadata = metadata;
   }
 
+  /**
+   * Returns the error content sent to the clients, its sensitive values are redacted (see Redactor)
+   */
   getContent() {
-    return {
+    return Redactor.getDefault().redact(compact({
+      name: this.name,
+      code: this.code,
+      msg: this.message,
+      details: this.details,
+      metadata: this.metadata,
+    }));
+  }
+
+  /**
+   * Serializes the error with its cause chain, see CustomError.fromJSON.
+   * The stack traces are included unless NODE_ENV is production
+   */
+  toJSON() {
+    return Redactor.getDefault().redact(compact({
       name: this.name,
       code: this.code,
       msg: this.message,
+      method: this.method,
+      details: this.details,
+      metadata: this.metadata,
+      cause: CustomError.serializeCause(this.cause),
+      stack: isProduction() ? undefined : this.stack,
+    }));
+  }
+
+  /**
+   * Serializes the cause of an error
+   * @param {*} cause
+   */
+  static serializeCause(cause) {
+    if (cause instanceof CustomError) return cause.toJSON();
+    if (cause instanceof Error) {
+      return compact({
+        name: cause.name,
+        code: cause.code,
+        msg: cause.message,
+        cause: CustomError.serializeCause(cause.cause),
+        stack: isProduction() ? undefined : cause.stack,
+      });
     }
+    return cause;
+  }
+
+  /**
+   * Rebuilds an error serialized with toJSON (or its getContent), eg: the error of a CQRS reply.
+   * Errors registered in the ErrorCatalog are rebuilt as their typed class.
+   * Unless NODE_ENV is production the remote stack trace is kept on top of the local one
+   * @param {Object} json {name, code, msg, method, details, metadata, cause, stack}
+   * @returns {CustomError}
+   */
+  static fromJSON(json) {
+    // required lazily: the catalog errors extend CustomError
+    const ErrorCatalog = require('./ErrorCatalog');
+    const { name, code, msg, method, details, metadata, stack } = json;
+    const cause = json.cause && typeof json.cause === 'object' ? CustomError.fromJSON(json.cause) : json.cause;
+    const ops = { cause, details, metadata };
+    const ErrorClass = ErrorCatalog.DEFAULT_CATALOG.get(code);
+    const error = ErrorClass && (!name || ErrorClass.errorName === name)
+      ? new ErrorClass(method, msg === undefined ? {} : msg, ops)
+      : new CustomError(name || 'CustomError', method, code, msg, ops);
+    if (stack && !isProduction()) {
+      error.stack = `${stack}\n    at <remote boundary>\n${error.stack.split('\n').slice(1).join('\n')}`;
+    }
+    return error;
   }
 }
 
@@ -28,4 +120,4 @@ module.exports = {
   CustomError,
   INTERNAL_SERVER_ERROR_CODE,
   PERMISSION_DENIED,
-} 
\ No newline at end of file
+}
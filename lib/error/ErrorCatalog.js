@@ -0,0 +1,134 @@
+'use strict'
+
+const { KINDS, RESERVED_CODES, describeError } = require('./TypedErrors');
+
+/**
+ * Module of the built-in errors
+ */
+const BUILT_IN_MODULE = 'backend-node-tools';
+
+/**
+ * Registry of the error codes: every code belongs to one error, so codes are stable and unique across modules
+ */
+class ErrorCatalog {
+
+  constructor() {
+    /**
+     * Registered error classes by code
+     */
+    this.errors = new Map();
+  }
+
+  /**
+   * Defines and registers typed error classes.
+   * Throws if any code is already registered by another error, nothing is registered in that case
+   * @param {Object} definitions definitions by error name, eg:
+   *  { VehicleNotFound: { code: 20001, kind: 'NOT_FOUND', message: { en: 'Vehicle {id} not found', es: 'Vehículo {id} no encontrado' } } }
+   *  - code: stable numeric code, out of RESERVED_CODES
+   *  - kind: see KINDS, defines the base class and the default HTTP and gRPC status. defaults to INTERNAL
+   *  - message: message template, or templates by locale. {param} placeholders are replaced by the error params
+   *  - httpStatus, grpcStatus: overrides the status of the kind
+   * @param {Object} [ops]
+   * @param {string} [ops.module] module that owns the errors, reported on code collisions
+   * @returns {Object} error classes by name
+   */
+  defineErrors(definitions, { module = 'default' } = {}) {
+    const names = Object.keys(definitions);
+    names.forEach(name => this.validateDefinition(name, definitions[name], module));
+    names.reduce((codes, name) => {
+      const { code } = definitions[name];
+      if (codes[code]) {
+        throw new Error(`ErrorCatalog: code ${code} of ${module}.${name} is also used by ${module}.${codes[code]}`);
+      }
+      codes[code] = name;
+      return codes;
+    }, {});
+
+    return names.reduce((acc, name) => {
+      const { code, kind = 'INTERNAL', message, httpStatus, grpcStatus } = definitions[name];
+      const Kind = KINDS[kind];
+      // the computed key names the class, so stack traces show it
+      const ErrorClass = { [name]: class extends Kind { } }[name];
+      describeError(ErrorClass, {
+        errorName: name,
+        code,
+        httpStatus: httpStatus !== undefined ? httpStatus : Kind.httpStatus,
+        grpcStatus: grpcStatus !== undefined ? grpcStatus : Kind.grpcStatus,
+        messages: typeof message === 'string' ? { en: message } : (message || Kind.messages),
+      });
+      this.register(ErrorClass, module);
+      acc[name] = ErrorClass;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Registers the error class under its code
+   * @param {function} ErrorClass TypedError class
+   * @param {string} module module that owns the error
+   */
+  register(ErrorClass, module) {
+    const registered = this.errors.get(ErrorClass.code);
+    // the same module may be loaded twice, eg: hot reloads
+    if (registered && (registered.errorName !== ErrorClass.errorName || registered.module !== module)) {
+      throw new Error(`ErrorCatalog: code ${ErrorClass.code} of ${module}.${ErrorClass.errorName} is already registered by ${registered.module}.${registered.errorName}`);
+    }
+    ErrorClass.module = module;
+    this.errors.set(ErrorClass.code, ErrorClass);
+  }
+
+  validateDefinition(name, { code, kind = 'INTERNAL' } = {}, module) {
+    if (!Number.isInteger(code) || code <= 0) {
+      throw new Error(`ErrorCatalog: invalid code ${code} of ${module}.${name}, codes must be positive integers`);
+    }
+    if (code >= RESERVED_CODES.MIN && code <= RESERVED_CODES.MAX && module !== BUILT_IN_MODULE) {
+      throw new Error(`ErrorCatalog: invalid code ${code} of ${module}.${name}, codes ${RESERVED_CODES.MIN}-${RESERVED_CODES.MAX} are reserved to the built-in errors`);
+    }
+    if (!KINDS[kind]) {
+      throw new Error(`ErrorCatalog: invalid kind ${kind} of ${module}.${name}, valid options: ${Object.keys(KINDS).join(', ')}`);
+    }
+    const registered = this.errors.get(code);
+    if (registered && (registered.errorName !== name || registered.module !== module)) {
+      throw new Error(`ErrorCatalog: code ${code} of ${module}.${name} is already registered by ${registered.module}.${registered.errorName}`);
+    }
+  }
+
+  /**
+   * Returns the error class registered under the code
+   * @param {number} code
+   * @returns {function} TypedError class or undefined
+   */
+  get(code) {
+    return this.errors.get(code);
+  }
+
+  /**
+   * Returns the registered errors: [{ code, name, module, httpStatus, grpcStatus }], sorted by code
+   */
+  list() {
+    return [...this.errors.values()]
+      .map(({ code, errorName, module, httpStatus, grpcStatus }) => ({ code, name: errorName, module, httpStatus, grpcStatus }))
+      .sort((a, b) => a.code - b.code);
+  }
+}
+
+/**
+ * Catalog shared by every module of the process, the built-in errors are pre-registered
+ */
+const DEFAULT_CATALOG = new ErrorCatalog();
+Object.values(KINDS).forEach(ErrorClass => DEFAULT_CATALOG.register(ErrorClass, BUILT_IN_MODULE));
+
+ErrorCatalog.DEFAULT_CATALOG = DEFAULT_CATALOG;
+ErrorCatalog.BUILT_IN_MODULE = BUILT_IN_MODULE;
+ErrorCatalog.KINDS = KINDS;
+ErrorCatalog.RESERVED_CODES = RESERVED_CODES;
+
+/**
+ * Defines and registers typed error classes in the default catalog, see ErrorCatalog.defineErrors
+ */
+ErrorCatalog.defineErrors = (definitions, ops) => DEFAULT_CATALOG.defineErrors(definitions, ops);
+
+/**
+ * @returns {ErrorCatalog}
+ */
+module.exports = ErrorCatalog;
@@ -0,0 +1,251 @@
+'use strict'
+
+const { CustomError, INTERNAL_SERVER_ERROR_CODE, PERMISSION_DENIED } = require('./CustomError');
+const Redactor = require('../log/Redactor');
+
+/**
+ * Default locale of the error messages
+ */
+const DEFAULT_LOCALE = process.env.ERROR_LOCALE || 'en';
+
+/**
+ * Block of codes reserved to the built-in errors of this library, services can not define errors there.
+ * InternalServerError (1) and PermissionDenied (2) keep the codes replied by the services before the catalog existed
+ */
+const RESERVED_CODES = {
+  MIN: 10000,
+  MAX: 10999,
+};
+
+/**
+ * gRPC status codes, see https://grpc.github.io/grpc/core/md_doc_statuscodes.html
+ */
+const GRPC_STATUS = {
+  OK: 0,
+  CANCELLED: 1,
+  UNKNOWN: 2,
+  INVALID_ARGUMENT: 3,
+  DEADLINE_EXCEEDED: 4,
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  PERMISSION_DENIED: 7,
+  RESOURCE_EXHAUSTED: 8,
+  FAILED_PRECONDITION: 9,
+  ABORTED: 10,
+  OUT_OF_RANGE: 11,
+  UNIMPLEMENTED: 12,
+  INTERNAL: 13,
+  UNAVAILABLE: 14,
+  DATA_LOSS: 15,
+  UNAUTHENTICATED: 16,
+};
+
+/**
+ * Replaces the {param} placeholders of the template, unknown params are kept as is
+ * @param {string} template eg: 'Vehicle {id} not found'
+ * @param {Object} params eg: { id: 'abc' }
+ */
+const renderTemplate = (template, params = {}) => template.replace(
+  /\{(\w+)\}/g,
+  (placeholder, param) => params[param] === undefined ? placeholder : String(params[param])
+);
+
+/**
+ * CustomError whose name, code, status mapping and message templates are defined by its class,
+ * see ErrorCatalog.defineErrors
+ */
+class TypedError extends CustomError {
+  /**
+   * @param {string} method method where the error was thrown
+   * @param {Object|string} [params] message template params, or the message itself
+   * @param {Object} [ops]
+   * @param {string} [ops.locale] message locale. defaults to env ERROR_LOCALE or en
+   * @param {Error} [ops.cause] error that caused this one
+   * @param {*} [ops.details] details for the clients
+   * @param {Object} [ops.metadata] arbitrary metadata
+   */
+  constructor(method, params = {}, { locale, ...ops } = {}) {
+    const ErrorClass = new.target;
+    const templated = typeof params !== 'string';
+    super(ErrorClass.errorName, method, ErrorClass.code, templated ? ErrorClass.renderMessage(params, locale) : params, ops);
+    this.params = templated ? params : {};
+    this.templated = templated;
+  }
+
+  /**
+   * HTTP status of the error
+   */
+  get httpStatus() {
+    return this.constructor.httpStatus;
+  }
+
+  /**
+   * gRPC status of the error, see GRPC_STATUS
+   */
+  get grpcStatus() {
+    return this.constructor.grpcStatus;
+  }
+
+  /**
+   * Renders the error message in the given locale, errors built with a message instead of params always return it
+   * @param {string} locale eg: 'es'
+   */
+  getMessage(locale) {
+    return this.templated ? this.constructor.renderMessage(this.params, locale) : this.message;
+  }
+
+  /**
+   * Renders the message template of the locale, falling back to the default locale and then to any locale
+   * @param {Object} params template params
+   * @param {string} [locale]
+   */
+  static renderMessage(params, locale = DEFAULT_LOCALE) {
+    const messages = this.messages || {};
+    const template = messages[locale] || messages[DEFAULT_LOCALE] || Object.values(messages)[0] || '';
+    return renderTemplate(template, params);
+  }
+}
+
+/**
+ * Sets the definition of the error class
+ * @param {function} ErrorClass
+ * @param {Object} definition {errorName, code, httpStatus, grpcStatus, messages}
+ */
+const describeError = (ErrorClass, { errorName, code, httpStatus, grpcStatus, messages }) => {
+  Object.assign(ErrorClass, { errorName, code, httpStatus, grpcStatus, messages });
+  return ErrorClass;
+};
+
+class InternalServerError extends TypedError { }
+describeError(InternalServerError, {
+  errorName: 'InternalServerError', code: INTERNAL_SERVER_ERROR_CODE, httpStatus: 500, grpcStatus: GRPC_STATUS.INTERNAL,
+  messages: { en: 'Internal server error', es: 'Error interno del servidor' }
+});
+
+class PermissionDeniedError extends TypedError { }
+describeError(PermissionDeniedError, {
+  errorName: 'PermissionDenied', code: PERMISSION_DENIED, httpStatus: 403, grpcStatus: GRPC_STATUS.PERMISSION_DENIED,
+  messages: { en: 'Permission denied', es: 'Permiso denegado' }
+});
+
+class NotFoundError extends TypedError { }
+describeError(NotFoundError, {
+  errorName: 'NotFound', code: 10003, httpStatus: 404, grpcStatus: GRPC_STATUS.NOT_FOUND,
+  messages: { en: 'Resource not found', es: 'Recurso no encontrado' }
+});
+
+/**
+ * Validation error that aggregates field violations, rendered as the error details:
+ *  [{ path, rule, message, rejectedValue }]
+ */
+class ValidationError extends TypedError {
+  /**
+   * @param {string} method method where the error was thrown
+   * @param {Object|string} [params] message template params, or the message itself
+   * @param {Object} [ops] see TypedError
+   * @param {Object[]} [ops.violations] field violations {path, rule, message, rejectedValue}
+   * @param {Object[]} [ops.details] field violations, used when the error is rebuilt from JSON
+   */
+  constructor(method, params, { violations = [], details = [], ...ops } = {}) {
+    super(method, params, { ...ops, details: [] });
+    [...details, ...violations].forEach(violation => this.addViolation(violation));
+  }
+
+  /**
+   * Field violations
+   * @returns {Object[]} [{ path, rule, message, rejectedValue }]
+   */
+  get violations() {
+    return this.details;
+  }
+
+  /**
+   * Adds a field violation.
+   * the rejected value of sensitive paths (see Redactor) is not kept
+   * @param {Object} violation
+   * @param {string} violation.path field path, eg: 'owner.name' or 'tags[0]'
+   * @param {string} violation.rule violated rule, eg: 'required'
+   * @param {string} violation.message human readable message
+   * @param {*} [violation.rejectedValue] invalid value
+   * @returns {ValidationError} this error, so violations can be chained
+   */
+  addViolation({ path, rule, message, rejectedValue }) {
+    const redactor = Redactor.getDefault();
+    const sensitive = redactor.isRedactedPath(path.replace(/\[(\d+)\]/g, '.$1').toLowerCase().split('.'));
+    this.details.push({ path, rule, message, rejectedValue: sensitive && rejectedValue !== undefined ? redactor.replacement : rejectedValue });
+    return this;
+  }
+
+  /**
+   * Returns whether any violation was added
+   */
+  hasViolations() {
+    return this.details.length > 0;
+  }
+}
+describeError(ValidationError, {
+  errorName: 'Validation', code: 10004, httpStatus: 400, grpcStatus: GRPC_STATUS.INVALID_ARGUMENT,
+  messages: { en: 'Invalid request', es: 'Solicitud inválida' }
+});
+
+class ConflictError extends TypedError { }
+describeError(ConflictError, {
+  errorName: 'Conflict', code: 10005, httpStatus: 409, grpcStatus: GRPC_STATUS.ALREADY_EXISTS,
+  messages: { en: 'Conflict with the current state of the resource', es: 'Conflicto con el estado actual del recurso' }
+});
+
+class UnauthenticatedError extends TypedError { }
+describeError(UnauthenticatedError, {
+  errorName: 'Unauthenticated', code: 10006, httpStatus: 401, grpcStatus: GRPC_STATUS.UNAUTHENTICATED,
+  messages: { en: 'Authentication required', es: 'Autenticación requerida' }
+});
+
+class TimeoutError extends TypedError { }
+describeError(TimeoutError, {
+  errorName: 'Timeout', code: 10007, httpStatus: 504, grpcStatus: GRPC_STATUS.DEADLINE_EXCEEDED,
+  messages: { en: 'Operation timed out', es: 'La operación excedió el tiempo de espera' }
+});
+
+class RateLimitedError extends TypedError { }
+describeError(RateLimitedError, {
+  errorName: 'RateLimited', code: 10008, httpStatus: 429, grpcStatus: GRPC_STATUS.RESOURCE_EXHAUSTED,
+  messages: { en: 'Too many requests', es: 'Demasiadas solicitudes' }
+});
+
+class UnavailableError extends TypedError { }
+describeError(UnavailableError, {
+  errorName: 'Unavailable', code: 10009, httpStatus: 503, grpcStatus: GRPC_STATUS.UNAVAILABLE,
+  messages: { en: 'Service unavailable', es: 'Servicio no disponible' }
+});
+
+/**
+ * Built-in error kinds, the errors defined in the catalog extend one of them
+ */
+const KINDS = {
+  INTERNAL: InternalServerError,
+  PERMISSION_DENIED: PermissionDeniedError,
+  NOT_FOUND: NotFoundError,
+  VALIDATION: ValidationError,
+  CONFLICT: ConflictError,
+  UNAUTHENTICATED: UnauthenticatedError,
+  TIMEOUT: TimeoutError,
+  RATE_LIMITED: RateLimitedError,
+  UNAVAILABLE: UnavailableError,
+};
+
+module.exports = {
+  TypedError,
+  InternalServerError,
+  PermissionDeniedError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  UnauthenticatedError,
+  TimeoutError,
+  RateLimitedError,
+  UnavailableError,
+  KINDS,
+  GRPC_STATUS,
+  RESERVED_CODES,
+  describeError,
+};
@@ -1,9 +1,38 @@
 "use strict";
 
 const { CustomError, INTERNAL_SERVER_ERROR_CODE, PERMISSION_DENIED } = require("./CustomError");
+const ErrorCatalog = require("./ErrorCatalog");
+const {
+    TypedError,
+    InternalServerError,
+    PermissionDeniedError,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    UnauthenticatedError,
+    TimeoutError,
+    RateLimitedError,
+    UnavailableError,
+    GRPC_STATUS,
+    RESERVED_CODES
+} = require("./TypedErrors");
 
 module.exports = {
     CustomError,
     INTERNAL_SERVER_ERROR_CODE,
-    PERMISSION_DENIED
+    PERMISSION_DENIED,
+    ErrorCatalog,
+    defineErrors: ErrorCatalog.defineErrors,
+    TypedError,
+    InternalServerError,
+    PermissionDeniedError,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    UnauthenticatedError,
+    TimeoutError,
+    RateLimitedError,
+    UnavailableError,
+    GRPC_STATUS,
+    RESERVED_CODES
 };
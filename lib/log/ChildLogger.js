@@ -0,0 +1,89 @@
+'use strict'
+
+const { DEBUG, INFO, WARN, ERROR, FATAL } = require('./LogLevels').LEVELS;
+
+/**
+ * Logger that stamps its fields on every line, created using ConsoleLogger.child(fields) or ConsoleLogger.getLogger(name)
+ */
+class ChildLogger {
+
+    /**
+     * @param {ConsoleLogger} logger parent logger
+     * @param {Object} fields context fields stamped on every line
+     * @param {string} [name] logger name, its level is used as threshold
+     */
+    constructor(logger, fields, name) {
+        this.logger = logger;
+        this.fields = fields;
+        this.name = name;
+    }
+
+    /**
+     * Returns a logger with the fields of this logger plus the given ones
+     * @param {Object} fields context fields
+     * @returns {ChildLogger}
+     */
+    child(fields) {
+        return new ChildLogger(this.logger, { ...this.fields, ...fields }, this.name);
+    }
+
+    /**
+     * outputs DEBUG message
+     * @param {string} message
+     * @param {Object} context context fields
+     */
+    d(message, context) {
+        this.log(DEBUG, message, undefined, context);
+    }
+
+    /**
+     * outputs INFO message
+     * @param {string} message
+     * @param {Object} context context fields
+     */
+    i(message, context) {
+        this.log(INFO, message, undefined, context);
+    }
+
+    /**
+     * outputs WARN message
+     * @param {string} message
+     * @param {Error} err
+     * @param {Object} context context fields
+     */
+    w(message, err, context) {
+        this.log(WARN, message, err, context);
+    }
+
+    /**
+     * outputs ERROR message
+     * @param {string} message
+     * @param {Error} err
+     * @param {Object} context context fields
+     */
+    e(message, err, context) {
+        this.log(ERROR, message, err, context);
+    }
+
+    /**
+     * outputs FATAL message
+     * @param {string} message
+     * @param {Error} err
+     * @param {Object} context context fields
+     */
+    f(message, err, context) {
+        this.log(FATAL, message, err, context);
+    }
+
+    /**
+     * outputs message using the parent logger, the given context fields override the fields of this logger
+     */
+    log(level, message, error = undefined, context = undefined) {
+        this.logger.log(level, message, error, { ...this.fields, ...context }, this.name);
+    }
+}
+
+/**
+ * @returns {ChildLogger}
+ */
+module.exports = ChildLogger;
@@ -1,68 +1,268 @@
 'use strict'
 
-const DEBUG = 0;
-const INFO = 1;
-const WARN = 2;
-const ERROR = 3;
-const FATAL = 4;
-const LEVEL_NAMES = ['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'];
-const CURRENT_LEVEL = process.env.LOG_LEVEL ? parseInt(process.env.LOG_LEVEL) : WARN;
+const os = require('os');
+const { filter, map } = require('rxjs/operators');
+const LogFormatter = require('./LogFormatter');
+const LogContext = require('./LogContext');
+const ChildLogger = require('./ChildLogger');
+const LogLevels = require('./LogLevels');
+const Redactor = require('./Redactor');
+const { ConsoleTransport, FileTransport, SyslogTransport } = require('./transports');
+
+const { DEBUG, INFO, WARN, ERROR, FATAL } = LogLevels.LEVELS;
+const LOG_LEVELS = new LogLevels(process.env.LOG_LEVEL, process.env.LOG_LEVELS);
+/**
+ * Message type of the broker control messages that change the log levels
+ */
+const LOG_LEVEL_MESSAGE_TYPE = 'LogLevelChange';
+/**
+ * Named loggers cache
+ */
+const LOGGERS = {};
+let currentFormat = (process.env.LOG_FORMAT || LogFormatter.FORMATS.TEXT).toUpperCase();
+/**
+ * Transports where every entry is written
+ */
+let transports = [
+    new ConsoleTransport(),
+    ...(process.env.LOG_FILE_PATH ? [new FileTransport({ path: process.env.LOG_FILE_PATH })] : []),
+    ...(process.env.LOG_SYSLOG_URL ? [SyslogTransport.fromUrl(process.env.LOG_SYSLOG_URL)] : []),
+];
+// buffered entries are not lost when the process exits
+process.on('exit', () => transports.forEach(transport => transport.flushSync()));
 
 class ConsoleLogger {
 
     /**
      * outputs DEBUG message to the console
-     * @param {string} message 
+     * @param {string} message
+     * @param {Object} context context fields
      */
-    static d(message) {
-        ConsoleLogger.log(DEBUG, message);
+    static d(message, context) {
+        ConsoleLogger.log(DEBUG, message, undefined, context);
     }
 
     /**
      * outputs INFO message to the console
-     * @param {string} message 
+     * @param {string} message
+     * @param {Object} context context fields
      */
-    static i(message) {
-        ConsoleLogger.log(INFO, message);
+    static i(message, context) {
+        ConsoleLogger.log(INFO, message, undefined, context);
     }
 
     /**
      * outputs WARN message to the console
-     * @param {string} message 
-     * @param {Error} err 
+     * @param {string} message
+     * @param {Error} err
+     * @param {Object} context context fields
      */
-    static w(message, err) {
-        ConsoleLogger.log(WARN, message, err);
+    static w(message, err, context) {
+        ConsoleLogger.log(WARN, message, err, context);
     }
 
     /**
      * outputs ERROR message to the console
-     * @param {string} message 
-     * @param {Error} err 
+     * @param {string} message
+     * @param {Error} err
+     * @param {Object} context context fields
      */
-    static e(message, err) {
-        ConsoleLogger.log(ERROR, message, err);
+    static e(message, err, context) {
+        ConsoleLogger.log(ERROR, message, err, context);
     }
 
     /**
      * outputs FATAL message to the console
-     * @param {string} message 
-     * @param {Error} err 
+     * @param {string} message
+     * @param {Error} err
+     * @param {Object} context context fields
+     */
+    static f(message, err, context) {
+        ConsoleLogger.log(FATAL, message, err, context);
+    }
+
+    /**
+     * outputs message to every transport.
+     * the fields of the current async context (see runWithContext) are stamped on the line.
+     * sensitive values of the message, error and context are redacted, see Redactor
+     * @param {number} level
+     * @param {string} message
+     * @param {Error} error
+     * @param {Object} context context fields
+     * @param {string} name logger name, its level is used as threshold
+     */
+    static log(level, message, error = undefined, context = undefined, name = undefined) {
+        if (level < LOG_LEVELS.getLevel(name)) return;
+        const redactor = Redactor.getDefault();
+        const entry = LogFormatter.buildEntry(
+            level,
+            redactor.redactText(message),
+            error,
+            redactor.redact({ ...LogContext.getContext(), ...(name ? { logger: name } : {}), ...context })
+        );
+        if (entry.error) {
+            entry.error.message = redactor.redactText(entry.error.message);
+            entry.error.stack = redactor.redactText(entry.error.stack);
+        }
+        transports.forEach(transport => transport.log(entry, currentFormat));
+    }
+
+    /**
+     * Adds a transport, see lib/log/transports
+     * @param {LogTransport} transport
+     */
+    static addTransport(transport) {
+        transports.push(transport);
+    }
+
+    /**
+     * Removes a transport, flushing its buffered entries
+     * @param {LogTransport} transport
+     * @returns {Promise} resolves once the transport is closed
+     */
+    static removeTransport(transport) {
+        transports = transports.filter(t => t !== transport);
+        return transport.close();
+    }
+
+    /**
+     * Returns the current transports
+     */
+    static getTransports() {
+        return [...transports];
+    }
+
+    /**
+     * Writes the buffered entries of every transport
+     * @returns {Promise} resolves once every buffered entry is written
+     */
+    static flush() {
+        return Promise.all(transports.map(transport => transport.flush()));
+    }
+
+    /**
+     * Returns the named logger, its level is inherited from its ancestors unless it is set with setLevel.
+     * eg: 'broker.nats' inherits the level of 'broker', and 'broker' inherits the root level (LOG_LEVEL)
+     * @param {string} name dot separated logger name, eg: 'broker.nats'
+     * @returns {ChildLogger}
+     */
+    static getLogger(name) {
+        if (!LOGGERS[name]) {
+            LOGGERS[name] = new ChildLogger(ConsoleLogger, {}, name);
+        }
+        return LOGGERS[name];
+    }
+
+    /**
+     * Sets the level of the named logger at runtime
+     * @param {string} name logger name, 'root' for the root logger
+     * @param {string|number} level DEBUG, INFO, WARN, ERROR, FATAL or its number. null to inherit the ancestor level again
      */
-    static f(message, err) {
-        ConsoleLogger.log(FATAL, message, err);
+    static setLevel(name, level) {
+        LOG_LEVELS.setLevel(name, level);
+        ConsoleLogger.log(INFO, `ConsoleLogger: ${name || 'root'} level set to ${level}`);
     }
 
     /**
-     * outputs message to the console
-     * @param {string} message 
+     * Returns the effective level number of the named logger
+     * @param {string} [name] logger name, empty for the root logger
      */
-    static log(level, message, error = undefined) {
-        if (level < CURRENT_LEVEL) return;
-        ((CURRENT_LEVEL >= WARN) ? console.error : console.log)(`${new Date().toISOString()} [${LEVEL_NAMES[level]}]: ${message}${!error ? '' : `;  ERROR(${error.code || 'N/A'}): ${error.message}\n ${error.stack}`}`);
+    static getLevel(name) {
+        return LOG_LEVELS.getLevel(name);
+    }
+
+    /**
+     * Returns the configured level names by logger name
+     */
+    static getLevels() {
+        return LOG_LEVELS.getLevels();
+    }
+
+    /**
+     * Listens the broker control messages that change the log levels at runtime.
+     * message data: { levels: { 'broker.nats': 'DEBUG', root: 'INFO' }, hostnames: ['pod-1'] }
+     * hostnames is optional, if present only the listed hosts apply the change
+     * @param {Broker} broker broker to listen
+     * @param {string} [topic] control topic. defaults to env LOG_CONTROL_TOPIC
+     * @returns {Observable} emits the levels after every applied change
+     */
+    static listenLevelChanges$(broker, topic = process.env.LOG_CONTROL_TOPIC) {
+        const hostname = os.hostname();
+        return broker.getMessageListener$([topic], [LOG_LEVEL_MESSAGE_TYPE], false).pipe(
+            filter(({ data }) => data && data.levels),
+            filter(({ data }) => !data.hostnames || data.hostnames.indexOf(hostname) > -1),
+            map(({ data }) => {
+                Object.keys(data.levels).forEach(name => {
+                    try {
+                        ConsoleLogger.setLevel(name, data.levels[name]);
+                    } catch (err) {
+                        ConsoleLogger.log(ERROR, `ConsoleLogger: invalid level change of ${name}`, err);
+                    }
+                });
+                return ConsoleLogger.getLevels();
+            })
+        );
+    }
+
+    /**
+     * Returns a logger that stamps the given fields on every line
+     * @param {Object} fields context fields, eg: { correlationId, messageType, organizationId }
+     * @returns {ChildLogger}
+     */
+    static child(fields) {
+        return new ChildLogger(ConsoleLogger, fields);
+    }
+
+    /**
+     * Runs the function within the given async context: every line logged inside it, including its asynchronous
+     * continuations, is stamped with the context fields
+     * @param {Object} context context fields
+     * @param {function} fn
+     * @returns the fn result
+     */
+    static runWithContext(context, fn) {
+        return LogContext.runWithContext(context, fn);
+    }
+
+    /**
+     * Runs the function outside of any async context, see LogContext.runOutsideContext
+     * @param {function} fn
+     * @returns the fn result
+     */
+    static runOutsideContext(fn) {
+        return LogContext.runOutsideContext(fn);
+    }
+
+    /**
+     * Returns the fields of the current async context
+     */
+    static getContext() {
+        return LogContext.getContext();
+    }
+
+    /**
+     * Sets the output format, defaults to env LOG_FORMAT or TEXT
+     * @param {string} format TEXT or JSON
+     */
+    static setFormat(format) {
+        if (!LogFormatter.FORMATS[format]) {
+            throw new Error(`Invalid log format ${format}, valid options: ${Object.keys(LogFormatter.FORMATS).join(', ')}`);
+        }
+        currentFormat = format;
+    }
+
+    /**
+     * Returns the current output format
+     */
+    static getFormat() {
+        return currentFormat;
     }
 
 }
+
+ConsoleLogger.LEVELS = LogLevels.LEVELS;
+ConsoleLogger.LOG_LEVEL_MESSAGE_TYPE = LOG_LEVEL_MESSAGE_TYPE;
+
 /**
  * @returns {ConsoleLogger}
  */
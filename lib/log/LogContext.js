@@ -0,0 +1,45 @@
+'use strict'
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Async context propagation for logs.
+ * Every log produced inside runWithContext, including the asynchronous continuations (promises, timers, Observables),
+ * is stamped with the context fields
+ */
+class LogContext {
+
+    /**
+     * Runs the function within the given context, the fields are merged with the current context
+     * @param {Object} context context fields
+     * @param {function} fn
+     * @returns the fn result
+     */
+    static runWithContext(context, fn) {
+        return storage.run({ ...LogContext.getContext(), ...context }, fn);
+    }
+
+    /**
+     * Runs the function outside of any context, so the long-lived resources it creates (sockets, timers, consumer loops)
+     * do not stamp their logs with the context of the caller
+     * @param {function} fn
+     * @returns the fn result
+     */
+    static runOutsideContext(fn) {
+        return storage.exit(fn);
+    }
+
+    /**
+     * Returns the fields of the current context
+     */
+    static getContext() {
+        return storage.getStore() || {};
+    }
+}
+
+/**
+ * @returns {LogContext}
+ */
+module.exports = LogContext;
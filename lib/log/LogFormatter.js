@@ -0,0 +1,106 @@
+'use strict'
+
+const os = require('os');
+
+const LEVEL_NAMES = ['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'];
+
+/**
+ * Possible log output formats
+ *  TEXT: ISO [LEVEL]: message;  ERROR(code): error message
+ *  JSON: one JSON object per line
+ */
+const FORMATS = {
+    TEXT: 'TEXT',
+    JSON: 'JSON',
+};
+
+/**
+ * Fields owned by the log entry, context fields can not override them
+ */
+const RESERVED_FIELDS = ['timestamp', 'level', 'message', 'error', 'service', 'hostname'];
+
+const HOSTNAME = os.hostname();
+
+/**
+ * Builds and formats log entries
+ */
+class LogFormatter {
+
+    /**
+     * Builds the log entry
+     * @param {number} level log level
+     * @param {string} message
+     * @param {Error} [error]
+     * @param {Object} [context] arbitrary context fields
+     * @returns {Object} {timestamp, level, message, error, service, hostname, context}
+     */
+    static buildEntry(level, message, error, context) {
+        return {
+            timestamp: new Date().toISOString(),
+            level: LEVEL_NAMES[level],
+            message,
+            error: error ? {
+                name: error.name,
+                code: error.code,
+                message: error.message,
+                stack: error.stack,
+            } : undefined,
+            service: process.env.SERVICE_NAME || process.env.MICROBACKEND_KEY,
+            hostname: HOSTNAME,
+            context: context || {},
+        };
+    }
+
+    /**
+     * Formats the entry using the given format
+     * @param {string} format see FORMATS
+     * @param {Object} entry see buildEntry
+     */
+    static format(format, entry) {
+        return format === FORMATS.JSON ? LogFormatter.json(entry) : LogFormatter.text(entry);
+    }
+
+    /**
+     * Legacy free-text format, context fields are appended as JSON
+     * @param {Object} entry see buildEntry
+     */
+    static text({ timestamp, level, message, error, context }) {
+        const contextText = Object.keys(context).length === 0 ? '' : ` ${LogFormatter.stringify(context)}`;
+        const errorText = !error ? '' : `;  ERROR(${error.code || 'N/A'}): ${error.message}\n ${error.stack}`;
+        return `${timestamp} [${level}]: ${message}${contextText}${errorText}`;
+    }
+
+    /**
+     * Structured format: one JSON object per line with the context fields at the root
+     * @param {Object} entry see buildEntry
+     */
+    static json({ context, ...entry }) {
+        const contextFields = Object.keys(context)
+            .filter(key => RESERVED_FIELDS.indexOf(key) === -1)
+            .reduce((acc, key) => { acc[key] = context[key]; return acc; }, {});
+        return LogFormatter.stringify({ ...entry, ...contextFields });
+    }
+
+    /**
+     * JSON.stringify that tolerates circular references and BigInts
+     */
+    static stringify(value) {
+        const seen = new WeakSet();
+        return JSON.stringify(value, (key, val) => {
+            if (typeof val === 'bigint') return val.toString();
+            if (val && typeof val === 'object') {
+                if (seen.has(val)) return '[Circular]';
+                seen.add(val);
+            }
+            return val;
+        });
+    }
+}
+
+LogFormatter.FORMATS = FORMATS;
+LogFormatter.LEVEL_NAMES = LEVEL_NAMES;
+
+/**
+ * @returns {LogFormatter}
+ */
+module.exports = LogFormatter;
@@ -0,0 +1,97 @@
+'use strict'
+
+const LEVELS = {
+    DEBUG: 0,
+    INFO: 1,
+    WARN: 2,
+    ERROR: 3,
+    FATAL: 4,
+};
+
+/**
+ * Hierarchical log levels of the named loggers.
+ * A logger without its own level inherits the level of its closest configured ancestor,
+ * eg: 'broker.nats' => 'broker' => root level
+ */
+class LogLevels {
+
+    /**
+     * @param {string|number} rootLevel level of the root logger
+     * @param {string} levels levels by logger name, eg: 'broker=INFO,broker.nats=DEBUG'
+     */
+    constructor(rootLevel, levels = '') {
+        this.rootLevel = LogLevels.parseLevel(rootLevel, LEVELS.WARN);
+        /**
+         * Map of configured levels by logger name
+         */
+        this.levels = {};
+        levels.split(',').map(entry => entry.trim()).filter(entry => entry).forEach(entry => {
+            const [name, level] = entry.split('=').map(part => part.trim());
+            this.setLevel(name, level);
+        });
+    }
+
+    /**
+     * Converts a level name (case insensitive) or number into the level number
+     * @param {string|number} level
+     * @param {number} [defaultLevel] returned if the level is empty
+     * @returns {number}
+     */
+    static parseLevel(level, defaultLevel) {
+        if ((level === undefined || level === null || level === '') && defaultLevel !== undefined) {
+            return defaultLevel;
+        }
+        const parsed = LEVELS[String(level).toUpperCase()] !== undefined ? LEVELS[String(level).toUpperCase()] : parseInt(level);
+        if (isNaN(parsed) || parsed < LEVELS.DEBUG || parsed > LEVELS.FATAL) {
+            throw new Error(`Invalid log level ${level}, valid options: ${Object.keys(LEVELS).join(', ')}`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Returns the effective level of the named logger
+     * @param {string} [name] logger name, empty for the root logger
+     * @returns {number}
+     */
+    getLevel(name) {
+        let current = name || '';
+        while (current) {
+            if (this.levels[current] !== undefined) return this.levels[current];
+            current = current.substring(0, Math.max(0, current.lastIndexOf('.')));
+        }
+        return this.rootLevel;
+    }
+
+    /**
+     * Sets the level of the named logger and its descendants without their own level
+     * @param {string} [name] logger name, empty or 'root' for the root logger
+     * @param {string|number} level level name or number, null to inherit the ancestor level again
+     */
+    setLevel(name, level) {
+        if (!name || name === 'root') {
+            this.rootLevel = LogLevels.parseLevel(level);
+        } else if (level === null || level === undefined) {
+            delete this.levels[name];
+        } else {
+            this.levels[name] = LogLevels.parseLevel(level);
+        }
+    }
+
+    /**
+     * Returns the configured level names by logger name, the root level is under 'root'
+     */
+    getLevels() {
+        const levelNames = Object.keys(LEVELS);
+        return Object.keys(this.levels).reduce(
+            (acc, name) => { acc[name] = levelNames[this.levels[name]]; return acc; },
+            { root: levelNames[this.rootLevel] }
+        );
+    }
+}
+
+LogLevels.LEVELS = LEVELS;
+
+/**
+ * @returns {LogLevels}
+ */
+module.exports = LogLevels;
@@ -0,0 +1,176 @@
+'use strict'
+
+/**
+ * Built-in value patterns, applied to every string value and logged text
+ *  CARD_NUMBER: 13 to 19 digits, optionally separated by spaces or dashes, that pass the Luhn check
+ *  EMAIL: e-mail addresses
+ */
+const PATTERNS = {
+    CARD_NUMBER: { pattern: /\b\d(?:[ -]?\d){12,18}\b/g, validate: match => Redactor.luhn(match.replace(/\D/g, '')) },
+    EMAIL: { pattern: /[\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi },
+};
+
+/**
+ * Key paths redacted by default.
+ * '*' matches any single key and '**' any number of keys (including none)
+ */
+const DEFAULT_PATHS = [
+    '**.password',
+    '**.passwd',
+    '**.secret',
+    '**.token',
+    '**.authToken',
+    '**.accessToken',
+    '**.refreshToken',
+    '**.jwt',
+    '**.apiKey',
+    '**.authorization',
+    '**.cookie',
+];
+
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(item => item);
+
+/**
+ * Replaces sensitive values of objects and texts before they leave the process (logs, error payloads)
+ */
+class Redactor {
+
+    /**
+     * @param {Object} ops
+     * @param {string[]} [ops.paths] key paths to redact, eg: ['*.password', 'attributes.authorization', '**.token']. keys are case insensitive
+     * @param {Array<RegExp|{pattern: RegExp, validate: function}>} [ops.patterns] patterns replaced within string values, see Redactor.PATTERNS.
+     *  validate receives the match and returns whether it must be redacted
+     * @param {string} [ops.replacement] replacement of the redacted values
+     */
+    constructor({ paths = DEFAULT_PATHS, patterns = Object.values(PATTERNS), replacement = DEFAULT_REPLACEMENT } = {}) {
+        this.paths = paths.map(path => path.toLowerCase().split('.'));
+        this.patterns = patterns.map(pattern => pattern instanceof RegExp ? { pattern } : pattern);
+        this.replacement = replacement;
+    }
+
+    /**
+     * Builds the redactor configured by the environment:
+     *  LOG_REDACT_PATHS: comma separated key paths added to the default ones
+     *  LOG_REDACT_PATTERNS: comma separated built-in patterns (see Redactor.PATTERNS), defaults to all of them. NONE disables them
+     */
+    static fromEnv(env = process.env) {
+        const patternNames = env.LOG_REDACT_PATTERNS ? splitList(env.LOG_REDACT_PATTERNS.toUpperCase()) : Object.keys(PATTERNS);
+        const unknownPattern = patternNames.find(name => name !== 'NONE' && !PATTERNS[name]);
+        if (unknownPattern) {
+            throw new Error(`Invalid redaction pattern ${unknownPattern}, valid options: ${Object.keys(PATTERNS).join(', ')}, NONE`);
+        }
+        return new Redactor({
+            paths: [...DEFAULT_PATHS, ...splitList(env.LOG_REDACT_PATHS)],
+            patterns: patternNames.filter(name => name !== 'NONE').map(name => PATTERNS[name]),
+        });
+    }
+
+    /**
+     * Returns the redactor used by ConsoleLogger and CustomError
+     * @returns {Redactor}
+     */
+    static getDefault() {
+        return defaultRedactor;
+    }
+
+    /**
+     * Replaces the redactor used by ConsoleLogger and CustomError
+     * @param {Redactor} redactor
+     */
+    static setDefault(redactor) {
+        defaultRedactor = redactor;
+    }
+
+    /**
+     * Returns a redacted copy of the value, the value itself is not modified
+     * @param {*} value
+     */
+    redact(value) {
+        return this.redactValue(value, [], new WeakSet());
+    }
+
+    /**
+     * Replaces the patterns matches within the text
+     * @param {string} text
+     */
+    redactText(text) {
+        if (typeof text !== 'string') return text;
+        return this.patterns.reduce(
+            (acc, { pattern, validate }) => acc.replace(pattern, match => !validate || validate(match) ? this.replacement : match),
+            text
+        );
+    }
+
+    /**
+     * @param {*} value
+     * @param {string[]} path lower case keys from the root to the value
+     * @param {WeakSet} ancestors objects being redacted, to tolerate circular references
+     */
+    redactValue(value, path, ancestors) {
+        if (typeof value === 'string') return this.redactText(value);
+        if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) return value;
+        if (ancestors.has(value)) return '[Circular]';
+        ancestors.add(value);
+        const redactEntry = (key, val) => {
+            const keyPath = [...path, String(key).toLowerCase()];
+            return this.isRedactedPath(keyPath) ? this.replacement : this.redactValue(val, keyPath, ancestors);
+        };
+        const redacted = Array.isArray(value)
+            ? value.map((val, index) => redactEntry(index, val))
+            : Object.keys(value).reduce((acc, key) => { acc[key] = redactEntry(key, value[key]); return acc; }, {});
+        ancestors.delete(value);
+        return redacted;
+    }
+
+    /**
+     * Returns whether the key path matches any of the redacted paths
+     * @param {string[]} keyPath lower case keys
+     */
+    isRedactedPath(keyPath) {
+        return this.paths.some(pattern => Redactor.matchPath(pattern, 0, keyPath, 0));
+    }
+
+    static matchPath(pattern, patternIndex, keyPath, keyIndex) {
+        if (patternIndex === pattern.length) return keyIndex === keyPath.length;
+        const segment = pattern[patternIndex];
+        if (segment === '**') {
+            for (let i = keyIndex; i <= keyPath.length; i++) {
+                if (Redactor.matchPath(pattern, patternIndex + 1, keyPath, i)) return true;
+            }
+            return false;
+        }
+        return keyIndex < keyPath.length
+            && (segment === '*' || segment === keyPath[keyIndex])
+            && Redactor.matchPath(pattern, patternIndex + 1, keyPath, keyIndex + 1);
+    }
+
+    /**
+     * Luhn checksum, used to tell card numbers apart from other long digit sequences
+     * @param {string} digits
+     */
+    static luhn(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = parseInt(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+}
+
+Redactor.PATTERNS = PATTERNS;
+Redactor.DEFAULT_PATHS = DEFAULT_PATHS;
+Redactor.DEFAULT_REPLACEMENT = DEFAULT_REPLACEMENT;
+
+let defaultRedactor = Redactor.fromEnv();
+
+/**
+ * @returns {Redactor}
+ */
+module.exports = Redactor;
@@ -1,7 +1,17 @@
 "use strict";
 
 const ConsoleLogger = require("./ConsoleLogger");
+const LogFormatter = require("./LogFormatter");
+const LogContext = require("./LogContext");
+const LogLevels = require("./LogLevels");
+const Redactor = require("./Redactor");
+const transports = require("./transports");
 
 module.exports = {
-    ConsoleLogger
+    ConsoleLogger,
+    LogFormatter,
+    LogContext,
+    LogLevels,
+    Redactor,
+    transports
 };
@@ -0,0 +1,45 @@
+'use strict'
+
+const LogTransport = require('./LogTransport');
+
+/**
+ * Publishes the entries to a broker topic.
+ * JSON format publishes the entry object, any other format publishes the formatted line
+ */
+class BrokerTransport extends LogTransport {
+    /**
+     * @param {Object} options see LogTransport
+     * @param {Broker} options.broker - broker used to publish the entries
+     * @param {string} options.topic - topic to publish the entries
+     * @param {string} [options.type] - message type. defaults to LogEntry
+     * @param {string[]} [options.ignoreLoggers] - entries of these loggers and their descendants are not published,
+     *  so the broker failures can not be logged through the broker forever. defaults to ['broker']
+     */
+    constructor({ broker, topic, type = 'LogEntry', ignoreLoggers = ['broker'], ...ops }) {
+        super(ops);
+        if (!broker || !topic) {
+            throw new Error('BrokerTransport: broker and topic are required');
+        }
+        this.broker = broker;
+        this.topic = topic;
+        this.type = type;
+        this.ignoreLoggers = ignoreLoggers;
+    }
+
+    log(entry, defaultFormat) {
+        const logger = entry.context.logger || '';
+        if (this.ignoreLoggers.some(ignored => logger === ignored || logger.startsWith(`${ignored}.`))) return;
+        super.log(entry, defaultFormat);
+    }
+
+    write(records) {
+        return Promise.all(records.map(({ entry, line, format }) =>
+            this.broker.send$(this.topic, this.type, format === 'JSON' ? entry : line).toPromise()
+        ));
+    }
+}
+
+/**
+ * @returns {BrokerTransport}
+ */
+module.exports = BrokerTransport;
@@ -0,0 +1,24 @@
+'use strict'
+
+const LogTransport = require('./LogTransport');
+const { LEVELS } = require('../LogLevels');
+
+/**
+ * Writes DEBUG and INFO entries to stdout and WARN, ERROR and FATAL entries to stderr
+ */
+class ConsoleTransport extends LogTransport {
+
+    write(records) {
+        this.writeSync(records);
+        return Promise.resolve();
+    }
+
+    writeSync(records) {
+        records.forEach(({ entry, line }) => (LEVELS[entry.level] >= LEVELS.WARN ? console.error : console.log)(line));
+    }
+}
+
+/**
+ * @returns {ConsoleTransport}
+ */
+module.exports = ConsoleTransport;
@@ -0,0 +1,66 @@
+'use strict'
+
+const fs = require('fs');
+const LogTransport = require('./LogTransport');
+
+/**
+ * Appends the entries to a file, rotating it when it reaches maxSize:
+ * file.log => file.log.1 => file.log.2 ... up to maxFiles rotated files
+ */
+class FileTransport extends LogTransport {
+    /**
+     * @param {Object} options see LogTransport
+     * @param {string} options.path - log file path
+     * @param {number} [options.maxSize] - max file size in bytes before rotating. defaults to 10MB
+     * @param {number} [options.maxFiles] - rotated files to keep. defaults to 5
+     */
+    constructor({ path, maxSize = 10 * 1024 * 1024, maxFiles = 5, ...ops }) {
+        super(ops);
+        if (!path) {
+            throw new Error('FileTransport: path is required');
+        }
+        this.path = path;
+        this.maxSize = maxSize;
+        this.maxFiles = maxFiles;
+        this.size = null;
+    }
+
+    async write(records) {
+        if (this.size === null) {
+            this.size = await fs.promises.stat(this.path).then(stats => stats.size, () => 0);
+        }
+        const data = records.map(({ line }) => `${line}\n`).join('');
+        const dataSize = Buffer.byteLength(data);
+        if (this.size > 0 && this.size + dataSize > this.maxSize) {
+            await this.rotate();
+        }
+        await fs.promises.appendFile(this.path, data);
+        this.size += dataSize;
+    }
+
+    writeSync(records) {
+        const data = records.map(({ line }) => `${line}\n`).join('');
+        fs.appendFileSync(this.path, data);
+        this.size = (this.size || 0) + Buffer.byteLength(data);
+    }
+
+    /**
+     * Shifts the rotated files and moves the current file to file.1
+     */
+    async rotate() {
+        const rename = (from, to) => fs.promises.rename(from, to).catch(err => {
+            if (err.code !== 'ENOENT') throw err;
+        });
+        await fs.promises.unlink(`${this.path}.${this.maxFiles}`).catch(() => { });
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            await rename(`${this.path}.${index}`, `${this.path}.${index + 1}`);
+        }
+        await rename(this.path, `${this.path}.1`);
+        this.size = 0;
+    }
+}
+
+/**
+ * @returns {FileTransport}
+ */
+module.exports = FileTransport;
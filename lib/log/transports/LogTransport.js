@@ -0,0 +1,118 @@
+'use strict'
+
+const LogFormatter = require('../LogFormatter');
+const { LEVELS } = require('../LogLevels');
+
+/**
+ * Abstract log transport.
+ * Entries are buffered and written asynchronously on the next event loop turn, so logging never blocks the caller.
+ *
+ * Implementations must provide:
+ *  - write(records): writes the [{entry, line, format}] records, returns a Promise
+ *  - writeSync(records) (optional): used to flush the buffer when the process exits
+ */
+class LogTransport {
+    /**
+     * @param {Object} options
+     * @param {string|number} [options.level] - min level written by this transport. defaults to DEBUG
+     * @param {string|function} [options.format] - TEXT, JSON or (entry) => string. defaults to the ConsoleLogger format
+     * @param {number} [options.maxBufferSize] - max entries waiting to be written, the oldest ones are dropped. defaults to 10000
+     */
+    constructor({ level = LEVELS.DEBUG, format, maxBufferSize = 10000 } = {}) {
+        if (new.target === LogTransport) {
+            throw new TypeError('LogTransport is abstract and can not be instantiated');
+        }
+        this.level = LEVELS[String(level).toUpperCase()] !== undefined ? LEVELS[String(level).toUpperCase()] : parseInt(level);
+        this.format = format;
+        this.maxBufferSize = maxBufferSize;
+        this.buffer = [];
+        this.dropped = 0;
+        this.flushing = Promise.resolve();
+        this.flushScheduled = false;
+    }
+
+    /**
+     * Buffers the entry if its level reaches the transport level
+     * @param {Object} entry see LogFormatter.buildEntry
+     * @param {string} defaultFormat format used if the transport has no format
+     */
+    log(entry, defaultFormat) {
+        if (LEVELS[entry.level] < this.level) return;
+        const record = { entry, line: this.formatEntry(entry, defaultFormat), format: this.format || defaultFormat };
+        this.buffer.push(record);
+        if (this.buffer.length > this.maxBufferSize) {
+            this.buffer.shift();
+            this.dropped++;
+        }
+        this.scheduleFlush();
+    }
+
+    /**
+     * Formats the entry using the transport format
+     */
+    formatEntry(entry, defaultFormat) {
+        const format = this.format || defaultFormat;
+        return typeof format === 'function' ? format(entry) : LogFormatter.format(format, entry);
+    }
+
+    scheduleFlush() {
+        if (this.flushScheduled) return;
+        this.flushScheduled = true;
+        setImmediate(() => {
+            this.flushScheduled = false;
+            this.flush();
+        });
+    }
+
+    /**
+     * Writes the buffered entries, writes are serialized.
+     * Returns a Promise that resolves once every buffered entry is written, write errors are reported on stderr
+     */
+    flush() {
+        this.flushing = this.flushing.then(() => {
+            if (this.buffer.length === 0) return;
+            const records = this.buffer;
+            this.buffer = [];
+            return Promise.resolve().then(() => this.write(records)).catch(err => {
+                // logging the failure through the logger could loop forever
+                console.error(`${this.constructor.name}: failed to write ${records.length} log entries: ${err.message}`);
+            });
+        });
+        return this.flushing;
+    }
+
+    /**
+     * Writes the buffered entries synchronously, if the transport supports it
+     */
+    flushSync() {
+        if (this.buffer.length === 0 || !this.writeSync) return;
+        const records = this.buffer;
+        this.buffer = [];
+        try {
+            this.writeSync(records);
+        } catch (err) {
+            console.error(`${this.constructor.name}: failed to write ${records.length} log entries: ${err.message}`);
+        }
+    }
+
+    /**
+     * Flushes the buffer and releases the transport resources
+     */
+    close() {
+        return this.flush();
+    }
+
+    /**
+     * Writes the records
+     * @param {Object[]} records [{entry, line, format}]
+     * @returns {Promise}
+     */
+    write(records) {
+        throw new Error(`${this.constructor.name}.write: not implemented`);
+    }
+}
+
+/**
+ * @returns {LogTransport}
+ */
+module.exports = LogTransport;
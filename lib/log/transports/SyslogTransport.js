@@ -0,0 +1,118 @@
+'use strict'
+
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const LogTransport = require('./LogTransport');
+
+/**
+ * RFC5424 severities by level name
+ */
+const SEVERITIES = {
+    DEBUG: 7,
+    INFO: 6,
+    WARN: 4,
+    ERROR: 3,
+    FATAL: 2,
+};
+
+/**
+ * Sends the entries to a syslog server using the RFC5424 format, over UDP or TCP (RFC6587 octet counting framing)
+ */
+class SyslogTransport extends LogTransport {
+    /**
+     * @param {Object} options see LogTransport
+     * @param {string} [options.host] - syslog server host. defaults to localhost
+     * @param {number} [options.port] - syslog server port. defaults to 514
+     * @param {string} [options.protocol] - udp or tcp. defaults to udp
+     * @param {number} [options.facility] - syslog facility. defaults to 1 (user-level messages)
+     * @param {string} [options.appName] - APP-NAME field. defaults to the entry service
+     */
+    constructor({ host = 'localhost', port = 514, protocol = 'udp', facility = 1, appName, ...ops } = {}) {
+        super(ops);
+        if (['udp', 'tcp'].indexOf(protocol) === -1) {
+            throw new Error(`SyslogTransport: invalid protocol ${protocol}, valid options: udp, tcp`);
+        }
+        this.host = host;
+        this.port = port;
+        this.protocol = protocol;
+        this.facility = facility;
+        this.appName = appName;
+        this.socket = null;
+    }
+
+    /**
+     * Creates a transport from a syslog URL, eg: udp://localhost:514 or tcp://syslog:6514
+     * @param {string} url
+     * @param {Object} ops see constructor
+     */
+    static fromUrl(url, ops = {}) {
+        const { protocol, hostname, port } = new URL(url);
+        return new SyslogTransport({ ...ops, protocol: protocol.replace(':', ''), host: hostname, port: port ? parseInt(port) : 514 });
+    }
+
+    /**
+     * Builds the RFC5424 message: <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID STRUCTURED-DATA MSG
+     * @param {Object} record {entry, line}
+     */
+    toSyslogMessage({ entry, line }) {
+        const priority = this.facility * 8 + SEVERITIES[entry.level];
+        const field = (value, maxLength) => value ? String(value).replace(/\s/g, '_').substring(0, maxLength) : '-';
+        return `<${priority}>1 ${entry.timestamp} ${field(entry.hostname || os.hostname(), 255)} ${field(this.appName || entry.service, 48)} ${process.pid} ${field(entry.context.logger, 32)} - ${line}`;
+    }
+
+    write(records) {
+        const messages = records.map(record => this.toSyslogMessage(record));
+        return this.protocol === 'udp' ? this.sendUdp(messages) : this.sendTcp(messages);
+    }
+
+    sendUdp(messages) {
+        if (!this.socket) {
+            this.socket = dgram.createSocket('udp4');
+            this.socket.unref();
+            this.socket.on('error', () => this.destroySocket());
+        }
+        return Promise.all(messages.map(message => new Promise((resolve, reject) =>
+            this.socket.send(Buffer.from(message), this.port, this.host, err => err ? reject(err) : resolve())
+        )));
+    }
+
+    async sendTcp(messages) {
+        if (!this.socket) {
+            this.socket = await new Promise((resolve, reject) => {
+                const socket = net.createConnection({ host: this.host, port: this.port }, () => resolve(socket));
+                socket.once('error', reject);
+            });
+            this.socket.unref();
+            this.socket.on('error', () => this.destroySocket());
+            this.socket.on('close', () => this.destroySocket());
+        }
+        const data = messages.map(message => `${Buffer.byteLength(message)} ${message}`).join('');
+        return new Promise((resolve, reject) => this.socket.write(data, err => err ? reject(err) : resolve()));
+    }
+
+    /**
+     * Discards the socket, it is created again on the next write
+     */
+    destroySocket() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.socket = null;
+        socket.removeAllListeners();
+        // keeps late errors of the discarded socket from crashing the process
+        socket.on('error', () => { });
+        if (socket.destroy) socket.destroy(); else socket.close();
+    }
+
+    async close() {
+        await this.flush();
+        this.destroySocket();
+    }
+}
+
+SyslogTransport.SEVERITIES = SEVERITIES;
+
+/**
+ * @returns {SyslogTransport}
+ */
+module.exports = SyslogTransport;
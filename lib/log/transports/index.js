@@ -0,0 +1,15 @@
+"use strict";
+
+const LogTransport = require("./LogTransport");
+const ConsoleTransport = require("./ConsoleTransport");
+const FileTransport = require("./FileTransport");
+const SyslogTransport = require("./SyslogTransport");
+const BrokerTransport = require("./BrokerTransport");
+
+module.exports = {
+    LogTransport,
+    ConsoleTransport,
+    FileTransport,
+    SyslogTransport,
+    BrokerTransport
+};
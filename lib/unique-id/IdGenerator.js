@@ -0,0 +1,392 @@
+'use strict';
+
+const { Buffer } = require('buffer');
+const { defer, of, timer, throwError } = require('rxjs');
+const { retryWhen, mergeMap } = require('rxjs/operators');
+
+/**
+ * What to do once the counter values of a time unit are used
+ *  WAIT: blocks the thread, and so the event loop, until the next time unit. only for IDs of the current time
+ *  THROW: throws an error, see generate$ to wait for the next time unit without blocking
+ */
+const COUNTER_EXHAUSTED_STRATEGIES = {
+    WAIT: 'WAIT',
+    THROW: 'THROW',
+};
+
+/**
+ * Formats of the range bounds
+ *  BUFFER: big-endian buffers, eg: IDs stored as BinData
+ *  HEX: hex-strings
+ *  BIGINT: BigInts, eg: IDs stored as Long
+ *  STRING: canonical strings of the generator, eg: ULID or UUID strings
+ */
+const RANGE_FORMATS = {
+    BUFFER: 'BUFFER',
+    HEX: 'HEX',
+    BIGINT: 'BIGINT',
+    STRING: 'STRING',
+};
+
+const SLEEP_CELL = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * time units whose counters are tracked, the least recently used ones are forgotten first
+ */
+const MAX_TRACKED_TIMES = 4096;
+
+/**
+ * Common interface of the time ordered ID generators (UniqueId, SnowflakeId, Ulid, UuidV7).
+ * IDs are handled as big-endian buffers, so their byte order is their chronological order.
+ * Every generator implements:
+ *  - generate(time): the new ID as Buffer, see also generate$
+ *  - getRange(...): the [min, max] buffers of the IDs of a time, for time-bounded queries
+ *  - toBuffer(id): the buffer of an ID on any of its formats, throws if the ID is not valid
+ *  - decode(buffer): the parts of the ID, including its time and timestamp (Date)
+ *  - format(buffer): the canonical string of the ID
+ */
+class IdGenerator {
+
+    /**
+     * @param {Object} [ops]
+     * @param {string} [ops.onCounterExhausted] WAIT or THROW, see COUNTER_EXHAUSTED_STRATEGIES. defaults to env UNIQUE_ID_ON_COUNTER_EXHAUSTED or THROW
+     */
+    constructor({ onCounterExhausted = process.env.UNIQUE_ID_ON_COUNTER_EXHAUSTED || COUNTER_EXHAUSTED_STRATEGIES.THROW } = {}) {
+        if (!COUNTER_EXHAUSTED_STRATEGIES[onCounterExhausted]) {
+            throw new Error(`${this.constructor.name}: invalid counter exhausted strategy ${onCounterExhausted}, valid options: ${Object.keys(COUNTER_EXHAUSTED_STRATEGIES).join(', ')}`);
+        }
+        this.onCounterExhausted = onCounterExhausted;
+        /**
+         * counters by time unit, see getCounter
+         */
+        this.counters = new Map();
+        /**
+         * last time unit of the IDs of the current time, given times never move it
+         */
+        this.lastTime = -1;
+    }
+
+    /**
+     * Returns an Observable of a new ID as Buffer, see generate.
+     * Never blocks: once the counter of the current time unit is exhausted it waits for the next one using a timer,
+     * whatever the onCounterExhausted strategy
+     * @param {*} time see generate
+     * @returns {Observable} emits the new ID, or throws if the counter of the given time is exhausted
+     */
+    generate$(time) {
+        return defer(() => of(this.generateWithoutWaiting(time))).pipe(
+            retryWhen(errors => errors.pipe(
+                mergeMap(err => err.retryAfter === undefined ? throwError(err) : timer(err.retryAfter))
+            ))
+        );
+    }
+
+    /**
+     * Returns a new ID as hex-string
+     * @param {*} time see generate
+     * @returns {String}
+     */
+    generateHex(time) {
+        return this.generate(time).toString('hex');
+    }
+
+    /**
+     * Returns a new ID as BigInt
+     * @param {*} time see generate
+     * @returns {BigInt}
+     */
+    generateBigInt(time) {
+        return IdGenerator.toBigInt(this.generate(time));
+    }
+
+    /**
+     * Returns a new ID as its canonical string, see format
+     * @param {*} time see generate
+     * @returns {String}
+     */
+    generateString(time) {
+        return this.format(this.generate(time));
+    }
+
+    /**
+     * Returns the minimum and maximum possible hex-strings, see getRange
+     * @returns {[String]} array with min and max hex-strings
+     */
+    getRangeHex(...args) {
+        return this.getRange(...args).map(buffer => buffer.toString('hex'));
+    }
+
+    /**
+     * Returns the minimum and maximum possible BigInts, see getRange
+     * @returns {[BigInt]} array with min and max BigInt
+     */
+    getRangeBigInt(...args) {
+        return this.getRange(...args).map(buffer => IdGenerator.toBigInt(buffer));
+    }
+
+    /**
+     * Returns the minimum and maximum possible canonical strings, see getRange.
+     * only valid for range queries if the canonical strings sort as the IDs, eg: not the Snowflake decimal strings
+     * @returns {[String]} array with min and max strings
+     */
+    getRangeString(...args) {
+        return this.getRange(...args).map(buffer => this.format(buffer));
+    }
+
+    /**
+     * Returns a MongoDB filter of the IDs generated between the given times, eg: { _id: { $gte: min, $lte: max } }
+     * @param {*} from start of the window, see getRange
+     * @param {*} [to] end of the window, see getRange
+     * @param {Object} [ops]
+     * @param {string} [ops.field] filtered field. defaults to _id
+     * @param {string} [ops.format] BUFFER, HEX, BIGINT or STRING, the format the IDs are stored with, see RANGE_FORMATS. defaults to BUFFER
+     * @returns {Object} MongoDB filter
+     */
+    getRangeFilter(from, to, { field, format } = {}) {
+        return IdGenerator.buildRangeFilter(this.getRange(from, to), { field, format, formatter: buffer => this.format(buffer) });
+    }
+
+    /**
+     * Splits the IDs generated between the given times into evenly sized contiguous sub-ranges, eg: to scan a collection in parallel jobs
+     * @param {*} from start of the window, see getRange
+     * @param {*} to end of the window, see getRange
+     * @param {number} parts number of sub-ranges
+     * @param {Object} [ops]
+     * @param {string} [ops.format] BUFFER, HEX, BIGINT or STRING, see RANGE_FORMATS. defaults to BUFFER
+     * @returns {Array} [[min, max]] sub-ranges, in order
+     */
+    splitRange(from, to, parts, { format } = {}) {
+        return IdGenerator.splitBounds(this.getRange(from, to), parts, { format, formatter: buffer => this.format(buffer) });
+    }
+
+    /**
+     * Decodes the parts of the ID
+     * @param {Buffer|String|BigInt} id ID on any of its formats
+     * @throws {Error} if the ID is not valid
+     */
+    parse(id) {
+        return this.decode(this.toBuffer(id));
+    }
+
+    /**
+     * Returns the creation date of the ID
+     * @param {Buffer|String|BigInt} id ID on any of its formats
+     * @returns {Date}
+     * @throws {Error} if the ID is not valid
+     */
+    getTimestamp(id) {
+        return this.parse(id).timestamp;
+    }
+
+    /**
+     * Returns true if the ID is well formed
+     * @param {*} id
+     * @returns {boolean}
+     */
+    isValid(id) {
+        try {
+            this.toBuffer(id);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Compares two IDs chronologically. IDs may have different formats
+     * @returns {number} -1 if a is lower than b, 1 if a is greater than b, 0 if they are equal
+     * @throws {Error} if any ID is not valid
+     */
+    compare(a, b) {
+        return Buffer.compare(this.toBuffer(a), this.toBuffer(b));
+    }
+
+    /**
+     * Returns a sorted copy of the IDs, keeping their formats
+     * @param {Array} ids
+     * @param {Object} [ops]
+     * @param {boolean} [ops.descending] newest first. defaults to false
+     * @throws {Error} if any ID is not valid
+     */
+    sort(ids, { descending = false } = {}) {
+        const direction = descending ? -1 : 1;
+        return ids
+            .map(id => ({ id, buffer: this.toBuffer(id) }))
+            .sort((a, b) => direction * Buffer.compare(a.buffer, b.buffer))
+            .map(({ id }) => id);
+    }
+
+    /**
+     * for internal usage. generates the ID using the THROW strategy, see generate$
+     */
+    generateWithoutWaiting(time) {
+        const onCounterExhausted = this.onCounterExhausted;
+        this.onCounterExhausted = COUNTER_EXHAUSTED_STRATEGIES.THROW;
+        try {
+            return this.generate(time);
+        } finally {
+            this.onCounterExhausted = onCounterExhausted;
+        }
+    }
+
+    /**
+     * for internal usage. returns the counter of the time unit, shared by the IDs of the current time and the given times.
+     * every time unit has its own counter, so IDs of different times can be interleaved.
+     * once MAX_TRACKED_TIMES are tracked the least recently used ones are forgotten, except the one of the last current time
+     * @param {number} time time unit of the generator, eg: millis
+     * @returns {Object} the counter built by createCounter
+     */
+    getCounter(time) {
+        let counter = this.counters.get(time);
+        if (counter) {
+            this.counters.delete(time);
+        } else {
+            counter = this.createCounter(time);
+            if (this.counters.size >= MAX_TRACKED_TIMES) {
+                const [oldest, next] = this.counters.keys();
+                this.counters.delete(oldest === this.lastTime ? next : oldest);
+            }
+        }
+        this.counters.set(time, counter);
+        return counter;
+    }
+
+    /**
+     * for internal usage. returns the initial counter of a time unit, see getCounter
+     */
+    createCounter() {
+        throw new Error(`${this.constructor.name}.createCounter: not implemented`);
+    }
+
+    /**
+     * for internal usage. handles the exhaustion of the counter of a time unit
+     * @param {boolean} isCurrentTime whether the time was taken from the clock, so the next time unit can be waited
+     * @param {number} waitMillis millis until the next time unit
+     * @param {string} message error message
+     * @throws {Error} if the strategy is THROW or the time was given. errors of the current time carry the retryAfter millis
+     */
+    waitCounter(isCurrentTime, waitMillis, message) {
+        if (!isCurrentTime || this.onCounterExhausted === COUNTER_EXHAUSTED_STRATEGIES.THROW) {
+            const error = new Error(`${this.constructor.name}: ${message}`);
+            if (isCurrentTime) error.retryAfter = Math.max(1, waitMillis);
+            throw error;
+        }
+        IdGenerator.sleep(waitMillis);
+    }
+
+    /**
+     * Builds the MongoDB filter of the range bounds
+     * @param {[Buffer]} bounds [min, max] buffers
+     * @param {Object} [ops]
+     * @param {string} [ops.field] filtered field. defaults to _id
+     * @param {string} [ops.format] see RANGE_FORMATS. defaults to BUFFER
+     * @param {function} [ops.formatter] (buffer) => canonical string, used by the STRING format. defaults to the hex-string
+     */
+    static buildRangeFilter([min, max], { field = '_id', format = RANGE_FORMATS.BUFFER, formatter } = {}) {
+        return { [field]: { $gte: IdGenerator.convert(min, format, formatter), $lte: IdGenerator.convert(max, format, formatter) } };
+    }
+
+    /**
+     * Splits the range bounds into evenly sized contiguous sub-ranges, the first ones are one ID larger if the range is not divisible
+     * @param {[Buffer]} bounds [min, max] buffers
+     * @param {number} parts number of sub-ranges
+     * @param {Object} [ops]
+     * @param {string} [ops.format] see RANGE_FORMATS. defaults to BUFFER
+     * @param {function} [ops.formatter] (buffer) => canonical string, used by the STRING format. defaults to the hex-string
+     * @returns {Array} [[min, max]] sub-ranges, in order
+     */
+    static splitBounds([min, max], parts, { format = RANGE_FORMATS.BUFFER, formatter } = {}) {
+        const from = IdGenerator.toBigInt(min);
+        const total = IdGenerator.toBigInt(max) - from + 1n;
+        if (!Number.isInteger(parts) || parts < 1 || BigInt(parts) > total) {
+            throw new Error(`IdGenerator: invalid number of parts ${parts}, must be an integer from 1 to ${total}`);
+        }
+        const size = total / BigInt(parts);
+        const remainder = total % BigInt(parts);
+        const ranges = [];
+        let start = from;
+        for (let i = 0n; i < BigInt(parts); i++) {
+            const end = start + size + (i < remainder ? 1n : 0n) - 1n;
+            ranges.push([start, end].map(value => IdGenerator.convert(IdGenerator.fromBigInt(value, min.length), format, formatter)));
+            start = end + 1n;
+        }
+        return ranges;
+    }
+
+    /**
+     * Converts the buffer into the format, see RANGE_FORMATS
+     */
+    static convert(buffer, format, formatter = value => value.toString('hex')) {
+        switch (format) {
+            case RANGE_FORMATS.BUFFER: return buffer;
+            case RANGE_FORMATS.HEX: return buffer.toString('hex');
+            case RANGE_FORMATS.BIGINT: return IdGenerator.toBigInt(buffer);
+            case RANGE_FORMATS.STRING: return formatter(buffer);
+            default: throw new Error(`IdGenerator: invalid format ${format}, valid options: ${Object.keys(RANGE_FORMATS).join(', ')}`);
+        }
+    }
+
+    /**
+     * Blocks the thread for the given millis
+     * @param {number} millis
+     */
+    static sleep(millis) {
+        Atomics.wait(SLEEP_CELL, 0, 0, Math.max(1, millis));
+    }
+
+    /**
+     * Reads the big-endian buffer as BigInt
+     * @param {Buffer} buffer
+     */
+    static toBigInt(buffer) {
+        return BigInt(`0x${buffer.toString('hex')}`);
+    }
+
+    /**
+     * Writes the BigInt as big-endian buffer
+     * @param {BigInt} value
+     * @param {number} size bytes of the buffer
+     * @returns {Buffer} the buffer, or null if the value does not fit
+     */
+    static fromBigInt(value, size) {
+        if (value < 0n || value >= (1n << BigInt(size * 8))) return null;
+        return Buffer.from(value.toString(16).padStart(size * 2, '0'), 'hex');
+    }
+
+    /**
+     * Converts the time into millis since the Unix epoch
+     * @param {number|Date} [time] millis since the Unix epoch or Date. defaults to now
+     */
+    static toMillis(time) {
+        if (time instanceof Date) return time.getTime();
+        return 'number' === typeof time ? Math.floor(time) : Date.now();
+    }
+
+    /**
+     * Converts the window into millis since the Unix epoch
+     * @param {number|Date} [from] defaults to now
+     * @param {number|Date} [to] defaults to from
+     * @returns {[number]} [from, to] millis
+     * @throws {Error} if from is after to
+     */
+    static toWindow(from, to) {
+        const fromMillis = IdGenerator.toMillis(from);
+        const toMillis = to === undefined ? fromMillis : IdGenerator.toMillis(to);
+        if (fromMillis > toMillis) {
+            throw new Error(`IdGenerator: invalid range, ${new Date(fromMillis).toISOString()} is after ${new Date(toMillis).toISOString()}`);
+        }
+        return [fromMillis, toMillis];
+    }
+
+    static describe(id) {
+        return Buffer.isBuffer(id) ? `Buffer(${id.length})` : `${typeof id === 'string' ? `'${id}'` : String(id)}`;
+    }
+}
+
+IdGenerator.COUNTER_EXHAUSTED_STRATEGIES = COUNTER_EXHAUSTED_STRATEGIES;
+IdGenerator.RANGE_FORMATS = RANGE_FORMATS;
+
+/**
+ * @returns {IdGenerator}
+ */
+module.exports = IdGenerator;
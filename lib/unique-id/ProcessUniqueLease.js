@@ -0,0 +1,186 @@
+'use strict';
+
+const { defer, timer, throwError, of, concat, Subject } = require('rxjs');
+const { mergeMap, filter, takeUntil, tap, map, ignoreElements, shareReplay } = require('rxjs/operators');
+const uuidv4 = require('uuid/v4');
+const { ConsoleLogger } = require('../log');
+const logger = ConsoleLogger.getLogger('unique-id.lease');
+
+/**
+ * Message types of the lease protocol
+ */
+const MESSAGE_TYPES = {
+    CLAIM: 'ProcessUniqueClaim',
+    IN_USE: 'ProcessUniqueInUse',
+};
+
+/**
+ * Leases a 2-byte process unique value through the broker, so the processes sharing the topic never use the same value.
+ * The process claims a random free value and waits the claim window:
+ *  - the holder of the value replies it is in use, so the process claims another value
+ *  - if other process claims the same value at the same time, the earliest claim wins
+ * Once acquired, the lease is held (and defended against new claims) until it is released or the process ends
+ */
+class ProcessUniqueLease {
+
+    /**
+     * @param {Object} options
+     * @param {Broker} options.broker broker shared by the processes
+     * @param {string} [options.topic] topic of the lease protocol. defaults to env UNIQUE_ID_LEASE_TOPIC or unique-id-leases
+     * @param {number} [options.claimWindow] millis waited for conflicting claims. defaults to env UNIQUE_ID_LEASE_CLAIM_WINDOW or 500
+     * @param {number} [options.maxAttempts] claims before giving up. defaults to 10
+     * @param {function} [options.random] () => number between 0 and 1, used to pick the claimed values
+     */
+    constructor({
+        broker,
+        topic = process.env.UNIQUE_ID_LEASE_TOPIC || 'unique-id-leases',
+        claimWindow = parseInt(process.env.UNIQUE_ID_LEASE_CLAIM_WINDOW || 500),
+        maxAttempts = 10,
+        random = Math.random
+    }) {
+        if (!broker) {
+            throw new Error('ProcessUniqueLease: broker is required');
+        }
+        this.broker = broker;
+        this.topic = topic;
+        this.claimWindow = claimWindow;
+        this.maxAttempts = maxAttempts;
+        this.random = random;
+        /**
+         * identifies this lease on the protocol messages
+         */
+        this.claimant = uuidv4();
+        /**
+         * leased value, null until acquired
+         */
+        this.value = null;
+        this.subscription = null;
+        /**
+         * acquisition in flight, shared by the concurrent acquire$ calls
+         */
+        this.acquiring$ = null;
+    }
+
+    /**
+     * Claims a free value and holds it. Concurrent calls share the same acquisition
+     * @returns {Observable} emits the leased value as a 2-byte Buffer
+     */
+    acquire$() {
+        if (this.value !== null) return of(ProcessUniqueLease.toBuffer(this.value));
+        if (!this.acquiring$) {
+            const settled = () => this.acquiring$ = null;
+            this.acquiring$ = this.claim$().pipe(
+                tap({ error: settled, complete: settled }),
+                shareReplay(1)
+            );
+        }
+        return this.acquiring$;
+    }
+
+    /**
+     * Claims free values until one is not contested, and keeps defending it
+     * @returns {Observable} emits the leased value as a 2-byte Buffer
+     */
+    claim$() {
+        return this.broker.configMessageListener$([this.topic]).pipe(
+            mergeMap(() => {
+                const inUse = new Set();
+                const conflicts$ = new Subject();
+                let candidate = null;
+                let claimedAt = 0;
+                this.subscription = this.broker.getMessageListener$([this.topic], Object.values(MESSAGE_TYPES), false).pipe(
+                    filter(({ data }) => data && data.claimant !== this.claimant)
+                ).subscribe(({ type, data }) => {
+                    if (type === MESSAGE_TYPES.IN_USE) {
+                        inUse.add(data.value);
+                        if (data.value === candidate) conflicts$.next(data.value);
+                    } else if (data.value === this.value || (data.value === candidate && ProcessUniqueLease.precedes(claimedAt, this.claimant, data))) {
+                        // the value is held, or claimed by this process first
+                        this.send$(MESSAGE_TYPES.IN_USE, { value: data.value }).subscribe(() => { }, err => logger.w('ProcessUniqueLease: failed to defend the leased value', err));
+                    } else if (data.value === candidate) {
+                        conflicts$.next(data.value);
+                    }
+                });
+
+                const attempt$ = (attempt) => defer(() => {
+                    if (attempt > this.maxAttempts) {
+                        return throwError(new Error(`ProcessUniqueLease: no process unique value could be leased after ${this.maxAttempts} attempts`));
+                    }
+                    candidate = ProcessUniqueLease.pickFree(inUse, this.random);
+                    claimedAt = Date.now();
+                    const conflicted$ = conflicts$.pipe(filter(value => value === candidate));
+                    let conflicted = false;
+                    return concat(
+                        this.send$(MESSAGE_TYPES.CLAIM, { value: candidate, at: claimedAt }).pipe(ignoreElements()),
+                        timer(this.claimWindow).pipe(takeUntil(conflicted$.pipe(tap(() => conflicted = true))), ignoreElements()),
+                        defer(() => {
+                            if (!conflicted) return of(candidate);
+                            inUse.add(candidate);
+                            return attempt$(attempt + 1);
+                        })
+                    );
+                });
+                return attempt$(1);
+            }),
+            tap({
+                next: value => {
+                    this.value = value;
+                    logger.i(`ProcessUniqueLease: leased process unique ${value.toString(16).padStart(4, '0')}`);
+                },
+                error: () => this.release()
+            }),
+            map(value => ProcessUniqueLease.toBuffer(value))
+        );
+    }
+
+    /**
+     * Releases the lease, the value may be claimed by other processes
+     */
+    release() {
+        if (this.subscription) {
+            this.subscription.unsubscribe();
+            this.subscription = null;
+        }
+        this.value = null;
+    }
+
+    send$(type, data) {
+        return this.broker.send$(this.topic, type, { ...data, claimant: this.claimant });
+    }
+
+    /**
+     * Returns true if the claim (at, claimant) precedes the other claim, ties are broken by claimant
+     */
+    static precedes(at, claimant, other) {
+        return at < other.at || (at === other.at && claimant < other.claimant);
+    }
+
+    /**
+     * Picks a random value, or the next one out of the used ones
+     * @param {Set} inUse values known to be in use
+     * @param {function} [random] () => number between 0 and 1
+     */
+    static pickFree(inUse, random = Math.random) {
+        if (inUse.size >= 0x10000) {
+            throw new Error('ProcessUniqueLease: every process unique value is in use');
+        }
+        let value = Math.floor(random() * 0x10000);
+        while (inUse.has(value)) {
+            value = (value + 1) % 0x10000;
+        }
+        return value;
+    }
+
+    static toBuffer(value) {
+        const buffer = Buffer.alloc(2);
+        buffer.writeUInt16BE(value);
+        return buffer;
+    }
+}
+
+ProcessUniqueLease.MESSAGE_TYPES = MESSAGE_TYPES;
+
+/**
+ * @returns {ProcessUniqueLease}
+ */
+module.exports = ProcessUniqueLease;
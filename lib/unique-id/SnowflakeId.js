@@ -0,0 +1,155 @@
+'use strict';
+
+const { randomInt } = require('crypto');
+const IdGenerator = require('./IdGenerator');
+
+/**
+ * Default custom epoch: 2020-01-01T00:00:00Z
+ */
+const DEFAULT_EPOCH = Date.UTC(2020, 0, 1);
+
+const DECIMAL_ID = /^\d{1,20}$/;
+const HEX_ID = /^[0-9a-fA-F]{16}$/;
+
+/**
+ * Snowflake-style 64-bit ID with millisecond precision:
+ *  A sign bit, always 0.
+ *  The milliseconds since the custom epoch, on the remaining bits.
+ *  The worker ID, on workerBits bits (10 by default).
+ *  A sequence reset every millisecond, on sequenceBits bits (12 by default).
+ * The canonical string is the decimal number, eg: 1234567890123456789
+ */
+class SnowflakeId extends IdGenerator {
+
+    /**
+     * @param {Object} [ops]
+     * @param {number} [ops.epoch] custom epoch, millis since the Unix epoch. defaults to env SNOWFLAKE_EPOCH or 2020-01-01T00:00:00Z
+     * @param {number} [ops.workerBits] bits of the worker ID. defaults to 10
+     * @param {number} [ops.sequenceBits] bits of the sequence. defaults to 12
+     * @param {number} [ops.workerId] worker ID, unique across the processes. defaults to env SNOWFLAKE_WORKER_ID or a random one
+     * @param {string} [ops.onCounterExhausted] WAIT or THROW once the sequence of a millisecond is used, see COUNTER_EXHAUSTED_STRATEGIES
+     */
+    constructor({
+        epoch = parseInt(process.env.SNOWFLAKE_EPOCH || DEFAULT_EPOCH),
+        workerBits = 10,
+        sequenceBits = 12,
+        workerId = process.env.SNOWFLAKE_WORKER_ID,
+        onCounterExhausted
+    } = {}) {
+        super({ onCounterExhausted });
+        if (!Number.isInteger(workerBits) || !Number.isInteger(sequenceBits) || workerBits < 0 || sequenceBits < 1 || workerBits + sequenceBits > 22) {
+            throw new Error(`SnowflakeId: invalid layout of ${workerBits} worker bits and ${sequenceBits} sequence bits, they can not exceed 22 bits`);
+        }
+        const maxWorkerId = 2 ** workerBits - 1;
+        workerId = workerId === undefined ? randomInt(maxWorkerId + 1) : Number(workerId);
+        if (!Number.isInteger(workerId) || workerId < 0 || workerId > maxWorkerId) {
+            throw new Error(`SnowflakeId: invalid worker ID ${workerId}, must be an integer from 0 to ${maxWorkerId}`);
+        }
+        this.epoch = epoch;
+        this.workerBits = workerBits;
+        this.sequenceBits = sequenceBits;
+        this.workerId = workerId;
+        this.maxSequence = 2 ** sequenceBits - 1;
+        this.maxTime = 2n ** BigInt(63 - workerBits - sequenceBits) - 1n;
+    }
+
+    /**
+     * Returns a new ID
+     * @param {number|Date} [time] millis since the Unix epoch or Date. defaults to now
+     * @returns {Buffer} 8-byte buffer
+     * @throws {Error} if the sequence of the millisecond is used and the strategy is THROW (or the time was given)
+     */
+    generate(time) {
+        const isCurrentTime = time === undefined;
+        let millis = IdGenerator.toMillis(time);
+        // the clock may move backwards, the IDs of the current time keep increasing
+        if (isCurrentTime && millis < this.lastTime) millis = this.lastTime;
+        let counter = this.getCounter(millis);
+        while (counter.sequence >= this.maxSequence) {
+            this.waitCounter(isCurrentTime, 1, `sequence exhausted, ${this.maxSequence + 1} IDs were already generated on millisecond ${millis}`);
+            millis = Math.max(Date.now(), millis);
+            counter = this.getCounter(millis);
+        }
+        counter.sequence++;
+        if (isCurrentTime) this.lastTime = millis;
+        return this.build(millis, this.workerId, counter.sequence);
+    }
+
+    /**
+     * for internal usage. the sequence of every millisecond starts on 0, see IdGenerator.getCounter
+     */
+    createCounter() {
+        return { sequence: -1 };
+    }
+
+    /**
+     * Returns the minimum and maximum possible IDs generated between the given times, of any worker
+     * @param {number|Date} [from] millis since the Unix epoch or Date. defaults to now
+     * @param {number|Date} [to] millis since the Unix epoch or Date. defaults to from
+     * @returns {[Buffer]} array with min and max buffers
+     */
+    getRange(from, to) {
+        const [fromMillis, toMillis] = IdGenerator.toWindow(from, to);
+        return [this.build(fromMillis, 0, 0), this.build(toMillis, 2 ** this.workerBits - 1, this.maxSequence)];
+    }
+
+    /**
+     * Converts an ID into its 8-byte buffer
+     * @param {Buffer|String|BigInt} id 8-byte buffer, 16 chars hex-string, decimal string or BigInt
+     * @throws {Error} if the ID is not valid
+     */
+    toBuffer(id) {
+        let buffer = null;
+        if (Buffer.isBuffer(id) && id.length === 8) buffer = id;
+        else if ('string' === typeof id && HEX_ID.test(id)) buffer = Buffer.from(id, 'hex');
+        else if ('string' === typeof id && DECIMAL_ID.test(id)) buffer = IdGenerator.fromBigInt(BigInt(id), 8);
+        else if ('bigint' === typeof id) buffer = IdGenerator.fromBigInt(id, 8);
+        // the sign bit is always 0
+        if (!buffer || buffer[0] & 0x80) {
+            throw new Error(`SnowflakeId: invalid id ${IdGenerator.describe(id)}, expected an 8-byte Buffer, a 16 chars hex-string, a decimal string or a BigInt`);
+        }
+        return buffer;
+    }
+
+    /**
+     * Decodes the parts of the 8-byte buffer
+     * @param {Buffer} buffer
+     * @returns {{time: number, timestamp: Date, workerId: number, sequence: number}} time is measured in millis since the Unix epoch
+     */
+    decode(buffer) {
+        const value = buffer.readBigUInt64BE();
+        const time = Number(value >> BigInt(this.workerBits + this.sequenceBits)) + this.epoch;
+        return {
+            time,
+            timestamp: new Date(time),
+            workerId: Number((value >> BigInt(this.sequenceBits)) & BigInt(2 ** this.workerBits - 1)),
+            sequence: Number(value & BigInt(this.maxSequence)),
+        };
+    }
+
+    /**
+     * Returns the canonical string of the ID: its decimal number
+     * @param {Buffer} buffer
+     */
+    format(buffer) {
+        return buffer.readBigUInt64BE().toString();
+    }
+
+    build(millis, workerId, sequence) {
+        const elapsed = BigInt(millis - this.epoch);
+        if (elapsed < 0n || elapsed > this.maxTime) {
+            throw new Error(`SnowflakeId: time ${new Date(millis).toISOString()} out of the range of the epoch ${new Date(this.epoch).toISOString()}`);
+        }
+        const value = (elapsed << BigInt(this.workerBits + this.sequenceBits)) | (BigInt(workerId) << BigInt(this.sequenceBits)) | BigInt(sequence);
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigUInt64BE(value);
+        return buffer;
+    }
+}
+
+SnowflakeId.DEFAULT_EPOCH = DEFAULT_EPOCH;
+
+/**
+ * @returns {SnowflakeId}
+ */
+module.exports = SnowflakeId;
@@ -0,0 +1,130 @@
+'use strict';
+
+const { randomBytes } = require('crypto');
+const IdGenerator = require('./IdGenerator');
+
+/**
+ * Crockford's base32 alphabet
+ */
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const ULID_STRING = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i;
+const HEX_ID = /^[0-9a-fA-F]{32}$/;
+const MAX_RANDOM = (1n << 80n) - 1n;
+const MAX_TIME = 2 ** 48 - 1;
+
+/**
+ * ULID: 128-bit lexicographically sortable ID, see https://github.com/ulid/spec
+ *  A 48-bit timestamp, measured in milliseconds since the Unix epoch.
+ *  80 random bits. IDs of the same millisecond increment the random bits of the previous one, so they keep their order.
+ * The canonical string is the 26 chars Crockford's base32 encoding, eg: 01HF7YAT00SD1RJ3NQ3KZ6X1VW
+ */
+class Ulid extends IdGenerator {
+
+    /**
+     * @param {Object} [ops]
+     * @param {string} [ops.onCounterExhausted] WAIT or THROW once the random bits of a millisecond overflow, see COUNTER_EXHAUSTED_STRATEGIES
+     */
+    constructor(ops = {}) {
+        super(ops);
+    }
+
+    /**
+     * Returns a new ID
+     * @param {number|Date} [time] millis since the Unix epoch or Date. defaults to now
+     * @returns {Buffer} 16-byte buffer
+     * @throws {Error} if the random bits of the millisecond overflow and the strategy is THROW (or the time was given)
+     */
+    generate(time) {
+        const isCurrentTime = time === undefined;
+        let millis = IdGenerator.toMillis(time);
+        if (isCurrentTime && millis < this.lastTime) millis = this.lastTime;
+        let counter = this.getCounter(millis);
+        while (counter.random >= MAX_RANDOM) {
+            this.waitCounter(isCurrentTime, 1, `random bits exhausted on millisecond ${millis}`);
+            millis = Math.max(Date.now(), millis);
+            counter = this.getCounter(millis);
+        }
+        counter.random++;
+        if (isCurrentTime) this.lastTime = millis;
+        return Ulid.build(millis, counter.random);
+    }
+
+    /**
+     * for internal usage. the random bits of every millisecond start on a random value, see IdGenerator.getCounter
+     */
+    createCounter() {
+        return { random: IdGenerator.toBigInt(randomBytes(10)) - 1n };
+    }
+
+    /**
+     * Returns the minimum and maximum possible IDs generated between the given times
+     * @param {number|Date} [from] millis since the Unix epoch or Date. defaults to now
+     * @param {number|Date} [to] millis since the Unix epoch or Date. defaults to from
+     * @returns {[Buffer]} array with min and max buffers
+     */
+    getRange(from, to) {
+        const [fromMillis, toMillis] = IdGenerator.toWindow(from, to);
+        return [Ulid.build(fromMillis, 0n), Ulid.build(toMillis, MAX_RANDOM)];
+    }
+
+    /**
+     * Converts an ID into its 16-byte buffer
+     * @param {Buffer|String|BigInt} id 16-byte buffer, 26 chars ULID string, 32 chars hex-string or BigInt
+     * @throws {Error} if the ID is not valid
+     */
+    toBuffer(id) {
+        let buffer = null;
+        if (Buffer.isBuffer(id) && id.length === 16) buffer = id;
+        else if ('string' === typeof id && ULID_STRING.test(id)) buffer = IdGenerator.fromBigInt(Ulid.decodeBase32(id.toUpperCase()), 16);
+        else if ('string' === typeof id && HEX_ID.test(id)) buffer = Buffer.from(id, 'hex');
+        else if ('bigint' === typeof id) buffer = IdGenerator.fromBigInt(id, 16);
+        if (!buffer) {
+            throw new Error(`Ulid: invalid id ${IdGenerator.describe(id)}, expected a 16-byte Buffer, a 26 chars ULID string, a 32 chars hex-string or a BigInt`);
+        }
+        return buffer;
+    }
+
+    /**
+     * Decodes the parts of the 16-byte buffer
+     * @param {Buffer} buffer
+     * @returns {{time: number, timestamp: Date, random: Buffer}} time is measured in millis since the Unix epoch
+     */
+    decode(buffer) {
+        const time = buffer.readUIntBE(0, 6);
+        return { time, timestamp: new Date(time), random: Buffer.from(buffer.subarray(6)) };
+    }
+
+    /**
+     * Returns the canonical string of the ID: the 26 chars Crockford's base32 encoding
+     * @param {Buffer} buffer
+     */
+    format(buffer) {
+        let value = IdGenerator.toBigInt(buffer);
+        let text = '';
+        for (let i = 0; i < 26; i++) {
+            text = ALPHABET[Number(value & 31n)] + text;
+            value >>= 5n;
+        }
+        return text;
+    }
+
+    static decodeBase32(text) {
+        return [...text].reduce((value, char) => (value << 5n) | BigInt(ALPHABET.indexOf(char)), 0n);
+    }
+
+    static build(millis, random) {
+        if (millis < 0 || millis > MAX_TIME) {
+            throw new Error(`Ulid: time ${millis} out of range`);
+        }
+        const buffer = Buffer.alloc(16);
+        buffer.writeUIntBE(millis, 0, 6);
+        IdGenerator.fromBigInt(random, 10).copy(buffer, 6);
+        return buffer;
+    }
+}
+
+/**
+ * @returns {Ulid}
+ */
+module.exports = Ulid;
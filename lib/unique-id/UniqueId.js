@@ -1,35 +1,144 @@
 'use strict';
 
-const { randomBytes } = require('crypto');
+const { randomBytes, createHash } = require('crypto');
+const os = require('os');
+const { map } = require('rxjs/operators');
 const { ConsoleLogger } = require('../log');
 const { Buffer } = require('buffer');
+const ProcessUniqueLease = require('./ProcessUniqueLease');
+const IdGenerator = require('./IdGenerator');
 
 
 let singletonInstance;
 
+const HEX_ID = /^[0-9a-fA-F]{16}$/;
+const MAX_UINT64 = 0xffffffffffffffffn;
+
+/**
+ * How the 2-byte process unique is assigned
+ *  RANDOM: random bytes generated once per process
+ *  FIXED: the given value, eg: a pod ordinal. defaults to env UNIQUE_ID_PROCESS_UNIQUE
+ *  HOSTNAME: hash of the hostname, stable across restarts of the same pod
+ *  LEASE: a value leased through the broker, unique across the processes sharing the broker. see leaseProcessUnique$
+ */
+const PROCESS_UNIQUE_MODES = {
+    RANDOM: 'RANDOM',
+    FIXED: 'FIXED',
+    HOSTNAME: 'HOSTNAME',
+    LEASE: 'LEASE',
+};
+
+const { COUNTER_EXHAUSTED_STRATEGIES } = IdGenerator;
+
+const COUNTER_SIZE = 0x10000;
+
+const isTime = (time) => 'number' === typeof time || time instanceof Date;
+
+/**
+ * converts seconds, milliseconds or a Date into seconds since the Unix epoch
+ */
+const toSeconds = (time) => {
+    if (time instanceof Date) return Math.floor(time.getTime() / 1000);
+    return time > 4294967295 ? Math.floor(time / 1000) : time;
+};
+
 /**
  * UniqueId based on mongo ObjectId but this implementation uses only 8-bytes instead of The 12-byte ObjectId.
  *  A 4-byte timestamp, representing the ObjectId's creation, measured in seconds since the Unix epoch.
- *  A 2-byte random value generated once per process. This random value is unique to the machine and process.
+ *  A 2-byte value unique to the machine and process, see PROCESS_UNIQUE_MODES.
  *  A 2-byte incrementing counter, initialized to a random value.
  */
-class UniqueId {
+class UniqueId extends IdGenerator {
+
+    /**
+     * Builds a new instance, and assigns the 2-byte processUnique
+     * @param {Object} [ops]
+     * @param {string} [ops.processUniqueMode] RANDOM, FIXED, HOSTNAME or LEASE, see PROCESS_UNIQUE_MODES.
+     *  defaults to env UNIQUE_ID_PROCESS_UNIQUE_MODE, or FIXED if the processUnique is given, or RANDOM
+     * @param {number|string|Buffer} [ops.processUnique] value of the FIXED mode, from 0 to 65535 or a 2-byte buffer. defaults to env UNIQUE_ID_PROCESS_UNIQUE
+     * @param {string} [ops.hostname] hostname hashed by the HOSTNAME mode. defaults to the machine hostname
+     * @param {string} [ops.onCounterExhausted] WAIT or THROW once the 65536 counter values of a second are used, see COUNTER_EXHAUSTED_STRATEGIES.
+     *  defaults to env UNIQUE_ID_ON_COUNTER_EXHAUSTED or THROW
+     */
+    constructor({
+        processUnique = process.env.UNIQUE_ID_PROCESS_UNIQUE,
+        processUniqueMode = process.env.UNIQUE_ID_PROCESS_UNIQUE_MODE || (processUnique !== undefined ? PROCESS_UNIQUE_MODES.FIXED : PROCESS_UNIQUE_MODES.RANDOM),
+        hostname = os.hostname(),
+        onCounterExhausted
+    } = {}) {
+        super({ onCounterExhausted });
+        this.processUniqueMode = processUniqueMode;
+        this.processUnique = UniqueId.buildProcessUnique(processUniqueMode, processUnique, hostname);
+    }
+
+    /**
+     * Returns the 2-byte process unique of the mode, null for the LEASE mode
+     */
+    static buildProcessUnique(mode, processUnique, hostname) {
+        switch (mode) {
+            case PROCESS_UNIQUE_MODES.RANDOM:
+                return randomBytes(2);
+            case PROCESS_UNIQUE_MODES.FIXED: {
+                if (Buffer.isBuffer(processUnique) && processUnique.length === 2) return processUnique;
+                const value = Number(processUnique);
+                if (processUnique === undefined || processUnique === '' || !Number.isInteger(value) || value < 0 || value >= COUNTER_SIZE) {
+                    throw new Error(`UniqueId: invalid process unique ${processUnique}, FIXED mode requires an integer from 0 to 65535 or a 2-byte Buffer`);
+                }
+                return ProcessUniqueLease.toBuffer(value);
+            }
+            case PROCESS_UNIQUE_MODES.HOSTNAME:
+                return createHash('sha256').update(hostname).digest().subarray(0, 2);
+            case PROCESS_UNIQUE_MODES.LEASE:
+                return null;
+            default:
+                throw new Error(`UniqueId: invalid process unique mode ${mode}, valid options: ${Object.keys(PROCESS_UNIQUE_MODES).join(', ')}`);
+        }
+    }
+
+    /**
+     * Leases the process unique through the broker, see ProcessUniqueLease. IDs can not be generated on LEASE mode until it is leased
+     * @param {Broker} broker broker shared by the processes
+     * @param {Object} [ops] see ProcessUniqueLease options
+     * @returns {Observable} emits the leased 2-byte process unique
+     */
+    leaseProcessUnique$(broker, ops = {}) {
+        if (!this.lease) {
+            this.lease = new ProcessUniqueLease({ ...ops, broker });
+        }
+        return this.lease.acquire$().pipe(
+            map(processUnique => {
+                this.processUnique = processUnique;
+                this.counters.clear();
+                return processUnique;
+            })
+        );
+    }
 
     /**
-     * Builds a new instance, and generates the 2-byte processUnique and the 2-byte random index
+     * for internal usage. the counters by second: { index, issued }, every second starts on a random index, see IdGenerator.getCounter
      */
-    constructor() {
-        // set this.processUnique if yet not initialized
-        this.processUnique = randomBytes(2);
-        this.index = Math.floor(Math.random() * 0xffff);
+    createCounter() {
+        return { index: Math.floor(Math.random() * COUNTER_SIZE), issued: 0 };
     }
 
     /**
-     * 
-     * @returns for internal usage.  increments and get the incremental counter
+     * for internal usage. reserves a counter value on the given second.
+     * every second has its own counter, so IDs of different seconds can be interleaved.
+     * once the 65536 values of the second are used it waits for the next second or throws, see COUNTER_EXHAUSTED_STRATEGIES
+     * @param {int} time seconds since the Unix epoch
+     * @param {boolean} isCurrentTime whether the time was taken from the clock, so the next second can be waited
+     * @returns {Object} { time, inc }: the second and the counter value reserved
      */
-    getInc() {
-        return (this.index = (this.index + 1) % 0xffff);
+    reserveCounter(time, isCurrentTime) {
+        let counter = this.getCounter(time);
+        while (counter.issued >= COUNTER_SIZE) {
+            this.waitCounter(isCurrentTime, 1000 - (Date.now() % 1000), `counter exhausted, ${COUNTER_SIZE} IDs were already generated on second ${time}`);
+            time = Math.floor(Date.now() / 1000);
+            counter = this.getCounter(time);
+        }
+        counter.issued++;
+        counter.index = (counter.index + 1) % COUNTER_SIZE;
+        return { time, inc: counter.index };
     }
 
     /**
@@ -39,14 +148,22 @@ class UniqueId {
      *  A 2-byte incrementing counter, initialized to a random value.
      * @param {int} time number of seconds/milliseconds that have elapsed since January 1, 1970 (midnight UTC/GMT). 
      * @returns {Buffer} 8-byte buffer
+     * @throws {Error} if the counter values of the second are exhausted and the strategy is THROW (or the time was given),
+     *  or the process unique is not leased yet
      */
     generate(time) {
-        if ('number' !== typeof time) {
+        if (!this.processUnique) {
+            throw new Error('UniqueId: the process unique is not leased yet, see leaseProcessUnique$');
+        }
+        const isCurrentTime = 'number' !== typeof time;
+        if (isCurrentTime) {
             time = Math.floor(Date.now() / 1000);
         }else if (time > 4294967295){
             time = Math.floor(time / 1000);
         }
-        const inc = this.getInc();
+        const reserved = this.reserveCounter(time, isCurrentTime);
+        time = reserved.time;
+        const inc = reserved.inc;
         const buffer = Buffer.alloc(8);
 
         // 4-byte timestamp
@@ -87,20 +204,33 @@ class UniqueId {
     }
 
     /**
-     * Returns the minimum and maximum possible value for a given time
-     * @param {int} time number of seconds/milliseconds that have elapsed since January 1, 1970 (midnight UTC/GMT), if left blank, it uses current time
-     * @param {*} processUnique the 2-byte random value generated once per process. if left blank, it uses 0x00 for minimum and 0xff for maximum
+     * Returns the minimum and maximum possible value for a given time, or for the window between two times (both included)
+     * @param {int|Date} fromTime number of seconds/milliseconds that have elapsed since January 1, 1970 (midnight UTC/GMT), if left blank, it uses current time
+     * @param {int|Date} [toTime] end of the window, in seconds/milliseconds. if left blank, it uses fromTime.
+     *  may be omitted: getRange(time, processUnique) is the range of a single second
+     * @param {*} processUnique the 2-byte random value generated once per process. if left blank, it uses 0x00 for minimum and 0xff for maximum.
+     *  the IDs of a single process are not contiguous across seconds, so it is only allowed on single-second windows, see getProcessRanges
      * @returns {[Buffer]} array with min and max buffers
+     * @throws {Error} if the window is inverted, or if it spans several seconds and processUnique is given
      */
-    static getRange(time = Math.floor(Date.now() / 1000), processUnique = null) {
-        if (time > 4294967295){
-            time = Math.floor(time / 1000);
+    static getRange(fromTime = Math.floor(Date.now() / 1000), toTime, processUnique = null) {
+        if (!isTime(toTime)) {
+            processUnique = toTime === undefined ? processUnique : toTime;
+            toTime = fromTime;
+        }
+        fromTime = toSeconds(fromTime);
+        toTime = toSeconds(toTime);
+        if (fromTime > toTime) {
+            throw new Error(`UniqueId: invalid range, fromTime ${fromTime} is after toTime ${toTime}`);
+        }
+        if (processUnique && fromTime !== toTime) {
+            throw new Error(`UniqueId: the IDs of a single process from ${fromTime} to ${toTime} are not a contiguous range, use getProcessRanges or getRangeFilter`);
         }
         const min = Buffer.alloc(8);
         const max = Buffer.alloc(8);
         // 4-byte timestamp
-        min.writeUInt32BE(time, 0);
-        max.writeUInt32BE(time, 0);
+        min.writeUInt32BE(fromTime, 0);
+        max.writeUInt32BE(toTime, 0);
         // 2-byte process unique
         min[4] = !processUnique ? 0x00 : processUnique[0];
         min[5] = !processUnique ? 0x00 : processUnique[1];
@@ -115,55 +245,239 @@ class UniqueId {
     }
 
     /**
-     * Returns the minimum and maximum possible value for a given time
-     * @param {int} time number of seconds/milliseconds that have elapsed since January 1, 1970 (midnight UTC/GMT), if left blank, it uses current time
-     * @param {*} processUnique the 2-byte random value generated once per process. if left blank, it uses 0x00 for minimum and 0xff for maximum
+     * Returns the [min, max] ranges of the IDs generated on the window by a single process, one range per second
+     * @param {int|Date} fromTime start of the window, in seconds/milliseconds
+     * @param {int|Date} toTime end of the window, in seconds/milliseconds
+     * @param {Buffer} processUnique the 2-byte value of the process
+     * @returns {Array} [[min, max]] buffers, in order
+     */
+    static getProcessRanges(fromTime, toTime, processUnique) {
+        const [min, max] = UniqueId.getRange(fromTime, toTime);
+        const ranges = [];
+        for (let time = min.readUInt32BE(0); time <= max.readUInt32BE(0); time++) {
+            ranges.push(UniqueId.getRange(time, processUnique));
+        }
+        return ranges;
+    }
+
+    /**
+     * Returns the minimum and maximum possible value for a given time or window, see UniqueId.getRange
      * @returns {[BigInt]} array with min and max BigInt
      */
-    static getRangeUInt64BE(time, processUnique) {
-        const [min, max] = this.getRange(time, processUnique);
+    static getRangeUInt64BE(...args) {
+        const [min, max] = this.getRange(...args);
         return [min.readBigUInt64BE(), max.readBigUInt64BE()];
     }
 
     /**
-     * Returns the minimum and maximum possible value for a given time
-     * @param {int} time number of seconds/milliseconds that have elapsed since January 1, 1970 (midnight UTC/GMT), if left blank, it uses current time
-     * @param {*} processUnique the 2-byte random value generated once per process. if left blank, it uses 0x00 for minimum and 0xff for maximum
+     * Returns the minimum and maximum possible value for a given time or window, see UniqueId.getRange
      * @returns {[String]} array with min and max hex-strings
      */
-    static getRangeHex(time, processUnique) {
-        const [min, max] = this.getRange(time, processUnique);
+    static getRangeHex(...args) {
+        const [min, max] = this.getRange(...args);
         return [min.toString('hex'), max.toString('hex')];
     }
 
     /**
-     * Returns the minimum and maximum possible value for a given time. it uses the instance's 2-byte random value generated once per process
-     * @param {int} time number of seconds/milliseconds that have elapsed since January 1, 1970 (midnight UTC/GMT), if left blank, it uses current time
+     * Returns a MongoDB filter of the IDs generated on the window, eg: { _id: { $gte: min, $lte: max } }
+     * @param {int|Date} fromTime start of the window, in seconds/milliseconds
+     * @param {int|Date} [toTime] end of the window, in seconds/milliseconds. defaults to fromTime
+     * @param {Object} [ops]
+     * @param {string} [ops.field] filtered field. defaults to _id
+     * @param {string} [ops.format] BUFFER, HEX or BIGINT, the format the IDs are stored with, see RANGE_FORMATS. defaults to BUFFER
+     * @param {Buffer} [ops.processUnique] filters the IDs of a single process. defaults to every process.
+     *  on multi-second windows the filter is an $or of one range per second, see getProcessRanges
+     * @returns {Object} MongoDB filter
+     */
+    static getRangeFilter(fromTime, toTime, { field, format, processUnique = null } = {}) {
+        if (!processUnique) {
+            return IdGenerator.buildRangeFilter(UniqueId.getRange(fromTime, toTime), { field, format });
+        }
+        const filters = UniqueId.getProcessRanges(fromTime, toTime === undefined ? fromTime : toTime, processUnique)
+            .map(range => IdGenerator.buildRangeFilter(range, { field, format }));
+        return filters.length === 1 ? filters[0] : { $or: filters };
+    }
+
+    /**
+     * Splits the IDs of the window into evenly sized contiguous sub-ranges, eg: to scan a collection in parallel jobs
+     * @param {int|Date} fromTime start of the window, in seconds/milliseconds
+     * @param {int|Date} toTime end of the window, in seconds/milliseconds
+     * @param {int} parts number of sub-ranges
+     * @param {Object} [ops]
+     * @param {string} [ops.format] BUFFER, HEX or BIGINT, see RANGE_FORMATS. defaults to BUFFER
+     * @param {Buffer} [ops.processUnique] splits the IDs of a single process, only on single-second windows. defaults to every process
+     * @returns {Array} [[min, max]] sub-ranges, in order
+     * @throws {Error} if processUnique is given on a multi-second window, see getRange
+     */
+    static splitRange(fromTime, toTime, parts, { format, processUnique = null } = {}) {
+        return IdGenerator.splitBounds(UniqueId.getRange(fromTime, toTime, processUnique), parts, { format });
+    }
+
+    /**
+     * Returns the minimum and maximum possible value for a given time or window. it uses the instance's 2-byte random value generated once per process
+     * @param {int|Date} fromTime number of seconds/milliseconds that have elapsed since January 1, 1970 (midnight UTC/GMT), if left blank, it uses current time
+     * @param {int|Date} [toTime] end of the window, in seconds/milliseconds. if left blank, it uses fromTime
      * @returns {[Buffer]} array with min and max buffers
+     * @throws {Error} if the window spans several seconds, see getProcessRanges
      */
-    getRange(time) {
-        return UniqueId.getRange(time, this.processUnique);
+    getRange(fromTime, toTime) {
+        return UniqueId.getRange(fromTime, toTime, this.processUnique);
     }
 
     /**
-     * Returns the minimum and maximum possible value for a given time. it uses the instance's 2-byte random value generated once per process
-     * @param {int} time number of seconds/milliseconds that have elapsed since January 1, 1970 (midnight UTC/GMT), if left blank, it uses current time
+     * Returns the minimum and maximum possible value for a given time or window. it uses the instance's 2-byte random value generated once per process
+     * @param {int|Date} fromTime number of seconds/milliseconds that have elapsed since January 1, 1970 (midnight UTC/GMT), if left blank, it uses current time
+     * @param {int|Date} [toTime] end of the window, in seconds/milliseconds. if left blank, it uses fromTime
      * @returns {[BigInt]} array with min and max BigInt
      */
-    getRangeUInt64BE(time) {
-        const [min, max] = this.getRange(time, this.processUnique);
+    getRangeUInt64BE(fromTime, toTime) {
+        const [min, max] = this.getRange(fromTime, toTime);
         return [min.readBigUInt64BE(), max.readBigUInt64BE()];
     }
 
     /**
-     * Returns the minimum and maximum possible value for a given time. it uses the instance's 2-byte random value generated once per process
-     * @param {int} time number of seconds/milliseconds that have elapsed since January 1, 1970 (midnight UTC/GMT), if left blank, it uses current time
+     * Returns the minimum and maximum possible value for a given time or window. it uses the instance's 2-byte random value generated once per process
+     * @param {int|Date} fromTime number of seconds/milliseconds that have elapsed since January 1, 1970 (midnight UTC/GMT), if left blank, it uses current time
+     * @param {int|Date} [toTime] end of the window, in seconds/milliseconds. if left blank, it uses fromTime
      * @returns {[String]} array with min and max hex-strings
      */
-    getRangeHex(time) {
-        const [min, max] = this.getRange(time, this.processUnique);
+    getRangeHex(fromTime, toTime) {
+        const [min, max] = this.getRange(fromTime, toTime);
         return [min.toString('hex'), max.toString('hex')];
-    }    
+    }
+
+    /**
+     * Returns the ranges of the IDs generated on the window by this process, one per second, see UniqueId.getProcessRanges
+     * @returns {Array} [[min, max]] buffers, in order
+     */
+    getProcessRanges(fromTime, toTime) {
+        return UniqueId.getProcessRanges(fromTime, toTime, this.processUnique);
+    }
+
+    /**
+     * Returns a MongoDB filter of the IDs generated on the window by any process, see UniqueId.getRangeFilter
+     */
+    getRangeFilter(fromTime, toTime, ops) {
+        return UniqueId.getRangeFilter(fromTime, toTime, ops);
+    }
+
+    /**
+     * Splits the IDs generated on the window by any process into evenly sized sub-ranges, see UniqueId.splitRange
+     */
+    splitRange(fromTime, toTime, parts, ops) {
+        return UniqueId.splitRange(fromTime, toTime, parts, ops);
+    }
+
+    /**
+     * Converts an ID into its 8-byte buffer, see UniqueId.toBuffer
+     * @param {Buffer|String|BigInt} id 8-byte buffer, 16 chars hex-string or UInt64BE
+     */
+    toBuffer(id) {
+        return UniqueId.toBuffer(id);
+    }
+
+    /**
+     * Decodes the parts of the 8-byte buffer, see UniqueId.parse
+     * @param {Buffer} buffer
+     */
+    decode(buffer) {
+        return UniqueId.parse(buffer);
+    }
+
+    /**
+     * Returns the canonical string of the ID: its hex-string
+     * @param {Buffer} buffer
+     */
+    format(buffer) {
+        return buffer.toString('hex');
+    }
+
+    /**
+     * Converts an ID into its 8-byte buffer
+     * @param {Buffer|String|BigInt} id 8-byte buffer, 16 chars hex-string or UInt64BE
+     * @returns {Buffer} 8-byte buffer
+     * @throws {Error} if the ID is not a valid UniqueId
+     */
+    static toBuffer(id) {
+        if (Buffer.isBuffer(id) && id.length === 8) {
+            return id;
+        }
+        if ('string' === typeof id && HEX_ID.test(id)) {
+            return Buffer.from(id, 'hex');
+        }
+        if ('bigint' === typeof id && id >= 0n && id <= MAX_UINT64) {
+            const buffer = Buffer.alloc(8);
+            buffer.writeBigUInt64BE(id);
+            return buffer;
+        }
+        throw new Error(`UniqueId: invalid id ${IdGenerator.describe(id)}, expected an 8-byte Buffer, a 16 chars hex-string or a UInt64BE BigInt`);
+    }
+
+    /**
+     * Returns true if the ID is a well formed UniqueId
+     * @param {*} id 8-byte buffer, 16 chars hex-string or UInt64BE
+     * @returns {boolean}
+     */
+    static isValid(id) {
+        return (Buffer.isBuffer(id) && id.length === 8)
+            || ('string' === typeof id && HEX_ID.test(id))
+            || ('bigint' === typeof id && id >= 0n && id <= MAX_UINT64);
+    }
+
+    /**
+     * Decodes the parts of the ID
+     * @param {Buffer|String|BigInt} id 8-byte buffer, 16 chars hex-string or UInt64BE
+     * @returns {{time: number, timestamp: Date, processUnique: Buffer, counter: number}} time is measured in seconds since the Unix epoch,
+     *  processUnique is the 2-byte value of the process that generated the ID
+     * @throws {Error} if the ID is not a valid UniqueId
+     */
+    static parse(id) {
+        const buffer = UniqueId.toBuffer(id);
+        const time = buffer.readUInt32BE(0);
+        return {
+            time,
+            timestamp: new Date(time * 1000),
+            processUnique: Buffer.from(buffer.subarray(4, 6)),
+            counter: buffer.readUInt16BE(6),
+        };
+    }
+
+    /**
+     * Returns the creation date of the ID, with seconds precision
+     * @param {Buffer|String|BigInt} id 8-byte buffer, 16 chars hex-string or UInt64BE
+     * @returns {Date}
+     * @throws {Error} if the ID is not a valid UniqueId
+     */
+    static getTimestamp(id) {
+        return new Date(UniqueId.toBuffer(id).readUInt32BE(0) * 1000);
+    }
+
+    /**
+     * Compares two IDs by creation time, then process unique and counter. IDs may have different formats
+     * @param {Buffer|String|BigInt} a
+     * @param {Buffer|String|BigInt} b
+     * @returns {number} -1 if a is lower than b, 1 if a is greater than b, 0 if they are equal
+     * @throws {Error} if any ID is not a valid UniqueId
+     */
+    static compare(a, b) {
+        return Buffer.compare(UniqueId.toBuffer(a), UniqueId.toBuffer(b));
+    }
+
+    /**
+     * Returns a sorted copy of the IDs, keeping their formats
+     * @param {[Buffer|String|BigInt]} ids
+     * @param {Object} [ops]
+     * @param {boolean} [ops.descending] newest first. defaults to false
+     * @returns {[Buffer|String|BigInt]} sorted IDs
+     * @throws {Error} if any ID is not a valid UniqueId
+     */
+    static sort(ids, { descending = false } = {}) {
+        const direction = descending ? -1 : 1;
+        return ids
+            .map(id => ({ id, buffer: UniqueId.toBuffer(id) }))
+            .sort((a, b) => direction * Buffer.compare(a.buffer, b.buffer))
+            .map(({ id }) => id);
+    }
 }
 
 
@@ -175,6 +489,8 @@ module.exports = {
      * @returns {UniqueId}
      */
     UniqueId,
+    PROCESS_UNIQUE_MODES,
+    COUNTER_EXHAUSTED_STRATEGIES,
     /**
      * @returns {UniqueId}
      */
@@ -0,0 +1,121 @@
+'use strict';
+
+const { randomBytes, randomInt } = require('crypto');
+const IdGenerator = require('./IdGenerator');
+
+const UUID_STRING = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-7[0-9a-fA-F]{3}-[89abAB][0-9a-fA-F]{3}-[0-9a-fA-F]{12}$/;
+const HEX_ID = /^[0-9a-fA-F]{32}$/;
+const MAX_COUNTER = 0xfff;
+const MAX_TIME = 2 ** 48 - 1;
+
+/**
+ * UUID version 7: 128-bit time ordered UUID, see RFC 9562
+ *  A 48-bit timestamp, measured in milliseconds since the Unix epoch.
+ *  The 4-bit version (7).
+ *  A 12-bit counter (rand_a), initialized to a random value every millisecond, so the IDs of a millisecond keep their order.
+ *  The 2-bit variant (10).
+ *  62 random bits (rand_b).
+ * The canonical string is the lowercase 8-4-4-4-12 hex format, eg: 018bcfe5-6800-7a3c-9f12-3c4d5e6f7a8b
+ */
+class UuidV7 extends IdGenerator {
+
+    /**
+     * @param {Object} [ops]
+     * @param {string} [ops.onCounterExhausted] WAIT or THROW once the 12-bit counter of a millisecond is used, see COUNTER_EXHAUSTED_STRATEGIES
+     */
+    constructor(ops = {}) {
+        super(ops);
+    }
+
+    /**
+     * Returns a new ID
+     * @param {number|Date} [time] millis since the Unix epoch or Date. defaults to now
+     * @returns {Buffer} 16-byte buffer
+     * @throws {Error} if the counter of the millisecond is used and the strategy is THROW (or the time was given)
+     */
+    generate(time) {
+        const isCurrentTime = time === undefined;
+        let millis = IdGenerator.toMillis(time);
+        if (isCurrentTime && millis < this.lastTime) millis = this.lastTime;
+        let counter = this.getCounter(millis);
+        while (counter.value >= MAX_COUNTER) {
+            this.waitCounter(isCurrentTime, 1, `counter exhausted, ${MAX_COUNTER + 1} IDs were already generated on millisecond ${millis}`);
+            millis = Math.max(Date.now(), millis);
+            counter = this.getCounter(millis);
+        }
+        counter.value++;
+        if (isCurrentTime) this.lastTime = millis;
+        return UuidV7.build(millis, counter.value, randomBytes(8));
+    }
+
+    /**
+     * for internal usage. the counter starts on the lower half, so most milliseconds never exhaust it, see IdGenerator.getCounter
+     */
+    createCounter() {
+        return { value: randomInt(0x800) - 1 };
+    }
+
+    /**
+     * Returns the minimum and maximum possible IDs generated between the given times
+     * @param {number|Date} [from] millis since the Unix epoch or Date. defaults to now
+     * @param {number|Date} [to] millis since the Unix epoch or Date. defaults to from
+     * @returns {[Buffer]} array with min and max buffers
+     */
+    getRange(from, to) {
+        const [fromMillis, toMillis] = IdGenerator.toWindow(from, to);
+        return [UuidV7.build(fromMillis, 0, Buffer.alloc(8, 0x00)), UuidV7.build(toMillis, MAX_COUNTER, Buffer.alloc(8, 0xff))];
+    }
+
+    /**
+     * Converts an ID into its 16-byte buffer
+     * @param {Buffer|String|BigInt} id 16-byte buffer, UUID string, 32 chars hex-string or BigInt
+     * @throws {Error} if the ID is not a valid UUIDv7
+     */
+    toBuffer(id) {
+        let buffer = null;
+        if (Buffer.isBuffer(id) && id.length === 16) buffer = id;
+        else if ('string' === typeof id && UUID_STRING.test(id)) buffer = Buffer.from(id.replace(/-/g, ''), 'hex');
+        else if ('string' === typeof id && HEX_ID.test(id)) buffer = Buffer.from(id, 'hex');
+        else if ('bigint' === typeof id) buffer = IdGenerator.fromBigInt(id, 16);
+        if (!buffer || (buffer[6] >> 4) !== 7 || (buffer[8] >> 6) !== 0b10) {
+            throw new Error(`UuidV7: invalid id ${IdGenerator.describe(id)}, expected a 16-byte Buffer, a UUID string, a 32 chars hex-string or a BigInt of version 7`);
+        }
+        return buffer;
+    }
+
+    /**
+     * Decodes the parts of the 16-byte buffer
+     * @param {Buffer} buffer
+     * @returns {{time: number, timestamp: Date, counter: number}} time is measured in millis since the Unix epoch
+     */
+    decode(buffer) {
+        const time = buffer.readUIntBE(0, 6);
+        return { time, timestamp: new Date(time), counter: buffer.readUInt16BE(6) & MAX_COUNTER };
+    }
+
+    /**
+     * Returns the canonical string of the ID: the lowercase 8-4-4-4-12 hex format
+     * @param {Buffer} buffer
+     */
+    format(buffer) {
+        const hex = buffer.toString('hex');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    static build(millis, counter, random) {
+        if (millis < 0 || millis > MAX_TIME) {
+            throw new Error(`UuidV7: time ${millis} out of range`);
+        }
+        const buffer = Buffer.alloc(16);
+        buffer.writeUIntBE(millis, 0, 6);
+        buffer.writeUInt16BE(0x7000 | counter, 6);
+        random.copy(buffer, 8);
+        buffer[8] = 0x80 | (buffer[8] & 0x3f);
+        return buffer;
+    }
+}
+
+/**
+ * @returns {UuidV7}
+ */
+module.exports = UuidV7;
@@ -1,8 +1,20 @@
 "use strict";
 
-const { singleton, UniqueId } = require("./UniqueId");
+const { singleton, UniqueId, PROCESS_UNIQUE_MODES, COUNTER_EXHAUSTED_STRATEGIES } = require("./UniqueId");
+const ProcessUniqueLease = require("./ProcessUniqueLease");
+const IdGenerator = require("./IdGenerator");
+const SnowflakeId = require("./SnowflakeId");
+const Ulid = require("./Ulid");
+const UuidV7 = require("./UuidV7");
 
 module.exports = {
     uniqueId: singleton(),
-    UniqueId
+    UniqueId,
+    ProcessUniqueLease,
+    IdGenerator,
+    SnowflakeId,
+    Ulid,
+    UuidV7,
+    PROCESS_UNIQUE_MODES,
+    COUNTER_EXHAUSTED_STRATEGIES
 };
@@ -0,0 +1,91 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+const { throwError } = require('rxjs');
+const { first } = require('rxjs/operators');
+
+//LIBS FOR TESTING
+const { RoleValidator, AuthorizationAuditor } = require('../../lib/auth');
+const { InMemoryBroker } = require('../../lib/broker');
+const { PERMISSION_DENIED } = require('../../lib/error');
+
+const permissionDeniedError = { name: 'PermissionDenied', code: PERMISSION_DENIED, description: 'denied' };
+
+describe('AUTH', function () {
+  describe('AuthorizationAuditor', function () {
+
+    let events, auditor;
+    beforeEach(function () {
+      events = [];
+      auditor = new AuthorizationAuditor({ sinks: [AuthorizationAuditor.callbackSink(event => events.push(event))] });
+    });
+    afterEach(function () {
+      AuthorizationAuditor.setDefault(null);
+    });
+
+    it('records the allowed and denied decisions of verifyRoles$', function (done) {
+      AuthorizationAuditor.setDefault(auditor);
+      const principal = { id: 'u1', username: 'jdoe' };
+      RoleValidator.verifyRoles$(['OPERATOR'], 'test.allowed', permissionDeniedError, ['OPERATOR'], { principal, correlationId: 'req-1' }).subscribe(() => {
+        RoleValidator.verifyRoles$(['OPERATOR'], 'test.denied', permissionDeniedError, ['PLATFORM-ADMIN'], { principal, correlationId: 'req-2' }).subscribe(
+          () => done(new Error('Test should have failed')),
+          () => {
+            expect(events).to.have.length(2);
+            expect(events[0]).to.include({ decision: 'ALLOW', method: 'test.allowed', correlationId: 'req-1' });
+            expect(events[1]).to.include({ decision: 'DENY', method: 'test.denied', correlationId: 'req-2', reason: 'ROLES' });
+            expect(events[1].principal).to.be.deep.eq(principal);
+            expect(events[1].requiredRoles).to.be.deep.eq(['PLATFORM-ADMIN']);
+            expect(events[1].grantedRoles).to.be.deep.eq(['OPERATOR']);
+            expect(events[1].timestamp).to.be.a('number');
+            done();
+          }
+        );
+      }, done);
+    });
+
+    it('records the reason of the denied access', function (done) {
+      const principal = { id: 'u1', username: 'jdoe', roles: ['OPERATOR'], permissions: [], attributes: {} };
+      RoleValidator.verifyAccess$(principal, 'test.access', permissionDeniedError, { permissions: ['vehicle:abc:read'] }, { correlationId: 'req-3', auditor }).subscribe(
+        () => done(new Error('Test should have failed')),
+        () => {
+          expect(events[0]).to.include({ decision: 'DENY', reason: 'PERMISSIONS', correlationId: 'req-3' });
+          expect(events[0].principal).to.be.deep.eq({ id: 'u1', username: 'jdoe' });
+          expect(events[0].requiredPermissions).to.be.deep.eq(['vehicle:abc:read']);
+          done();
+        }
+      );
+    });
+
+    it('samples the allowed decisions only', function () {
+      let random = 0;
+      const sampled = new AuthorizationAuditor({ sinks: [event => events.push(event)], sampleRate: 0.25, random: () => random });
+      random = 0.1;
+      expect(sampled.record({ granted: true, method: 'a' })).to.not.be.null;
+      random = 0.5;
+      expect(sampled.record({ granted: true, method: 'b' })).to.be.null;
+      expect(sampled.record({ granted: false, method: 'c' })).to.not.be.null;
+      expect(events.map(event => event.method)).to.be.deep.eq(['a', 'c']);
+      expect(() => new AuthorizationAuditor({ sampleRate: 2 })).to.throw('invalid sample rate');
+    });
+
+    it('isolates the decision from sink failures', function () {
+      const failing = new AuthorizationAuditor({
+        sinks: [() => { throw new Error('sink down'); }, () => throwError(new Error('sink down')), event => events.push(event)]
+      });
+      expect(failing.record({ granted: false, method: 'test' }).decision).to.be.eq('DENY');
+      expect(events).to.have.length(1);
+    });
+
+    it('publishes the decisions to a broker topic', function (done) {
+      const broker = new InMemoryBroker({ bus: InMemoryBroker.createBus(), senderId: 'auditor' });
+      const published = new AuthorizationAuditor({ sinks: [AuthorizationAuditor.brokerSink({ broker, topic: 'audit' })] });
+      broker.getMessageListener$(['audit'], ['AuthorizationDecision'], false).pipe(first()).subscribe(
+        ({ data }) => expect(data).to.include({ decision: 'DENY', method: 'test.broker' }),
+        (error) => done(error),
+        () => broker.disconnectBroker$().subscribe(() => done())
+      );
+      published.record({ granted: false, method: 'test.broker' });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+//LIBS FOR TESTING
+const { JwtVerifier, RoleValidator } = require('../../lib/auth');
+const { UnauthenticatedError } = require('../../lib/error');
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const sign = (privateKey, header, payload) => {
+  const data = `${base64url(Buffer.from(JSON.stringify(header)))}.${base64url(Buffer.from(JSON.stringify(payload)))}`;
+  const signature = header.alg === 'ES256'
+    ? crypto.sign('sha256', Buffer.from(data), { key: privateKey, dsaEncoding: 'ieee-p1363' })
+    : crypto.sign('sha256', Buffer.from(data), privateKey);
+  return `${data}.${base64url(signature)}`;
+};
+
+describe('AUTH', function () {
+  describe('JwtVerifier', function () {
+
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwks = {
+      keys: [
+        { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256' },
+        { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1' },
+      ]
+    };
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      sub: 'user-1',
+      preferred_username: 'john',
+      iss: 'https://sso/auth/realms/DEV',
+      aud: ['emi', 'account'],
+      exp: now + 60,
+      realm_access: { roles: ['OPERATOR'] },
+      resource_access: { emi: { roles: ['VEHICLE-VIEWER'] }, account: { roles: ['manage-account'] } },
+      attributes: { businessId: 'b1' },
+    };
+    const verifier = new JwtVerifier({ jwks, issuer: 'https://sso/auth/realms/DEV', audience: 'emi', clientId: 'emi', claims: { businessId: 'attributes.businessId' } });
+
+    const reasonOf = (token, instance = verifier) => {
+      try {
+        instance.verify(token);
+      } catch (err) {
+        expect(err).to.be.instanceOf(UnauthenticatedError);
+        return err.metadata.reason;
+      }
+      return null;
+    };
+
+    it('verifies RS256 and ES256 tokens', function () {
+      expect(verifier.verify(`Bearer ${sign(rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }, payload)}`).sub).to.be.eq('user-1');
+      expect(verifier.verify(sign(ec.privateKey, { alg: 'ES256', kid: 'ec-1' }, payload)).sub).to.be.eq('user-1');
+    });
+
+    it('rejects invalid tokens with the reason', function () {
+      const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      expect(reasonOf(undefined)).to.be.eq('MISSING');
+      expect(reasonOf('abc.def')).to.be.eq('MALFORMED');
+      expect(reasonOf(`${base64url(Buffer.from('null'))}.${base64url(Buffer.from(JSON.stringify(payload)))}.c2ln`)).to.be.eq('MALFORMED');
+      expect(reasonOf(sign(rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }, null))).to.be.eq('MALFORMED');
+      expect(reasonOf(sign(rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }, [payload]))).to.be.eq('MALFORMED');
+      expect(reasonOf(sign(rsa.privateKey, { alg: 'RS256', kid: 'unknown' }, payload))).to.be.eq('KEY_NOT_FOUND');
+      expect(reasonOf(sign(rsa.privateKey, { alg: 'ES256', kid: 'rsa-1' }, payload))).to.be.eq('KEY_NOT_FOUND');
+      expect(reasonOf(sign(other.privateKey, { alg: 'RS256', kid: 'rsa-1' }, payload))).to.be.eq('SIGNATURE');
+      expect(reasonOf(`${sign(rsa.privateKey, { alg: 'none' }, payload)}`)).to.be.eq('ALGORITHM');
+      expect(reasonOf(sign(rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }, { ...payload, exp: now - 60 }))).to.be.eq('EXPIRED');
+      expect(reasonOf(sign(rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }, { ...payload, exp: undefined }))).to.be.eq('MALFORMED');
+      expect(reasonOf(sign(rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }, { ...payload, exp: `${now - 60}` }))).to.be.eq('MALFORMED');
+      expect(reasonOf(sign(rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }, { ...payload, nbf: 'tomorrow' }))).to.be.eq('MALFORMED');
+      expect(reasonOf(sign(rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }, { ...payload, nbf: now + 60 }))).to.be.eq('NOT_BEFORE');
+      expect(reasonOf(sign(rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }, { ...payload, iss: 'https://evil' }))).to.be.eq('ISSUER');
+      expect(reasonOf(sign(rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }, { ...payload, aud: 'account' }))).to.be.eq('AUDIENCE');
+    });
+
+    it('loads the keys from a JWKS file', function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+      const jwksPath = path.join(dir, 'jwks.json');
+      try {
+        fs.writeFileSync(jwksPath, JSON.stringify(jwks));
+        const fileVerifier = new JwtVerifier({ jwksPath });
+        expect(fileVerifier.verify(sign(ec.privateKey, { alg: 'ES256', kid: 'ec-1' }, payload)).preferred_username).to.be.eq('john');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('maps the Keycloak roles and custom claims into a principal', function () {
+      const principal = verifier.getPrincipal(sign(rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }, payload));
+      expect(principal).to.include({ id: 'user-1', username: 'john' });
+      expect(principal.roles).to.be.deep.eq(['OPERATOR', 'VEHICLE-VIEWER']);
+      expect(principal.clientRoles.account).to.be.deep.eq(['manage-account']);
+      expect(principal.attributes.businessId).to.be.eq('b1');
+      expect(RoleValidator.checkAccess(principal, {
+        roles: ['VEHICLE-VIEWER'],
+        conditions: [{ userAttribute: 'businessId', resourceAttribute: 'businessId' }],
+        resource: { businessId: 'b1' }
+      }).granted).to.be.true;
+    });
+
+  });
+});
@@ -162,6 +162,96 @@ describe('AUTH', function () {
     });
 
 
+
+    describe('hierarchies, permissions and conditions', function () {
+      const hierarchy = { 'PLATFORM-ADMIN': ['BUSINESS-OWNER'], 'BUSINESS-OWNER': ['OPERATOR'] };
+
+      it('hasRoles: implied roles and ALL mode', function () {
+        expect(RoleValidator.hasRoles(['PLATFORM-ADMIN'], ['OPERATOR'], { hierarchy })).to.be.true;
+        expect(RoleValidator.hasRoles(['OPERATOR'], ['PLATFORM-ADMIN'], { hierarchy })).to.be.false;
+        expect(RoleValidator.hasRoles(['OPERATOR', 'DRIVER'], ['OPERATOR', 'DRIVER'], { mode: 'ALL' })).to.be.true;
+        expect(RoleValidator.hasRoles(['OPERATOR'], ['OPERATOR', 'DRIVER'], { mode: 'ALL' })).to.be.false;
+        expect(() => RoleValidator.hasRoles(['OPERATOR'], ['OPERATOR'], { mode: 'SOME' })).to.throw('invalid mode SOME');
+      });
+
+      it('verifyRoles$: ALL mode with implied roles', function (done) {
+        RoleValidator.verifyRoles$(['PLATFORM-ADMIN'], 'all', permissionDeniedError, ['BUSINESS-OWNER', 'OPERATOR', 'SYSADMIN'], { mode: 'ALL', hierarchy }).subscribe(
+          () => done(new Error('Test should have failed')),
+          (error) => {
+            expect(error.code).to.be.eq(PERMISSION_DENIED);
+            done();
+          }
+        );
+      });
+
+      it('matchPermission: wildcards', function () {
+        expect(RoleValidator.matchPermission('vehicle:*:read', 'vehicle:abc:read')).to.be.true;
+        expect(RoleValidator.matchPermission('vehicle:*:read', 'vehicle:abc:write')).to.be.false;
+        expect(RoleValidator.matchPermission('vehicle:*', 'vehicle:abc:write')).to.be.true;
+        expect(RoleValidator.matchPermission('vehicle:*', 'vehicle')).to.be.false;
+        expect(RoleValidator.matchPermission('vehicle:abc', 'vehicle:abc:read')).to.be.false;
+        expect(RoleValidator.hasPermissions(['driver:*', 'vehicle:*:read'], ['vehicle:abc:read', 'driver:1:write'], { mode: 'ALL' })).to.be.true;
+      });
+
+      it('checkAccess: attribute conditions and bypass roles', function () {
+        const requirements = {
+          roles: ['OPERATOR'],
+          permissions: ['vehicle:*:read'],
+          conditions: [{ userAttribute: 'businessId', resourceAttribute: 'args.businessId' }],
+          bypassRoles: ['PLATFORM-ADMIN'],
+          hierarchy,
+          resource: { args: { businessId: 'b1' } }
+        };
+        const operator = { roles: ['OPERATOR'], permissions: ['vehicle:*:read'], attributes: { businessId: 'b1' } };
+        expect(RoleValidator.checkAccess(operator, requirements)).to.be.deep.eq({ granted: true });
+        expect(RoleValidator.checkAccess({ ...operator, attributes: { businessId: 'b2' } }, requirements)).to.be.deep.eq({ granted: false, reason: 'CONDITIONS' });
+        expect(RoleValidator.checkAccess({ ...operator, permissions: [] }, requirements)).to.be.deep.eq({ granted: false, reason: 'PERMISSIONS' });
+        expect(RoleValidator.checkAccess({ ...operator, roles: ['DRIVER'] }, requirements)).to.be.deep.eq({ granted: false, reason: 'ROLES' });
+        const admin = { roles: ['PLATFORM-ADMIN'], permissions: ['vehicle:*'], attributes: { businessId: 'b2' } };
+        expect(RoleValidator.checkAccess(admin, requirements)).to.be.deep.eq({ granted: true });
+        expect(RoleValidator.checkConditions([{ userAttribute: 'businessIds', resourceAttribute: 'id', operator: 'IN' }], { businessIds: ['b1'] }, { id: 'b1' })).to.be.true;
+        expect(RoleValidator.checkConditions([(user, resource) => user.id === resource.ownerId], { id: 'u1' }, { ownerId: 'u2' })).to.be.false;
+      });
+
+      it('checkConditions: NOT_EQUALS requires the user attribute', function () {
+        const conditions = [{ userAttribute: 'businessId', resourceAttribute: 'businessId', operator: 'NOT_EQUALS' }];
+        expect(RoleValidator.checkConditions(conditions, { businessId: 'b1' }, { businessId: 'b2' })).to.be.true;
+        expect(RoleValidator.checkConditions(conditions, { businessId: 'b1' }, { businessId: 'b1' })).to.be.false;
+        expect(RoleValidator.checkConditions(conditions, {}, { businessId: 'b2' })).to.be.false;
+      });
+
+      it('getRoleHierarchy: parses env AUTH_ROLE_HIERARCHY on first use', function () {
+        const envHierarchy = process.env.AUTH_ROLE_HIERARCHY;
+        try {
+          process.env.AUTH_ROLE_HIERARCHY = '{"PLATFORM-ADMIN":["OPERATOR"]}';
+          RoleValidator.setRoleHierarchy(null);
+          expect(RoleValidator.hasRoles(['PLATFORM-ADMIN'], ['OPERATOR'])).to.be.true;
+          process.env.AUTH_ROLE_HIERARCHY = "{'PLATFORM-ADMIN':['OPERATOR']}";
+          RoleValidator.setRoleHierarchy(null);
+          expect(() => RoleValidator.hasRoles(['PLATFORM-ADMIN'], ['OPERATOR'])).to.throw('RoleValidator: invalid env AUTH_ROLE_HIERARCHY');
+          process.env.AUTH_ROLE_HIERARCHY = '["OPERATOR"]';
+          expect(() => RoleValidator.getRoleHierarchy()).to.throw('RoleValidator: invalid env AUTH_ROLE_HIERARCHY');
+          // the Observables emit the error instead of throwing it
+          let error;
+          RoleValidator.verifyRoles$(['PLATFORM-ADMIN'], 'test', {}, ['OPERATOR'], { auditor: null }).subscribe({ error: err => error = err });
+          expect(error.message).to.contain('RoleValidator: invalid env AUTH_ROLE_HIERARCHY');
+        } finally {
+          process.env.AUTH_ROLE_HIERARCHY = envHierarchy;
+          if (envHierarchy === undefined) delete process.env.AUTH_ROLE_HIERARCHY;
+          RoleValidator.setRoleHierarchy(null);
+        }
+      });
+
+      it('verifyAccess$: throws the error when denied', function (done) {
+        RoleValidator.verifyAccess$({ roles: ['OPERATOR'], attributes: {} }, 'access', { name: 'PermissionDenied', code: PERMISSION_DENIED, description: 'denied' }, { permissions: ['vehicle:abc:read'] }).subscribe(
+          () => done(new Error('Test should have failed')),
+          (error) => {
+            expect(error.message).to.be.eq('denied');
+            done();
+          }
+        );
+      });
+    });
     
   });
 });
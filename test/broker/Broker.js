@@ -0,0 +1,85 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+const { throwError, of, defer } = require('rxjs');
+const { toArray } = require('rxjs/operators');
+
+//LIBS FOR TESTING
+const { Broker, PubSubBroker } = require('../../lib/broker');
+const { ConsoleLogger } = require('../../lib/log');
+const { CONNECTION_STATES } = Broker;
+
+class TestBroker extends Broker { }
+
+describe('BROKER', function () {
+  describe('Broker', function () {
+
+    it('is abstract', function () {
+      expect(() => new Broker({})).to.throw(TypeError);
+      expect(() => new TestBroker({}).publish$('topic', 'type', {})).to.throw('TestBroker.publish$: not implemented');
+    });
+
+    it('getReconnectDelay: exponential backoff capped to maxDelay', function () {
+      const broker = new TestBroker({ reconnect: { initialDelay: 100, maxDelay: 1000, factor: 2, jitter: 0 } });
+      expect([1, 2, 3, 4, 5, 6].map(attempt => broker.getReconnectDelay(attempt))).to.be.deep.eq([100, 200, 400, 800, 1000, 1000]);
+    });
+
+    it('getReconnectDelay: jitter', function () {
+      const broker = new TestBroker({ reconnect: { initialDelay: 1000, jitter: 0.2 } });
+      for (let i = 0; i < 20; i++) {
+        expect(broker.getReconnectDelay(1)).to.be.within(800, 1200);
+      }
+    });
+
+    it('reconnect$: retries until connected', function (done) {
+      const broker = new TestBroker({ reconnect: { initialDelay: 1, jitter: 0 } });
+      const states = [];
+      broker.connectionState$.subscribe(state => states.push(state));
+      let attempts = 0;
+      broker.reconnect$(() => defer(() => ++attempts < 3 ? throwError(new Error('unreachable')) : of('connected'))).subscribe(
+        (result) => expect(result).to.be.eq('connected'),
+        (error) => done(error),
+        () => {
+          expect(attempts).to.be.eq(3);
+          expect(states).to.be.deep.eq([CONNECTION_STATES.CONNECTING, CONNECTION_STATES.RECONNECTING, CONNECTION_STATES.CONNECTED]);
+          done();
+        }
+      );
+    });
+
+    it('reconnect$: fails after maxAttempts', function (done) {
+      const broker = new TestBroker({ reconnect: { initialDelay: 1, jitter: 0, maxAttempts: 2 } });
+      let attempts = 0;
+      broker.reconnect$(() => { attempts++; return Promise.reject(new Error('unreachable')); }).subscribe(
+        () => done(new Error('should not connect')),
+        (error) => {
+          expect(error.message).to.be.eq('unreachable');
+          expect(attempts).to.be.eq(3);
+          expect(broker.connectionState$.getValue()).to.be.eq(CONNECTION_STATES.FAILED);
+          done();
+        }
+      );
+    });
+
+    it('PubSubBroker.send$: publishes outside the log context of the caller', function (done) {
+      const broker = new PubSubBroker({ senderId: 'sender' });
+      const transportContexts = [];
+      broker.getTopic$ = (topic) => defer(() => {
+        transportContexts.push(ConsoleLogger.getContext());
+        return of(topic);
+      });
+      broker.publish$ = () => of('message-id');
+      // the contexts left by other tests are left out too
+      ConsoleLogger.runOutsideContext(() => ConsoleLogger.runWithContext({ messageId: 'm1' }, () => broker.send$('events', 'SomeEvent', {}).subscribe(
+        () => {
+          expect(transportContexts).to.be.deep.eq([{}]);
+          expect(ConsoleLogger.getContext()).to.be.deep.eq({ messageId: 'm1' });
+        },
+        (error) => done(error),
+        () => done()
+      )));
+    });
+
+  });
+});
@@ -0,0 +1,49 @@
+'use strict'
+
+//LIBS FOR TESTING
+const { InMemoryBroker, MqttBroker, PubSubBroker, NatsJetStreamBroker } = require('../../lib/broker');
+const brokerConformanceSuite = require('./BrokerConformanceSuite');
+
+/**
+ * Brokers backed by a server only run when the server is configured through env vars:
+ *  MQTT_SERVER_URL, PUBSUB_EMULATOR_HOST (or GOOGLE_APPLICATION_CREDENTIALS), NATS_SERVER_URL
+ */
+describe('BROKER', function () {
+
+  brokerConformanceSuite('InMemoryBroker', async () => {
+    const bus = InMemoryBroker.createBus();
+    return {
+      requester: new InMemoryBroker({ bus, senderId: 'requester', replyTimeout: 1000 }),
+      responder: new InMemoryBroker({ bus, senderId: 'responder', replyTimeout: 1000 }),
+    };
+  });
+
+  (process.env.MQTT_SERVER_URL ? describe : describe.skip)('MQTT server', function () {
+    brokerConformanceSuite('MqttBroker', async () => {
+      const mqttServerUrl = process.env.MQTT_SERVER_URL;
+      return {
+        requester: new MqttBroker({ mqttServerUrl, senderId: 'requester', replyTimeout: 2000 }),
+        responder: new MqttBroker({ mqttServerUrl, senderId: 'responder', replyTimeout: 2000 }),
+      };
+    }, { topicPrefix: 'conformance/' });
+  });
+
+  (process.env.PUBSUB_EMULATOR_HOST || process.env.GOOGLE_APPLICATION_CREDENTIALS ? describe : describe.skip)('PubSub server', function () {
+    brokerConformanceSuite('PubSubBroker', async () => ({
+      requester: new PubSubBroker({ senderId: 'requester', replyTimeout: 5000, topicSubscriptionSuffix: 'requester' }),
+      responder: new PubSubBroker({ senderId: 'responder', replyTimeout: 5000, topicSubscriptionSuffix: 'responder' }),
+    }), { topicPrefix: 'conformance-', timeout: 20000 });
+  });
+
+  (process.env.NATS_SERVER_URL ? describe : describe.skip)('NATS JetStream server', function () {
+    brokerConformanceSuite('NatsJetStreamBroker', async () => {
+      const natsServerUrl = process.env.NATS_SERVER_URL;
+      const requester = new NatsJetStreamBroker({ natsServerUrl, senderId: 'requester', replyTimeout: 2000 });
+      const responder = new NatsJetStreamBroker({ natsServerUrl, senderId: 'responder', replyTimeout: 2000 });
+      await requester.start$('CONFORMANCE', ['conformance.>']).toPromise();
+      await responder.start$('CONFORMANCE', ['conformance.>']).toPromise();
+      return { requester, responder };
+    }, { topicPrefix: 'conformance.', timeout: 10000 });
+  });
+
+});
@@ -0,0 +1,153 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+const { timer } = require('rxjs');
+const { map, take, toArray, takeUntil, mergeMap, first } = require('rxjs/operators');
+const uuidv4 = require('uuid/v4');
+
+//LIBS FOR TESTING
+const { Broker } = require('../../lib/broker');
+const { CONNECTION_STATES } = Broker;
+
+/**
+ * time to wait for messages that must NOT be delivered
+ */
+const SILENCE_WINDOW = 300;
+
+/**
+ * Conformance test suite every broker implementation must pass.
+ * @param {string} name broker name
+ * @param {function} createBrokers async function that returns two connected brokers { requester, responder } with different senderIds
+ * @param {Object} ops
+ * @param {string} [ops.topicPrefix] prefix for the generated test topics
+ * @param {number} [ops.timeout] mocha timeout per test
+ */
+module.exports = function brokerConformanceSuite(name, createBrokers, { topicPrefix = 'conformance.', timeout = 5000 } = {}) {
+  describe(`${name} conformance`, function () {
+    this.timeout(timeout);
+
+    let requester, responder;
+    const newTopic = () => `${topicPrefix}${uuidv4().replace(/-/g, '')}`;
+    const listen = (broker, topics, types, ignoreSelfEvents, count) =>
+      broker.configMessageListener$(topics).pipe(
+        mergeMap(() => broker.getMessageListener$(topics, types, ignoreSelfEvents)),
+        takeUntil(timer(count ? timeout - 1000 : SILENCE_WINDOW)),
+        take(count || Number.MAX_SAFE_INTEGER),
+        toArray()
+      ).toPromise();
+    const listening = (broker, topics) => broker.configMessageListener$(topics).toPromise();
+
+    beforeEach(async function () {
+      ({ requester, responder } = await createBrokers());
+    });
+
+    afterEach(async function () {
+      await requester.disconnectBroker$().toPromise();
+      await responder.disconnectBroker$().toPromise();
+    });
+
+    it('extends Broker', function () {
+      expect(requester).to.be.instanceOf(Broker);
+      expect(responder).to.be.instanceOf(Broker);
+      expect(requester.senderId).to.not.be.eq(responder.senderId);
+    });
+
+    it('send$ resolves the message ID and delivers the normalized envelope', async function () {
+      const topic = newTopic();
+      await listening(responder, [topic]);
+      const received = listen(responder, [topic], [], true, 1);
+      const messageId = await requester.send$(topic, 'SomeType', { a: 1 }, { correlationId: 'some-correlation' }).toPromise();
+      const [msg] = await received;
+      expect(msg.id).to.be.eq(messageId);
+      expect(msg.topic).to.be.eq(topic);
+      expect(msg.type).to.be.eq('SomeType');
+      expect(msg.data).to.be.deep.eq({ a: 1 });
+      expect(msg.attributes.senderId).to.be.eq(requester.senderId);
+      expect(msg.correlationId).to.be.eq('some-correlation');
+    });
+
+    it('getMessageListener$ filters by topic', async function () {
+      const [topic, otherTopic] = [newTopic(), newTopic()];
+      await listening(responder, [topic, otherTopic]);
+      const received = listen(responder, [topic], [], true, 1);
+      await requester.send$(otherTopic, 'SomeType', 'other').toPromise();
+      await requester.send$(topic, 'SomeType', 'wanted').toPromise();
+      const messages = await received;
+      expect(messages.map(m => m.data)).to.be.deep.eq(['wanted']);
+    });
+
+    it('getMessageListener$ filters by type', async function () {
+      const topic = newTopic();
+      await listening(responder, [topic]);
+      const received = listen(responder, [topic], ['Wanted'], true, 2);
+      await requester.send$(topic, 'Wanted', 1).toPromise();
+      await requester.send$(topic, 'Unwanted', 2).toPromise();
+      await requester.send$(topic, 'Wanted', 3).toPromise();
+      const messages = await received;
+      expect(messages.map(m => m.data).sort()).to.be.deep.eq([1, 3]);
+    });
+
+    it('getMessageListener$ ignores self events', async function () {
+      const topic = newTopic();
+      await listening(requester, [topic]);
+      const received = listen(requester, [topic], [], true);
+      await requester.send$(topic, 'SomeType', 'self').toPromise();
+      expect(await received).to.be.deep.eq([]);
+    });
+
+    it('getMessageListener$ delivers self events when ignoreSelfEvents is false', async function () {
+      const topic = newTopic();
+      await listening(requester, [topic]);
+      const received = listen(requester, [topic], [], false, 1);
+      await requester.send$(topic, 'SomeType', 'self').toPromise();
+      expect((await received).map(m => m.data)).to.be.deep.eq(['self']);
+    });
+
+    it('sendAndGetReply$ correlates the reply with the request ID', async function () {
+      const [requestTopic, responseTopic] = [newTopic(), newTopic()];
+      await listening(responder, [requestTopic]);
+      const subscription = responder.getMessageListener$([requestTopic], ['Sum']).pipe(
+        mergeMap(msg => responder.send$(responseTopic, 'Unrelated', -1, { correlationId: uuidv4() }).pipe(
+          mergeMap(() => responder.send$(responseTopic, 'SumReply', msg.data.a + msg.data.b, { correlationId: msg.id }))
+        ))
+      ).subscribe();
+      try {
+        const reply = await requester.sendAndGetReply$(requestTopic, responseTopic, 'Sum', { a: 2, b: 3 }).toPromise();
+        expect(reply).to.be.eq(5);
+      } finally {
+        subscription.unsubscribe();
+      }
+    });
+
+    it('getMessageReply$ fails with TimeoutError when no reply arrives', async function () {
+      const [requestTopic, responseTopic] = [newTopic(), newTopic()];
+      const error = await requester.sendAndGetReply$(requestTopic, responseTopic, 'Sum', { a: 2, b: 3 }, 100).toPromise().then(
+        () => null,
+        err => err
+      );
+      expect(error).to.not.be.null;
+      expect(error.name).to.be.eq('TimeoutError');
+    });
+
+    it('disconnectBroker$ completes and stops the delivery', async function () {
+      const topic = newTopic();
+      await listening(responder, [topic]);
+      const received = responder.getMessageListener$([topic], []).pipe(
+        takeUntil(timer(SILENCE_WINDOW)),
+        map(m => m.data),
+        toArray()
+      ).toPromise();
+      await responder.disconnectBroker$().toPromise();
+      await requester.send$(topic, 'SomeType', 'after-disconnect').toPromise();
+      expect(await received).to.be.deep.eq([]);
+    });
+
+    it('connectionState$ reports CONNECTED and DISCONNECTED', async function () {
+      await responder.connectionState$.pipe(first(state => state === CONNECTION_STATES.CONNECTED)).toPromise();
+      await responder.disconnectBroker$().toPromise();
+      expect(responder.connectionState$.getValue()).to.be.eq(CONNECTION_STATES.DISCONNECTED);
+    });
+
+  });
+};
@@ -13,6 +13,12 @@ const { brokerFactory } = require('../../lib/broker');
 describe('BROKER', function () {
   describe('BrokerFactory', function () {
 
+    after(async function () {
+      // the MQTT client retries to connect until it is disconnected
+      await brokerFactory('MQTT').disconnectBroker$().toPromise();
+      await brokerFactory('PUBSUB').disconnectBroker$().toPromise();
+    });
+
     it('Invalid broker type', function () {
       const broker = brokerFactory();
       expect(broker).to.be.undefined;
@@ -0,0 +1,76 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+
+//LIBS FOR TESTING
+const { FlowController } = require('../../lib/broker');
+const { OVERFLOW_POLICIES } = FlowController;
+
+describe('BROKER', function () {
+  describe('FlowController', function () {
+
+    const submitAll = (flowController, ids) => {
+      const delivered = [], dropped = [], releases = {};
+      ids.forEach(id => flowController.submit(
+        (release) => { delivered.push(id); releases[id] = release; },
+        () => dropped.push(id)
+      ));
+      return { delivered, dropped, releases };
+    };
+
+    it('delivers up to maxInFlight and queues the rest', function () {
+      const flowController = new FlowController({ maxInFlight: 2, maxQueueSize: 10, overflowPolicy: OVERFLOW_POLICIES.BLOCK });
+      const { delivered, releases } = submitAll(flowController, [1, 2, 3, 4]);
+      expect(delivered).to.be.deep.eq([1, 2]);
+      expect(flowController.getStats()).to.be.deep.eq({ inFlight: 2, queued: 2 });
+      releases[1]();
+      releases[1]();
+      expect(delivered).to.be.deep.eq([1, 2, 3]);
+      expect(flowController.getStats()).to.be.deep.eq({ inFlight: 2, queued: 1 });
+    });
+
+    it('unlimited when maxInFlight is 0', function () {
+      const flowController = new FlowController({ maxInFlight: 0, maxQueueSize: 1, overflowPolicy: OVERFLOW_POLICIES.BLOCK });
+      const { delivered } = submitAll(flowController, [1, 2, 3]);
+      expect(delivered).to.be.deep.eq([1, 2, 3]);
+    });
+
+    it('DROP_NEWEST', function () {
+      const flowController = new FlowController({ maxInFlight: 1, maxQueueSize: 1, overflowPolicy: OVERFLOW_POLICIES.DROP_NEWEST });
+      const { delivered, dropped, releases } = submitAll(flowController, [1, 2, 3]);
+      expect(dropped).to.be.deep.eq([3]);
+      releases[1]();
+      expect(delivered).to.be.deep.eq([1, 2]);
+    });
+
+    it('DROP_OLDEST', function () {
+      const flowController = new FlowController({ maxInFlight: 1, maxQueueSize: 1, overflowPolicy: OVERFLOW_POLICIES.DROP_OLDEST });
+      const { delivered, dropped, releases } = submitAll(flowController, [1, 2, 3]);
+      expect(dropped).to.be.deep.eq([2]);
+      releases[1]();
+      expect(delivered).to.be.deep.eq([1, 3]);
+    });
+
+    it('BLOCK keeps the producer waiting until the queue has room', async function () {
+      const flowController = new FlowController({ maxInFlight: 1, maxQueueSize: 1, overflowPolicy: OVERFLOW_POLICIES.BLOCK });
+      const releases = [];
+      const deliver = release => releases.push(release);
+      await flowController.submit(deliver, () => { });
+      await flowController.submit(deliver, () => { });
+      let accepted = false;
+      const blocked = flowController.submit(deliver, () => { }).then(() => accepted = true);
+      await Promise.resolve();
+      expect(accepted).to.be.false;
+      releases[0]();
+      await blocked;
+      expect(accepted).to.be.true;
+      expect(flowController.getStats()).to.be.deep.eq({ inFlight: 1, queued: 1 });
+    });
+
+    it('rejects unknown overflow policies', function () {
+      expect(() => new FlowController({ maxInFlight: 1, maxQueueSize: 1, overflowPolicy: 'WHATEVER' })).to.throw('Invalid overflowPolicy WHATEVER');
+    });
+
+  });
+});
@@ -0,0 +1,313 @@
+'use strict'
+
+// TEST LIBS
+const assert = require('assert');
+const should = require('chai').should();
+const expect = require('chai').expect;
+const { of, forkJoin } = require('rxjs');
+const { map, mergeMap, take, toArray, first } = require('rxjs/operators');
+
+//LIBS FOR TESTING
+const { brokerFactory, InMemoryBroker } = require('../../lib/broker');
+const { ConsoleLogger } = require('../../lib/log');
+
+describe('BROKER', function () {
+  describe('InMemoryBroker', function () {
+
+    let bus, requester, responder;
+    beforeEach(function () {
+      bus = InMemoryBroker.createBus();
+      requester = new InMemoryBroker({ bus, senderId: 'requester', replyTimeout: 500 });
+      responder = new InMemoryBroker({ bus, senderId: 'responder', replyTimeout: 500 });
+    });
+    afterEach(function (done) {
+      requester.disconnectBroker$().pipe(
+        mergeMap(() => responder.disconnectBroker$())
+      ).subscribe(() => { }, done, () => done());
+    });
+
+    it('send$ and getMessageListener$', function (done) {
+      responder.getMessageListener$(['requests'], []).pipe(
+        first()
+      ).subscribe(
+        (msg) => {
+          expect(msg.topic).to.be.eq('requests');
+          expect(msg.type).to.be.eq('SomeType');
+          expect(msg.data).to.be.deep.eq({ a: 1 });
+          expect(msg.attributes.senderId).to.be.eq('requester');
+        },
+        (error) => done(error),
+        () => done()
+      );
+      requester.send$('requests', 'SomeType', { a: 1 }).subscribe();
+    });
+
+    it('type filtering', function (done) {
+      responder.getMessageListener$(['requests'], ['Wanted']).pipe(
+        take(2),
+        map(msg => msg.data),
+        toArray()
+      ).subscribe(
+        (data) => expect(data).to.be.deep.eq([1, 3]),
+        (error) => done(error),
+        () => done()
+      );
+      of(['Wanted', 1], ['Unwanted', 2], ['Wanted', 3]).pipe(
+        mergeMap(([type, data]) => requester.send$('requests', type, data))
+      ).subscribe();
+    });
+
+    it('self-event suppression', function (done) {
+      requester.getMessageListener$(['events'], []).pipe(
+        first()
+      ).subscribe(
+        (msg) => expect(msg.attributes.senderId).to.be.eq('responder'),
+        (error) => done(error),
+        () => done()
+      );
+      requester.send$('events', 'Evt', 'self').pipe(
+        mergeMap(() => responder.send$('events', 'Evt', 'other'))
+      ).subscribe();
+    });
+
+    it('sendAndGetReply$ routes replies by correlationId', function (done) {
+      responder.getMessageListener$(['requests'], ['Sum']).pipe(
+        mergeMap(msg => responder.send$('responses', 'SumReply', msg.data.a + msg.data.b, { correlationId: msg.id }))
+      ).subscribe();
+      // a reply for other request must be ignored
+      responder.send$('responses', 'SumReply', -1, { correlationId: 'other-request' }).subscribe();
+
+      requester.sendAndGetReply$('requests', 'responses', 'Sum', { a: 2, b: 3 }).subscribe(
+        (reply) => expect(reply).to.be.eq(5),
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('getMessageReply$ timeout', function (done) {
+      requester.sendAndGetReply$('requests', 'responses', 'Sum', { a: 2, b: 3 }, 50).subscribe(
+        () => done(new Error('should not reply')),
+        (error) => {
+          expect(error.name).to.be.eq('TimeoutError');
+          done();
+        },
+        () => done(new Error('should not complete'))
+      );
+    });
+
+    it('disconnectBroker$ stops delivery', function (done) {
+      responder.getMessageListener$(['requests'], []).subscribe(
+        () => done(new Error('should not receive messages after disconnect'))
+      );
+      responder.disconnectBroker$().pipe(
+        mergeMap(() => requester.send$('requests', 'SomeType', {}))
+      ).subscribe(() => setTimeout(done, 20));
+    });
+
+    it('malformed messages are quarantined into the dead-letter topic', function (done) {
+      const consumer = new InMemoryBroker({ bus, senderId: 'consumer', deadLetter: { topic: 'dead-letters' } });
+      const deadLetter$ = responder.getMessageListener$(['dead-letters'], ['DeadLetter']).pipe(first());
+      // the consumer loop survives the malformed message
+      const valid$ = consumer.getMessageListener$(['requests'], []).pipe(first());
+      forkJoin(deadLetter$, valid$).subscribe(
+        ([deadLetter, valid]) => {
+          expect(deadLetter.data.topic).to.be.eq('requests');
+          expect(deadLetter.data.payload).to.be.eq('{not-json');
+          expect(deadLetter.data.error.name).to.be.eq('SyntaxError');
+          expect(deadLetter.data.senderId).to.be.eq('consumer');
+          expect(valid.data).to.be.eq('valid');
+        },
+        (error) => done(error),
+        () => {
+          const metrics = consumer.getMetrics();
+          expect(metrics.received).to.be.eq(2);
+          expect(metrics.malformed).to.be.eq(1);
+          expect(metrics.deadLettered).to.be.eq(1);
+          consumer.disconnectBroker$().subscribe(() => done());
+        }
+      );
+      bus.next({ topic: 'requests', message: '{not-json' });
+      requester.send$('requests', 'SomeType', 'valid').subscribe();
+    });
+
+    it('invalid envelopes are routed to the dead-letter handler', function (done) {
+      const deadLetters = [];
+      const consumer = new InMemoryBroker({ bus, senderId: 'consumer', deadLetter: { handler: deadLetter => deadLetters.push(deadLetter) } });
+      consumer.configMessageListener$(['requests']).subscribe();
+      bus.next({ topic: 'requests', message: JSON.stringify({ id: 1, type: 'SomeType', data: {} }) });
+      setTimeout(() => {
+        expect(deadLetters.length).to.be.eq(1);
+        expect(deadLetters[0].error.message).to.be.eq('Invalid envelope: missing attributes');
+        expect(consumer.getMetrics().deadLettered).to.be.eq(1);
+        consumer.disconnectBroker$().subscribe(() => done());
+      }, 10);
+    });
+
+    it('deadLetter$ routes unhandled messages', function (done) {
+      const deadLetters = [];
+      const consumer = new InMemoryBroker({ bus, senderId: 'consumer', deadLetter: { handler: async deadLetter => deadLetters.push(deadLetter) } });
+      consumer.getMessageListener$(['requests'], []).pipe(
+        first(),
+        mergeMap(msg => consumer.deadLetter$(msg, new Error('No handler for SomeType')))
+      ).subscribe(
+        () => { },
+        (error) => done(error),
+        () => {
+          expect(deadLetters.length).to.be.eq(1);
+          expect(JSON.parse(deadLetters[0].payload).data).to.be.deep.eq({ a: 1 });
+          expect(deadLetters[0].error.message).to.be.eq('No handler for SomeType');
+          expect(consumer.getMetrics().unhandled).to.be.eq(1);
+          consumer.disconnectBroker$().subscribe(() => done());
+        }
+      );
+      requester.send$('requests', 'SomeType', { a: 1 }).subscribe();
+    });
+
+    it('MANUAL ack mode: ack settles the message only once', function (done) {
+      const consumer = new InMemoryBroker({ bus, senderId: 'consumer', ackMode: 'MANUAL' });
+      consumer.getMessageListener$(['requests'], []).pipe(
+        first(),
+        mergeMap(msg => {
+          expect(msg.redeliveryCount).to.be.eq(0);
+          return Promise.all([msg.ack(), msg.nak(), msg.term()]);
+        })
+      ).subscribe(
+        (settled) => expect(settled).to.be.deep.eq([true, false, false]),
+        (error) => done(error),
+        () => consumer.disconnectBroker$().subscribe(() => done())
+      );
+      requester.send$('requests', 'SomeType', { a: 1 }).subscribe();
+    });
+
+    it('MANUAL ack mode: nak redelivers the message', function (done) {
+      const consumer = new InMemoryBroker({ bus, senderId: 'consumer', ackMode: 'MANUAL' });
+      consumer.getMessageListener$(['requests'], []).pipe(
+        take(2),
+        mergeMap(msg => (msg.redeliveryCount === 0 ? msg.nak(10) : msg.ack()).then(() => msg)),
+        toArray()
+      ).subscribe(
+        (messages) => {
+          expect(messages.map(msg => msg.redeliveryCount)).to.be.deep.eq([0, 1]);
+          expect(messages[0].id).to.be.eq(messages[1].id);
+        },
+        (error) => done(error),
+        () => consumer.disconnectBroker$().subscribe(() => done())
+      );
+      requester.send$('requests', 'SomeType', { a: 1 }).subscribe();
+    });
+
+    it('MANUAL ack mode: messages are redelivered after the ack deadline', function (done) {
+      const consumer = new InMemoryBroker({ bus, senderId: 'consumer', ackMode: 'MANUAL', ackDeadline: 20 });
+      consumer.getMessageListener$(['requests'], []).pipe(
+        take(2),
+        toArray()
+      ).subscribe(
+        ([msg, redelivered]) => {
+          expect(redelivered.id).to.be.eq(msg.id);
+          expect(redelivered.redeliveryCount).to.be.eq(1);
+          redelivered.ack();
+        },
+        (error) => done(error),
+        () => consumer.disconnectBroker$().subscribe(() => done())
+      );
+      requester.send$('requests', 'SomeType', { a: 1 }).subscribe();
+    });
+
+    it('MANUAL ack mode: term routes the message to the dead-letter policy', function (done) {
+      const deadLetters = [];
+      const consumer = new InMemoryBroker({ bus, senderId: 'consumer', ackMode: 'MANUAL', deadLetter: { handler: deadLetter => deadLetters.push(deadLetter) } });
+      consumer.getMessageListener$(['requests'], []).pipe(
+        first(),
+        mergeMap(msg => msg.term(new Error('Unprocessable')))
+      ).subscribe(
+        (settled) => {
+          expect(settled).to.be.true;
+          expect(deadLetters.length).to.be.eq(1);
+          expect(deadLetters[0].error.message).to.be.eq('Unprocessable');
+        },
+        (error) => done(error),
+        () => consumer.disconnectBroker$().subscribe(() => done())
+      );
+      requester.send$('requests', 'SomeType', { a: 1 }).subscribe();
+    });
+
+    it('MANUAL ack mode: flow control bounds the messages in flight by topic', function (done) {
+      const consumer = new InMemoryBroker({ bus, senderId: 'consumer', ackMode: 'MANUAL', flowControl: { maxInFlight: 1, topics: { events: { maxInFlight: 5 } } } });
+      const received = [];
+      consumer.getMessageListener$(['requests', 'events'], []).subscribe(msg => received.push(msg));
+      requester.send$('requests', 'SomeType', 1).pipe(
+        mergeMap(() => requester.send$('requests', 'SomeType', 2)),
+        mergeMap(() => requester.send$('events', 'SomeEvent', 3)),
+        mergeMap(() => requester.send$('events', 'SomeEvent', 4))
+      ).subscribe(() => { }, (error) => done(error), () => setTimeout(() => {
+        // the pending request does not block the events topic
+        expect(received.map(msg => msg.data)).to.be.deep.eq([1, 3, 4]);
+        expect(consumer.getMetrics().flowControl.requests).to.be.deep.eq({ inFlight: 1, queued: 1 });
+        received[0].ack().then(() => {
+          expect(received.map(msg => msg.data)).to.be.deep.eq([1, 3, 4, 2]);
+          consumer.disconnectBroker$().subscribe(() => done());
+        });
+      }, 20));
+    });
+
+    it('AUTO ack mode: rejects the flow control options', function () {
+      expect(() => new InMemoryBroker({ bus, senderId: 'consumer', flowControl: { maxInFlight: 1 } })).to.throw('flowControl requires the MANUAL ackMode');
+    });
+
+    it('AUTO ack mode: messages do not carry acknowledgement functions', function (done) {
+      responder.getMessageListener$(['requests'], []).pipe(
+        first()
+      ).subscribe(
+        (msg) => expect(msg.ack).to.be.undefined,
+        (error) => done(error),
+        () => done()
+      );
+      requester.send$('requests', 'SomeType', { a: 1 }).subscribe();
+    });
+
+    it('listeners run within the log context of the message', function (done) {
+      responder.getMessageListener$(['requests'], []).pipe(
+        first(),
+        mergeMap(msg => new Promise(resolve => setTimeout(() => resolve({ msg, context: ConsoleLogger.getContext() }), 1)))
+      ).subscribe(
+        ({ msg, context }) => expect(context).to.be.deep.eq({ messageId: msg.id, correlationId: 'some-correlation', messageType: 'SomeType', topic: 'requests' }),
+        (error) => done(error),
+        () => done()
+      );
+      requester.send$('requests', 'SomeType', {}, { correlationId: 'some-correlation' }).subscribe();
+    });
+
+    it('transport work started while handling a message does not carry the message log context', function (done) {
+      // the background timer stands for the keep-alive and reconnect timers of the real transports
+      const backgroundContexts = [];
+      class TransportBroker extends InMemoryBroker {
+        publish$(...args) {
+          setTimeout(() => backgroundContexts.push(ConsoleLogger.getContext()), 1);
+          return super.publish$(...args);
+        }
+      }
+      const transport = new TransportBroker({ bus, senderId: 'transport' });
+      transport.getMessageListener$(['requests'], []).pipe(
+        first(),
+        mergeMap(msg => transport.send$('events', 'SomeEvent', {}).pipe(map(() => ({ msg, context: ConsoleLogger.getContext() })))),
+        mergeMap(result => new Promise(resolve => setTimeout(() => resolve(result), 5)))
+      ).subscribe(
+        ({ msg, context }) => {
+          // the handler chain keeps the message context
+          expect(context.messageId).to.be.eq(msg.id);
+          expect(backgroundContexts).to.be.deep.eq([{}]);
+        },
+        (error) => done(error),
+        () => transport.disconnectBroker$().subscribe(() => done())
+      );
+      requester.send$('requests', 'SomeType', {}, { correlationId: 'some-correlation' }).subscribe();
+    });
+
+    it('brokerFactory IN_MEMORY', function () {
+      const broker = brokerFactory('IN_MEMORY');
+      expect(broker).to.be.instanceOf(InMemoryBroker);
+      expect(brokerFactory('IN_MEMORY') === broker).to.be.true;
+    });
+
+  });
+});
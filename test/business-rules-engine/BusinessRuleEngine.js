@@ -52,4 +52,135 @@ describe('BusinessRule (JS)', () => {
       businessRule.destroy();
     }
   });
-});
\ No newline at end of file
+});
+describe('BusinessRule limits', () => {
+  const { BusinessRuleLimitError, LIMITS } = BusinessRuleEngine;
+
+  const expectLimitError = (fn, limit) => {
+    let error;
+    try {
+      fn();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(BusinessRuleLimitError);
+    expect(error.limit).to.equal(limit);
+    expect(error.code).to.equal(10010);
+    return error;
+  };
+
+  it('should stop a Lua rule that exceeds the timeout, even if it catches the error', async () => {
+    const businessRuleEngine = new BusinessRuleEngine({ limits: { timeout: 100 } });
+    const businessRule = await businessRuleEngine.buildCustomBusinessRule$(
+      'LUA_TEST', 'LUA_TEST',
+      'function exec() while true do pcall(function() while true do end end) end end',
+      'LUA', '5.3', null
+    );
+    const initTs = Date.now();
+    const error = expectLimitError(() => businessRule.execute([]), LIMITS.TIMEOUT);
+    expect(Date.now() - initTs).to.be.below(1000);
+    expect(error.metadata).to.deep.equal({ limit: LIMITS.TIMEOUT, max: 100 });
+    expect(error.message).to.equal('Business rule exceeded its TIMEOUT limit of 100');
+
+    // the VM is still usable afterwards
+    businessRule.vm.loadSource('function ping() return "pong" end');
+    expect(businessRule.execute([], 'ping')).to.equal('pong');
+  });
+
+  it('should stop a Lua rule that exceeds the instructions limit', async () => {
+    const businessRuleEngine = new BusinessRuleEngine();
+    const businessRule = await businessRuleEngine.buildCustomBusinessRule$(
+      'LUA_TEST', 'LUA_TEST',
+      'function exec(n) local g = 0 for i=1,n do g=g+1 end return g end',
+      'LUA', '5.3', null, undefined, { maxInstructions: 10000 }
+    );
+    expect(businessRule.execute([100])).to.equal(100);
+    expectLimitError(() => businessRule.execute([100000]), LIMITS.INSTRUCTIONS);
+  });
+
+  it('should stop a Lua rule that loops forever while loading', async () => {
+    const businessRuleEngine = new BusinessRuleEngine();
+    let error;
+    try {
+      await businessRuleEngine.buildCustomBusinessRule$('LUA_TEST', 'LUA_TEST', 'while true do end', 'LUA', '5.3', null, undefined, { timeout: 50 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(BusinessRuleLimitError);
+    expect(error.method).to.equal('Lua53Fengari.loadSource');
+  });
+
+  it('should stop a Lua rule that exceeds the memory limit', async () => {
+    const businessRuleEngine = new BusinessRuleEngine();
+    const businessRule = await businessRuleEngine.buildCustomBusinessRule$(
+      'LUA_TEST', 'LUA_TEST',
+      'function exec() local t = {} local i = 0 while true do i = i + 1 t[i] = "item " .. i end end',
+      'LUA', '5.3', null, undefined, { maxMemory: 1024 * 1024, timeout: 10000 }
+    );
+    expectLimitError(() => businessRule.execute([]), LIMITS.MEMORY);
+  });
+
+  it('should reject the tables larger than the table size limit', async () => {
+    const businessRuleEngine = new BusinessRuleEngine({ limits: { maxTableSize: 10 } });
+    const luaRule = await businessRuleEngine.buildCustomBusinessRule$(
+      'LUA_TEST', 'LUA_TEST',
+      'function exec(n) local t = {} for i=1,n do t[i] = i end return { items = t } end',
+      'LUA', '5.3', null
+    );
+    expect(luaRule.execute([10]).items).to.have.length(10);
+    expectLimitError(() => luaRule.execute([11]), LIMITS.TABLE_SIZE);
+
+    const jsRule = await businessRuleEngine.buildCustomBusinessRule$(
+      'JS_TEST', 'JS_TEST',
+      'function exec(n) { return { items: Array.from({ length: n }, (v, i) => i) }; }',
+      'JAVASCRIPT', 10, null
+    );
+    expect(jsRule.execute([10]).items).to.have.length(10);
+    expectLimitError(() => jsRule.execute([11]), LIMITS.TABLE_SIZE);
+  });
+
+  it('should stop a JS rule that exceeds the timeout', async () => {
+    const businessRuleEngine = new BusinessRuleEngine();
+    const businessRule = await businessRuleEngine.buildCustomBusinessRule$(
+      'JS_TEST', 'JS_TEST',
+      'function exec(forever) { while (forever) { } return "done"; }',
+      'JAVASCRIPT', 10, null, undefined, { timeout: 100 }
+    );
+    expect(businessRule.execute([false])).to.equal('done');
+    const error = expectLimitError(() => businessRule.execute([true]), LIMITS.TIMEOUT);
+    expect(error.method).to.equal('NodeJsVM.execute');
+  });
+
+  it('should take the limits of the stored business rule spec', async () => {
+    const businessRuleEngine = new BusinessRuleEngine({ limits: { timeout: 5000 } });
+    const spec = {
+      _id: 'br1', type: 'LIMITED', name: 'Limited', companyIds: [], fromDateTime: 0, publishTimestamp: 1,
+      source: 'function exec() while true do end end', language: { name: 'LUA', version: '5.3' },
+      limits: { maxInstructions: 5000 }
+    };
+    const businessRule = await businessRuleEngine.getBusinessRule$('LIMITED', 'org1', null, async () => [spec]);
+    expect(businessRule.vm.limits).to.include({ timeout: 5000, maxInstructions: 5000 });
+    expectLimitError(() => businessRule.execute([]), LIMITS.INSTRUCTIONS);
+  });
+
+  it('should keep executing the expired cached rule until its grace period is over', async () => {
+    const businessRuleEngine = new BusinessRuleEngine({ replacedRuleGracePeriod: 50 });
+    const spec = {
+      _id: 'br1', type: 'GREETING', name: 'Greeting', companyIds: [], fromDateTime: 0, publishTimestamp: 1,
+      source: 'function exec(name) return "Hello " .. name end', language: { name: 'LUA', version: '5.3' }
+    };
+    const expired = await businessRuleEngine.getBusinessRule$('GREETING', 'org1', null, async () => [spec]);
+    expired.__expirationTs = 0;
+    const refreshed = await businessRuleEngine.getBusinessRule$('GREETING', 'org1', null, async () => [spec]);
+    expect(refreshed).to.not.equal(expired);
+    expect(await expired.execute$(['Lua'])).to.equal('Hello Lua');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(expired.destroyed).to.be.true;
+    expect(await refreshed.execute$(['Lua'])).to.equal('Hello Lua');
+  });
+
+  it('should leave every limit disabled by default', async () => {
+    const businessRule = await new BusinessRuleEngine().buildCustomBusinessRule$('LUA_TEST', 'LUA_TEST', 'function exec() return 1 end', 'LUA', '5.3', null);
+    expect(businessRule.vm.limits).to.include({ timeout: 0, maxInstructions: 0, maxMemory: 0, maxTableSize: 0 });
+  });
+});
@@ -0,0 +1,172 @@
+const { expect } = require('chai');
+const BusinessRuleEngine = require('../../lib/business-rules-engine');
+const { UnavailableError } = require('../../lib/error');
+
+const { BusinessRuleLimitError, EXECUTION_MODES } = BusinessRuleEngine;
+
+const COUNTER_RULE = `
+  calls = 0
+  function exec(args)
+    calls = calls + 1
+    return { greeting = 'Hello ' .. args.name, calls = calls }
+  end
+`;
+
+describe('BusinessRuleEngine (WORKER mode)', () => {
+  let businessRuleEngine;
+
+  afterEach(async () => {
+    await businessRuleEngine.close();
+  });
+
+  it('should execute Lua and JS rules on the worker threads, loading them once per worker', async () => {
+    businessRuleEngine = new BusinessRuleEngine({ executionMode: EXECUTION_MODES.WORKER, poolSize: 1 });
+    const luaRule = await businessRuleEngine.buildCustomBusinessRule$('LUA_TEST', 'LUA_TEST', COUNTER_RULE, 'LUA', '5.3', null);
+    expect(await luaRule.execute$([{ name: 'Lua' }])).to.deep.equal({ greeting: 'Hello Lua', calls: 1 });
+    expect(await luaRule.execute$([{ name: 'Lua' }])).to.deep.equal({ greeting: 'Hello Lua', calls: 2 });
+    expect(() => luaRule.execute([{ name: 'Lua' }])).to.throw('execute$');
+
+    const jsRule = await businessRuleEngine.buildCustomBusinessRule$(
+      'JS_TEST', 'JS_TEST', 'function exec(a, b) { return { sum: a + b, at: new Date(0) }; }', 'JAVASCRIPT', 10, null
+    );
+    const result = await jsRule.execute$([1, 2]);
+    expect(result.sum).to.equal(3);
+    expect(result.at.getTime()).to.equal(0);
+  });
+
+  it('should spread the concurrent executions across the workers', async () => {
+    businessRuleEngine = new BusinessRuleEngine({ executionMode: EXECUTION_MODES.WORKER, poolSize: 2 });
+    const businessRule = await businessRuleEngine.buildCustomBusinessRule$('LUA_TEST', 'LUA_TEST', COUNTER_RULE, 'LUA', '5.3', null);
+    const results = await Promise.all([1, 2, 3, 4].map(() => businessRule.execute$([{ name: 'Lua' }])));
+    // every worker keeps its own VM of the rule, so both count from 1
+    expect(results.filter(({ calls }) => calls === 1)).to.have.length(2);
+    expect(businessRuleEngine.pool.slots.every(slot => slot.loading.has(businessRule.vm.ruleId))).to.be.true;
+
+    businessRule.destroy();
+    expect(businessRuleEngine.pool.rules).to.be.empty;
+    expect(businessRuleEngine.pool.slots.some(slot => slot.loading.size > 0)).to.be.false;
+  });
+
+  it('should throw the load and limit errors of the rules', async () => {
+    businessRuleEngine = new BusinessRuleEngine({ executionMode: EXECUTION_MODES.WORKER, poolSize: 1, limits: { timeout: 100 } });
+    let error;
+    try {
+      await businessRuleEngine.buildCustomBusinessRule$('LUA_TEST', 'LUA_TEST', 'function exec(', 'LUA', '5.3', null);
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.contain('Lua53Fengari.loadSource');
+    expect(businessRuleEngine.pool.rules).to.be.empty;
+    expect(() => new BusinessRuleEngine({ executionMode: 'THREADS' })).to.throw('invalid execution mode');
+
+    const businessRule = await businessRuleEngine.buildCustomBusinessRule$('LUA_TEST', 'LUA_TEST', 'function exec() while true do end end', 'LUA', '5.3', null);
+    error = null;
+    try {
+      await businessRule.execute$([]);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(BusinessRuleLimitError);
+    expect(error.limit).to.equal(BusinessRuleEngine.LIMITS.TIMEOUT);
+  });
+
+  it('should reply the results that can not be structured-cloned as errors, keeping the worker alive', async () => {
+    businessRuleEngine = new BusinessRuleEngine({ executionMode: EXECUTION_MODES.WORKER, poolSize: 1 });
+    const businessRule = await businessRuleEngine.buildCustomBusinessRule$(
+      'JS_TEST', 'JS_TEST', 'function exec(kind) { return kind === "function" ? { f: function () { } } : kind === "promise" ? Promise.resolve(1) : kind; }', 'JAVASCRIPT', 10, null
+    );
+    const [slot] = businessRuleEngine.pool.slots;
+    const errors = await Promise.all(['function', 'promise'].map(kind => businessRule.execute$([kind]).then(() => null, err => err)));
+    errors.forEach(error => {
+      expect(error).to.not.be.instanceOf(UnavailableError);
+      expect(error.message).to.contain('can not be structured-cloned');
+    });
+    expect(await businessRule.execute$(['alive'])).to.equal('alive');
+    expect(businessRuleEngine.pool.slots[0]).to.equal(slot);
+
+    const WorkerPool = businessRuleEngine.pool.constructor;
+    expect(WorkerPool.toError(undefined).message).to.equal('undefined');
+    expect(WorkerPool.toError({ name: 'DataCloneError', message: 'not cloned' }).message).to.equal('DataCloneError: not cloned');
+  });
+
+  it('should respawn a worker killed by a rule and reload the rules on it', async () => {
+    businessRuleEngine = new BusinessRuleEngine({ executionMode: EXECUTION_MODES.WORKER, poolSize: 1, workerMaxMemory: 16, limits: { timeout: 0 } });
+    const businessRule = await businessRuleEngine.buildCustomBusinessRule$(
+      'JS_TEST', 'JS_TEST',
+      'function exec(explode) { const items = []; while (explode) { items.push({ index: items.length }); } return "alive"; }',
+      'JAVASCRIPT', 10, null
+    );
+    const [slot] = businessRuleEngine.pool.slots;
+    let error;
+    try {
+      await businessRule.execute$([true]);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(UnavailableError);
+    expect(error.message).to.contain('died');
+    expect(businessRuleEngine.pool.slots[0]).to.not.equal(slot);
+    expect(await businessRule.execute$([false])).to.equal('alive');
+  });
+
+  it('should terminate and respawn a worker stuck on a rule without limits', async () => {
+    businessRuleEngine = new BusinessRuleEngine({ executionMode: EXECUTION_MODES.WORKER, poolSize: 1, workerTimeout: 200, limits: { timeout: 0 } });
+    const businessRule = await businessRuleEngine.buildCustomBusinessRule$(
+      'JS_TEST', 'JS_TEST', 'function exec(stuck) { while (stuck) {} return "alive"; }', 'JAVASCRIPT', 10, null
+    );
+    const [slot] = businessRuleEngine.pool.slots;
+    let error;
+    try {
+      await businessRule.execute$([true]);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(UnavailableError);
+    expect(error.message).to.contain('watchdog');
+    expect(businessRuleEngine.pool.slots[0]).to.not.equal(slot);
+    expect(await businessRule.execute$([false])).to.equal('alive');
+    expect(() => new BusinessRuleEngine({ executionMode: EXECUTION_MODES.WORKER, workerTimeout: -1 })).to.throw('invalid timeout');
+  });
+
+  const buildSpec = (source, language) => ({
+    _id: 'br1', type: 'TEST', name: 'Test', companyIds: [], fromDateTime: 0, publishTimestamp: 1, source, language
+  });
+  const sleep = millis => new Promise(resolve => setTimeout(resolve, millis));
+
+  it('should destroy the expired cached rule once its grace period is over', async () => {
+    businessRuleEngine = new BusinessRuleEngine({ executionMode: EXECUTION_MODES.WORKER, poolSize: 2, replacedRuleGracePeriod: 100 });
+    const queryBusinessRules$ = async () => [buildSpec(COUNTER_RULE, { name: 'LUA', version: '5.3' })];
+    const expired = await businessRuleEngine.getBusinessRule$('TEST', 'org1', null, queryBusinessRules$);
+    expect(Object.keys(businessRuleEngine.pool.rules)).to.have.length(1);
+
+    expired.__expirationTs = 0;
+    const execution = expired.execute$([{ name: 'Lua' }]);
+    const refreshed = await businessRuleEngine.getBusinessRule$('TEST', 'org1', null, queryBusinessRules$);
+    expect(refreshed).to.not.equal(expired);
+    // the callers that got the expired rule can still execute it, even on the workers that did not load it yet
+    const results = await Promise.all([execution, expired.execute$([{ name: 'Lua' }]), expired.execute$([{ name: 'Lua' }])]);
+    expect(results.every(({ greeting }) => greeting === 'Hello Lua')).to.be.true;
+    expect(Object.keys(businessRuleEngine.pool.rules)).to.have.length(2);
+
+    await sleep(150);
+    expect(expired.destroyed).to.be.true;
+    expect(Object.keys(businessRuleEngine.pool.rules)).to.deep.equal([refreshed.vm.ruleId]);
+    expect(await refreshed.execute$([{ name: 'Lua' }])).to.deep.equal({ greeting: 'Hello Lua', calls: 1 });
+  });
+
+  it('should finish the executions in flight of the expired cached rule before destroying it', async () => {
+    businessRuleEngine = new BusinessRuleEngine({ executionMode: EXECUTION_MODES.WORKER, poolSize: 2, replacedRuleGracePeriod: 0 });
+    const source = 'function exec(millis) { const end = Date.now() + millis; while (Date.now() < end) { } return "done"; }';
+    const queryBusinessRules$ = async () => [buildSpec(source, { name: 'JAVASCRIPT', version: 10 })];
+    const expired = await businessRuleEngine.getBusinessRule$('TEST', 'org1', null, queryBusinessRules$);
+
+    expired.__expirationTs = 0;
+    const execution = expired.execute$([300]);
+    const refreshed = await businessRuleEngine.getBusinessRule$('TEST', 'org1', null, queryBusinessRules$);
+    await sleep(20);
+    expect(expired.destroyed).to.be.false;
+    expect(await execution).to.equal('done');
+    expect(expired.destroyed).to.be.true;
+    expect(Object.keys(businessRuleEngine.pool.rules)).to.deep.equal([refreshed.vm.ruleId]);
+  });
+});
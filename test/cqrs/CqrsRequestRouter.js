@@ -0,0 +1,231 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+const { of, throwError, forkJoin } = require('rxjs');
+const { mergeMap, map, finalize } = require('rxjs/operators');
+
+//LIBS FOR TESTING
+const { CustomError, PERMISSION_DENIED } = require('../../lib/error');
+const { CqrsRequestRouter, CqrsResponseHelper, SchemaValidator } = require('../../lib/cqrs');
+const { InMemoryBroker } = require('../../lib/broker');
+const { AuthorizationAuditor } = require('../../lib/auth');
+
+describe('CQRS', function () {
+  describe('CqrsRequestRouter', function () {
+
+    let bus, client, server, router;
+    beforeEach(function () {
+      bus = InMemoryBroker.createBus();
+      client = new InMemoryBroker({ bus, senderId: 'client', replyTimeout: 500 });
+      server = new InMemoryBroker({ bus, senderId: 'server' });
+      router = new CqrsRequestRouter({ broker: server, requestTopics: ['requests'], responseTopic: 'responses', name: 'TestService' })
+        .registerHandler('Sum', ({ a, b }) => of(a + b))
+        .registerHandler('AsyncSum', async ({ a, b }) => a + b)
+        .registerHandler('Fail', () => throwError(new CustomError('SomeError', 'TestService.Fail', 123, 'something failed')))
+        .registerHandler('Admin', (data, authToken) => authToken.preferred_username, { requiredRoles: ['PLATFORM-ADMIN'] })
+        .registerHandler('GetBusiness', ({ businessId }) => businessId, { access: { conditions: [{ userAttribute: 'businessId', resourceAttribute: 'businessId' }], bypassRoles: ['PLATFORM-ADMIN'] } })
+        .registerHandler('CreateVehicle', ({ plate }) => plate, { schema: { plate: { type: 'string', required: true, pattern: /^[A-Z]{3}\d{3}$/ }, year: { type: 'integer', min: 1950 } } })
+        .start();
+    });
+    afterEach(function (done) {
+      router.stop();
+      client.disconnectBroker$().pipe(
+        mergeMap(() => server.disconnectBroker$())
+      ).subscribe(() => { }, done, () => done());
+    });
+
+    it('replies the handler result wrapped as a success response', function (done) {
+      client.sendAndGetReply$('requests', 'responses', 'Sum', { a: 2, b: 3 }).subscribe(
+        (response) => expect(response).to.be.deep.eq({ data: 5, result: { code: 200 } }),
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('supports handlers returning promises', function (done) {
+      client.sendAndGetReply$('requests', 'responses', 'AsyncSum', { a: 2, b: 3 }).subscribe(
+        (response) => expect(response.data).to.be.eq(5),
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('replies invalid requests with the field violations', function (done) {
+      client.sendAndGetReply$('requests', 'responses', 'CreateVehicle', { plate: 'abc', year: 1900 }).subscribe(
+        (response) => {
+          expect(response.result.code).to.be.eq(10004);
+          expect(response.result.error.name).to.be.eq('Validation');
+          expect(response.result.error.details.map(({ path, rule, rejectedValue }) => ({ path, rule, rejectedValue }))).to.be.deep.eq([
+            { path: 'plate', rule: 'pattern', rejectedValue: 'abc' },
+            { path: 'year', rule: 'min', rejectedValue: 1900 },
+          ]);
+        },
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('verifies the access conditions of the handler', function (done) {
+      const request$ = (authToken) => client.sendAndGetReply$('requests', 'responses', 'GetBusiness', { businessId: 'b1', authToken });
+      forkJoin([
+        request$({ businessId: 'b1', realm_access: { roles: ['OPERATOR'] } }),
+        request$({ businessId: 'b2', realm_access: { roles: ['OPERATOR'] } }),
+        request$({ businessId: 'b2', realm_access: { roles: ['PLATFORM-ADMIN'] } }),
+      ]).subscribe(
+        ([own, other, admin]) => {
+          expect(own.data).to.be.eq('b1');
+          expect(other.result.code).to.be.eq(PERMISSION_DENIED);
+          expect(admin.data).to.be.eq('b1');
+        },
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('replies handler errors as error responses', function (done) {
+      client.sendAndGetReply$('requests', 'responses', 'Fail', {}).subscribe(
+        (response) => {
+          expect(response.data).to.be.null;
+          expect(response.result.code).to.be.eq(123);
+          expect(response.result.error).to.be.deep.eq({ name: 'SomeError', code: 123, msg: 'something failed' });
+        },
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('enforces the handler required roles', function (done) {
+      const authToken = { preferred_username: 'jdoe', realm_access: { roles: ['OPERATOR'] } };
+      client.sendAndGetReply$('requests', 'responses', 'Admin', { authToken }).subscribe(
+        (response) => {
+          expect(response.result.code).to.be.eq(PERMISSION_DENIED);
+          expect(response.result.error.name).to.be.eq('PermissionDenied');
+        },
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('audits the authorization decisions with the request ID', function (done) {
+      const events = [];
+      AuthorizationAuditor.setDefault(new AuthorizationAuditor({ sinks: [event => events.push(event)] }));
+      const authToken = { sub: 'u1', preferred_username: 'jdoe', realm_access: { roles: ['OPERATOR'] } };
+      client.sendAndGetReply$('requests', 'responses', 'Admin', { authToken }, undefined, true, { messageId: 'req-audit' }).pipe(
+        finalize(() => AuthorizationAuditor.setDefault(null))
+      ).subscribe(
+        () => {
+          expect(events).to.have.length(1);
+          expect(events[0]).to.include({ decision: 'DENY', method: 'TestService.Admin', correlationId: 'req-audit', reason: 'ROLES' });
+          expect(events[0].principal).to.be.deep.eq({ id: 'u1', username: 'jdoe' });
+        },
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('executes the handler when the user has the required roles', function (done) {
+      const authToken = { preferred_username: 'jdoe', realm_access: { roles: ['OPERATOR', 'PLATFORM-ADMIN'] } };
+      client.sendAndGetReply$('requests', 'responses', 'Admin', { authToken }).subscribe(
+        (response) => expect(response.data).to.be.eq('jdoe'),
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('replies unregistered types with a NotFound error', function (done) {
+      client.sendAndGetReply$('requests', 'responses', 'Unknown', {}).subscribe(
+        (response) => {
+          expect(response.result.code).to.be.eq(10003);
+          expect(response.result.error.name).to.be.eq('NotFound');
+        },
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('terminates the unregistered types on MANUAL ack mode, routing them to the dead-letter policy', function (done) {
+      const deadLetters = [];
+      const manualServer = new InMemoryBroker({ bus, senderId: 'manual-server', ackMode: 'MANUAL', deadLetter: { handler: deadLetter => deadLetters.push(deadLetter) } });
+      const manualRouter = new CqrsRequestRouter({ broker: manualServer, requestTopics: ['manual-requests'], responseTopic: 'responses', name: 'ManualService' }).start();
+      client.sendAndGetReply$('manual-requests', 'responses', 'Unknown', {}).subscribe(
+        (response) => expect(response.result.error.name).to.be.eq('NotFound'),
+        (error) => done(error),
+        () => setTimeout(() => {
+          manualRouter.stop();
+          expect(deadLetters.map(({ topic, error }) => [topic, error.name])).to.be.deep.eq([['manual-requests', 'NotFound']]);
+          manualServer.disconnectBroker$().subscribe(() => { }, done, () => done());
+        }, 20)
+      );
+    });
+
+    it('executes the handler with the validated data', function (done) {
+      class DefaultsValidator extends SchemaValidator {
+        validate$(payload) {
+          return super.validate$(payload).pipe(map(data => ({ color: 'WHITE', ...data })));
+        }
+      }
+      router.registerHandler('PaintVehicle', ({ color }) => color, { schema: new DefaultsValidator({ color: { type: 'string' } }) });
+      router.stop();
+      router.start();
+      client.sendAndGetReply$('requests', 'responses', 'PaintVehicle', {}).subscribe(
+        (response) => expect(response.data).to.be.eq('WHITE'),
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('bounds the requests handled at the same time by handler', function (done) {
+      let running = 0, maxRunning = 0;
+      router.registerHandler('Slow', () => {
+        maxRunning = Math.max(maxRunning, ++running);
+        return new Promise(resolve => setTimeout(() => resolve(--running), 10));
+      }, { maxConcurrency: 2 });
+      router.stop();
+      router.start();
+      forkJoin([1, 2, 3, 4, 5].map(() => client.sendAndGetReply$('requests', 'responses', 'Slow', {}))).subscribe(
+        (responses) => {
+          expect(responses.length).to.be.eq(5);
+          expect(maxRunning).to.be.eq(2);
+        },
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('replies the requests dropped by the handler queue with a RateLimitedError', function (done) {
+      const releases = [];
+      router.registerHandler('Slow', () => new Promise(resolve => releases.push(resolve)), { maxConcurrency: 1, maxQueueSize: 1 });
+      router.stop();
+      router.start();
+      const results = [];
+      const send = () => client.sendAndGetReply$('requests', 'responses', 'Slow', {}).pipe(
+        mergeMap(response => CqrsResponseHelper.unwrapResponse$(response))
+      ).subscribe(
+        (data) => results.push(data),
+        (error) => results.push(error.name)
+      );
+      [1, 2, 3].forEach(send);
+      setTimeout(() => {
+        expect(results).to.be.deep.eq(['RateLimited']);
+        releases[0]('first');
+        setTimeout(() => {
+          releases[1]('second');
+          setTimeout(() => {
+            expect(results).to.be.deep.eq(['RateLimited', 'first', 'second']);
+            done();
+          }, 20);
+        }, 20);
+      }, 20);
+    });
+
+    it('rejects the BLOCK overflow policy', function () {
+      expect(() => router.registerHandler('Blocking', () => 0, { overflowPolicy: 'BLOCK' })).to.throw('TestService.registerHandler: invalid overflowPolicy BLOCK');
+    });
+
+    it('rejects duplicated handlers', function () {
+      expect(() => router.registerHandler('Sum', () => 0)).to.throw('TestService.registerHandler: handler of Sum already registered');
+    });
+
+  });
+});
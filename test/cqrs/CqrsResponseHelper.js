@@ -8,7 +8,7 @@ const { of, empty } = require('rxjs');
 const { concatAll, mergeMap, catchError, take, toArray, first } = require('rxjs/operators');
 
 //LIBS FOR TESTING
-const { CustomError, PERMISSION_DENIED, INTERNAL_SERVER_ERROR_CODE } = require('../../lib/error');
+const { CustomError, PERMISSION_DENIED, INTERNAL_SERVER_ERROR_CODE, ConflictError } = require('../../lib/error');
 const { CqrsResponseHelper } = require('../../lib/cqrs');
 
 describe('CQRS', function () {
@@ -60,7 +60,84 @@ describe('CQRS', function () {
       );
     });
 
+    it('buildOffsetPageResponse$', function (done) {
+      CqrsResponseHelper.buildOffsetPageResponse$([{ id: 3 }, { id: 4 }], { offset: 2, limit: 2, totalCount: 5 }).subscribe(
+        (response) => expect(response).to.be.deep.eq({
+          data: { items: [{ id: 3 }, { id: 4 }], totalCount: 5, offset: 2, limit: 2, hasMore: true },
+          result: { code: 200 }
+        }),
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('buildCursorPageResponse$', function (done) {
+      CqrsResponseHelper.buildCursorPageResponse$([{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }], { limit: 2 }).pipe(
+        mergeMap(({ data }) => {
+          expect(data.items).to.be.deep.eq([{ _id: 'a' }, { _id: 'b' }]);
+          expect(data.hasMore).to.be.true;
+          expect(CqrsResponseHelper.decodeCursor(data.nextCursor)).to.be.eq('b');
+          return CqrsResponseHelper.buildCursorPageResponse$([{ _id: 'c' }], { limit: 2 });
+        })
+      ).subscribe(
+        ({ data }) => expect(data).to.be.deep.eq({ items: [{ _id: 'c' }], totalCount: undefined, nextCursor: null, hasMore: false }),
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('decodeCursor rejects malformed cursors', function () {
+      expect(() => CqrsResponseHelper.decodeCursor('not-a-cursor')).to.throw('Invalid cursor');
+    });
 
+    it('handleError$ replies the error content unless detailed errors are enabled', function (done) {
+      const error = new ConflictError('Vehicle.update', 'version mismatch', { cause: new Error('duplicated key') });
+      CqrsResponseHelper.handleError$(error).subscribe(
+        (response) => {
+          expect(response.result.error).to.be.deep.eq({ name: 'Conflict', code: ConflictError.code, msg: 'version mismatch' });
+        },
+        (err) => done(err),
+        () => done()
+      );
+    });
+
+    describe('with detailed errors', function () {
+      const detailedErrors = process.env.CQRS_DETAILED_ERRORS;
+      before(function () {
+        process.env.CQRS_DETAILED_ERRORS = 'true';
+      });
+      after(function () {
+        process.env.CQRS_DETAILED_ERRORS = detailedErrors;
+        if (detailedErrors === undefined) delete process.env.CQRS_DETAILED_ERRORS;
+      });
+
+      it('unwrapResponse$ throws the replied error as its typed error', function (done) {
+        CqrsResponseHelper.handleError$(new ConflictError('Vehicle.update', 'version mismatch', { details: { version: 3 }, cause: new Error('duplicated key') })).pipe(
+          mergeMap(response => CqrsResponseHelper.unwrapResponse$(JSON.parse(JSON.stringify(response))))
+        ).subscribe(
+          () => done(new Error('unwrapResponse$ must throw')),
+          (error) => {
+            expect(error).to.be.instanceOf(ConflictError);
+            expect(error.message).to.be.eq('version mismatch');
+            expect(error.method).to.be.eq('Vehicle.update');
+            expect(error.details).to.be.deep.eq({ version: 3 });
+            expect(error.cause.message).to.be.eq('duplicated key');
+            expect(error.stack).to.have.string('at <remote boundary>');
+            done();
+          }
+        );
+      });
+    });
+
+    it('unwrapResponse$ emits the data of success responses', function (done) {
+      CqrsResponseHelper.buildSuccessResponse$({ a: 1 }).pipe(
+        mergeMap(CqrsResponseHelper.unwrapResponse$)
+      ).subscribe(
+        (data) => expect(data).to.be.deep.eq({ a: 1 }),
+        (error) => done(error),
+        () => done()
+      );
+    });
 
   });
 });
@@ -0,0 +1,82 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+const { range, concat, throwError, from } = require('rxjs');
+const { mergeMap, toArray } = require('rxjs/operators');
+
+//LIBS FOR TESTING
+const { NotFoundError, PermissionDeniedError } = require('../../lib/error');
+const { CqrsRequestRouter, CqrsStream } = require('../../lib/cqrs');
+const { InMemoryBroker } = require('../../lib/broker');
+
+describe('CQRS', function () {
+  describe('CqrsStream', function () {
+
+    let bus, client, server, router;
+    beforeEach(function () {
+      bus = InMemoryBroker.createBus();
+      client = new InMemoryBroker({ bus, senderId: 'client', replyTimeout: 500 });
+      server = new InMemoryBroker({ bus, senderId: 'server' });
+      router = new CqrsRequestRouter({ broker: server, requestTopics: ['requests'], responseTopic: 'responses', name: 'TestService' })
+        .registerHandler('Export', ({ count }) => range(0, count), { stream: { chunkSize: 10 } })
+        .registerHandler('FailingExport', () => concat(range(0, 15), throwError(new NotFoundError('TestService.FailingExport', 'vehicle removed'))), { stream: { chunkSize: 10 } })
+        .registerHandler('AdminExport', () => range(0, 5), { stream: true, requiredRoles: ['PLATFORM-ADMIN'] })
+        .start();
+    });
+    afterEach(function (done) {
+      router.stop();
+      client.disconnectBroker$().pipe(
+        mergeMap(() => server.disconnectBroker$())
+      ).subscribe(() => { }, done, () => done());
+    });
+
+    it('streams the handler items as sequenced chunks', function (done) {
+      const frames = [];
+      client.getMessageListener$(['responses'], ['Export']).subscribe(({ data }) => frames.push(data.stream));
+      CqrsStream.request$(client, 'requests', 'responses', 'Export', { count: 25 }).pipe(toArray()).subscribe(
+        (items) => {
+          expect(items).to.be.deep.eq([...Array(25).keys()]);
+          expect(frames).to.be.deep.eq([{ seq: 0, last: false }, { seq: 1, last: false }, { seq: 2, last: false }, { seq: 3, last: true, items: 25 }]);
+        },
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+    it('throws the typed error of failed streams after the items sent', function (done) {
+      const items = [];
+      CqrsStream.request$(client, 'requests', 'responses', 'FailingExport', {}).subscribe(
+        (item) => items.push(item),
+        (error) => {
+          expect(items.length).to.be.eq(10);
+          expect(error).to.be.instanceOf(NotFoundError);
+          expect(error.message).to.be.eq('vehicle removed');
+          done();
+        },
+        () => done(new Error('the stream must fail'))
+      );
+    });
+
+    it('replies the role verification errors as the terminal frame', function (done) {
+      CqrsStream.request$(client, 'requests', 'responses', 'AdminExport', {}).subscribe(
+        () => done(new Error('the stream must not emit items')),
+        (error) => {
+          expect(error).to.be.instanceOf(PermissionDeniedError);
+          done();
+        }
+      );
+    });
+
+    it('reassembles out of order and duplicated frames', function (done) {
+      const frame = (seq, data, last = false) => ({ correlationId: 'request-1', data: { data, result: { code: 200 }, stream: { seq, last } } });
+      const messages$ = from([frame(1, [3, 4]), frame(0, [1, 2]), frame(1, [3, 4]), { correlationId: 'other', data: {} }, frame(3, [], true), frame(2, [5])]);
+      CqrsStream.reassemble$(messages$, 'request-1', 500).pipe(toArray()).subscribe(
+        (items) => expect(items).to.be.deep.eq([1, 2, 3, 4, 5]),
+        (error) => done(error),
+        () => done()
+      );
+    });
+
+  });
+});
@@ -0,0 +1,67 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+
+//LIBS FOR TESTING
+const { ValidationError } = require('../../lib/error');
+const { SchemaValidator, CqrsResponseHelper } = require('../../lib/cqrs');
+
+describe('CQRS', function () {
+  describe('SchemaValidator', function () {
+
+    const validator = new SchemaValidator({
+      plate: { type: 'string', required: true, pattern: /^[A-Z]{3}\d{3}$/ },
+      color: { enum: ['RED', 'BLUE'] },
+      owner: {
+        type: 'object', required: true, additionalProperties: false,
+        properties: { name: { type: 'string', required: true, minLength: 1 }, password: { type: 'string', minLength: 8 } }
+      },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+      seats: { type: 'integer', validate: (seats, payload) => payload.color !== 'RED' || seats <= 2 || 'must be at most 2 on red vehicles' },
+    }, { name: 'VehicleCQRS.createVehicle' });
+
+    it('accepts valid payloads', function () {
+      const payload = { plate: 'ABC123', owner: { name: 'john' }, tags: ['a'], extra: true };
+      expect(validator.validate(payload)).to.be.deep.eq([]);
+      expect(validator.assert(payload)).to.be.eq(payload);
+    });
+
+    it('collects every violation with its path, rule, message and rejected value', function () {
+      const violations = validator.validate({ plate: 123, color: 'RED', owner: { name: '', age: 3, password: 'short' }, tags: ['a', 1, 'c'], seats: 4 });
+      expect(violations.map(({ path, rule }) => `${path}:${rule}`)).to.be.deep.eq([
+        'plate:type', 'owner.name:minLength', 'owner.password:minLength', 'owner.age:additionalProperties', 'tags:maxItems', 'tags[1]:type', 'seats:validate'
+      ]);
+      expect(violations[0]).to.be.deep.eq({ path: 'plate', rule: 'type', message: 'plate must be of type string', rejectedValue: 123 });
+      expect(violations[6].message).to.be.eq('seats must be at most 2 on red vehicles');
+    });
+
+    it('throws a ValidationError rendered as the error details', function (done) {
+      let error;
+      try {
+        validator.assert({ plate: 'ABC123', owner: { name: 'john', password: 'short' } });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.instanceOf(ValidationError);
+      expect(error.method).to.be.eq('VehicleCQRS.createVehicle');
+      expect(error.hasViolations()).to.be.true;
+      CqrsResponseHelper.handleError$(error).subscribe(
+        (response) => {
+          expect(response.result.code).to.be.eq(10004);
+          // sensitive rejected values are not replied
+          expect(response.result.error.details).to.be.deep.eq([
+            { path: 'owner.password', rule: 'minLength', message: 'owner.password must have at least 8 characters', rejectedValue: '[REDACTED]' }
+          ]);
+        },
+        (err) => done(err),
+        () => done()
+      );
+    });
+
+    it('requires the payload', function () {
+      expect(validator.validate(undefined)).to.be.deep.eq([{ path: '$', rule: 'required', message: 'payload is required', rejectedValue: undefined }]);
+    });
+
+  });
+});
@@ -8,7 +8,7 @@ const { of } = require('rxjs');
 const { map, concatAll, mergeMap, concatMap, take, toArray, reduce } = require('rxjs/operators');
 
 //LIBS FOR TESTING
-const { CustomError, PERMISSION_DENIED,INTERNAL_SERVER_ERROR_CODE } = require('../../lib/error');
+const { CustomError, PERMISSION_DENIED,INTERNAL_SERVER_ERROR_CODE, ErrorCatalog, NotFoundError } = require('../../lib/error');
 
 describe('ERROR', function () {
   describe('CustomError', function () {
@@ -30,5 +30,58 @@ describe('ERROR', function () {
       expect(permissionDeniedError.message).to.be.eq('you shall no pass');      
     });
 
+    it('getContent redacts sensitive values', function () {
+      const error = new CustomError('InvalidEmail', 'test.mocha', 1234, 'john.doe@example.com is not registered');
+      expect(error.getContent()).to.be.deep.eq({ name: 'InvalidEmail', code: 1234, msg: '[REDACTED] is not registered' });
+      expect(error.message).to.be.eq('john.doe@example.com is not registered');
+    });
+
+    it('toJSON serializes the cause chain, details and metadata', function () {
+      const rootCause = new Error('connection refused');
+      const cause = new CustomError('DbError', 'VehicleDA.getVehicle$', 1001, 'query failed', { cause: rootCause });
+      const error = new CustomError('VehicleError', 'Vehicle.get', 1002, 'vehicle not loaded', { cause, details: { id: 'abc' }, metadata: { attempt: 2 } });
+      expect(error.cause).to.be.eq(cause);
+      expect(Object.prototype.hasOwnProperty.call(error, 'cause')).to.be.true;
+      const json = JSON.parse(JSON.stringify(error));
+      expect(json).to.include({ name: 'VehicleError', code: 1002, msg: 'vehicle not loaded', method: 'Vehicle.get' });
+      expect(json.details).to.be.deep.eq({ id: 'abc' });
+      expect(json.metadata).to.be.deep.eq({ attempt: 2 });
+      expect(json.cause).to.include({ name: 'DbError', code: 1001, msg: 'query failed' });
+      expect(json.cause.cause).to.include({ name: 'Error', msg: 'connection refused' });
+      expect(json.stack).to.be.a('string');
+    });
+
+    it('fromJSON rebuilds the typed error keeping the remote stack', function () {
+      const { RemoteVehicleNotFound } = ErrorCatalog.defineErrors({ RemoteVehicleNotFound: { code: 29001, kind: 'NOT_FOUND', message: 'Vehicle {id} not found' } }, { module: 'test.mocha' });
+      const remote = new RemoteVehicleNotFound('VehicleDA.getVehicle$', { id: 'abc' }, { cause: new CustomError('DbError', 'm', 1001, 'empty result') });
+      const error = CustomError.fromJSON(JSON.parse(JSON.stringify(remote)));
+      expect(error).to.be.instanceOf(RemoteVehicleNotFound);
+      expect(error).to.be.instanceOf(NotFoundError);
+      expect(error.message).to.be.eq('Vehicle abc not found');
+      expect(error.method).to.be.eq('VehicleDA.getVehicle$');
+      expect(error.cause).to.be.instanceOf(CustomError);
+      expect(error.cause.message).to.be.eq('empty result');
+      expect(error.stack).to.have.string(remote.stack);
+      expect(error.stack).to.have.string('at <remote boundary>');
+
+      const generic = CustomError.fromJSON({ name: 'Unknown', code: 4321, msg: 'unknown' });
+      expect(generic.constructor).to.be.eq(CustomError);
+      expect(generic.getContent()).to.be.deep.eq({ name: 'Unknown', code: 4321, msg: 'unknown' });
+    });
+
+    it('does not serialize stack traces on production', function () {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        const json = new CustomError('SomeError', 'm', 1001, 'msg', { cause: new Error('inner') }).toJSON();
+        expect(json.stack).to.be.undefined;
+        expect(json.cause.stack).to.be.undefined;
+        expect(CustomError.fromJSON({ ...json, stack: 'remote stack' }).stack).to.not.have.string('remote stack');
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+        if (nodeEnv === undefined) delete process.env.NODE_ENV;
+      }
+    });
+
   });
 });
@@ -0,0 +1,63 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+
+//LIBS FOR TESTING
+const { CustomError, ErrorCatalog, NotFoundError, RateLimitedError, TypedError, GRPC_STATUS, INTERNAL_SERVER_ERROR_CODE, PERMISSION_DENIED } = require('../../lib/error');
+
+describe('ERROR', function () {
+  describe('ErrorCatalog', function () {
+
+    it('built-in errors have stable codes and status mapping', function () {
+      const error = new NotFoundError('test.mocha');
+      expect(error).to.be.instanceOf(CustomError);
+      expect(error.code).to.be.eq(10003);
+      expect(error.name).to.be.eq('NotFound');
+      expect(error.message).to.be.eq('Resource not found');
+      expect(error.httpStatus).to.be.eq(404);
+      expect(error.grpcStatus).to.be.eq(GRPC_STATUS.NOT_FOUND);
+      expect(new RateLimitedError('test.mocha', 'slow down').message).to.be.eq('slow down');
+      expect(ErrorCatalog.DEFAULT_CATALOG.get(INTERNAL_SERVER_ERROR_CODE).errorName).to.be.eq('InternalServerError');
+      expect(ErrorCatalog.DEFAULT_CATALOG.get(PERMISSION_DENIED).errorName).to.be.eq('PermissionDenied');
+    });
+
+    it('defineErrors produces typed subclasses with message templates', function () {
+      const catalog = new ErrorCatalog();
+      const { VehicleNotFound, VehicleLocked } = catalog.defineErrors({
+        VehicleNotFound: { code: 20001, kind: 'NOT_FOUND', message: { en: 'Vehicle {id} not found', es: 'Vehículo {id} no encontrado' } },
+        VehicleLocked: { code: 20002, kind: 'CONFLICT', message: 'Vehicle {id} is locked by {user}', httpStatus: 423 },
+      }, { module: 'ms-vehicle' });
+
+      const notFound = new VehicleNotFound('VehicleDA.getVehicle$', { id: 'abc' });
+      expect(notFound).to.be.instanceOf(NotFoundError);
+      expect(notFound).to.be.instanceOf(TypedError);
+      expect(notFound.constructor.name).to.be.eq('VehicleNotFound');
+      expect(notFound.getContent()).to.be.deep.eq({ name: 'VehicleNotFound', code: 20001, msg: 'Vehicle abc not found' });
+      expect(notFound.httpStatus).to.be.eq(404);
+      expect(notFound.getMessage('es')).to.be.eq('Vehículo abc no encontrado');
+      expect(new VehicleNotFound('m', { id: 'abc' }, { locale: 'es' }).message).to.be.eq('Vehículo abc no encontrado');
+
+      const locked = new VehicleLocked('m', { id: 'abc' });
+      expect(locked.message).to.be.eq('Vehicle abc is locked by {user}');
+      expect(locked.httpStatus).to.be.eq(423);
+      expect(locked.grpcStatus).to.be.eq(GRPC_STATUS.ALREADY_EXISTS);
+      expect(catalog.list().map(({ code, module }) => `${module}:${code}`)).to.be.deep.eq(['ms-vehicle:20001', 'ms-vehicle:20002']);
+    });
+
+    it('detects code collisions at registration time', function () {
+      const catalog = new ErrorCatalog();
+      catalog.defineErrors({ VehicleNotFound: { code: 20001, kind: 'NOT_FOUND' } }, { module: 'ms-vehicle' });
+      expect(() => catalog.defineErrors({ DriverNotFound: { code: 20001, kind: 'NOT_FOUND' } }, { module: 'ms-driver' }))
+        .to.throw('code 20001 of ms-driver.DriverNotFound is already registered by ms-vehicle.VehicleNotFound');
+      expect(() => catalog.defineErrors({ A: { code: 30001 }, B: { code: 30001 } }, { module: 'ms-driver' }))
+        .to.throw('code 30001 of ms-driver.B is also used by ms-driver.A');
+      expect(catalog.get(30001)).to.be.undefined;
+      expect(() => catalog.defineErrors({ A: { code: 30002, kind: 'TEAPOT' } })).to.throw('invalid kind TEAPOT');
+      expect(() => catalog.defineErrors({ A: { code: 10500 } }, { module: 'ms-driver' })).to.throw('codes 10000-10999 are reserved to the built-in errors');
+      // the same module may define its errors again
+      catalog.defineErrors({ VehicleNotFound: { code: 20001, kind: 'NOT_FOUND' } }, { module: 'ms-vehicle' });
+    });
+
+  });
+});
@@ -5,11 +5,13 @@ const assert = require('assert');
 const should = require('chai').should();
 const expect = require('chai').expect;
 const { of } = require('rxjs');
-const { map, concatAll, mergeMap, concatMap, take, toArray, reduce } = require('rxjs/operators');
+const { map, concatAll, mergeMap, concatMap, take, toArray, reduce, first } = require('rxjs/operators');
 
 //LIBS FOR TESTING
 const { CustomError } = require('../../lib/error');
 const { ConsoleLogger } = require('../../lib/log');
+const os = require('os');
+const { InMemoryBroker } = require('../../lib/broker');
 
 describe('LOG', function () {
   describe('ConsoleLogger', function () {
@@ -23,5 +25,107 @@ describe('LOG', function () {
       // ConsoleLogger.f('This is a FATAL Log', new Error('Node Error'));
     });
 
+    describe('JSON format', function () {
+      let lines, originalConsole;
+      // transports write asynchronously, other tests may log meanwhile
+      const flushedEntries = async () => {
+        await ConsoleLogger.flush();
+        return lines.map(line => JSON.parse(line));
+      };
+      beforeEach(async function () {
+        await ConsoleLogger.flush();
+        lines = [];
+        originalConsole = { log: console.log, error: console.error };
+        console.log = console.error = line => lines.push(line);
+        ConsoleLogger.setFormat('JSON');
+      });
+      afterEach(async function () {
+        await ConsoleLogger.flush();
+        console.log = originalConsole.log;
+        console.error = originalConsole.error;
+        ConsoleLogger.setFormat('TEXT');
+      });
+
+      it('outputs one JSON object per line', async function () {
+        ConsoleLogger.w('This is a WARN Log', new CustomError('CustomError', 'Class.Method', 1234, 'CustomError'), { correlationId: 'abc', level: 'ignored' });
+        expect(lines.length).to.be.eq(0);
+        const entry = (await flushedEntries()).find(entry => entry.message === 'This is a WARN Log');
+        expect(entry.level).to.be.eq('WARN');
+        expect(entry.message).to.be.eq('This is a WARN Log');
+        expect(entry.hostname).to.be.eq(os.hostname());
+        expect(entry.correlationId).to.be.eq('abc');
+        expect(entry.error.name).to.be.eq('CustomError');
+        expect(entry.error.code).to.be.eq(1234);
+        expect(entry.error.stack).to.be.a('string');
+        expect(new Date(entry.timestamp).toISOString()).to.be.eq(entry.timestamp);
+      });
+
+      it('tolerates circular context', async function () {
+        const context = { a: 1 };
+        context.self = context;
+        ConsoleLogger.e('circular', undefined, context);
+        expect((await flushedEntries()).find(entry => entry.message === 'circular').self).to.be.deep.eq({ a: 1, self: '[Circular]' });
+      });
+
+      it('child loggers stamp their fields on every line', async function () {
+        const logger = ConsoleLogger.child({ correlationId: 'abc', messageType: 'SomeType' }).child({ organizationId: 'org' });
+        logger.e('child', undefined, { messageType: 'Override' });
+        expect((await flushedEntries()).find(entry => entry.message === 'child')).to.include({ message: 'child', correlationId: 'abc', messageType: 'Override', organizationId: 'org' });
+      });
+
+      it('runWithContext propagates the context to async continuations', async function () {
+        await ConsoleLogger.runWithContext({ correlationId: 'abc' }, async () => {
+          await new Promise(resolve => setTimeout(resolve, 1));
+          ConsoleLogger.child({ step: 1 }).e('async');
+        });
+        ConsoleLogger.e('outside');
+        const entries = await flushedEntries();
+        expect(entries.find(entry => entry.message === 'async')).to.include({ correlationId: 'abc', step: 1 });
+        expect(entries.find(entry => entry.message === 'outside').correlationId).to.not.be.eq('abc');
+      });
+
+      it('named loggers use their own level', async function () {
+        ConsoleLogger.setLevel('test.named', 'DEBUG');
+        try {
+          ConsoleLogger.getLogger('test.named.child').d('named debug');
+          ConsoleLogger.getLogger('test.other').d('other debug');
+        } finally {
+          ConsoleLogger.setLevel('test.named', null);
+        }
+        const entries = await flushedEntries();
+        expect(entries.find(entry => entry.message === 'named debug')).to.include({ level: 'DEBUG', logger: 'test.named.child' });
+        expect(entries.find(entry => entry.message === 'other debug')).to.be.undefined;
+      });
+
+      it('listenLevelChanges$ applies the levels of the broker control messages', function (done) {
+        const bus = InMemoryBroker.createBus();
+        const broker = new InMemoryBroker({ bus });
+        ConsoleLogger.listenLevelChanges$(broker, 'log-control').pipe(first()).subscribe(
+          (levels) => {
+            expect(levels['test.broker']).to.be.eq('DEBUG');
+            expect(levels['test.ignored']).to.be.undefined;
+            expect(ConsoleLogger.getLevel('test.broker.nats')).to.be.eq(ConsoleLogger.LEVELS.DEBUG);
+            ConsoleLogger.setLevel('test.broker', null);
+          },
+          (error) => done(error),
+          () => broker.disconnectBroker$().subscribe(() => done())
+        );
+        broker.send$('log-control', 'LogLevelChange', { levels: { 'test.broker': 'DEBUG', 'test.ignored': 'DEBUG' }, hostnames: ['other-host'] }).pipe(
+          mergeMap(() => broker.send$('log-control', 'LogLevelChange', { levels: { 'test.broker': 'DEBUG' }, hostnames: [os.hostname()] }))
+        ).subscribe();
+      });
+
+      it('redacts the sensitive values of the message, error and context', async function () {
+        ConsoleLogger.e('login failed for john.doe@example.com', new Error('card 4111 1111 1111 1111 rejected'), { user: { name: 'john', password: 'secret' } });
+        const entry = (await flushedEntries()).find(entry => entry.message === 'login failed for [REDACTED]');
+        expect(entry.user).to.be.deep.eq({ name: 'john', password: '[REDACTED]' });
+        expect(entry.error.message).to.be.eq('card [REDACTED] rejected');
+      });
+
+      it('rejects unknown formats', function () {
+        expect(() => ConsoleLogger.setFormat('XML')).to.throw('Invalid log format XML');
+      });
+    });
+
   });
 });
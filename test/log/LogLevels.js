@@ -0,0 +1,40 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+
+//LIBS FOR TESTING
+const { LogLevels } = require('../../lib/log');
+const { DEBUG, INFO, WARN, ERROR } = LogLevels.LEVELS;
+
+describe('LOG', function () {
+  describe('LogLevels', function () {
+
+    it('parses level names and numbers', function () {
+      expect(LogLevels.parseLevel('debug')).to.be.eq(DEBUG);
+      expect(LogLevels.parseLevel('ERROR')).to.be.eq(ERROR);
+      expect(LogLevels.parseLevel('1')).to.be.eq(INFO);
+      expect(LogLevels.parseLevel(undefined, WARN)).to.be.eq(WARN);
+      expect(() => LogLevels.parseLevel('VERBOSE')).to.throw('Invalid log level VERBOSE');
+    });
+
+    it('named loggers inherit the level of their closest configured ancestor', function () {
+      const levels = new LogLevels('WARN', 'broker=INFO, broker.nats=DEBUG');
+      expect(levels.getLevel()).to.be.eq(WARN);
+      expect(levels.getLevel('bre.lua')).to.be.eq(WARN);
+      expect(levels.getLevel('broker.mqtt')).to.be.eq(INFO);
+      expect(levels.getLevel('broker.nats')).to.be.eq(DEBUG);
+      expect(levels.getLevel('broker.nats.consumer')).to.be.eq(DEBUG);
+    });
+
+    it('setLevel', function () {
+      const levels = new LogLevels('WARN');
+      levels.setLevel('broker', 'DEBUG');
+      levels.setLevel('root', 'ERROR');
+      expect(levels.getLevels()).to.be.deep.eq({ root: 'ERROR', broker: 'DEBUG' });
+      levels.setLevel('broker', null);
+      expect(levels.getLevel('broker.nats')).to.be.eq(ERROR);
+    });
+
+  });
+});
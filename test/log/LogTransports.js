@@ -0,0 +1,118 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dgram = require('dgram');
+const net = require('net');
+const { first } = require('rxjs/operators');
+
+//LIBS FOR TESTING
+const { LogFormatter, transports } = require('../../lib/log');
+const { ConsoleTransport, FileTransport, SyslogTransport, BrokerTransport } = transports;
+const { InMemoryBroker } = require('../../lib/broker');
+
+const entry = (level, message, context = {}) => LogFormatter.buildEntry(LogFormatter.LEVEL_NAMES.indexOf(level), message, undefined, context);
+
+describe('LOG', function () {
+  describe('LogTransports', function () {
+
+    it('ConsoleTransport writes WARN and above to stderr', async function () {
+      const out = [], err = [];
+      const originalConsole = { log: console.log, error: console.error };
+      const transport = new ConsoleTransport({ level: 'INFO', format: ({ message }) => message });
+      console.log = line => out.push(line);
+      console.error = line => err.push(line);
+      try {
+        ['DEBUG', 'INFO', 'WARN', 'ERROR'].forEach(level => transport.log(entry(level, level), 'TEXT'));
+        expect(out.length + err.length).to.be.eq(0);
+        await transport.flush();
+      } finally {
+        console.log = originalConsole.log;
+        console.error = originalConsole.error;
+      }
+      expect(out).to.be.deep.eq(['INFO']);
+      expect(err).to.be.deep.eq(['WARN', 'ERROR']);
+    });
+
+    it('bounded buffer drops the oldest entries', async function () {
+      const written = [];
+      const transport = new BrokerTransport({ broker: { send$: () => ({ toPromise: () => Promise.resolve() }) }, topic: 'logs', maxBufferSize: 2 });
+      transport.write = async records => records.forEach(({ entry }) => written.push(entry.message));
+      ['1', '2', '3'].forEach(message => transport.log(entry('INFO', message), 'TEXT'));
+      await transport.flush();
+      expect(written).to.be.deep.eq(['2', '3']);
+      expect(transport.dropped).to.be.eq(1);
+    });
+
+    it('FileTransport rotates the file when it reaches maxSize', async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-transport-'));
+      const file = path.join(dir, 'service.log');
+      const transport = new FileTransport({ path: file, maxSize: 10, maxFiles: 2, format: ({ message }) => message });
+      try {
+        for (const message of ['first-line', 'second-line', 'third-line', 'fourth-line']) {
+          transport.log(entry('INFO', message), 'TEXT');
+          await transport.flush();
+        }
+        expect(fs.readFileSync(file, 'utf8')).to.be.eq('fourth-line\n');
+        expect(fs.readFileSync(`${file}.1`, 'utf8')).to.be.eq('third-line\n');
+        expect(fs.readFileSync(`${file}.2`, 'utf8')).to.be.eq('second-line\n');
+        expect(fs.existsSync(`${file}.3`)).to.be.false;
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('SyslogTransport sends RFC5424 messages over UDP', async function () {
+      const server = dgram.createSocket('udp4');
+      await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+      const received = new Promise(resolve => server.once('message', message => resolve(message.toString())));
+      const transport = SyslogTransport.fromUrl(`udp://127.0.0.1:${server.address().port}`, { appName: 'ms-test', format: ({ message }) => message });
+      try {
+        transport.log(entry('ERROR', 'udp message', { logger: 'broker.nats' }), 'TEXT');
+        await transport.flush();
+        expect(await received).to.match(new RegExp(`^<11>1 \\S+ \\S+ ms-test ${process.pid} broker.nats - udp message$`));
+      } finally {
+        await transport.close();
+        server.close();
+      }
+    });
+
+    it('SyslogTransport frames TCP messages using octet counting', async function () {
+      let data = '';
+      const server = net.createServer(socket => socket.on('data', chunk => data += chunk.toString()));
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const transport = new SyslogTransport({ protocol: 'tcp', host: '127.0.0.1', port: server.address().port, facility: 16, format: ({ message }) => message });
+      try {
+        transport.log(entry('INFO', 'tcp message'), 'TEXT');
+        await transport.flush();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const [length, ...message] = data.split(' ');
+        expect(parseInt(length)).to.be.eq(Buffer.byteLength(message.join(' ')));
+        expect(message.join(' ')).to.match(/^<134>1 .* tcp message$/);
+      } finally {
+        await transport.close();
+        server.close();
+      }
+    });
+
+    it('BrokerTransport publishes the entries, ignoring the broker loggers', function (done) {
+      const bus = InMemoryBroker.createBus();
+      const broker = new InMemoryBroker({ bus });
+      const transport = new BrokerTransport({ broker, topic: 'logs', format: 'JSON' });
+      broker.getMessageListener$(['logs'], ['LogEntry'], false).pipe(first()).subscribe(
+        ({ data }) => {
+          expect(data.message).to.be.eq('published');
+          expect(data.context).to.be.deep.eq({ vehicleId: 'abc' });
+        },
+        (error) => done(error),
+        () => broker.disconnectBroker$().subscribe(() => done())
+      );
+      transport.log(entry('INFO', 'ignored', { logger: 'broker.memory' }), 'TEXT');
+      transport.log(entry('INFO', 'published', { vehicleId: 'abc' }), 'TEXT');
+    });
+
+  });
+});
@@ -0,0 +1,57 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+
+//LIBS FOR TESTING
+const { Redactor } = require('../../lib/log');
+
+describe('LOG', function () {
+  describe('Redactor', function () {
+
+    it('redacts the default sensitive keys at any depth', function () {
+      const redactor = new Redactor();
+      const value = { user: { name: 'john', Password: 'secret' }, attributes: { authorization: 'Bearer abc' }, items: [{ token: 'abc' }] };
+      expect(redactor.redact(value)).to.be.deep.eq({
+        user: { name: 'john', Password: '[REDACTED]' },
+        attributes: { authorization: '[REDACTED]' },
+        items: [{ token: '[REDACTED]' }],
+      });
+      expect(value.user.Password).to.be.eq('secret');
+    });
+
+    it('matches single and multiple key wildcards', function () {
+      const redactor = new Redactor({ paths: ['*.pin', 'attributes.authorization', 'data.**.ssn'], patterns: [] });
+      const value = {
+        pin: 1, card: { pin: 2, inner: { pin: 3 } },
+        attributes: { authorization: 'abc' }, headers: { authorization: 'abc' },
+        data: { ssn: 'a', person: { ids: { ssn: 'b' } } },
+      };
+      expect(redactor.redact(value)).to.be.deep.eq({
+        pin: 1, card: { pin: '[REDACTED]', inner: { pin: 3 } },
+        attributes: { authorization: '[REDACTED]' }, headers: { authorization: 'abc' },
+        data: { ssn: '[REDACTED]', person: { ids: { ssn: '[REDACTED]' } } },
+      });
+    });
+
+    it('redacts card numbers passing the Luhn check and emails within texts', function () {
+      const redactor = new Redactor({ paths: [] });
+      expect(redactor.redactText('card 4111-1111-1111-1111, timestamp 1700000000000')).to.be.eq('card [REDACTED], timestamp 1700000000000');
+      expect(redactor.redactText('ids 1234567890123456')).to.be.eq('ids 1234567890123456');
+      expect(redactor.redact({ note: 'contact jane@example.co' })).to.be.deep.eq({ note: 'contact [REDACTED]' });
+    });
+
+    it('tolerates circular references', function () {
+      const value = { a: 1, password: 'x' };
+      value.self = value;
+      expect(new Redactor().redact(value)).to.be.deep.eq({ a: 1, password: '[REDACTED]', self: '[Circular]' });
+    });
+
+    it('is configured by the environment', function () {
+      const redactor = Redactor.fromEnv({ LOG_REDACT_PATHS: 'data.plate', LOG_REDACT_PATTERNS: 'NONE' });
+      expect(redactor.redact({ data: { plate: 'ABC123', email: 'jane@example.co' } })).to.be.deep.eq({ data: { plate: '[REDACTED]', email: 'jane@example.co' } });
+      expect(() => Redactor.fromEnv({ LOG_REDACT_PATTERNS: 'PHONE' })).to.throw('Invalid redaction pattern PHONE');
+    });
+
+  });
+});
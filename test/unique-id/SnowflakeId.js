@@ -0,0 +1,66 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+
+//LIBS FOR TESTING
+const { SnowflakeId } = require('../../lib/unique-id');
+
+describe('UNIQUE-ID', function () {
+  describe('SnowflakeId', function () {
+
+    const time = Date.UTC(2024, 4, 1, 12, 30, 15, 250);
+
+    it('generates increasing IDs with millisecond precision', function () {
+      const generator = new SnowflakeId({ workerId: 37 });
+      const ids = [generator.generateBigInt(time), generator.generateBigInt(time), generator.generateBigInt(time + 1)];
+      expect(ids[0] < ids[1] && ids[1] < ids[2]).to.be.true;
+      expect(generator.parse(ids[1])).to.include({ time, workerId: 37, sequence: 1 });
+      expect(generator.parse(ids[2])).to.include({ time: time + 1, workerId: 37, sequence: 0 });
+      expect(generator.getTimestamp(ids[0].toString()).toISOString()).to.be.eq('2024-05-01T12:30:15.250Z');
+    });
+
+    it('shares the sequence of a millisecond between the IDs of the current time and of given times', function () {
+      const generator = new SnowflakeId({ workerId: 1 });
+      const now = Date.now();
+      const ids = [generator.generateHex(now), generator.generateHex(), generator.generateHex(now), generator.generateHex()];
+      expect(new Set(ids).size).to.be.eq(4);
+    });
+
+    it('does not move the clock of the current time IDs to a given time', function () {
+      const generator = new SnowflakeId({ sequenceBits: 2, workerId: 1, onCounterExhausted: 'THROW' });
+      const tomorrow = Date.now() + 86400000;
+      [0, 1, 2, 3].forEach(() => generator.generate(tomorrow));
+      expect(() => generator.generate(tomorrow)).to.throw('sequence exhausted');
+      const { time } = generator.parse(generator.generate());
+      expect(time).to.be.below(tomorrow - 60000);
+    });
+
+    it('supports custom epoch and layout', function () {
+      const generator = new SnowflakeId({ epoch: Date.UTC(2024, 0, 1), workerBits: 5, sequenceBits: 2, workerId: 31, onCounterExhausted: 'THROW' });
+      [0, 1, 2, 3].forEach(() => generator.generate(time));
+      expect(() => generator.generate(time)).to.throw('sequence exhausted');
+      const id = generator.generateString(time + 1);
+      expect(id).to.match(/^\d+$/);
+      expect(generator.parse(id)).to.include({ time: time + 1, workerId: 31, sequence: 0 });
+      expect(() => generator.generate(Date.UTC(2023, 0, 1))).to.throw('out of the range of the epoch');
+      expect(() => new SnowflakeId({ workerBits: 12, sequenceBits: 12 })).to.throw('invalid layout');
+      expect(() => new SnowflakeId({ workerBits: 2, workerId: 4 })).to.throw('invalid worker ID 4');
+    });
+
+    it('returns the range of the IDs of a time span and validates IDs', function () {
+      const generator = new SnowflakeId({ workerId: 3 });
+      const id = generator.generateBigInt(time + 500);
+      const [min, max] = generator.getRangeBigInt(time, time + 1000);
+      expect(min <= id && id <= max).to.be.true;
+      expect(generator.parse(min)).to.include({ time, workerId: 0, sequence: 0 });
+      expect(generator.parse(max)).to.include({ time: time + 1000, workerId: 1023, sequence: 4095 });
+      expect(generator.isValid(id.toString())).to.be.true;
+      expect(generator.isValid(generator.generateHex())).to.be.true;
+      expect(generator.isValid('ffffffffffffffff')).to.be.false;
+      expect(generator.isValid('12a')).to.be.false;
+      expect(generator.sort([max, id, min])).to.be.deep.eq([min, id, max]);
+    });
+
+  });
+});
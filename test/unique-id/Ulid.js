@@ -0,0 +1,55 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+
+//LIBS FOR TESTING
+const { Ulid } = require('../../lib/unique-id');
+
+describe('UNIQUE-ID', function () {
+  describe('Ulid', function () {
+
+    const time = Date.UTC(2024, 4, 1, 12, 30, 15, 250);
+    const generator = new Ulid();
+
+    it('generates sortable ULID strings, monotonic within the millisecond', function () {
+      const ids = [generator.generateString(time), generator.generateString(time), generator.generateString(time + 1)];
+      ids.forEach(id => expect(id).to.match(/^[0-7][0-9A-HJKMNP-TV-Z]{25}$/));
+      expect([...ids].sort()).to.be.deep.eq(ids);
+      expect(ids[0]).to.not.be.eq(ids[1]);
+      expect(generator.parse(ids[1]).time).to.be.eq(time);
+      expect(generator.parse(ids[0]).random.length).to.be.eq(10);
+    });
+
+    it('does not move the clock of the current time IDs to a given time', function () {
+      const ulid = new Ulid();
+      const tomorrow = Date.now() + 86400000;
+      ulid.generate(tomorrow);
+      expect(ulid.parse(ulid.generate()).time).to.be.below(tomorrow - 60000);
+    });
+
+    it('decodes the known ULID of the spec', function () {
+      // 01ARZ3NDEK is the timestamp 1469922850259 of the spec example
+      expect(generator.getTimestamp('01ARZ3NDEKTSV4RRFFQ69G5FAV').getTime()).to.be.eq(1469922850259);
+      expect(generator.format(generator.toBuffer('01arz3ndektsv4rrffq69g5fav'))).to.be.eq('01ARZ3NDEKTSV4RRFFQ69G5FAV');
+    });
+
+    it('returns the range of the IDs of a time span and validates IDs', function () {
+      const id = generator.generateString(time + 10);
+      const [min, max] = generator.getRangeString(time, time + 20);
+      expect(min < id && id < max).to.be.true;
+      expect(min).to.match(/0{16}$/);
+      expect(max).to.match(/Z{16}$/);
+      expect(generator.compare(generator.generateHex(time), id)).to.be.eq(-1);
+      expect(generator.isValid(generator.generateBigInt())).to.be.true;
+      expect(generator.isValid('81ARZ3NDEKTSV4RRFFQ69G5FAV')).to.be.false;
+      expect(generator.isValid('01ARZ3NDEKTSV4RRFFQ69G5FAU')).to.be.false;
+      expect(generator.getRangeFilter(time, time + 20, { format: 'STRING' })).to.be.deep.eq({ _id: { $gte: min, $lte: max } });
+      const parts = generator.splitRange(time, time + 20, 2, { format: 'STRING' });
+      expect(parts[0][0]).to.be.eq(min);
+      expect(parts[1][1]).to.be.eq(max);
+      expect(() => generator.getRange(time + 1, time)).to.throw('invalid range');
+    });
+
+  });
+});
@@ -0,0 +1,252 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+
+const { forkJoin } = require('rxjs');
+const { mergeMap } = require('rxjs/operators');
+
+//LIBS FOR TESTING
+const { UniqueId, ProcessUniqueLease } = require('../../lib/unique-id');
+const { InMemoryBroker } = require('../../lib/broker');
+
+describe('UNIQUE-ID', function () {
+  describe('UniqueId', function () {
+
+    const uniqueId = new UniqueId();
+    const time = 1700000000;
+
+    it('parses the generated IDs in every format', function () {
+      const buffer = uniqueId.generate(time);
+      [buffer, buffer.toString('hex'), buffer.toString('hex').toUpperCase(), buffer.readBigUInt64BE()].forEach(id => {
+        const parsed = UniqueId.parse(id);
+        expect(parsed.time).to.be.eq(time);
+        expect(parsed.timestamp.getTime()).to.be.eq(time * 1000);
+        expect(parsed.processUnique.equals(uniqueId.processUnique)).to.be.true;
+        expect(parsed.counter).to.be.eq(buffer.readUInt16BE(6));
+      });
+      expect(UniqueId.getTimestamp(uniqueId.generateHex(time * 1000)).toISOString()).to.be.eq('2023-11-14T22:13:20.000Z');
+    });
+
+    it('validates the IDs', function () {
+      expect(UniqueId.isValid(uniqueId.generate())).to.be.true;
+      expect(UniqueId.isValid(uniqueId.generateHex())).to.be.true;
+      expect(UniqueId.isValid(uniqueId.generateUInt64BE())).to.be.true;
+      expect(UniqueId.isValid('65537c80abcd00zz')).to.be.false;
+      expect(UniqueId.isValid('65537c80abcd')).to.be.false;
+      expect(UniqueId.isValid(Buffer.alloc(12))).to.be.false;
+      expect(UniqueId.isValid(-1n)).to.be.false;
+      expect(UniqueId.isValid(2n ** 64n)).to.be.false;
+      expect(UniqueId.isValid(123)).to.be.false;
+      expect(UniqueId.isValid(null)).to.be.false;
+      expect(() => UniqueId.parse('not-an-id')).to.throw("UniqueId: invalid id 'not-an-id'");
+    });
+
+    it('compares and sorts the IDs by creation time, across formats', function () {
+      const older = uniqueId.generate(time);
+      const newer = uniqueId.generateHex(time + 1);
+      const newest = uniqueId.generateUInt64BE(time + 2);
+      expect(UniqueId.compare(older, newer)).to.be.eq(-1);
+      expect(UniqueId.compare(newest, newer)).to.be.eq(1);
+      expect(UniqueId.compare(older, older.toString('hex'))).to.be.eq(0);
+      expect(UniqueId.sort([newest, older, newer])).to.be.deep.eq([older, newer, newest]);
+      expect(UniqueId.sort([older, newest, newer], { descending: true })).to.be.deep.eq([newest, newer, older]);
+    });
+
+    it('shares the IdGenerator interface', function () {
+      const id = uniqueId.generateString(time);
+      expect(id).to.match(/^[0-9a-f]{16}$/);
+      expect(uniqueId.parse(id).time).to.be.eq(time);
+      expect(uniqueId.isValid(uniqueId.generateBigInt())).to.be.true;
+      const [min, max] = uniqueId.getRangeBigInt(time);
+      expect(min <= BigInt(`0x${id}`) && BigInt(`0x${id}`) <= max).to.be.true;
+    });
+
+    describe('time-range queries', function () {
+
+      it('returns the range of a multi-second window', function () {
+        const [min, max] = UniqueId.getRangeHex(time, new Date((time + 3600) * 1000));
+        expect(min).to.be.eq(`${time.toString(16)}00000000`);
+        expect(max).to.be.eq(`${(time + 3600).toString(16)}ffffffff`);
+        expect(UniqueId.getRangeHex(time)).to.be.deep.eq(UniqueId.getRangeHex(time, time));
+        expect(UniqueId.getRangeHex(time, Buffer.from([1, 2]))[0]).to.be.eq(`${time.toString(16)}01020000`);
+        expect(uniqueId.getRangeHex(time * 1000, time * 1000 + 999)[1].slice(8, 12)).to.be.eq(uniqueId.processUnique.toString('hex'));
+        expect(() => UniqueId.getRange(time + 1, time)).to.throw('invalid range');
+        expect(() => uniqueId.getRange(time, time + 1)).to.throw('not a contiguous range');
+        expect(() => UniqueId.splitRange(time, time + 1, 2, { processUnique: uniqueId.processUnique })).to.throw('not a contiguous range');
+      });
+
+      it('filters the IDs of a single process across several seconds', function () {
+        const first = new UniqueId({ processUnique: 1 });
+        const second = new UniqueId({ processUnique: 2 });
+        const ids = [time, time + 1, time + 2].map(at => [first, second].map(generator => generator.generateUInt64BE(at)));
+        const matches = ({ _id: { $gte, $lte } }, id) => $gte <= id && id <= $lte;
+
+        const { $or } = UniqueId.getRangeFilter(time, time + 2, { format: 'BIGINT', processUnique: first.processUnique });
+        expect($or).to.have.length(3);
+        ids.forEach(([own, other]) => {
+          expect($or.some(filter => matches(filter, own))).to.be.true;
+          expect($or.some(filter => matches(filter, other))).to.be.false;
+        });
+        expect(first.getProcessRanges(time, time + 2)).to.have.length(3);
+        expect(UniqueId.getRangeFilter(time, time, { processUnique: first.processUnique })._id.$gte.toString('hex')).to.be.eq(`${time.toString(16)}00010000`);
+      });
+
+      it('builds MongoDB filters in every format', function () {
+        const filter = UniqueId.getRangeFilter(time, time + 59);
+        expect(filter._id.$gte.toString('hex')).to.be.eq(`${time.toString(16)}00000000`);
+        expect(UniqueId.getRangeFilter(time, time + 59, { format: 'HEX', field: 'eventId' }).eventId.$lte).to.be.eq(`${(time + 59).toString(16)}ffffffff`);
+        const { _id } = uniqueId.getRangeFilter(time, time + 59, { format: 'BIGINT' });
+        const id = uniqueId.generateUInt64BE(time + 30);
+        expect(_id.$gte <= id && id <= _id.$lte).to.be.true;
+        expect(() => UniqueId.getRangeFilter(time, time, { format: 'DECIMAL' })).to.throw('invalid format DECIMAL');
+      });
+
+      it('splits a window into evenly sized contiguous sub-ranges', function () {
+        const ranges = UniqueId.splitRange(time, time + 2, 4, { format: 'BIGINT' });
+        const [min, max] = UniqueId.getRangeUInt64BE(time, time + 2);
+        expect(ranges).to.have.length(4);
+        expect(ranges[0][0]).to.be.eq(min);
+        expect(ranges[3][1]).to.be.eq(max);
+        ranges.slice(1).forEach(([from], i) => expect(from).to.be.eq(ranges[i][1] + 1n));
+        const sizes = ranges.map(([from, to]) => to - from + 1n);
+        expect(sizes.every(size => size === sizes[0] || size === sizes[0] - 1n)).to.be.true;
+        expect(UniqueId.splitRange(time, time + 2, 3)[1][0]).to.be.instanceOf(Buffer);
+        expect(() => UniqueId.splitRange(time, time, 0)).to.throw('invalid number of parts 0');
+      });
+    });
+
+    describe('process unique and counter exhaustion', function () {
+
+      it('assigns the process unique by mode', function () {
+        expect(new UniqueId({ processUnique: 258 }).processUnique.toString('hex')).to.be.eq('0102');
+        expect(new UniqueId({ processUniqueMode: 'FIXED', processUnique: '65535' }).processUnique.toString('hex')).to.be.eq('ffff');
+        const a = new UniqueId({ processUniqueMode: 'HOSTNAME', hostname: 'ms-vehicle-0' });
+        const b = new UniqueId({ processUniqueMode: 'HOSTNAME', hostname: 'ms-vehicle-0' });
+        expect(a.processUnique.equals(b.processUnique)).to.be.true;
+        expect(() => new UniqueId({ processUnique: 65536 })).to.throw('invalid process unique');
+        expect(() => new UniqueId({ processUniqueMode: 'MAC' })).to.throw('invalid process unique mode MAC');
+        expect(() => new UniqueId({ processUniqueMode: 'LEASE' }).generate()).to.throw('not leased yet');
+      });
+
+      it('throws instead of repeating IDs once the counter of the second is exhausted', function () {
+        const generator = new UniqueId({ processUnique: 1, onCounterExhausted: 'THROW' });
+        const ids = new Set();
+        for (let i = 0; i < 0x10000; i++) ids.add(generator.generateHex(time));
+        expect(ids.size).to.be.eq(0x10000);
+        expect(() => generator.generate(time)).to.throw('counter exhausted');
+        expect(UniqueId.parse(generator.generate(time + 1)).time).to.be.eq(time + 1);
+      });
+
+      it('tracks the counter of every second, so interleaved seconds can not repeat IDs', function () {
+        const generator = new UniqueId({ processUnique: 1 });
+        const ids = new Set();
+        for (let i = 0; i < 0x10000; i++) {
+          ids.add(generator.generateHex(time));
+          ids.add(generator.generateHex(time + 1));
+        }
+        expect(ids.size).to.be.eq(0x20000);
+        expect(() => generator.generate(time)).to.throw('counter exhausted');
+        expect(() => generator.generate(time + 1)).to.throw('counter exhausted');
+      });
+
+      it('throws by default once the counter of the current second is exhausted, WAIT is opt-in', function () {
+        this.timeout(5000);
+        const now = Math.floor(Date.now() / 1000);
+        const exhaust = (generator) => generator.counters.set(now, { index: 0, issued: 0x10000 });
+        const throwing = new UniqueId({ processUnique: 1 });
+        exhaust(throwing);
+        // the clock may have moved to the next second already
+        if (Math.floor(Date.now() / 1000) === now) expect(() => throwing.generate()).to.throw('counter exhausted');
+
+        const waiting = new UniqueId({ processUnique: 1, onCounterExhausted: 'WAIT' });
+        exhaust(waiting);
+        expect(UniqueId.parse(waiting.generate()).time).to.be.greaterThan(now);
+      });
+
+      it('generate$ waits for the next second without blocking', function (done) {
+        this.timeout(5000);
+        const generator = new UniqueId({ processUnique: 1, onCounterExhausted: 'WAIT' });
+        const now = Math.floor(Date.now() / 1000);
+        generator.counters.set(now, { index: 0, issued: 0x10000 });
+        let ticks = 0;
+        const ticker = setInterval(() => ticks++, 10);
+        generator.generate$().subscribe(
+          (id) => {
+            clearInterval(ticker);
+            expect(UniqueId.parse(id).time).to.be.greaterThan(now);
+            // the event loop kept running meanwhile, unless the second changed right away
+            if (Date.now() - now * 1000 > 1100) expect(ticks).to.be.greaterThan(0);
+            expect(generator.onCounterExhausted).to.be.eq('WAIT');
+          },
+          (error) => done(error),
+          () => done()
+        );
+      });
+
+      it('leases different process uniques through the broker', function (done) {
+        const bus = InMemoryBroker.createBus();
+        const brokers = [0, 1].map(i => new InMemoryBroker({ bus, senderId: `node-${i}` }));
+        // both processes try the same value first
+        const values = [0.5, 0.5, 0.25];
+        const random = () => values.length > 1 ? values.shift() : values[0];
+        const [first, second] = brokers.map(() => new UniqueId({ processUniqueMode: 'LEASE' }));
+        first.leaseProcessUnique$(brokers[0], { claimWindow: 50, random }).pipe(
+          mergeMap(() => second.leaseProcessUnique$(brokers[1], { claimWindow: 50, random }))
+        ).subscribe(
+          () => {
+            expect(first.processUnique.toString('hex')).to.be.eq('8000');
+            expect(second.processUnique.toString('hex')).to.be.eq('4000');
+            expect(UniqueId.parse(second.generate()).processUnique.toString('hex')).to.be.eq('4000');
+          },
+          (error) => done(error),
+          () => {
+            first.lease.release();
+            second.lease.release();
+            forkJoin(brokers.map(broker => broker.disconnectBroker$())).subscribe(() => done(), done);
+          }
+        );
+      });
+
+      it('shares the acquisition in flight between concurrent calls', function (done) {
+        const bus = InMemoryBroker.createBus();
+        const broker = new InMemoryBroker({ bus, senderId: 'node-0' });
+        const lease = new ProcessUniqueLease({ broker, claimWindow: 20 });
+        const claims = [];
+        broker.getMessageListener$([lease.topic], [ProcessUniqueLease.MESSAGE_TYPES.CLAIM], false).subscribe(({ data }) => claims.push(data.value));
+        forkJoin([lease.acquire$(), lease.acquire$()]).subscribe(
+          ([a, b]) => {
+            expect(a.equals(b)).to.be.true;
+            expect(claims).to.have.length(1);
+          },
+          (error) => done(error),
+          () => {
+            // later calls return the leased value
+            expect(lease.acquiring$).to.be.null;
+            lease.release();
+            broker.disconnectBroker$().subscribe(() => done(), done);
+          }
+        );
+      });
+
+      it('gives up when every claimed value is in use', function (done) {
+        const bus = InMemoryBroker.createBus();
+        const holderBroker = new InMemoryBroker({ bus, senderId: 'holder' });
+        const claimerBroker = new InMemoryBroker({ bus, senderId: 'claimer' });
+        const holder = new ProcessUniqueLease({ broker: holderBroker, claimWindow: 20, random: () => 0 });
+        const claimer = new ProcessUniqueLease({ broker: claimerBroker, claimWindow: 20, maxAttempts: 1, random: () => 0 });
+        holder.acquire$().pipe(
+          mergeMap(() => claimer.acquire$())
+        ).subscribe(
+          () => done(new Error('Test should have failed')),
+          (error) => {
+            expect(error.message).to.contain('no process unique value could be leased');
+            holder.release();
+            forkJoin([holderBroker.disconnectBroker$(), claimerBroker.disconnectBroker$()]).subscribe(() => done(), done);
+          }
+        );
+      });
+    });
+
+  });
+});
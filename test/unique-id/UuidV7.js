@@ -0,0 +1,47 @@
+'use strict'
+
+// TEST LIBS
+const expect = require('chai').expect;
+
+//LIBS FOR TESTING
+const { UuidV7 } = require('../../lib/unique-id');
+
+describe('UNIQUE-ID', function () {
+  describe('UuidV7', function () {
+
+    const time = Date.UTC(2024, 4, 1, 12, 30, 15, 250);
+    const generator = new UuidV7();
+
+    it('generates version 7 UUIDs ordered within the millisecond', function () {
+      const ids = [generator.generateString(time), generator.generateString(time), generator.generateString(time + 1)];
+      ids.forEach(id => expect(id).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/));
+      expect([...ids].sort()).to.be.deep.eq(ids);
+      expect(generator.parse(ids[1]).counter).to.be.eq(generator.parse(ids[0]).counter + 1);
+      expect(generator.getTimestamp(ids[2]).getTime()).to.be.eq(time + 1);
+    });
+
+    it('does not move the clock of the current time IDs to a given time', function () {
+      const uuid = new UuidV7();
+      const tomorrow = Date.now() + 86400000;
+      uuid.generate(tomorrow);
+      expect(uuid.parse(uuid.generate()).time).to.be.below(tomorrow - 60000);
+    });
+
+    it('throws once the counter of a given millisecond is used', function () {
+      const throwing = new UuidV7({ onCounterExhausted: 'THROW' });
+      expect(() => { for (let i = 0; i <= 0x1000; i++) throwing.generate(time); }).to.throw('counter exhausted');
+    });
+
+    it('returns the range of the IDs of a time span and validates IDs', function () {
+      const id = generator.generateString(time + 10);
+      const [min, max] = generator.getRangeString(time, time + 20);
+      expect(min < id && id < max).to.be.true;
+      expect(max.slice(14)).to.be.eq('7fff-bfff-ffffffffffff');
+      expect(generator.isValid(min) && generator.isValid(generator.generateBigInt())).to.be.true;
+      expect(generator.isValid('018f3529-4e9a-4a3c-9f12-3c4d5e6f7a8b')).to.be.false;
+      expect(generator.isValid('018f3529-4e9a-7a3c-cf12-3c4d5e6f7a8b')).to.be.false;
+      expect(generator.sort([max, id, min], { descending: true })).to.be.deep.eq([max, id, min]);
+    });
+
+  });
+});